@@ -1,10 +1,15 @@
 import { renderToSVG } from './renderer.js';
+import { createCanvasEditor } from './editor.js';
+import { createCollabClient } from './collab.js';
+import { applyPatches } from '/shared/schema.js';
 
 let supabase = null;
 let currentUser = null;
 let accessToken = null;
 let currentDesign = null;
 let designs = [];
+// Extra designs (Ctrl/Cmd-clicked in the list) exported as pages with the open one
+const pdfPages = new Set();
 
 // Elements
 const loginScreen = document.getElementById('login-screen');
@@ -21,6 +26,7 @@ const promptForm = document.getElementById('prompt-form');
 const promptInput = document.getElementById('prompt-input');
 const sendBtn = document.getElementById('send-btn');
 const status = document.getElementById('status');
+const viewersEl = document.getElementById('viewers');
 
 const createBtn = document.getElementById('create-btn');
 const createModal = document.getElementById('create-modal');
@@ -43,6 +49,25 @@ const usageFill = document.getElementById('usage-fill');
 let createType = null;
 let selectedImage = null;
 
+// Direct manipulation on the canvas
+const editor = createCanvasEditor({
+  getDocument: () => currentDesign?.document,
+  onCommit: applyCanvasPatches,
+});
+
+// Live updates and presence for the open design
+const collab = createCollabClient({
+  getToken: () => accessToken,
+  onJoined: ({ designId, revision }) => {
+    // Catch up on anything missed while not connected
+    if (currentDesign?.id === designId && currentDesign.revision !== revision) {
+      reloadCurrentDesign().catch(err => console.error('Failed to reload design:', err));
+    }
+  },
+  onChange: applyRemoteChange,
+  onPresence: renderViewers,
+});
+
 // Initialize
 async function init() {
   // Get Supabase config from server
@@ -50,7 +75,10 @@ async function init() {
     const res = await fetch('/api/config');
     const config = await res.json();
 
-    if (config.supabaseUrl && config.supabaseAnonKey) {
+    if (config.localSession) {
+      // Local storage backend - no sign-in needed
+      handleAuthChange(config.localSession);
+    } else if (config.supabaseUrl && config.supabaseAnonKey) {
       supabase = window.supabase.createClient(config.supabaseUrl, config.supabaseAnonKey);
 
       // Check for existing session
@@ -157,6 +185,7 @@ logoutBtn.addEventListener('click', async () => {
   await supabase.auth.signOut();
   currentDesign = null;
   designs = [];
+  collab.join(null);
   renderDesignList();
   renderCanvas();
   promptBar.style.display = 'none';
@@ -176,6 +205,36 @@ async function apiFetch(url, options = {}) {
   return fetch(url, { ...options, headers });
 }
 
+// Write to the current design, based on the revision we have (If-Match).
+// If it changed elsewhere, reload it and try once more on top of the new revision.
+async function designWrite(url, options = {}) {
+  const send = () => apiFetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), 'If-Match': `"${currentDesign.revision}"` },
+  });
+
+  let res = await send();
+  if (await isRevisionConflict(res)) {
+    await reloadCurrentDesign();
+    res = await send();
+  }
+  return res;
+}
+
+async function isRevisionConflict(res) {
+  if (res.status !== 409) return false;
+  const data = await res.clone().json().catch(() => ({}));
+  return data.code === 'revision_conflict';
+}
+
+// Fetch the latest copy of the open design
+async function reloadCurrentDesign() {
+  const res = await apiFetch(`/api/designs/${currentDesign.id}`);
+  if (!res.ok) throw new Error('Failed to reload design');
+  currentDesign = await res.json();
+  renderCanvas();
+}
+
 // Load designs from server
 async function loadDesigns() {
   // Show loading state
@@ -202,19 +261,46 @@ function renderDesignList() {
     return;
   }
 
-  designList.innerHTML = designs.map(d => `
-    <div class="design-item ${currentDesign?.id === d.id ? 'active' : ''}" data-id="${d.id}">
-      ${d.thumbnail
-        ? `<img class="design-thumb" src="${d.thumbnail}" alt="">`
-        : '<div class="design-thumb"></div>'
-      }
-      <span class="design-name">${d.name}</span>
-    </div>
-  `).join('');
+  // Names come from other accounts on shared designs, so build nodes rather than HTML
+  designList.replaceChildren(...designs.map(d => {
+    const item = document.createElement('div');
+    item.className = 'design-item';
+    item.classList.toggle('active', currentDesign?.id === d.id);
+    item.classList.toggle('pdf-page', pdfPages.has(d.id));
+    item.dataset.id = d.id;
+
+    const thumb = document.createElement(d.thumbnail ? 'img' : 'div');
+    thumb.className = 'design-thumb';
+    if (d.thumbnail) {
+      thumb.src = d.thumbnail;
+      thumb.alt = '';
+    }
 
-  designList.querySelectorAll('.design-item').forEach(item => {
-    item.addEventListener('click', () => selectDesign(item.dataset.id));
-  });
+    const name = document.createElement('span');
+    name.className = 'design-name';
+    name.textContent = d.name;
+    item.append(thumb, name);
+
+    if (d.role && d.role !== 'owner') {
+      const role = document.createElement('span');
+      role.className = 'design-role';
+      role.textContent = d.role;
+      item.appendChild(role);
+    }
+
+    item.addEventListener('click', (e) => {
+      if (e.ctrlKey || e.metaKey) togglePdfPage(d.id);
+      else selectDesign(d.id);
+    });
+    return item;
+  }));
+}
+
+function togglePdfPage(id) {
+  if (pdfPages.has(id)) pdfPages.delete(id);
+  else pdfPages.add(id);
+  renderDesignList();
+  setStatus(pdfPages.size > 0 ? `${pdfPages.size} more design(s) will be added as pages to PDF exports` : '');
 }
 
 // Select a design
@@ -223,6 +309,8 @@ async function selectDesign(id) {
     const res = await apiFetch(`/api/designs/${id}`);
     if (res.ok) {
       currentDesign = await res.json();
+      collab.join(currentDesign.id);
+      editor.select(null);
       renderDesignList();
       renderCanvas();
       promptBar.style.display = 'block';
@@ -247,10 +335,12 @@ function renderCanvas() {
 
   canvasArea.innerHTML = '<div class="canvas-container" id="canvas"></div>';
   const canvas = document.getElementById('canvas');
+  updateControls();
 
   try {
     const svg = renderToSVG(currentDesign.document);
     canvas.appendChild(svg);
+    if (canEdit()) editor.attach(svg);
   } catch (err) {
     if (currentDesign.thumbnail) {
       canvas.innerHTML = `<img src="${currentDesign.thumbnail}" alt="Design">`;
@@ -258,12 +348,127 @@ function renderCanvas() {
   }
 }
 
+// Viewers of a shared design can look, export and duplicate, but not change it
+function canEdit() {
+  return currentDesign?.role !== 'viewer';
+}
+
+// Match the controls to the user's role on the open design
+function updateControls() {
+  const editable = canEdit();
+  promptInput.disabled = !editable;
+  sendBtn.disabled = !editable;
+  promptInput.placeholder = editable
+    ? 'Describe what you want to change...'
+    : 'View only - ask the owner for edit access';
+  historyBtn.style.display = editable ? '' : 'none';
+  deleteBtn.style.display = currentDesign?.role === 'owner' ? '' : 'none';
+}
+
+// Save a move/resize/rotate from the canvas editor (no AI involved)
+async function applyCanvasPatches(patches, preview) {
+  const designId = currentDesign.id;
+
+  // Keep the previewed document while saving so the next drag starts from it
+  currentDesign.document = preview;
+
+  try {
+    const data = collab.connected
+      ? await collab.sendPatches(patches, currentDesign.revision)
+      : await postPatches(designId, patches);
+
+    if (currentDesign?.id !== designId) return;
+    currentDesign.document = data.document;
+    currentDesign.revision = data.revision;
+    currentDesign.thumbnail = data.thumbnail;
+    renderCanvas();
+    renderDesignList();
+
+    const dropped = describeDroppedPatches(data.patches);
+    if (dropped.length > 0) {
+      setStatus(`${dropped.length} change${dropped.length === 1 ? '' : 's'} not applied - hover for details`, true);
+      status.title = dropped.join('\n');
+    }
+  } catch (err) {
+    // Show what the server has rather than the unsaved preview
+    if (currentDesign?.id === designId) {
+      await reloadCurrentDesign().catch(() => {});
+    }
+    setStatus(`Change not saved: ${err.message}`, true);
+  }
+}
+
+async function postPatches(designId, patches) {
+  const res = await designWrite(`/api/designs/${designId}/patches`, {
+    method: 'POST',
+    body: JSON.stringify({ patches }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Save failed');
+  return data;
+}
+
+// A change someone else (or another tab) made to the open design
+function applyRemoteChange(change) {
+  if (!currentDesign || change.designId !== currentDesign.id) return;
+  if (change.revision <= currentDesign.revision) return; // Already have it
+
+  // Patches only apply cleanly to the revision they were made on
+  if (change.baseRevision !== currentDesign.revision) {
+    reloadCurrentDesign().catch(err => console.error('Failed to reload design:', err));
+    return;
+  }
+
+  try {
+    currentDesign.document = applyPatches(currentDesign.document, change.patches);
+  } catch (err) {
+    reloadCurrentDesign().catch(e => console.error('Failed to reload design:', e));
+    return;
+  }
+  currentDesign.revision = change.revision;
+  if (change.name !== undefined) currentDesign.name = change.name;
+  renderCanvas();
+
+  const who = change.by?.id === currentUser?.id ? 'you in another tab' : change.by?.email || 'someone else';
+  setStatus(`Updated by ${who}`);
+}
+
+// Other people viewing the open design
+function renderViewers(viewers) {
+  viewersEl.replaceChildren(...viewers
+    .filter(v => v.id !== currentUser?.id)
+    .map(v => {
+      const chip = document.createElement('span');
+      chip.className = 'viewer';
+      chip.title = v.name || v.email;
+      if (v.avatar) {
+        const img = document.createElement('img');
+        img.src = v.avatar;
+        img.alt = '';
+        chip.appendChild(img);
+      } else {
+        chip.textContent = (v.name || v.email || '?').charAt(0).toUpperCase();
+      }
+      return chip;
+    }));
+}
+
 // Set status message
 function setStatus(message, isError = false) {
   status.textContent = message;
+  status.title = '';
   status.className = 'status' + (isError ? ' error' : '');
 }
 
+// Describe AI changes that were dropped (from the `patches` report on done events)
+function describeDroppedPatches(report) {
+  if (!report?.dropped?.length) return [];
+  return report.dropped.map(d => {
+    const target = d.id ? `${d.op || 'patch'} "${d.id}"` : `patch #${d.index + 1}`;
+    return `Dropped ${target}: ${d.error} (${d.code})`;
+  });
+}
+
 // Progress helpers
 function showProgress(title) {
   progressTitle.textContent = title;
@@ -280,13 +485,28 @@ function logProgress(msg, type = 'info') {
   div.textContent = msg;
   if (type === 'error') div.style.color = '#ef4444';
   if (type === 'thinking') div.style.color = '#3b82f6';
+  if (type === 'repair') div.style.color = '#f59e0b';
   progressLog.appendChild(div);
   progressLog.scrollTop = progressLog.scrollHeight;
+  return div;
+}
+
+// Match score for a round, with its diff heatmap underneath
+function logScore(event) {
+  const label = event.round === 0 ? 'Build' : `Round ${event.round}`;
+  const div = logProgress(`${label}: ${event.score}% (pixels ${event.similarity}%, structure ${event.structure}%)${event.best ? '' : ' - not kept'}`);
+  if (event.heatmap) {
+    const img = document.createElement('img');
+    img.src = event.heatmap;
+    img.alt = `Differences from the target after ${label.toLowerCase()}`;
+    img.onload = () => { progressLog.scrollTop = progressLog.scrollHeight; };
+    div.appendChild(img);
+  }
 }
 
 // Stream SSE response
-async function streamSSE(url, body, onEvent) {
-  const headers = { 'Content-Type': 'application/json' };
+async function streamSSE(url, body, onEvent, extraHeaders = {}) {
+  const headers = { 'Content-Type': 'application/json', ...extraHeaders };
   if (accessToken) {
     headers['Authorization'] = `Bearer ${accessToken}`;
   }
@@ -297,6 +517,14 @@ async function streamSSE(url, body, onEvent) {
     body: JSON.stringify(body),
   });
 
+  // Refusals (rate limit, conflicts) come back as JSON before any stream starts
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const err = new Error(data.message || data.error || `Request failed (${response.status})`);
+    err.code = data.code;
+    throw err;
+  }
+
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
@@ -402,6 +630,9 @@ async function createFromDescription(description) {
         case 'thinking':
           logProgress(event.message, 'thinking');
           break;
+        case 'repair':
+          logProgress(event.message, 'repair');
+          break;
         case 'complete':
           logProgress(event.message);
           break;
@@ -409,10 +640,13 @@ async function createFromDescription(description) {
           newDesign = {
             id: event.id,
             name: event.name,
+            revision: event.revision,
+            role: 'owner',
             document: event.document,
             thumbnail: event.thumbnail,
           };
           logProgress(`Created: ${event.name}`);
+          describeDroppedPatches(event.patches).forEach(msg => logProgress(msg, 'error'));
           break;
         case 'error':
           logProgress(`Error: ${event.message}`, 'error');
@@ -423,6 +657,7 @@ async function createFromDescription(description) {
     // Update immediately with the data we already have
     if (newDesign) {
       currentDesign = newDesign;
+      collab.join(currentDesign.id);
       await loadDesigns();
       renderDesignList();
       renderCanvas();
@@ -469,17 +704,23 @@ async function createFromImage(image) {
         case 'render_update':
           logProgress('Rendered');
           break;
+        case 'score':
+          logScore(event);
+          break;
         case 'complete':
-          logProgress(`Complete: ${event.reason}`);
+          logProgress(`Complete: ${event.reason}, best score ${event.score}%`);
           break;
         case 'done':
           newDesign = {
             id: event.id,
             name: event.name,
+            revision: event.revision,
+            role: 'owner',
             document: event.document,
             thumbnail: event.thumbnail,
           };
           logProgress('Design ready');
+          describeDroppedPatches(event.patches).forEach(msg => logProgress(msg, 'error'));
           break;
         case 'error':
           logProgress(`Error: ${event.message}`, 'error');
@@ -490,6 +731,7 @@ async function createFromImage(image) {
     // Update immediately with the data we already have
     if (newDesign) {
       currentDesign = newDesign;
+      collab.join(currentDesign.id);
       await loadDesigns();
       renderDesignList();
       renderCanvas();
@@ -513,33 +755,69 @@ promptForm.addEventListener('submit', async (e) => {
   sendBtn.disabled = true;
   setStatus('Thinking...');
 
-  try {
-    await streamSSE(`/api/designs/${currentDesign.id}/edit`, { prompt }, (event) => {
-      switch (event.type) {
-        case 'start':
-        case 'status':
-          setStatus(event.message);
-          break;
-        case 'thinking':
-          setStatus(event.message);
-          break;
-        case 'complete':
-          setStatus(event.message);
-          break;
-        case 'done':
-          currentDesign.document = event.document;
-          currentDesign.thumbnail = event.thumbnail;
-          renderCanvas();
-          renderDesignList();
-          promptInput.value = '';
+  // Set when the design changed elsewhere, before or during the edit
+  let conflict = false;
+
+  const onEvent = (event) => {
+    switch (event.type) {
+      case 'start':
+      case 'status':
+        setStatus(event.message);
+        break;
+      case 'thinking':
+      case 'repair':
+        setStatus(event.message);
+        break;
+      case 'complete':
+        setStatus(event.message);
+        break;
+      case 'done': {
+        currentDesign.document = event.document;
+        currentDesign.revision = event.revision;
+        currentDesign.thumbnail = event.thumbnail;
+        renderCanvas();
+        renderDesignList();
+        promptInput.value = '';
+        const dropped = describeDroppedPatches(event.patches);
+        if (dropped.length > 0) {
+          setStatus(`${event.message || 'Done'} (${dropped.length} change${dropped.length === 1 ? '' : 's'} dropped - hover for details)`, true);
+          status.title = dropped.join('\n');
+        } else {
           setStatus(event.message || 'Done');
-          loadUsage(); // Refresh usage after edit
-          break;
-        case 'error':
+        }
+        loadUsage(); // Refresh usage after edit
+        break;
+      }
+      case 'error':
+        if (event.code === 'revision_conflict') {
+          conflict = true;
+        } else {
           setStatus(event.message, true);
-          break;
+        }
+        break;
+    }
+  };
+
+  try {
+    // Run the prompt again on the latest design if it changed under us (once)
+    for (let attempt = 0; attempt < 2; attempt++) {
+      conflict = false;
+      try {
+        await streamSSE(`/api/designs/${currentDesign.id}/edit`, { prompt }, onEvent, {
+          'If-Match': `"${currentDesign.revision}"`,
+        });
+      } catch (err) {
+        if (err.code !== 'revision_conflict') throw err;
+        conflict = true;
       }
-    });
+      if (!conflict) break;
+
+      setStatus('Design changed elsewhere - reloading and retrying...');
+      await reloadCurrentDesign();
+    }
+    if (conflict) {
+      setStatus('Design keeps changing elsewhere - try again', true);
+    }
   } catch (err) {
     setStatus(err.message, true);
   } finally {
@@ -554,38 +832,177 @@ promptInput.addEventListener('keydown', (e) => {
   }
 });
 
-// Export PNG
+// Undo / redo the last change (AI edit or canvas manipulation)
+async function stepHistory(direction) {
+  if (!currentDesign) return;
+
+  try {
+    const res = await designWrite(`/api/designs/${currentDesign.id}/${direction}`, {
+      method: 'POST',
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setStatus(data.error || `${direction} failed`, res.status !== 409);
+      return;
+    }
+
+    currentDesign.document = data.document;
+    currentDesign.revision = data.revision;
+    currentDesign.thumbnail = data.thumbnail;
+    renderCanvas();
+    renderDesignList();
+    setStatus(direction === 'undo' ? 'Undid last change' : 'Redid change');
+  } catch (err) {
+    setStatus(`${direction} failed: ${err.message}`, true);
+  }
+}
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (text fields keep their own undo)
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  if (e.target.closest?.('input, textarea, [contenteditable]')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    stepHistory('undo');
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    stepHistory('redo');
+  }
+});
+
+// Export dialog (PNG / JPEG / WebP / AVIF / SVG / PDF)
 const exportBtn = document.getElementById('export-btn');
+const exportModal = document.getElementById('export-modal');
+const exportForm = document.getElementById('export-form');
+const exportFormat = document.getElementById('export-format');
+const exportSize = document.getElementById('export-size');
+const exportSubmit = document.getElementById('export-submit');
 const duplicateBtn = document.getElementById('duplicate-btn');
 const deleteBtn = document.getElementById('delete-btn');
 const historyBtn = document.getElementById('history-btn');
 const historyModal = document.getElementById('history-modal');
 const historyClose = document.getElementById('history-close');
 const versionList = document.getElementById('version-list');
-exportBtn.addEventListener('click', async () => {
+// Download the server render of the open design
+async function exportDesign(format, params, button) {
+  if (!currentDesign) return;
+
+  await withBusyButton(button, 'Exporting...', async () => {
+    const query = new URLSearchParams({ format, ...params });
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/render?${query}`);
+    if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Export failed');
+    downloadBlob(await res.blob(), `${currentDesign.name || 'design'}.${format === 'jpeg' ? 'jpg' : format}`);
+
+    const missing = res.headers.get('X-Missing-Fonts');
+    if (missing) setStatus(`Exported without fonts: ${missing}`);
+  });
+}
+
+// One PDF with the open design first, then any Ctrl/Cmd-clicked ones in list order
+async function exportPdf(options, button) {
   if (!currentDesign) return;
+  const designIds = [
+    currentDesign.id,
+    ...designs.map(d => d.id).filter(id => id !== currentDesign.id && pdfPages.has(id)),
+  ];
+
+  await withBusyButton(button, 'Exporting...', async () => {
+    const res = await apiFetch('/api/export/pdf', {
+      method: 'POST',
+      body: JSON.stringify({ designIds, ...options }),
+    });
+    if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Export failed');
+    downloadBlob(await res.blob(), `${currentDesign.name || 'design'}.pdf`);
+  });
+}
+
+// Show only the fields that apply to the chosen format
+function updateExportForm() {
+  const format = exportFormat.value;
+  exportForm.querySelectorAll('[data-formats]').forEach(field => {
+    const custom = field.hasAttribute('data-custom-size') && exportSize.value !== 'custom';
+    field.hidden = custom || !field.dataset.formats.split(' ').includes(format);
+  });
+}
 
+// Query parameters (or PDF options) from the export form
+function readExportForm(format) {
+  const value = id => document.getElementById(id).value;
+  const checked = id => document.getElementById(id).checked;
+
+  if (format === 'pdf') {
+    return { bleed: Number(value('export-bleed')) || 0, cropMarks: checked('export-marks') };
+  }
+  if (format === 'svg') {
+    return { precision: 2, fonts: 1, ...(checked('export-transparent') ? { transparent: 1 } : {}) };
+  }
+
+  const params = {};
+  if (exportSize.value === 'custom') {
+    if (value('export-width')) params.width = value('export-width');
+    if (value('export-height')) params.height = value('export-height');
+    params.fit = value('export-fit');
+  } else {
+    params.scale = exportSize.value;
+  }
+  if (format !== 'png' && value('export-quality')) params.quality = value('export-quality');
+  if (value('export-dpi')) params.dpi = value('export-dpi');
+  if (format !== 'jpeg' && checked('export-transparent')) params.transparent = 1;
+  return params;
+}
+
+async function withBusyButton(button, busyLabel, fn) {
+  const label = button.textContent;
   try {
-    exportBtn.textContent = 'Exporting...';
-    exportBtn.disabled = true;
-
-    const res = await apiFetch(`/api/designs/${currentDesign.id}/render`);
-    if (!res.ok) throw new Error('Export failed');
-
-    const blob = await res.blob();
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentDesign.name || 'design'}.png`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    button.textContent = busyLabel;
+    button.disabled = true;
+    await fn();
   } catch (err) {
     setStatus('Export failed: ' + err.message, true);
   } finally {
-    exportBtn.textContent = 'Export PNG';
-    exportBtn.disabled = false;
+    button.textContent = label;
+    button.disabled = false;
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+exportBtn.addEventListener('click', () => {
+  if (!currentDesign) return;
+  updateExportForm();
+  exportModal.classList.add('open');
+});
+
+exportFormat.addEventListener('change', updateExportForm);
+exportSize.addEventListener('change', updateExportForm);
+
+exportForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const format = exportFormat.value;
+  const options = readExportForm(format);
+  if (format === 'pdf') await exportPdf(options, exportSubmit);
+  else await exportDesign(format, options, exportSubmit);
+  exportModal.classList.remove('open');
+});
+
+document.getElementById('export-cancel').addEventListener('click', () => {
+  exportModal.classList.remove('open');
+});
+
+exportModal.addEventListener('click', (e) => {
+  if (e.target === exportModal) {
+    exportModal.classList.remove('open');
   }
 });
 
@@ -642,13 +1059,14 @@ async function revertToVersion(versionId) {
   if (!currentDesign) return;
 
   try {
-    const res = await apiFetch(`/api/designs/${currentDesign.id}/revert/${versionId}`, {
+    const res = await designWrite(`/api/designs/${currentDesign.id}/revert/${versionId}`, {
       method: 'POST',
     });
     if (!res.ok) throw new Error('Revert failed');
 
     const data = await res.json();
     currentDesign.document = data.document;
+    currentDesign.revision = data.revision;
     currentDesign.thumbnail = data.thumbnail;
     renderCanvas();
     renderDesignList();
@@ -672,6 +1090,7 @@ deleteBtn.addEventListener('click', async () => {
     if (!res.ok) throw new Error('Delete failed');
 
     currentDesign = null;
+    collab.join(null);
     await loadDesigns();
     renderCanvas();
     promptBar.style.display = 'none';
@@ -694,7 +1113,8 @@ duplicateBtn.addEventListener('click', async () => {
     if (!res.ok) throw new Error('Duplicate failed');
 
     const newDesign = await res.json();
-    currentDesign = newDesign;
+    currentDesign = { ...newDesign, role: 'owner' };
+    collab.join(currentDesign.id);
     await loadDesigns();
     renderCanvas();
     setStatus('Design duplicated');
@@ -706,5 +1126,176 @@ duplicateBtn.addEventListener('click', async () => {
   }
 });
 
+// Sharing
+const shareBtn = document.getElementById('share-btn');
+const shareModal = document.getElementById('share-modal');
+const shareList = document.getElementById('share-list');
+const shareForm = document.getElementById('share-form');
+const shareEmail = document.getElementById('share-email');
+const shareRole = document.getElementById('share-role');
+const shareClose = document.getElementById('share-close');
+const shareLinks = document.getElementById('share-links');
+const linkList = document.getElementById('link-list');
+const linkCreate = document.getElementById('link-create');
+
+// Everyone with access sees the list; owners manage it and anyone can leave
+function renderShares(shares) {
+  const isOwner = currentDesign.role === 'owner';
+  shareForm.style.display = isOwner ? 'flex' : 'none';
+
+  if (shares.length === 0) {
+    shareList.innerHTML = '<div class="empty-state">Not shared with anyone yet</div>';
+    return;
+  }
+
+  shareList.replaceChildren(...shares.map(s => {
+    const item = document.createElement('div');
+    item.className = 'share-item';
+
+    const user = document.createElement('span');
+    user.className = 'share-user';
+    user.textContent = s.email || s.user_id;
+    const role = document.createElement('span');
+    role.className = 'share-item-role';
+    role.textContent = s.role;
+    item.append(user, role);
+
+    if (isOwner || s.user_id === currentUser.id) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'share-remove';
+      remove.textContent = s.user_id === currentUser.id ? 'Leave' : 'Remove';
+      remove.addEventListener('click', () => removeShare(s.user_id));
+      item.appendChild(remove);
+    }
+    return item;
+  }));
+}
+
+async function removeShare(userId) {
+  try {
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/shares/${userId}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Remove failed');
+
+    // Leaving a design closes it
+    if (userId === currentUser.id) {
+      shareModal.classList.remove('open');
+      currentDesign = null;
+      collab.join(null);
+      await loadDesigns();
+      renderCanvas();
+      promptBar.style.display = 'none';
+      return;
+    }
+    renderShares(data);
+  } catch (err) {
+    setStatus('Sharing failed: ' + err.message, true);
+  }
+}
+
+// Public links (owners only)
+function renderLinks(links) {
+  if (links.length === 0) {
+    linkList.innerHTML = '<div class="empty-state">No public links</div>';
+    return;
+  }
+
+  linkList.innerHTML = links.map(l => `
+    <div class="share-item">
+      <span class="share-link-url">${location.origin}${l.url}</span>
+      <button type="button" class="share-remove" data-copy="${location.origin}${l.png}">Copy PNG</button>
+      <button type="button" class="share-remove" data-copy="${location.origin}${l.url}">Copy</button>
+      <button type="button" class="share-remove" data-token="${l.token}">Revoke</button>
+    </div>
+  `).join('');
+
+  linkList.querySelectorAll('[data-copy]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await navigator.clipboard.writeText(btn.dataset.copy);
+      setStatus('Link copied');
+    });
+  });
+  linkList.querySelectorAll('[data-token]').forEach(btn => {
+    btn.addEventListener('click', () => revokeLink(btn.dataset.token));
+  });
+}
+
+async function loadLinks() {
+  const res = await apiFetch(`/api/designs/${currentDesign.id}/links`);
+  if (!res.ok) throw new Error('Failed to load links');
+  renderLinks(await res.json());
+}
+
+async function revokeLink(token) {
+  if (!confirm('Revoke this link? Pages and embeds using it will stop working.')) return;
+
+  try {
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/links/${token}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error('Revoke failed');
+    await loadLinks();
+  } catch (err) {
+    setStatus('Sharing failed: ' + err.message, true);
+  }
+}
+
+linkCreate.addEventListener('click', async () => {
+  try {
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/links`, { method: 'POST' });
+    if (!res.ok) throw new Error('Create link failed');
+    await loadLinks();
+  } catch (err) {
+    setStatus('Sharing failed: ' + err.message, true);
+  }
+});
+
+shareBtn.addEventListener('click', async () => {
+  if (!currentDesign) return;
+
+  const isOwner = currentDesign.role === 'owner';
+  shareList.innerHTML = '<div class="loading-state"><div class="spinner"></div>Loading...</div>';
+  shareLinks.style.display = isOwner ? 'block' : 'none';
+  linkList.innerHTML = '';
+  shareModal.classList.add('open');
+
+  try {
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/shares`);
+    if (!res.ok) throw new Error('Failed to load collaborators');
+    renderShares(await res.json());
+    if (isOwner) await loadLinks();
+  } catch (err) {
+    shareList.innerHTML = `<div class="empty-state">Error: ${err.message}</div>`;
+  }
+});
+
+shareForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!currentDesign) return;
+
+  try {
+    const res = await apiFetch(`/api/designs/${currentDesign.id}/shares`, {
+      method: 'PUT',
+      body: JSON.stringify({ email: shareEmail.value.trim(), role: shareRole.value }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Share failed');
+
+    shareEmail.value = '';
+    renderShares(data);
+  } catch (err) {
+    setStatus('Sharing failed: ' + err.message, true);
+  }
+});
+
+shareClose.addEventListener('click', () => {
+  shareModal.classList.remove('open');
+});
+
+shareModal.addEventListener('click', (e) => {
+  if (e.target === shareModal) {
+    shareModal.classList.remove('open');
+  }
+});
+
 // Start
 init();
@@ -0,0 +1,128 @@
+// Live collaboration - joins the open design's room for patches and presence
+const RECONNECT_MS = 2000;
+const ACK_TIMEOUT_MS = 15000;
+
+/**
+ * Connection to the server's /ws collaboration endpoint (see server/collab.js).
+ * options: {
+ *   getToken: () => access token,
+ *   onJoined: ({ designId, revision }) => void,
+ *   onChange: ({ designId, revision, baseRevision, patches, source, by, name? }) => void,
+ *   onPresence: (viewers) => void,
+ * }
+ *
+ * Reconnects (and re-joins) on its own while a design is open.
+ */
+export function createCollabClient(options) {
+  const { getToken, onJoined, onChange, onPresence } = options;
+
+  let socket = null;
+  let designId = null;
+  let reconnectTimer = null;
+  let nextRequestId = 1;
+  const pending = new Map(); // requestId -> { resolve, reject, timer }
+
+  function connect() {
+    clearTimeout(reconnectTimer);
+    if (socket) return;
+
+    const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+    socket = new WebSocket(`${protocol}://${location.host}/ws`);
+
+    socket.addEventListener('open', () => {
+      if (designId) send({ type: 'join', designId, token: getToken() });
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      handle(message);
+    });
+
+    socket.addEventListener('close', () => {
+      socket = null;
+      for (const [id, request] of pending) {
+        settle(id, request.reject, new Error('Connection lost'));
+      }
+      onPresence([]);
+      if (designId) reconnectTimer = setTimeout(connect, RECONNECT_MS);
+    });
+  }
+
+  function send(message) {
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  function settle(requestId, fn, value) {
+    const request = pending.get(requestId);
+    if (!request) return;
+    clearTimeout(request.timer);
+    pending.delete(requestId);
+    fn(value);
+  }
+
+  function handle(message) {
+    switch (message.type) {
+      case 'joined':
+        onJoined(message);
+        break;
+      case 'presence':
+        if (message.designId === designId) onPresence(message.viewers);
+        break;
+      case 'patches':
+        if (message.designId === designId) onChange(message);
+        break;
+      case 'ack':
+        settle(message.requestId, pending.get(message.requestId)?.resolve, message);
+        break;
+      case 'error':
+        if (message.requestId && pending.has(message.requestId)) {
+          const err = new Error(message.message);
+          err.code = message.code;
+          settle(message.requestId, pending.get(message.requestId).reject, err);
+        } else {
+          console.warn('Collaboration:', message.message);
+        }
+        break;
+    }
+  }
+
+  return {
+    // Follow a design (null to stop)
+    join(id) {
+      designId = id;
+      if (!id) {
+        send({ type: 'leave' });
+        onPresence([]);
+        return;
+      }
+      if (!send({ type: 'join', designId: id, token: getToken() })) connect();
+    },
+
+    get connected() {
+      return !!designId && socket?.readyState === WebSocket.OPEN;
+    },
+
+    /**
+     * Send a patch batch based on a revision; the server rebases it if others
+     * got there first. Resolves with { document, revision, thumbnail, patches }.
+     */
+    sendPatches(patches, baseRevision) {
+      const requestId = nextRequestId++;
+      return new Promise((resolve, reject) => {
+        if (!send({ type: 'patches', requestId, baseRevision, patches })) {
+          reject(new Error('Not connected'));
+          return;
+        }
+        const timer = setTimeout(() => settle(requestId, reject, new Error('No reply from server')), ACK_TIMEOUT_MS);
+        pending.set(requestId, { resolve, reject, timer });
+      });
+    },
+  };
+}
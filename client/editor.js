@@ -0,0 +1,293 @@
+// Canvas editor - select, move, resize and rotate elements on the rendered SVG
+import { renderToSVG } from './renderer.js';
+import { applyPatches } from '/shared/schema.js';
+import {
+  MANIPULABLE_TYPES,
+  getLocalBounds,
+  getRotationCenter,
+  movePatch,
+  resizePatches,
+  rotatePatch,
+} from '/shared/transform.js';
+
+const svgNS = 'http://www.w3.org/2000/svg';
+
+// Handle sizes in screen pixels
+const HANDLE_SIZE = 8;
+const ROTATE_OFFSET = 24;
+const ROTATE_SNAP = 15;
+
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+/**
+ * Direct manipulation on top of renderToSVG output.
+ * options: { getDocument: () => doc, onCommit: (patches, document) => void }
+ *
+ * Drags preview locally; onCommit gets the update patches and the previewed
+ * document when the pointer is released. Call attach(svg) after each render.
+ */
+export function createCanvasEditor(options) {
+  const { getDocument, onCommit } = options;
+
+  let svg = null;
+  let selectedId = null;
+  let drag = null;
+  let frame = null;
+
+  function attach(target) {
+    svg = target;
+    drag = null;
+    const doc = getDocument();
+    if (!doc?.elements[selectedId]) selectedId = null;
+
+    svg.classList.add('editable');
+    svg.addEventListener('pointerdown', onPointerDown);
+    svg.addEventListener('pointermove', onPointerMove);
+    svg.addEventListener('pointerup', onPointerUp);
+    svg.addEventListener('pointercancel', onPointerCancel);
+    drawOverlay(doc);
+  }
+
+  function select(id) {
+    selectedId = id;
+    if (svg) drawOverlay(getDocument());
+  }
+
+  // Pointer position in the coordinate system of a matrix (screen -> user space)
+  function toPoint(e, matrix) {
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    return pt.matrixTransform(matrix);
+  }
+
+  // Root-level element under the pointer (clicks inside a group select the group)
+  function hitTest(target, doc) {
+    let node = target;
+    while (node && node.parentNode !== svg) node = node.parentNode;
+    const el = node && doc.elements[node.getAttribute('id')];
+    return el && MANIPULABLE_TYPES.includes(el.type) ? node.getAttribute('id') : null;
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0) return;
+    const doc = getDocument();
+    if (!doc) return;
+
+    const handle = e.target.closest('[data-handle]')?.dataset.handle;
+    if (!handle) {
+      select(hitTest(e.target, doc));
+      if (!selectedId) return;
+    }
+
+    const canvasMatrix = svg.getScreenCTM().inverse();
+    const overlay = svg.querySelector('.selection-overlay');
+    const localMatrix = overlay.getScreenCTM().inverse();
+    const el = doc.elements[selectedId];
+
+    drag = {
+      mode: handle && handle !== 'move' ? handle : 'move',
+      doc,
+      id: selectedId,
+      canvasMatrix,
+      localMatrix,
+      startCanvas: toPoint(e, canvasMatrix),
+      startLocal: toPoint(e, localMatrix),
+      bounds: getLocalBounds(doc, selectedId),
+      patches: [],
+    };
+
+    if (drag.mode === 'rotate') {
+      // Rotation center in canvas coordinates (groups rotate inside their translate)
+      const center = getRotationCenter(doc, selectedId);
+      const offset = el.type === 'group' ? { x: el.x || 0, y: el.y || 0 } : { x: 0, y: 0 };
+      drag.center = { x: center.x + offset.x, y: center.y + offset.y };
+      drag.startRotation = el.rotation || 0;
+      drag.startAngle = angleTo(drag.center, drag.startCanvas);
+    }
+
+    svg.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  }
+
+  function onPointerMove(e) {
+    if (!drag) return;
+    drag.patches = gesturePatches(drag, e);
+    if (!frame) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        if (drag) preview(drag.patches.length ? applyPatches(drag.doc, drag.patches) : drag.doc);
+      });
+    }
+  }
+
+  function onPointerUp(e) {
+    if (!drag) return;
+    const { doc, patches } = drag;
+    drag = null;
+    svg.releasePointerCapture(e.pointerId);
+
+    if (patches.length === 0) return;
+    const next = applyPatches(doc, patches);
+    if (JSON.stringify(next) === JSON.stringify(doc)) return;
+    onCommit(patches, next);
+  }
+
+  function onPointerCancel() {
+    if (!drag) return;
+    const { doc } = drag;
+    drag = null;
+    preview(doc);
+  }
+
+  function gesturePatches(state, e) {
+    const { mode, doc, id, bounds } = state;
+
+    if (mode === 'move') {
+      const p = toPoint(e, state.canvasMatrix);
+      const dx = p.x - state.startCanvas.x;
+      const dy = p.y - state.startCanvas.y;
+      return dx || dy ? [movePatch(doc, id, dx, dy)] : [];
+    }
+
+    if (mode === 'rotate') {
+      let rotation = state.startRotation + angleTo(state.center, toPoint(e, state.canvasMatrix)) - state.startAngle;
+      if (e.shiftKey) rotation = Math.round(rotation / ROTATE_SNAP) * ROTATE_SNAP;
+      return [rotatePatch(doc, id, rotation)];
+    }
+
+    // Corner resize in the element's own frame, so rotated elements resize along their axes
+    const p = toPoint(e, state.localMatrix);
+    const dx = p.x - state.startLocal.x;
+    const dy = p.y - state.startLocal.y;
+    const box = { ...bounds };
+    if (mode.includes('w')) {
+      box.x = Math.min(bounds.x + dx, bounds.x + bounds.width - 1);
+      box.width = bounds.x + bounds.width - box.x;
+    } else {
+      box.width = Math.max(1, bounds.width + dx);
+    }
+    if (mode.includes('n')) {
+      box.y = Math.min(bounds.y + dy, bounds.y + bounds.height - 1);
+      box.height = bounds.y + bounds.height - box.y;
+    } else {
+      box.height = Math.max(1, bounds.height + dy);
+    }
+    return resizePatches(doc, id, box);
+  }
+
+  // Re-render in place so pointer capture on the <svg> survives
+  function preview(doc) {
+    const fresh = renderToSVG(doc);
+    svg.replaceChildren(...fresh.childNodes);
+    drawOverlay(doc);
+  }
+
+  function drawOverlay(doc) {
+    svg.querySelector('.selection-overlay')?.remove();
+    if (!selectedId || !doc?.elements[selectedId]) return;
+
+    const bounds = getLocalBounds(doc, selectedId);
+    if (!bounds) return;
+
+    // Handles keep their screen size however the canvas is scaled
+    const ctm = svg.getScreenCTM();
+    const unit = ctm ? 1 / Math.hypot(ctm.a, ctm.b) : 1;
+    const size = HANDLE_SIZE * unit;
+
+    // Same transform as the element, so the box rotates and translates with it
+    const node = [...svg.children].find(n => n.getAttribute('id') === selectedId);
+    const overlay = createNode('g', { class: 'selection-overlay' });
+    const transform = node?.getAttribute('transform');
+    if (transform) overlay.setAttribute('transform', transform);
+
+    overlay.appendChild(createNode('rect', {
+      class: 'selection-box',
+      'data-handle': 'move',
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+    }));
+
+    const top = bounds.x + bounds.width / 2;
+    overlay.appendChild(createNode('line', {
+      class: 'selection-stem',
+      x1: top,
+      y1: bounds.y,
+      x2: top,
+      y2: bounds.y - ROTATE_OFFSET * unit,
+    }));
+    overlay.appendChild(createNode('circle', {
+      class: 'selection-handle rotate',
+      'data-handle': 'rotate',
+      cx: top,
+      cy: bounds.y - ROTATE_OFFSET * unit,
+      r: size / 2 + unit,
+    }));
+
+    for (const corner of CORNERS) {
+      const x = corner.includes('w') ? bounds.x : bounds.x + bounds.width;
+      const y = corner.includes('n') ? bounds.y : bounds.y + bounds.height;
+      overlay.appendChild(createNode('rect', {
+        class: `selection-handle ${corner}`,
+        'data-handle': corner,
+        x: x - size / 2,
+        y: y - size / 2,
+        width: size,
+        height: size,
+      }));
+    }
+
+    svg.appendChild(overlay);
+  }
+
+  // Keyboard: arrows nudge (Shift for 10px), Escape clears the selection
+  document.addEventListener('keydown', (e) => {
+    if (!svg?.isConnected || !selectedId || drag) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest?.('input, textarea, [contenteditable]')) return;
+
+    if (e.key === 'Escape') {
+      select(null);
+      return;
+    }
+
+    const step = e.shiftKey ? 10 : 1;
+    const nudges = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+    if (!nudges[e.key]) return;
+
+    e.preventDefault();
+    const doc = getDocument();
+    const patches = [movePatch(doc, selectedId, ...nudges[e.key])];
+    const next = applyPatches(doc, patches);
+    preview(next);
+    onCommit(patches, next);
+  });
+
+  return {
+    attach,
+    select,
+    get selectedId() {
+      return selectedId;
+    },
+  };
+}
+
+// Angle in degrees from center to point, 0 pointing up (where the rotate handle sits)
+function angleTo(center, point) {
+  return Math.atan2(point.y - center.y, point.x - center.x) * 180 / Math.PI + 90;
+}
+
+function createNode(tag, attrs) {
+  const node = document.createElementNS(svgNS, tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    node.setAttribute(name, value);
+  }
+  return node;
+}
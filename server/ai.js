@@ -0,0 +1,136 @@
+// AI provider layer - one interface for model calls, selected by configuration
+import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import { createLocalProvider } from './local-ai.js';
+import { CASSETTE_MODES, createCassette, createRecordingProvider, createReplayProvider, loadCassette } from './cassette.js';
+
+export const AI_PROVIDERS = {
+  ANTHROPIC: 'anthropic',
+  LOCAL: 'local',
+};
+
+export const DEFAULT_MODEL = 'claude-opus-4-5-20251101';
+
+/**
+ * Read provider settings from the environment.
+ * - AI_PROVIDER: 'anthropic' (default) or 'local' (offline, deterministic)
+ * - AI_MODEL: model name passed to the provider
+ * - AI_MAX_TOKENS: optional cap on every call's max tokens
+ * - AI_STREAMING: 'false' to wait for whole responses instead of streaming
+ * - AI_LOCAL_SCRIPT: JSON file of scripted responses for the local provider
+ * - AI_CASSETTE + AI_CASSETTE_MODE: record calls to, or replay them from, a cassette file
+ */
+export function getAIConfig(env = process.env) {
+  const provider = env.AI_PROVIDER || AI_PROVIDERS.ANTHROPIC;
+  if (!Object.values(AI_PROVIDERS).includes(provider)) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}". Valid providers: ${Object.values(AI_PROVIDERS).join(', ')}`);
+  }
+
+  const maxTokens = env.AI_MAX_TOKENS ? Number(env.AI_MAX_TOKENS) : null;
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new Error(`AI_MAX_TOKENS must be a positive integer, got "${env.AI_MAX_TOKENS}"`);
+  }
+
+  const cassetteMode = env.AI_CASSETTE ? (env.AI_CASSETTE_MODE || CASSETTE_MODES.REPLAY) : null;
+  if (cassetteMode && !Object.values(CASSETTE_MODES).includes(cassetteMode)) {
+    throw new Error(`Unknown AI_CASSETTE_MODE "${cassetteMode}". Valid modes: ${Object.values(CASSETTE_MODES).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: env.AI_MODEL || DEFAULT_MODEL,
+    maxTokens,
+    streaming: env.AI_STREAMING !== 'false',
+    localScript: env.AI_LOCAL_SCRIPT || null,
+    cassette: env.AI_CASSETTE || null,
+    cassetteMode,
+  };
+}
+
+/**
+ * Anthropic Messages API provider.
+ *
+ * Every provider exposes createMessage(request, { onText }) where request is
+ * { task, system, messages, tools?, toolChoice?, maxTokens } and the result is
+ * an Anthropic-style message ({ content: [text | tool_use blocks], stop_reason }).
+ * task names the pipeline step ('create', 'edit', 'match.build', ...) so
+ * providers and recorders can tell calls apart; onText receives streamed text.
+ */
+export function createAnthropicProvider(config = getAIConfig()) {
+  let client = null;
+
+  return {
+    name: AI_PROVIDERS.ANTHROPIC,
+    model: config.model,
+
+    async createMessage(request, { onText } = {}) {
+      // Created on first use so a missing API key only fails real calls
+      client ??= new Anthropic();
+
+      const params = {
+        model: config.model,
+        max_tokens: config.maxTokens ? Math.min(request.maxTokens, config.maxTokens) : request.maxTokens,
+        system: request.system,
+        messages: request.messages,
+        ...(request.tools ? { tools: request.tools } : {}),
+        ...(request.toolChoice ? { tool_choice: request.toolChoice } : {}),
+      };
+
+      if (!config.streaming) {
+        return client.messages.create(params);
+      }
+
+      const stream = client.messages.stream(params);
+      if (onText) stream.on('text', onText);
+      return stream.finalMessage();
+    },
+  };
+}
+
+/**
+ * Build the provider described by a config
+ */
+export function createProvider(config = getAIConfig()) {
+  if (config.cassetteMode === CASSETTE_MODES.REPLAY) {
+    return createReplayProvider(loadCassette(config.cassette));
+  }
+
+  let provider;
+  if (config.provider === AI_PROVIDERS.LOCAL) {
+    const script = config.localScript ? JSON.parse(readFileSync(config.localScript, 'utf-8')) : {};
+    provider = createLocalProvider({ script });
+  } else {
+    provider = createAnthropicProvider(config);
+  }
+
+  if (config.cassetteMode === CASSETTE_MODES.RECORD) {
+    const cassette = createCassette(basename(config.cassette, '.json'), provider);
+    return createRecordingProvider(provider, cassette, { file: config.cassette });
+  }
+  return provider;
+}
+
+let defaultProvider = null;
+
+/**
+ * Provider used when a pipeline is not given one explicitly
+ */
+export function getProvider() {
+  defaultProvider ??= createProvider();
+  return defaultProvider;
+}
+
+/**
+ * Replace the default provider (tests, tools). Pass null to go back to configuration.
+ */
+export function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+/**
+ * First tool_use block in a response, optionally for a specific tool
+ */
+export function findToolUse(response, name) {
+  return response.content.find(c => c.type === 'tool_use' && (!name || c.name === name)) || null;
+}
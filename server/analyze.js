@@ -1,16 +1,55 @@
-// Image pre-analysis - sample colors at grid points
+// Image pre-analysis - sample colors at grid points, extract the palette, read the text and find shapes
 import { PNG } from 'pngjs';
+import { getRecognizer } from './ocr.js';
+import { detectShapes } from './shapes.js';
+import { extractPalette } from './palette.js';
+
+// Lines tesseract is less sure of than this (0-100) are mostly noise
+const MIN_TEXT_CONFIDENCE = 50;
+// Ink this close to the background (0-441, RGB distance) isn't text
+const MIN_INK_CONTRAST = 40;
+// Stroke width / font size above which text reads as bold (regular ≈ 0.08, bold ≈ 0.15)
+const BOLD_STROKE_RATIO = 0.11;
 
 /**
- * Analyze a target image by sampling colors on a grid
+ * Analyze a target image by sampling colors on a grid, extracting its dominant
+ * colors (see palette.js), recognizing text and detecting shapes (see
+ * shapes.js; regions inside text lines are left out)
  * @param {Buffer} imageBuffer - PNG image buffer
- * @param {Object} options - { gridSize: number of samples per axis }
- * @returns {Object} { dimensions, samples }
+ * @param {Object} options - {
+ *   gridSize: number of samples per axis,
+ *   recognizer: OCR engine (see ocr.js), null to skip text,
+ * }
+ * @returns {Promise<Object>} { dimensions, gridSize, samples, palette, text, shapes }
+ *   palette: [{ color, weight, nearest }], heaviest first
+ *   text: [{ content, bbox: { x, y, width, height }, baseline, fontSize, fontWeight, color, confidence }]
+ *   shapes: document elements (rect, ellipse, line, path), back to front
  */
-export function analyzeImage(imageBuffer, options = {}) {
-  const { gridSize = 25 } = options;
+export async function analyzeImage(imageBuffer, options = {}) {
+  const { gridSize, recognizer = getRecognizer() } = options;
 
   const png = PNG.sync.read(imageBuffer);
+  const lines = recognizer ? await recognizer.recognize(imageBuffer) : [];
+
+  const text = lines.map(line => describeTextLine(png, line)).filter(Boolean);
+
+  return {
+    ...sampleGrid(png, gridSize),
+    palette: extractPalette(png),
+    text,
+    shapes: detectShapes(png, { exclude: text.map(t => t.bbox) }),
+  };
+}
+
+/**
+ * Color samples only, without OCR
+ * @returns {Object} { dimensions, gridSize, samples }
+ */
+export function sampleColors(imageBuffer, options = {}) {
+  return sampleGrid(PNG.sync.read(imageBuffer), options.gridSize);
+}
+
+function sampleGrid(png, gridSize = 25) {
   const { width, height, data } = png;
 
   const samples = [];
@@ -39,6 +78,91 @@ export function analyzeImage(imageBuffer, options = {}) {
   };
 }
 
+/**
+ * Style of a recognized line, from the pixels in its box: the background is
+ * the most common color, ink is what stands out from it. Font size comes
+ * from tesseract's row height, weight from how thick the strokes are.
+ * Returns null for lines that are noise (low confidence, no letters, no ink).
+ */
+function describeTextLine(png, line) {
+  if (!(line.confidence >= MIN_TEXT_CONFIDENCE) || !/[\p{L}\p{N}]/u.test(line.text)) return null;
+
+  const x0 = Math.max(0, Math.floor(line.bbox.x));
+  const y0 = Math.max(0, Math.floor(line.bbox.y));
+  const x1 = Math.min(png.width, Math.ceil(line.bbox.x + line.bbox.width));
+  const y1 = Math.min(png.height, Math.ceil(line.bbox.y + line.bbox.height));
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  const pixel = (x, y) => {
+    const i = (y * png.width + x) * 4;
+    return [png.data[i], png.data[i + 1], png.data[i + 2]];
+  };
+
+  const counts = new Map();
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const key = toHex(...pixel(x, y));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  const background = hexToRgb([...counts.entries()].sort((a, b) => b[1] - a[1])[0][0]);
+
+  const boxWidth = x1 - x0;
+  const contrast = new Float32Array(boxWidth * (y1 - y0));
+  let maxContrast = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const [r, g, b] = pixel(x, y);
+      const d = Math.hypot(r - background[0], g - background[1], b - background[2]);
+      contrast[(y - y0) * boxWidth + x - x0] = d;
+      maxContrast = Math.max(maxContrast, d);
+    }
+  }
+  if (maxContrast < MIN_INK_CONTRAST) return null;
+
+  // Text color: the solid middle of the strokes, not their anti-aliased edges
+  const sum = [0, 0, 0];
+  let solid = 0;
+  // Stroke width: median length of horizontal ink runs
+  const runs = [];
+  for (let y = y0; y < y1; y++) {
+    let run = 0;
+    for (let x = x0; x <= x1; x++) {
+      const d = x < x1 ? contrast[(y - y0) * boxWidth + x - x0] : 0;
+      if (d >= maxContrast * 0.75) {
+        const [r, g, b] = pixel(x, y);
+        sum[0] += r;
+        sum[1] += g;
+        sum[2] += b;
+        solid++;
+      }
+      if (d >= maxContrast / 2) {
+        run++;
+      } else if (run > 0) {
+        runs.push(run);
+        run = 0;
+      }
+    }
+  }
+  runs.sort((a, b) => a - b);
+  const strokeWidth = runs[Math.floor(runs.length / 2)];
+
+  const fontSize = Math.round(line.rowHeight || line.bbox.height);
+  return {
+    content: line.text,
+    bbox: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 },
+    baseline: Math.round(line.baseline),
+    fontSize,
+    fontWeight: strokeWidth / fontSize > BOLD_STROKE_RATIO ? 'bold' : 'normal',
+    color: toHex(...sum.map(v => Math.round(v / solid))),
+    confidence: Math.round(line.confidence),
+  };
+}
+
 function toHex(r, g, b) {
   return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
 }
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
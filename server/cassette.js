@@ -0,0 +1,130 @@
+// AI cassettes - record provider calls to a fixture file and replay them later
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+
+export const CASSETTE_VERSION = 1;
+
+export const CASSETTE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * Stable hash of everything the pipeline sends for a call, so long prompts stay
+ * out of the fixture file but any change to them is caught. Image bytes are
+ * left out: renders of text depend on the fonts installed on the machine.
+ */
+export function requestFingerprint(request) {
+  const { task, system, messages, tools, toolChoice, maxTokens } = request;
+  const withoutImageData = messages.map(m => ({
+    ...m,
+    content: typeof m.content === 'string'
+      ? m.content
+      : m.content.map(c => (c.type === 'image' ? { type: 'image', media_type: c.source?.media_type } : c)),
+  }));
+  return createHash('sha256')
+    .update(JSON.stringify({ task, system, messages: withoutImageData, tools, toolChoice, maxTokens }))
+    .digest('hex');
+}
+
+// Readable summary of a request, stored next to its fingerprint
+function describeRequest(request) {
+  const last = request.messages[request.messages.length - 1];
+  const text = typeof last.content === 'string'
+    ? last.content
+    : last.content.map(c => c.text ?? c.content ?? `[${c.type}]`).join(' ');
+  return {
+    fingerprint: requestFingerprint(request),
+    maxTokens: request.maxTokens,
+    tool: request.toolChoice?.name ?? null,
+    messages: request.messages.length,
+    prompt: text.replace(/\s+/g, ' ').slice(0, 200),
+  };
+}
+
+export function createCassette(name, provider) {
+  return {
+    version: CASSETTE_VERSION,
+    name,
+    recordedWith: { provider: provider.name, model: provider.model },
+    calls: [],
+  };
+}
+
+export function loadCassette(file) {
+  const cassette = JSON.parse(readFileSync(file, 'utf-8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Cassette ${file} is version ${cassette.version}, expected ${CASSETTE_VERSION}. Re-record it.`);
+  }
+  return cassette;
+}
+
+export function saveCassette(file, cassette) {
+  writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n');
+}
+
+/**
+ * Wrap a provider so every call is appended to cassette.calls: the request
+ * summary, each streamed text event and the final response.
+ * options.file: save the cassette after every call (for recording live sessions)
+ */
+export function createRecordingProvider(provider, cassette, options = {}) {
+  return {
+    name: provider.name,
+    model: provider.model,
+
+    async createMessage(request, { onText } = {}) {
+      // Fingerprint before the call - pipelines keep appending to messages
+      const summary = describeRequest(request);
+      const events = [];
+
+      const response = await provider.createMessage(request, {
+        onText: (text) => {
+          events.push(text);
+          onText?.(text);
+        },
+      });
+
+      cassette.calls.push({ task: request.task, request: summary, events, response });
+      if (options.file) saveCassette(options.file, cassette);
+      return response;
+    },
+  };
+}
+
+/**
+ * Provider that serves a cassette's calls in order. Each call must match the
+ * recorded task and request fingerprint; streamed text events are replayed
+ * through onText before the response resolves.
+ */
+export function createReplayProvider(cassette) {
+  let next = 0;
+
+  return {
+    name: 'replay',
+    model: cassette.recordedWith?.model ?? 'replay',
+
+    async createMessage(request, { onText } = {}) {
+      const call = cassette.calls[next];
+      if (!call) {
+        throw new Error(`Cassette "${cassette.name}" has no call ${next + 1} (recorded ${cassette.calls.length}) for task "${request.task}"`);
+      }
+
+      const fingerprint = requestFingerprint(request);
+      if (call.task !== request.task || call.request.fingerprint !== fingerprint) {
+        throw new Error(`Cassette "${cassette.name}" call ${next + 1} does not match: ` +
+          `recorded ${call.task} ${call.request.fingerprint.slice(0, 12)}, got ${request.task} ${fingerprint.slice(0, 12)}. ` +
+          'Re-record with npm run record-cassettes if the change is intended.');
+      }
+
+      next++;
+      for (const text of call.events) onText?.(text);
+      return structuredClone(call.response);
+    },
+
+    // Calls recorded but not yet requested
+    pending() {
+      return cassette.calls.length - next;
+    },
+  };
+}
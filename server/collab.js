@@ -0,0 +1,331 @@
+// Real-time collaboration - a WebSocket room per design that broadcasts applied
+// patches and presence, and rebases batches sent against an older revision
+import { WebSocketServer } from 'ws';
+import { PATCH_OPS } from '../shared/schema.js';
+import { checkPatchList } from './validate.js';
+
+// Applied batches kept per room, so stale batches can be rebased
+const LOG_LIMIT = 100;
+const HEARTBEAT_MS = 30000;
+
+/**
+ * Rebase a patch batch written against an older revision onto the patches
+ * applied since then. The batch that reached the server first wins:
+ * - update: props (and unset keys) a concurrent patch also changed are dropped,
+ *   and updates to elements removed concurrently are dropped
+ * - reorder with a full `order`: dropped if the stacking order changed
+ * - everything else is kept; the transaction rejects duplicate or missing ids
+ *
+ * @param {Array} patches - The stale batch
+ * @param {Array} concurrent - Patches applied since its base revision, in order
+ * @returns {Object} { patches, origins, conflicts: [{ index, op, id, props?, error }] }
+ *   origins[i] = index in the original batch of patches[i]
+ */
+export function rebasePatches(patches, concurrent) {
+  const changed = new Map();
+  const removed = new Set();
+  let orderChanged = false;
+
+  for (const patch of concurrent) {
+    if (patch.op === PATCH_OPS.UPDATE) {
+      const keys = changed.get(patch.id) || new Set();
+      for (const key of [...Object.keys(patch.props || {}), ...(patch.unset || [])]) keys.add(key);
+      changed.set(patch.id, keys);
+      if (patch.props?.children) orderChanged = true;
+    } else {
+      if (patch.op === PATCH_OPS.REMOVE) removed.add(patch.id);
+      orderChanged = true;
+    }
+  }
+
+  const rebased = [];
+  const origins = [];
+  const conflicts = [];
+  const keep = (patch, index) => {
+    rebased.push(patch);
+    origins.push(index);
+  };
+
+  patches.forEach((patch, index) => {
+    if (patch.op === PATCH_OPS.UPDATE) {
+      if (removed.has(patch.id)) {
+        conflicts.push({ index, op: patch.op, id: patch.id, error: 'Element was removed by another edit' });
+        return;
+      }
+      const taken = changed.get(patch.id);
+      if (!taken) {
+        keep(patch, index);
+        return;
+      }
+
+      const props = Object.fromEntries(Object.entries(patch.props || {}).filter(([key]) => !taken.has(key)));
+      const unset = (patch.unset || []).filter(key => !taken.has(key));
+      const lost = [...Object.keys(patch.props || {}), ...(patch.unset || [])].filter(key => taken.has(key));
+      conflicts.push({ index, op: patch.op, id: patch.id, props: lost, error: 'Changed by another edit' });
+
+      if (Object.keys(props).length > 0 || unset.length > 0) {
+        const { unset: _, ...rest } = patch;
+        keep({ ...rest, props, ...(unset.length > 0 && { unset }) }, index);
+      }
+      return;
+    }
+
+    if (patch.op === PATCH_OPS.REORDER && patch.order && orderChanged) {
+      conflicts.push({ index, op: patch.op, error: 'Stacking order was changed by another edit' });
+      return;
+    }
+
+    keep(patch, index);
+  });
+
+  return { patches: rebased, origins, conflicts };
+}
+
+/**
+ * Rooms of connected sockets per design. Every applied change is published
+ * here (whatever its source) so viewers see it and stale batches can be rebased.
+ */
+export function createCollabHub() {
+  // designId -> { clients: Map(socket -> user), log: [{ revision, baseRevision, patches, origin }], queue }
+  const rooms = new Map();
+
+  function getRoom(designId) {
+    if (!rooms.has(designId)) {
+      rooms.set(designId, { clients: new Map(), log: [], queue: Promise.resolve() });
+    }
+    return rooms.get(designId);
+  }
+
+  function send(socket, message) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function broadcast(designId, message, except = null) {
+    const room = rooms.get(designId);
+    if (!room) return;
+    for (const socket of room.clients.keys()) {
+      if (socket !== except) send(socket, message);
+    }
+  }
+
+  // One entry per user, however many tabs they have open
+  function viewers(designId) {
+    const byUser = new Map();
+    for (const user of rooms.get(designId)?.clients.values() || []) {
+      const viewer = byUser.get(user.id) || {
+        id: user.id,
+        email: user.email,
+        name: user.user_metadata?.full_name || null,
+        avatar: user.user_metadata?.avatar_url || null,
+        connections: 0,
+      };
+      viewer.connections++;
+      byUser.set(user.id, viewer);
+    }
+    return [...byUser.values()];
+  }
+
+  function sendPresence(designId) {
+    broadcast(designId, { type: 'presence', designId, viewers: viewers(designId) });
+  }
+
+  return {
+    send,
+    viewers,
+
+    join(designId, socket, user) {
+      getRoom(designId).clients.set(socket, user);
+      sendPresence(designId);
+    },
+
+    // Remove a socket from whatever room it is in
+    leave(socket) {
+      for (const [designId, room] of rooms) {
+        if (!room.clients.delete(socket)) continue;
+        if (room.clients.size === 0) {
+          rooms.delete(designId);
+        } else {
+          sendPresence(designId);
+        }
+      }
+    },
+
+    /**
+     * Record a change and send it to everyone viewing the design.
+     * change: { revision, baseRevision, patches, source, user, name? }
+     * origin is the socket that sent it, if any (it already has the change).
+     */
+    publish(designId, change, origin = null) {
+      const room = rooms.get(designId);
+      if (!room) return;
+
+      const { revision, baseRevision, patches, source, user, name } = change;
+      room.log.push({ revision, baseRevision, patches, origin });
+      if (room.log.length > LOG_LIMIT) room.log.shift();
+
+      broadcast(designId, {
+        type: 'patches',
+        designId,
+        revision,
+        baseRevision,
+        patches,
+        source,
+        by: user ? { id: user.id, email: user.email } : null,
+        ...(name !== undefined && { name }),
+      }, origin);
+    },
+
+    // Patches applied after baseRevision, or null if the log does not cover them all.
+    // Batches from the asking socket are left out: it built on them locally.
+    concurrentSince(designId, baseRevision, currentRevision, socket = null) {
+      const entries = (rooms.get(designId)?.log || []).filter(e => e.revision > baseRevision && e.revision <= currentRevision);
+      if (entries.length !== currentRevision - baseRevision) return null;
+      return entries
+        .filter(e => !socket || e.origin !== socket)
+        .sort((a, b) => a.revision - b.revision)
+        .flatMap(e => e.patches);
+    },
+
+    // Run writes to one design one at a time, in arrival order
+    serialize(designId, fn) {
+      const room = getRoom(designId);
+      const run = room.queue.then(fn, fn);
+      room.queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+/**
+ * Serve the collaboration protocol on /ws of an HTTP server.
+ *
+ * Client -> server:
+ *   { type: 'join', designId, token }   join a design's room (leaves any other)
+ *   { type: 'leave' }
+ *   { type: 'patches', requestId, baseRevision, patches }
+ * Server -> client:
+ *   { type: 'joined', designId, revision }
+ *   { type: 'presence', designId, viewers }
+ *   { type: 'patches', designId, revision, baseRevision, patches, source, by, name? }
+ *   { type: 'ack', requestId, document, revision, thumbnail, patches }
+ *   { type: 'error', requestId?, code?, message }
+ *
+ * options: {
+ *   hub,
+ *   authenticate: (token) => user | null,
+ *   loadDesign: (designId, user) => design | null,
+ *   commitBatch: ({ design, user, patches, origins, conflicts, socket }) => ack fields; throws
+ *     an error with code 'revision_conflict' if the design moved on meanwhile
+ * }
+ */
+export function attachCollab(server, options) {
+  const { hub, authenticate, loadDesign, commitBatch } = options;
+  const wss = new WebSocketServer({ server, path: '/ws' });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (socket.alive === false) {
+        socket.terminate();
+        continue;
+      }
+      socket.alive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  wss.on('connection', (socket) => {
+    socket.alive = true;
+    socket.on('pong', () => { socket.alive = true; });
+
+    let session = null; // { designId, user }
+
+    socket.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return hub.send(socket, { type: 'error', message: 'Invalid JSON' });
+      }
+
+      try {
+        switch (message.type) {
+          case 'join': {
+            const user = await authenticate(message.token);
+            if (!user) {
+              return hub.send(socket, { type: 'error', code: 'unauthorized', message: 'Authentication required' });
+            }
+            const design = await loadDesign(message.designId, user);
+            if (!design) {
+              return hub.send(socket, { type: 'error', code: 'not_found', message: 'Design not found' });
+            }
+            hub.leave(socket);
+            session = { designId: design.id, user };
+            hub.send(socket, { type: 'joined', designId: design.id, revision: design.revision });
+            hub.join(design.id, socket, user);
+            return;
+          }
+
+          case 'leave':
+            hub.leave(socket);
+            session = null;
+            return;
+
+          case 'patches': {
+            const { requestId } = message;
+            if (!session) {
+              return hub.send(socket, { type: 'error', requestId, message: 'Join a design first' });
+            }
+            const listError = checkPatchList(message.patches);
+            if (listError) {
+              return hub.send(socket, { type: 'error', requestId, message: listError });
+            }
+            const { designId, user } = session;
+            const ack = await hub.serialize(designId, () => applyBatch(designId, user, message, socket));
+            return hub.send(socket, { type: 'ack', requestId, ...ack });
+          }
+
+          default:
+            return hub.send(socket, { type: 'error', message: `Unknown message type "${message.type}"` });
+        }
+      } catch (err) {
+        if (!err.code) console.error('Collaboration error:', err);
+        hub.send(socket, { type: 'error', requestId: message.requestId, code: err.code, message: err.message });
+      }
+    });
+
+    socket.on('close', () => hub.leave(socket));
+  });
+
+  // Rebase onto the current revision and commit; retries if an HTTP write lands in between
+  async function applyBatch(designId, user, message, socket) {
+    for (let attempt = 0; ; attempt++) {
+      const design = await loadDesign(designId, user);
+      if (!design) {
+        throw Object.assign(new Error('Design not found'), { code: 'not_found' });
+      }
+
+      let patches = message.patches;
+      let origins = patches.map((_, i) => i);
+      let conflicts = [];
+      const baseRevision = message.baseRevision ?? design.revision;
+      if (baseRevision !== design.revision) {
+        const concurrent = hub.concurrentSince(designId, baseRevision, design.revision, socket);
+        if (!concurrent) {
+          throw Object.assign(new Error('Too far behind to rebase - reload the design'), { code: 'resync' });
+        }
+        ({ patches, origins, conflicts } = rebasePatches(message.patches, concurrent));
+      }
+
+      try {
+        return await commitBatch({ design, user, patches, origins, conflicts, socket });
+      } catch (err) {
+        if (err.code !== 'revision_conflict' || attempt >= 2) throw err;
+      }
+    }
+  }
+
+  return wss;
+}
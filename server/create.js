@@ -1,12 +1,11 @@
 // Create a design from a text description (with structured output)
-import Anthropic from '@anthropic-ai/sdk';
-import { applyPatches, createEmptyDocument } from '../shared/schema.js';
-import { validatePatches } from './validate.js';
-import { getAllPalettesForPrompt } from '../shared/palettes.js';
+import { createEmptyDocument } from '../shared/schema.js';
+import { applyTransaction, summarizeTransaction, TRANSACTION_MODES } from './transaction.js';
+import { findToolUse, getProvider } from './ai.js';
+import { buildRepairTurn, getRepairBudget, repairTransaction } from './repair.js';
+import { formatPaletteForPrompt, getAllPalettesForPrompt } from '../shared/palettes.js';
 import { ICON_NAMES } from '../shared/icons.js';
 
-const client = new Anthropic();
-
 const CREATE_TOOL = {
   name: 'create_design',
   description: 'Create a design with geometric primitives',
@@ -37,7 +36,7 @@ const CREATE_TOOL = {
           type: 'object',
           properties: {
             id: { type: 'string' },
-            type: { type: 'string', enum: ['rect', 'ellipse', 'path', 'text', 'line', 'icon'] },
+            type: { type: 'string', enum: ['rect', 'ellipse', 'path', 'text', 'line', 'icon', 'group'] },
             x: { type: 'number' },
             y: { type: 'number' },
             width: { type: 'number' },
@@ -63,6 +62,11 @@ const CREATE_TOOL = {
             name: { type: 'string', description: 'Icon name for type="icon"' },
             size: { type: 'number', description: 'Icon size in pixels for type="icon"' },
             color: { type: 'string', description: 'Icon stroke color for type="icon"' },
+            children: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Child element ids for type="group" (list the group after its children)',
+            },
             shadow: {
               type: 'object',
               description: 'Drop shadow: { offsetX, offsetY, blur, color }',
@@ -100,6 +104,7 @@ Guidelines:
 - Create visual hierarchy with size and color
 - Use descriptive IDs (e.g., "title-text", "hero-bg", "flow-arrow")
 - For diagrams, use rects for boxes, paths for arrows, text for labels
+- Group a box with its label ({ type: "group", children: ["box-id", "label-id"] }) so they move together; list the group after its children
 - Colors are hex "#rrggbb"
 - Coordinates are pixels from top-left origin
 
@@ -152,7 +157,26 @@ function log(msg) {
   console.log(`[create] ${msg}`);
 }
 
-export async function createFromDescription(description, onProgress = () => {}) {
+// Convert the tool's elements array to add patches
+function toAddPatches(elements = []) {
+  return elements.map(el => ({
+    op: 'add',
+    id: el.id,
+    element: el,
+  }));
+}
+
+/**
+ * Create a design from a description.
+ * options.repairAttempts: rounds of sending rejected elements back to the AI
+ * for correction (defaults to AI_REPAIR_ATTEMPTS, 0 disables).
+ * options.provider: AI provider to call (defaults to the configured one)
+ * options.palette: palette object (see parseCustomPalette) to use instead of
+ * picking one of the curated palettes
+ */
+export async function createFromDescription(description, onProgress = () => {}, options = {}) {
+  const { provider = getProvider(), palette = null } = options;
+  const repairAttempts = getRepairBudget(options.repairAttempts);
   const emit = (type, message) => {
     log(message);
     onProgress({ type, message });
@@ -162,37 +186,40 @@ export async function createFromDescription(description, onProgress = () => {})
   emit('status', `Prompt: "${description.slice(0, 50)}..."`);
   emit('status', 'Sending to AI...');
 
-  // Use streaming to show progress
-  const stream = client.messages.stream({
-    model: 'claude-opus-4-5-20251101',
-    max_tokens: 8192,
-    system: CREATE_SYSTEM_PROMPT,
-    tools: [CREATE_TOOL],
-    tool_choice: { type: 'tool', name: 'create_design' },
-    messages: [
-      {
-        role: 'user',
-        content: `Create a design based on this description:\n\n${description}`,
-      },
-    ],
-  });
+  const messages = [
+    {
+      role: 'user',
+      content: `Create a design based on this description:\n\n${description}${palette ? `\n\nUse this color palette:\n${formatPaletteForPrompt(palette)}` : ''}`,
+    },
+  ];
 
-  // Stream actual AI output
-  let streamedText = '';
-  stream.on('text', (text) => {
-    streamedText += text;
-    const preview = streamedText.slice(-100).replace(/\n/g, ' ');
-    emit('status', `AI: ${preview}`);
-    log(`[stream] ${text}`);
-  });
+  // Stream actual AI output to show progress
+  const callModel = () => {
+    let streamedText = '';
+    return provider.createMessage({
+      task: 'create',
+      maxTokens: 8192,
+      system: CREATE_SYSTEM_PROMPT,
+      tools: [CREATE_TOOL],
+      toolChoice: { type: 'tool', name: 'create_design' },
+      messages,
+    }, {
+      onText: (text) => {
+        streamedText += text;
+        const preview = streamedText.slice(-100).replace(/\n/g, ' ');
+        emit('status', `AI: ${preview}`);
+        log(`[stream] ${text}`);
+      },
+    });
+  };
 
-  const response = await stream.finalMessage();
+  let response = await callModel();
 
   emit('status', 'AI responded');
 
   // Extract tool use result
-  const toolUse = response.content.find(c => c.type === 'tool_use');
-  if (!toolUse || toolUse.name !== 'create_design') {
+  const toolUse = findToolUse(response, 'create_design');
+  if (!toolUse) {
     throw new Error('No design output from AI');
   }
 
@@ -211,37 +238,51 @@ export async function createFromDescription(description, onProgress = () => {})
   document.canvas.background = result.canvas.background;
 
   // Convert elements array to patches
-  const patches = result.elements.map(el => ({
-    op: 'add',
-    id: el.id,
-    element: el,
-  }));
+  const patches = toAddPatches(result.elements);
 
-  // Validate and apply
+  // Validate and apply (invalid elements are sent back for repair, then dropped and reported)
   emit('status', 'Validating patches...');
-  const validationResults = validatePatches(patches, document);
-  const valid = validationResults.filter(r => r.valid).map(r => r.patch);
-  const invalid = validationResults.filter(r => !r.valid);
-
-  if (invalid.length > 0) {
-    emit('status', `${invalid.length} invalid patches skipped`);
-    for (const r of invalid) {
-      log(`  Invalid: ${r.patch.id} - ${r.error}`);
+  let transaction = applyTransaction(document, patches, { mode: TRANSACTION_MODES.BEST_EFFORT, coerce: true });
+
+  if (transaction.rejectedCount > 0 && repairAttempts > 0) {
+    for (const r of transaction.results.filter(r => r.status === 'rejected')) {
+      log(`  Invalid: ${r.patch?.id} - [${r.code}] ${r.error}`);
     }
+    transaction = await repairTransaction(document, transaction, {
+      maxAttempts: repairAttempts,
+      coerce: true,
+      onProgress: (event) => {
+        log(event.message);
+        onProgress(event);
+      },
+      requestRepair: async (rejected) => {
+        messages.push(...buildRepairTurn(response, rejected,
+          'Call create_design again with the same name and canvas, and with corrected versions of ONLY these ' +
+          'elements in "elements". The other elements were kept, so do not repeat them. Omit an element if it cannot be fixed.'));
+        response = await callModel();
+        const fix = findToolUse(response, 'create_design');
+        return toAddPatches(fix?.input?.elements);
+      },
+    });
   }
 
-  emit('status', `Applying ${valid.length} elements...`);
-
-  let finalDoc = document;
-  if (valid.length > 0) {
-    finalDoc = applyPatches(document, valid);
+  if (transaction.rejectedCount > 0) {
+    emit('status', `${transaction.rejectedCount} invalid patches skipped`);
+    for (const r of transaction.results.filter(r => r.status === 'rejected')) {
+      log(`  Invalid: ${r.patch?.id} - [${r.code}] ${r.error}`);
+    }
   }
 
+  emit('status', `Applying ${transaction.appliedCount} elements...`);
+
+  const finalDoc = transaction.document;
+
   emit('status', 'Rendering...');
   emit('complete', 'Design created!');
 
   return {
     document: finalDoc,
     name: result.name || 'Untitled',
+    patches: summarizeTransaction(transaction),
   };
 }
@@ -0,0 +1,366 @@
+// Filesystem storage backend - JSON files in a directory, for local development and self-hosting
+import { randomBytes, randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { ROLES, roleAtLeast, strongestRole } from './roles.js';
+
+const LOCAL_USER_EMAIL = 'local@localhost';
+
+/**
+ * Storage with the same rows and semantics as the Supabase tables, kept as
+ * one JSON file per table (designs.json, design_versions.json, ...).
+ * options: { dir }
+ *
+ * Tables are read once and written whole on every change (write to a temp
+ * file, then rename), so a single server process owns the directory.
+ * Users are local accounts that authenticate with a bearer token.
+ */
+export function createFileStore(options) {
+  const { dir } = options;
+  const tables = {};
+
+  function rows(table) {
+    if (!tables[table]) {
+      const file = join(dir, `${table}.json`);
+      tables[table] = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : [];
+    }
+    return tables[table];
+  }
+
+  function save(table) {
+    const file = join(dir, `${table}.json`);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(`${file}.tmp`, JSON.stringify(tables[table]));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  // Callers get copies so they cannot change stored rows by accident
+  const copy = (row) => (row ? structuredClone(row) : null);
+  const pick = (row, fields) => Object.fromEntries(fields.map(f => [f, row[f]]));
+  const now = () => new Date().toISOString();
+
+  // Newest first; rows inserted later win ties on the timestamp
+  const newestFirst = (list, field) => [...list].reverse().sort((a, b) => b[field].localeCompare(a[field]));
+
+  // Owner if they created it, otherwise the stronger of a share and a workspace membership
+  function roleFor(design, userId) {
+    if (design.user_id === userId) return ROLES.OWNER;
+    const share = rows('design_shares').find(s => s.design_id === design.id && s.user_id === userId);
+    const member = design.workspace_id && findMember(design.workspace_id, userId);
+    return strongestRole(share?.role, member?.role);
+  }
+
+  function findDesign(id, userId, needed = ROLES.VIEWER) {
+    const design = rows('designs').find(d => d.id === id);
+    return design && roleAtLeast(roleFor(design, userId), needed) ? design : undefined;
+  }
+
+  function findMember(workspaceId, userId) {
+    return rows('workspace_members').find(m => m.workspace_id === workspaceId && m.user_id === userId);
+  }
+
+  // Share and member rows with the user's email, oldest first
+  function withEmails(list) {
+    return list.map(row => ({
+      user_id: row.user_id,
+      email: rows('users').find(u => u.id === row.user_id)?.email || null,
+      role: row.role,
+      created_at: row.created_at,
+    }));
+  }
+
+  return {
+    name: 'file',
+
+    // Design operations
+    // Designs are visible to anyone with a role on them; rows carry that role
+    async getDesigns(userId) {
+      return newestFirst(rows('designs'), 'updated_at')
+        .map(d => ({ ...pick(d, ['id', 'name', 'thumbnail', 'created_at', 'updated_at']), workspace_id: d.workspace_id || null, role: roleFor(d, userId) }))
+        .filter(d => d.role);
+    },
+
+    async getDesign(id, userId) {
+      const design = findDesign(id, userId);
+      return design ? { ...copy(design), workspace_id: design.workspace_id || null, role: roleFor(design, userId) } : null;
+    },
+
+    async createDesign(userId, name, document, thumbnail, workspaceId = null) {
+      const timestamp = now();
+      const design = {
+        id: randomUUID(),
+        user_id: userId,
+        workspace_id: workspaceId,
+        name,
+        document: structuredClone(document),
+        thumbnail,
+        revision: 1,
+        created_at: timestamp,
+        updated_at: timestamp,
+      };
+      rows('designs').push(design);
+      save('designs');
+      return copy(design);
+    },
+
+    // Returns null when expectedRevision is given and no longer current
+    // Needs editor access
+    async updateDesign(id, userId, updates, expectedRevision) {
+      const design = findDesign(id, userId, ROLES.EDITOR);
+      if (!design) {
+        throw new Error(`Design ${id} not found`);
+      }
+      const revision = design.revision || 1;
+      if (expectedRevision !== undefined && expectedRevision !== revision) {
+        return null;
+      }
+      Object.assign(design, structuredClone(updates), { revision: revision + 1, updated_at: now() });
+      save('designs');
+      return copy(design);
+    },
+
+    // Needs owner access
+    async deleteDesign(id, userId) {
+      const design = findDesign(id, userId, ROLES.OWNER);
+      if (!design) return true;
+
+      // Versions, the patch log, shares and links go with the design, like ON DELETE CASCADE
+      tables.designs = rows('designs').filter(d => d !== design);
+      tables.design_versions = rows('design_versions').filter(v => v.design_id !== id);
+      tables.design_patches = rows('design_patches').filter(p => p.design_id !== id);
+      tables.design_shares = rows('design_shares').filter(s => s.design_id !== id);
+      tables.share_links = rows('share_links').filter(l => l.design_id !== id);
+      save('designs');
+      save('design_versions');
+      save('design_patches');
+      save('design_shares');
+      save('share_links');
+      return true;
+    },
+
+    // Version history
+    async saveVersion(designId, userId, document, thumbnail) {
+      if (!rows('designs').some(d => d.id === designId)) {
+        console.error('Error saving version: design', designId, 'not found');
+        return null;
+      }
+      const version = {
+        id: randomUUID(),
+        design_id: designId,
+        user_id: userId,
+        document: structuredClone(document),
+        thumbnail,
+        created_at: now(),
+      };
+      rows('design_versions').push(version);
+      save('design_versions');
+      return copy(version);
+    },
+
+    // History is shared by everyone with a role on the design, whoever saved it
+    async getVersions(designId, userId, limit) {
+      if (!findDesign(designId, userId)) return [];
+      return newestFirst(rows('design_versions').filter(v => v.design_id === designId), 'created_at')
+        .slice(0, limit)
+        .map(v => pick(v, ['id', 'created_at', 'thumbnail']));
+    },
+
+    async getVersion(versionId, userId) {
+      const version = rows('design_versions').find(v => v.id === versionId);
+      return version && findDesign(version.design_id, userId) ? copy(version) : null;
+    },
+
+    // Sharing (callers check the acting user may manage shares)
+    async getShares(designId) {
+      return withEmails(rows('design_shares').filter(s => s.design_id === designId));
+    },
+
+    async setShare(designId, userId, role) {
+      const share = rows('design_shares').find(s => s.design_id === designId && s.user_id === userId);
+      if (share) {
+        share.role = role;
+      } else {
+        rows('design_shares').push({ design_id: designId, user_id: userId, role, created_at: now() });
+      }
+      save('design_shares');
+    },
+
+    async removeShare(designId, userId) {
+      tables.design_shares = rows('design_shares').filter(s => !(s.design_id === designId && s.user_id === userId));
+      save('design_shares');
+    },
+
+    // Public links (callers check the acting user may manage them)
+    async createShareLink(designId, userId, token) {
+      const link = { token, design_id: designId, created_by: userId, created_at: now() };
+      rows('share_links').push(link);
+      save('share_links');
+      return copy(link);
+    },
+
+    async getShareLinks(designId) {
+      return newestFirst(rows('share_links').filter(l => l.design_id === designId), 'created_at').map(copy);
+    },
+
+    async deleteShareLink(designId, token) {
+      tables.share_links = rows('share_links').filter(l => !(l.design_id === designId && l.token === token));
+      save('share_links');
+    },
+
+    // The design behind a link, for anyone holding the token
+    async getLinkedDesign(token) {
+      const link = rows('share_links').find(l => l.token === token);
+      return copy(link && rows('designs').find(d => d.id === link.design_id));
+    },
+
+    // Workspaces (callers check the acting user may manage members)
+    async createWorkspace(userId, name) {
+      const workspace = { id: randomUUID(), name, created_by: userId, created_at: now() };
+      rows('workspaces').push(workspace);
+      rows('workspace_members').push({ workspace_id: workspace.id, user_id: userId, role: ROLES.OWNER, created_at: workspace.created_at });
+      save('workspaces');
+      save('workspace_members');
+      return { ...copy(workspace), role: ROLES.OWNER };
+    },
+
+    // Workspaces the user is a member of, with their role
+    async getWorkspaces(userId) {
+      return rows('workspace_members')
+        .filter(m => m.user_id === userId)
+        .map(m => ({ ...copy(rows('workspaces').find(w => w.id === m.workspace_id)), role: m.role }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async getWorkspace(id, userId) {
+      const member = findMember(id, userId);
+      const workspace = member && rows('workspaces').find(w => w.id === id);
+      return workspace ? { ...copy(workspace), role: member.role } : null;
+    },
+
+    async getMembers(workspaceId) {
+      return withEmails(rows('workspace_members').filter(m => m.workspace_id === workspaceId));
+    },
+
+    async setMember(workspaceId, userId, role) {
+      const member = findMember(workspaceId, userId);
+      if (member) {
+        member.role = role;
+      } else {
+        rows('workspace_members').push({ workspace_id: workspaceId, user_id: userId, role, created_at: now() });
+      }
+      save('workspace_members');
+    },
+
+    async removeMember(workspaceId, userId) {
+      tables.workspace_members = rows('workspace_members').filter(m => !(m.workspace_id === workspaceId && m.user_id === userId));
+      save('workspace_members');
+    },
+
+    // Bulk document access for schema migrations (all users)
+    async listStoredDocuments(table, offset, limit) {
+      return [...rows(table)]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .slice(offset, offset + limit)
+        .map(r => ({ id: r.id, document: structuredClone(r.document) }));
+    },
+
+    async updateStoredDocument(table, id, document) {
+      const row = rows(table).find(r => r.id === id);
+      if (!row) {
+        throw new Error(`${table} ${id} not found`);
+      }
+      row.document = structuredClone(document);
+      // Like the Supabase trigger, any change to a design bumps its revision
+      if (table === 'designs') row.revision = (row.revision || 1) + 1;
+      save(table);
+    },
+
+    // Patch log (undo/redo)
+    async logPatches(designId, userId, patches, inverse, source) {
+      const log = rows('design_patches');
+
+      // A new change discards anything that could have been redone
+      tables.design_patches = log.filter(p => !(p.design_id === designId && p.user_id === userId && p.undone));
+
+      const entry = {
+        id: randomUUID(),
+        seq: log.reduce((max, p) => Math.max(max, p.seq), 0) + 1,
+        design_id: designId,
+        user_id: userId,
+        patches,
+        inverse,
+        source,
+        undone: false,
+        created_at: now(),
+      };
+      tables.design_patches.push(entry);
+      save('design_patches');
+      return copy(entry);
+    },
+
+    async getUndoEntry(designId, userId) {
+      const entries = rows('design_patches').filter(p => p.design_id === designId && p.user_id === userId && !p.undone);
+      return copy(entries.sort((a, b) => b.seq - a.seq)[0]);
+    },
+
+    async getRedoEntry(designId, userId) {
+      const entries = rows('design_patches').filter(p => p.design_id === designId && p.user_id === userId && p.undone);
+      return copy(entries.sort((a, b) => a.seq - b.seq)[0]);
+    },
+
+    async setPatchesUndone(entryId, userId, undone) {
+      const entry = rows('design_patches').find(p => p.id === entryId && p.user_id === userId);
+      if (!entry) return;
+      entry.undone = undone;
+      save('design_patches');
+    },
+
+    async clearPatchLog(designId, userId) {
+      tables.design_patches = rows('design_patches').filter(p => !(p.design_id === designId && p.user_id === userId));
+      save('design_patches');
+    },
+
+    // Users (local accounts with bearer tokens)
+    async getUser(accessToken) {
+      const user = rows('users').find(u => u.token === accessToken);
+      return user ? pick(user, ['id', 'email', 'user_metadata', 'created_at']) : null;
+    },
+
+    async findUserByEmail(email) {
+      const user = rows('users').find(u => u.email.toLowerCase() === email.toLowerCase());
+      return user ? pick(user, ['id', 'email']) : null;
+    },
+
+    // Session for the built-in local user, created on first use
+    async getLocalSession() {
+      let user = rows('users').find(u => u.email === LOCAL_USER_EMAIL);
+      if (!user) {
+        user = {
+          id: randomUUID(),
+          email: LOCAL_USER_EMAIL,
+          user_metadata: {},
+          token: randomBytes(24).toString('hex'),
+          created_at: now(),
+        };
+        rows('users').push(user);
+        save('users');
+      }
+      return { access_token: user.token, user: pick(user, ['id', 'email', 'user_metadata', 'created_at']) };
+    },
+
+    // Usage
+    async getPromptCount(userId, date) {
+      return rows('usage').find(u => u.user_id === userId && u.date === date)?.prompt_count || 0;
+    },
+
+    async incrementUsage(userId, date) {
+      const row = rows('usage').find(u => u.user_id === userId && u.date === date);
+      if (row) {
+        row.prompt_count++;
+      } else {
+        rows('usage').push({ id: randomUUID(), user_id: userId, date, prompt_count: 1 });
+      }
+      save('usage');
+    },
+  };
+}
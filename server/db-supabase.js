@@ -0,0 +1,542 @@
+// Supabase storage backend
+import { createClient } from '@supabase/supabase-js';
+import { ROLES, roleAtLeast, strongestRole } from './roles.js';
+
+/**
+ * Storage backed by the Supabase tables in supabase/migrations.
+ * options: { url, serviceKey, anonKey }
+ *
+ * Uses the service role key for data (bypasses RLS since the server handles
+ * auth itself) and falls back to the anon key, which is also used for auth.
+ */
+export function createSupabaseStore(options) {
+  const { url, serviceKey, anonKey } = options;
+  const supabase = createClient(url, serviceKey || anonKey);
+
+  // The user's role on a design (see design_role in the sharing migration), or null
+  async function roleOn(designId, userId) {
+    const { data, error } = await supabase.rpc('design_role', { p_design: designId, p_user: userId });
+    if (error) {
+      console.error('Error resolving design role:', error);
+      return null;
+    }
+    return data;
+  }
+
+  // Share or member rows with the user's email, oldest first
+  async function withEmails(table, column, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('user_id, role, created_at')
+      .eq(column, id)
+      .order('created_at');
+
+    if (error) {
+      console.error(`Error fetching ${table}:`, error);
+      return [];
+    }
+    const { data: users } = await supabase.rpc('user_emails', { p_ids: data.map(r => r.user_id) });
+    const emails = new Map((users || []).map(u => [u.id, u.email]));
+    return data.map(r => ({ user_id: r.user_id, email: emails.get(r.user_id) || null, role: r.role, created_at: r.created_at }));
+  }
+
+  return {
+    name: 'supabase',
+    client: supabase,
+
+    // Design operations
+    // Designs are visible to anyone with a role on them; rows carry that role
+    async getDesigns(userId) {
+      const [shares, memberships] = await Promise.all([
+        supabase.from('design_shares').select('design_id, role').eq('user_id', userId),
+        supabase.from('workspace_members').select('workspace_id, role').eq('user_id', userId),
+      ]);
+      const shared = new Map((shares.data || []).map(s => [s.design_id, s.role]));
+      const member = new Map((memberships.data || []).map(m => [m.workspace_id, m.role]));
+
+      const filters = [`user_id.eq.${userId}`];
+      if (shared.size > 0) filters.push(`id.in.(${[...shared.keys()].join(',')})`);
+      if (member.size > 0) filters.push(`workspace_id.in.(${[...member.keys()].join(',')})`);
+
+      const { data, error } = await supabase
+        .from('designs')
+        .select('id, name, thumbnail, created_at, updated_at, workspace_id, user_id')
+        .or(filters.join(','))
+        .order('updated_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching designs:', error);
+        return [];
+      }
+      return data.map(({ user_id, ...design }) => ({
+        ...design,
+        role: user_id === userId ? ROLES.OWNER : strongestRole(shared.get(design.id), member.get(design.workspace_id)),
+      }));
+    },
+
+    async getDesign(id, userId) {
+      const { data, error } = await supabase
+        .from('designs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error) {
+        if (error.code !== 'PGRST116') console.error('Error fetching design:', error); // PGRST116 = no rows
+        return null;
+      }
+      const role = data.user_id === userId ? ROLES.OWNER : await roleOn(id, userId);
+      return role ? { ...data, role } : null;
+    },
+
+    async createDesign(userId, name, document, thumbnail, workspaceId = null) {
+      const { data, error } = await supabase
+        .from('designs')
+        .insert({
+          user_id: userId,
+          workspace_id: workspaceId,
+          name,
+          document,
+          thumbnail,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating design:', error);
+        throw error;
+      }
+      return data;
+    },
+
+    // Needs editor access. The revision is bumped by a trigger; returns null
+    // when expectedRevision is given and no longer current
+    async updateDesign(id, userId, updates, expectedRevision) {
+      if (!roleAtLeast(await roleOn(id, userId), ROLES.EDITOR)) {
+        throw new Error(`Design ${id} not found`);
+      }
+      let query = supabase
+        .from('designs')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', id);
+      if (expectedRevision !== undefined) {
+        query = query.eq('revision', expectedRevision);
+      }
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        if (error.code === 'PGRST116' && expectedRevision !== undefined) return null;
+        console.error('Error updating design:', error);
+        throw error;
+      }
+      return data;
+    },
+
+    // Needs owner access
+    async deleteDesign(id, userId) {
+      if (!roleAtLeast(await roleOn(id, userId), ROLES.OWNER)) return true;
+
+      const { error } = await supabase
+        .from('designs')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting design:', error);
+        return false;
+      }
+      return true;
+    },
+
+    // Version history
+    async saveVersion(designId, userId, document, thumbnail) {
+      const { data, error } = await supabase
+        .from('design_versions')
+        .insert({
+          design_id: designId,
+          user_id: userId,
+          document,
+          thumbnail,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error saving version:', error);
+        return null;
+      }
+      return data;
+    },
+
+    // History is shared by everyone with a role on the design, whoever saved it
+    async getVersions(designId, userId, limit) {
+      if (!(await roleOn(designId, userId))) return [];
+
+      const { data, error } = await supabase
+        .from('design_versions')
+        .select('id, created_at, thumbnail')
+        .eq('design_id', designId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching versions:', error);
+        return [];
+      }
+      return data;
+    },
+
+    async getVersion(versionId, userId) {
+      const { data, error } = await supabase
+        .from('design_versions')
+        .select('*')
+        .eq('id', versionId)
+        .single();
+
+      if (error) {
+        if (error.code !== 'PGRST116') console.error('Error fetching version:', error);
+        return null;
+      }
+      return (await roleOn(data.design_id, userId)) ? data : null;
+    },
+
+    // Sharing (callers check the acting user may manage shares)
+    async getShares(designId) {
+      return withEmails('design_shares', 'design_id', designId);
+    },
+
+    async setShare(designId, userId, role) {
+      const { error } = await supabase
+        .from('design_shares')
+        .upsert({ design_id: designId, user_id: userId, role }, { onConflict: 'design_id,user_id' });
+
+      if (error) {
+        console.error('Error sharing design:', error);
+        throw error;
+      }
+    },
+
+    async removeShare(designId, userId) {
+      const { error } = await supabase
+        .from('design_shares')
+        .delete()
+        .eq('design_id', designId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error removing share:', error);
+        throw error;
+      }
+    },
+
+    // Public links (callers check the acting user may manage them)
+    async createShareLink(designId, userId, token) {
+      const { data, error } = await supabase
+        .from('share_links')
+        .insert({ token, design_id: designId, created_by: userId })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating share link:', error);
+        throw error;
+      }
+      return data;
+    },
+
+    async getShareLinks(designId) {
+      const { data, error } = await supabase
+        .from('share_links')
+        .select('*')
+        .eq('design_id', designId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching share links:', error);
+        return [];
+      }
+      return data;
+    },
+
+    async deleteShareLink(designId, token) {
+      const { error } = await supabase
+        .from('share_links')
+        .delete()
+        .eq('design_id', designId)
+        .eq('token', token);
+
+      if (error) {
+        console.error('Error revoking share link:', error);
+        throw error;
+      }
+    },
+
+    // The design behind a link, for anyone holding the token
+    async getLinkedDesign(token) {
+      const { data, error } = await supabase
+        .from('share_links')
+        .select('designs(*)')
+        .eq('token', token)
+        .single();
+
+      if (error) {
+        if (error.code !== 'PGRST116') console.error('Error resolving share link:', error);
+        return null;
+      }
+      return data.designs;
+    },
+
+    // Workspaces (callers check the acting user may manage members)
+    async createWorkspace(userId, name) {
+      const { data, error } = await supabase
+        .from('workspaces')
+        .insert({ name, created_by: userId })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating workspace:', error);
+        throw error;
+      }
+      await this.setMember(data.id, userId, ROLES.OWNER);
+      return { ...data, role: ROLES.OWNER };
+    },
+
+    // Workspaces the user is a member of, with their role
+    async getWorkspaces(userId) {
+      const { data, error } = await supabase
+        .from('workspace_members')
+        .select('role, workspaces(*)')
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error fetching workspaces:', error);
+        return [];
+      }
+      return data
+        .map(m => ({ ...m.workspaces, role: m.role }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async getWorkspace(id, userId) {
+      const { data, error } = await supabase
+        .from('workspace_members')
+        .select('role, workspaces(*)')
+        .eq('workspace_id', id)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code !== 'PGRST116') console.error('Error fetching workspace:', error);
+        return null;
+      }
+      return { ...data.workspaces, role: data.role };
+    },
+
+    async getMembers(workspaceId) {
+      return withEmails('workspace_members', 'workspace_id', workspaceId);
+    },
+
+    async setMember(workspaceId, userId, role) {
+      const { error } = await supabase
+        .from('workspace_members')
+        .upsert({ workspace_id: workspaceId, user_id: userId, role }, { onConflict: 'workspace_id,user_id' });
+
+      if (error) {
+        console.error('Error setting workspace member:', error);
+        throw error;
+      }
+    },
+
+    async removeMember(workspaceId, userId) {
+      const { error } = await supabase
+        .from('workspace_members')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error removing workspace member:', error);
+        throw error;
+      }
+    },
+
+    // Bulk document access for schema migrations (all users)
+    async listStoredDocuments(table, offset, limit) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('id, document')
+        .order('id')
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error(`Error listing ${table}:`, error);
+        throw error;
+      }
+      return data;
+    },
+
+    async updateStoredDocument(table, id, document) {
+      const { error } = await supabase
+        .from(table)
+        .update({ document })
+        .eq('id', id);
+
+      if (error) {
+        console.error(`Error updating ${table} ${id}:`, error);
+        throw error;
+      }
+    },
+
+    // Patch log (undo/redo)
+    async logPatches(designId, userId, patches, inverse, source) {
+      // A new change discards anything that could have been redone
+      await supabase
+        .from('design_patches')
+        .delete()
+        .eq('design_id', designId)
+        .eq('user_id', userId)
+        .eq('undone', true);
+
+      const { data, error } = await supabase
+        .from('design_patches')
+        .insert({
+          design_id: designId,
+          user_id: userId,
+          patches,
+          inverse,
+          source,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error logging patches:', error);
+        return null;
+      }
+      return data;
+    },
+
+    async getUndoEntry(designId, userId) {
+      const { data, error } = await supabase
+        .from('design_patches')
+        .select('*')
+        .eq('design_id', designId)
+        .eq('user_id', userId)
+        .eq('undone', false)
+        .order('seq', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        console.error('Error fetching undo entry:', error);
+        return null;
+      }
+      return data[0] || null;
+    },
+
+    async getRedoEntry(designId, userId) {
+      const { data, error } = await supabase
+        .from('design_patches')
+        .select('*')
+        .eq('design_id', designId)
+        .eq('user_id', userId)
+        .eq('undone', true)
+        .order('seq', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        console.error('Error fetching redo entry:', error);
+        return null;
+      }
+      return data[0] || null;
+    },
+
+    async setPatchesUndone(entryId, userId, undone) {
+      const { error } = await supabase
+        .from('design_patches')
+        .update({ undone })
+        .eq('id', entryId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error updating patch entry:', error);
+        throw error;
+      }
+    },
+
+    async clearPatchLog(designId, userId) {
+      const { error } = await supabase
+        .from('design_patches')
+        .delete()
+        .eq('design_id', designId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error clearing patch log:', error);
+      }
+    },
+
+    // Users (Supabase Auth)
+    async getUser(accessToken) {
+      const { data: { user }, error } = await supabase.auth.getUser(accessToken);
+
+      if (error) {
+        console.error('Error getting user:', error);
+        return null;
+      }
+      return user;
+    },
+
+    async findUserByEmail(email) {
+      const { data, error } = await supabase.rpc('user_id_by_email', { p_email: email });
+
+      if (error) {
+        console.error('Error looking up user:', error);
+        return null;
+      }
+      return data ? { id: data, email } : null;
+    },
+
+    // Usage
+    async getPromptCount(userId, date) {
+      const { data, error } = await supabase
+        .from('usage')
+        .select('prompt_count')
+        .eq('user_id', userId)
+        .eq('date', date)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        console.error('Error checking rate limit:', error);
+        return 0;
+      }
+      return data?.prompt_count || 0;
+    },
+
+    async incrementUsage(userId, date) {
+      // Try to increment existing row
+      const { data, error } = await supabase
+        .from('usage')
+        .select('id, prompt_count')
+        .eq('user_id', userId)
+        .eq('date', date)
+        .single();
+
+      if (error && error.code === 'PGRST116') {
+        // No row exists, create one
+        await supabase
+          .from('usage')
+          .insert({ user_id: userId, date, prompt_count: 1 });
+      } else if (data) {
+        // Increment existing
+        await supabase
+          .from('usage')
+          .update({ prompt_count: data.prompt_count + 1 })
+          .eq('id', data.id);
+      }
+    },
+  };
+}
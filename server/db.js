@@ -1,240 +1,281 @@
-// Supabase client
-import { createClient } from '@supabase/supabase-js';
+// Storage - designs, versions, sharing, patch log, usage and users behind one interface
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { upgradeDocument } from '../shared/migrations.js';
+import { createSupabaseStore } from './db-supabase.js';
+import { createFileStore } from './db-file.js';
+
+export const STORAGE_BACKENDS = {
+  SUPABASE: 'supabase',
+  FILE: 'file',
+};
+
+// Who the file backend hands its local user's session to (see allowsLocalSession)
+export const LOCAL_SESSION_ACCESS = {
+  LOOPBACK: 'loopback',
+  ANY: 'any',
+  OFF: 'off',
+};
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const VERSION_LIST_LIMIT = 20;
+const DAILY_PROMPT_LIMIT = 100;
+
+/**
+ * A design was changed by someone else since the caller read it.
+ * revision is the current one, or null if the design is gone.
+ */
+export class RevisionConflictError extends Error {
+  constructor(revision) {
+    super('Design has changed since it was loaded');
+    this.name = 'RevisionConflictError';
+    this.code = 'revision_conflict';
+    this.revision = revision;
+  }
+}
+
+/**
+ * Read storage settings from the environment.
+ * - STORAGE_BACKEND: 'supabase' or 'file'. Defaults to supabase when keys are
+ *   set, otherwise file.
+ * - STORAGE_DIR: directory for the file backend (default ./data)
+ * - LOCAL_SESSION: who gets the file backend's local session, which signs
+ *   in without a password: 'loopback' (default, this machine only), 'any'
+ *   (everyone who can reach the port) or 'off'
+ * - SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, SUPABASE_ANON_KEY: supabase backend
+ */
+export function getStorageConfig(env = process.env) {
+  const supabase = {
+    url: env.SUPABASE_URL || 'https://staukauuowzlrooepwfo.supabase.co',
+    serviceKey: env.SUPABASE_SERVICE_ROLE_KEY,
+    anonKey: env.SUPABASE_ANON_KEY,
+  };
+  const hasKeys = !!(supabase.serviceKey || supabase.anonKey);
+  const backend = env.STORAGE_BACKEND || (hasKeys ? STORAGE_BACKENDS.SUPABASE : STORAGE_BACKENDS.FILE);
+
+  if (!Object.values(STORAGE_BACKENDS).includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Valid backends: ${Object.values(STORAGE_BACKENDS).join(', ')}`);
+  }
+  if (backend === STORAGE_BACKENDS.SUPABASE && !hasKeys) {
+    throw new Error('STORAGE_BACKEND=supabase needs SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY');
+  }
+  const localSession = env.LOCAL_SESSION || LOCAL_SESSION_ACCESS.LOOPBACK;
+  if (!Object.values(LOCAL_SESSION_ACCESS).includes(localSession)) {
+    throw new Error(`Unknown LOCAL_SESSION "${localSession}". Valid values: ${Object.values(LOCAL_SESSION_ACCESS).join(', ')}`);
+  }
 
-const supabaseUrl = process.env.SUPABASE_URL || 'https://staukauuowzlrooepwfo.supabase.co';
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return {
+    backend,
+    dir: env.STORAGE_DIR || join(process.cwd(), 'data'),
+    localSession,
+    supabase,
+  };
+}
 
-if (!supabaseServiceKey && !supabaseAnonKey) {
-  console.warn('Warning: No Supabase keys set. Database features will not work.');
+/**
+ * Whether a request may receive the local session. Under 'loopback' only
+ * connections from this machine qualify, and not ones a proxy forwarded
+ * (X-Forwarded-For), since a proxy on the same host connects from loopback.
+ * @param {string} access - one of LOCAL_SESSION_ACCESS
+ * @param {Object} request - { remoteAddress, forwarded: whether X-Forwarded-For was sent }
+ */
+export function allowsLocalSession(access, { remoteAddress, forwarded }) {
+  if (access === LOCAL_SESSION_ACCESS.ANY) return true;
+  if (access === LOCAL_SESSION_ACCESS.OFF) return false;
+  return LOOPBACK_ADDRESSES.includes(remoteAddress) && !forwarded;
 }
 
-// Use service role key for server operations (bypasses RLS since we handle auth ourselves)
-// Fall back to anon key for auth operations only
-export const supabase = (supabaseServiceKey || supabaseAnonKey)
-  ? createClient(supabaseUrl, supabaseServiceKey || supabaseAnonKey)
-  : null;
+/**
+ * Build the store described by a config. Every store implements the same
+ * methods (see db-supabase.js and db-file.js) and passes test/storage.test.js.
+ */
+export function createStore(config = getStorageConfig()) {
+  if (config.backend === STORAGE_BACKENDS.FILE) {
+    return createFileStore({ dir: config.dir });
+  }
+  return createSupabaseStore(config.supabase);
+}
 
-// Separate client with anon key for auth operations
-export const supabaseAuth = supabaseAnonKey
-  ? createClient(supabaseUrl, supabaseAnonKey)
-  : null;
+export const storageConfig = getStorageConfig();
+export const store = createStore(storageConfig);
 
 // Design operations
+// Access is by role (see roles.js): a user sees designs they own, designs
+// shared with them and designs in their workspaces. Rows carry the user's role.
 export async function getDesigns(userId) {
-  if (!supabase) return [];
+  return store.getDesigns(userId);
+}
 
-  const { data, error } = await supabase
-    .from('designs')
-    .select('id, name, thumbnail, created_at, updated_at')
-    .eq('user_id', userId)
-    .order('updated_at', { ascending: false });
+// Null when the user has no role on the design.
+// Rows written before revisions existed start at 1
+export async function getDesign(id, userId) {
+  const design = await store.getDesign(id, userId);
+  return design && { ...design, revision: design.revision || 1, document: upgradeDocument(design.document) };
+}
 
-  if (error) {
-    console.error('Error fetching designs:', error);
-    return [];
-  }
-  return data;
+export async function createDesign(userId, name, document, thumbnail, workspaceId = null) {
+  return store.createDesign(userId, name, document, thumbnail, workspaceId);
 }
 
-export async function getDesign(id, userId) {
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from('designs')
-    .select('*')
-    .eq('id', id)
-    .eq('user_id', userId)
-    .single();
-
-  if (error) {
-    console.error('Error fetching design:', error);
-    return null;
+// Needs editor access. Every update bumps the design's revision. With options.revision the update
+// only happens if that is still the current revision (compare-and-swap);
+// otherwise it throws RevisionConflictError.
+export async function updateDesign(id, userId, updates, options = {}) {
+  const design = await store.updateDesign(id, userId, updates, options.revision);
+  if (!design) {
+    const current = await store.getDesign(id, userId);
+    throw new RevisionConflictError(current ? current.revision || 1 : null);
   }
-  return data;
-}
-
-export async function createDesign(userId, name, document, thumbnail) {
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from('designs')
-    .insert({
-      user_id: userId,
-      name,
-      document,
-      thumbnail,
-    })
-    .select()
-    .single();
-
-  if (error) {
-    console.error('Error creating design:', error);
-    throw error;
-  }
-  return data;
-}
-
-export async function updateDesign(id, userId, updates) {
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from('designs')
-    .update({
-      ...updates,
-      updated_at: new Date().toISOString(),
-    })
-    .eq('id', id)
-    .eq('user_id', userId)
-    .select()
-    .single();
-
-  if (error) {
-    console.error('Error updating design:', error);
-    throw error;
-  }
-  return data;
+  return design;
 }
 
+// Needs owner access
 export async function deleteDesign(id, userId) {
-  if (!supabase) return false;
-
-  const { error } = await supabase
-    .from('designs')
-    .delete()
-    .eq('id', id)
-    .eq('user_id', userId);
-
-  if (error) {
-    console.error('Error deleting design:', error);
-    return false;
-  }
-  return true;
+  return store.deleteDesign(id, userId);
 }
 
 // Version history
 export async function saveVersion(designId, userId, document, thumbnail) {
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from('design_versions')
-    .insert({
-      design_id: designId,
-      user_id: userId,
-      document,
-      thumbnail,
-    })
-    .select()
-    .single();
-
-  if (error) {
-    console.error('Error saving version:', error);
-    return null;
-  }
-  return data;
+  return store.saveVersion(designId, userId, document, thumbnail);
 }
 
 export async function getVersions(designId, userId) {
-  if (!supabase) return [];
-
-  const { data, error } = await supabase
-    .from('design_versions')
-    .select('id, created_at, thumbnail')
-    .eq('design_id', designId)
-    .eq('user_id', userId)
-    .order('created_at', { ascending: false })
-    .limit(20);
-
-  if (error) {
-    console.error('Error fetching versions:', error);
-    return [];
-  }
-  return data;
+  return store.getVersions(designId, userId, VERSION_LIST_LIMIT);
 }
 
 export async function getVersion(versionId, userId) {
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from('design_versions')
-    .select('*')
-    .eq('id', versionId)
-    .eq('user_id', userId)
-    .single();
-
-  if (error) {
-    console.error('Error fetching version:', error);
-    return null;
-  }
-  return data;
+  const version = await store.getVersion(versionId, userId);
+  return version && { ...version, document: upgradeDocument(version.document) };
 }
 
-// Auth helpers
-export async function getUser(accessToken) {
-  if (!supabase) return null;
+// Sharing - direct grants of a role on one design.
+// These do not check the acting user; routes do that first.
+export async function getShares(designId) {
+  return store.getShares(designId);
+}
 
-  const { data: { user }, error } = await supabase.auth.getUser(accessToken);
+export async function shareDesign(designId, userId, role) {
+  return store.setShare(designId, userId, role);
+}
 
-  if (error) {
-    console.error('Error getting user:', error);
-    return null;
-  }
-  return user;
+export async function unshareDesign(designId, userId) {
+  return store.removeShare(designId, userId);
 }
 
-// Usage/rate limiting
-const DAILY_PROMPT_LIMIT = 100;
+// Public links - unguessable tokens that show a design read-only without
+// signing in, until revoked
+export async function createShareLink(designId, userId) {
+  return store.createShareLink(designId, userId, randomBytes(18).toString('base64url'));
+}
 
-export async function checkRateLimit(userId) {
-  if (!supabase) return { allowed: true, remaining: DAILY_PROMPT_LIMIT };
+export async function getShareLinks(designId) {
+  return store.getShareLinks(designId);
+}
 
-  const today = new Date().toISOString().split('T')[0];
+export async function revokeShareLink(designId, token) {
+  return store.deleteShareLink(designId, token);
+}
 
-  const { data, error } = await supabase
-    .from('usage')
-    .select('prompt_count')
-    .eq('user_id', userId)
-    .eq('date', today)
-    .single();
+// Null for unknown or revoked tokens
+export async function getDesignByShareLink(token) {
+  const design = await store.getLinkedDesign(token);
+  return design && { ...design, revision: design.revision || 1, document: upgradeDocument(design.document) };
+}
 
-  if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
-    console.error('Error checking rate limit:', error);
-    return { allowed: true, remaining: DAILY_PROMPT_LIMIT };
-  }
+// Workspaces - members get their workspace role on every design in it
+export async function createWorkspace(userId, name) {
+  return store.createWorkspace(userId, name);
+}
+
+export async function getWorkspaces(userId) {
+  return store.getWorkspaces(userId);
+}
+
+// Null unless the user is a member; includes their role
+export async function getWorkspace(id, userId) {
+  return store.getWorkspace(id, userId);
+}
+
+export async function getWorkspaceMembers(workspaceId) {
+  return store.getMembers(workspaceId);
+}
+
+export async function setWorkspaceMember(workspaceId, userId, role) {
+  return store.setMember(workspaceId, userId, role);
+}
 
-  const count = data?.prompt_count || 0;
-  const remaining = DAILY_PROMPT_LIMIT - count;
+export async function removeWorkspaceMember(workspaceId, userId) {
+  return store.removeMember(workspaceId, userId);
+}
+
+// Bulk document access for schema migrations (all users)
+// table is 'designs' or 'design_versions'
+export async function listStoredDocuments(table, offset, limit) {
+  return store.listStoredDocuments(table, offset, limit);
+}
+
+// Leaves updated_at alone: a schema upgrade is not a user edit
+export async function updateStoredDocument(table, id, document) {
+  return store.updateStoredDocument(table, id, document);
+}
+
+// Patch log (undo/redo)
+// Entries are applied patch batches with their inverse. Undo walks back over
+// entries not yet undone; redo walks forward over undone ones.
+export async function logPatches(designId, userId, patches, inverse, source = 'edit') {
+  return store.logPatches(designId, userId, patches, inverse, source);
+}
+
+// Latest entry that can be undone
+export async function getUndoEntry(designId, userId) {
+  return store.getUndoEntry(designId, userId);
+}
+
+// Earliest undone entry, the next one to redo
+export async function getRedoEntry(designId, userId) {
+  return store.getRedoEntry(designId, userId);
+}
+
+export async function setPatchesUndone(entryId, userId, undone) {
+  return store.setPatchesUndone(entryId, userId, undone);
+}
+
+// Drop the whole log, e.g. after switching to a stored version
+export async function clearPatchLog(designId, userId) {
+  return store.clearPatchLog(designId, userId);
+}
+
+// Auth helpers
+export async function getUser(accessToken) {
+  return store.getUser(accessToken);
+}
+
+// { id, email } of an existing account, or null
+export async function findUserByEmail(email) {
+  return store.findUserByEmail(email);
+}
+
+// Session the client can use without signing in (file backend only)
+export async function getLocalSession() {
+  return store.getLocalSession ? store.getLocalSession() : null;
+}
+
+// Usage/rate limiting
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export async function checkRateLimit(userId) {
+  const count = await store.getPromptCount(userId, today());
 
   return {
     allowed: count < DAILY_PROMPT_LIMIT,
-    remaining: Math.max(0, remaining),
+    remaining: Math.max(0, DAILY_PROMPT_LIMIT - count),
     limit: DAILY_PROMPT_LIMIT,
   };
 }
 
 export async function incrementUsage(userId) {
-  if (!supabase) return;
-
-  const today = new Date().toISOString().split('T')[0];
-
-  // Try to increment existing row
-  const { data, error } = await supabase
-    .from('usage')
-    .select('id, prompt_count')
-    .eq('user_id', userId)
-    .eq('date', today)
-    .single();
-
-  if (error && error.code === 'PGRST116') {
-    // No row exists, create one
-    await supabase
-      .from('usage')
-      .insert({ user_id: userId, date: today, prompt_count: 1 });
-  } else if (data) {
-    // Increment existing
-    await supabase
-      .from('usage')
-      .update({ prompt_count: data.prompt_count + 1 })
-      .eq('id', data.id);
-  }
+  return store.incrementUsage(userId, today());
 }
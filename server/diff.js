@@ -3,6 +3,13 @@ import pixelmatch from 'pixelmatch';
 import { PNG } from 'pngjs';
 import sharp from 'sharp';
 
+// SSIM window, in pixels
+const STRUCTURE_BLOCK = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+// Longest side of the heatmap scoreImages returns
+const HEATMAP_SIZE = 256;
+
 /**
  * Compare two images and return similarity metrics + diff visualization
  * @param {Buffer} targetBuffer - Target image PNG buffer
@@ -10,20 +17,7 @@ import sharp from 'sharp';
  * @returns {Object} { similarity, diffPixels, totalPixels, diffImage }
  */
 export async function compareImages(targetBuffer, currentBuffer) {
-  // Decode PNGs
-  const target = PNG.sync.read(targetBuffer);
-  const current = PNG.sync.read(currentBuffer);
-
-  // Resize current to match target if dimensions differ
-  let currentResized = current;
-  if (target.width !== current.width || target.height !== current.height) {
-    const resizedBuffer = await sharp(currentBuffer)
-      .resize(target.width, target.height, { fit: 'fill' })
-      .png()
-      .toBuffer();
-    currentResized = PNG.sync.read(resizedBuffer);
-  }
-
+  const [target, currentResized] = await decodePair(targetBuffer, currentBuffer);
   const { width, height } = target;
   const totalPixels = width * height;
 
@@ -59,6 +53,37 @@ export async function compareImages(targetBuffer, currentBuffer) {
   };
 }
 
+/**
+ * Score a render against its target, for the match loop
+ * - similarity: share of matching pixels (pixelmatch, as compareImages), 0-100
+ * - structure: mean SSIM of the luminance over 8x8 blocks, 0-100. It rewards
+ *   edges and shapes in the right place even when the colors are slightly off
+ * - score: the mean of the two
+ * - heatmap: PNG, at most 256px on the long side, of how far each area's
+ *   colors are from the target (black = same, through red and yellow to white)
+ * @param {Buffer} targetBuffer - Target image PNG buffer
+ * @param {Buffer} currentBuffer - Current render PNG buffer
+ * @returns {Object} { similarity, structure, score, diffPixels, totalPixels, heatmap }
+ */
+export async function scoreImages(targetBuffer, currentBuffer) {
+  const [target, current] = await decodePair(targetBuffer, currentBuffer);
+  const { width, height } = target;
+  const totalPixels = width * height;
+
+  const diffPixels = pixelmatch(target.data, current.data, null, width, height, { threshold: 0.1, includeAA: true });
+  const similarity = ((totalPixels - diffPixels) / totalPixels) * 100;
+  const structure = meanSSIM(target, current) * 100;
+
+  return {
+    similarity: round2(similarity),
+    structure: round2(structure),
+    score: round2((similarity + structure) / 2),
+    diffPixels,
+    totalPixels,
+    heatmap: heatmapOf(target, current),
+  };
+}
+
 /**
  * Get image dimensions
  * @param {Buffer} imageBuffer - PNG buffer
@@ -75,3 +100,95 @@ export function getImageDimensions(imageBuffer) {
 export function bufferToBase64(buffer) {
   return buffer.toString('base64');
 }
+
+// Decoded target and current, current resized to the target's size if needed
+async function decodePair(targetBuffer, currentBuffer) {
+  const target = PNG.sync.read(targetBuffer);
+  const current = PNG.sync.read(currentBuffer);
+  if (target.width === current.width && target.height === current.height) return [target, current];
+
+  const resizedBuffer = await sharp(currentBuffer)
+    .resize(target.width, target.height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+  return [target, PNG.sync.read(resizedBuffer)];
+}
+
+// SSIM per block from running sums, averaged over the blocks
+function meanSSIM(a, b) {
+  const { width, height } = a;
+  const cols = Math.ceil(width / STRUCTURE_BLOCK);
+  const rows = Math.ceil(height / STRUCTURE_BLOCK);
+  // Per block: n, Σx, Σy, Σx², Σy², Σxy
+  const sums = new Float64Array(cols * rows * 6);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / STRUCTURE_BLOCK) * cols;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const la = luma(a.data, i);
+      const lb = luma(b.data, i);
+      const k = (row + Math.floor(x / STRUCTURE_BLOCK)) * 6;
+      sums[k]++;
+      sums[k + 1] += la;
+      sums[k + 2] += lb;
+      sums[k + 3] += la * la;
+      sums[k + 4] += lb * lb;
+      sums[k + 5] += la * lb;
+    }
+  }
+
+  let total = 0;
+  for (let k = 0; k < sums.length; k += 6) {
+    const n = sums[k];
+    const mx = sums[k + 1] / n;
+    const my = sums[k + 2] / n;
+    const vx = sums[k + 3] / n - mx * mx;
+    const vy = sums[k + 4] / n - my * my;
+    const cov = sums[k + 5] / n - mx * my;
+    total += ((2 * mx * my + SSIM_C1) * (2 * cov + SSIM_C2)) / ((mx * mx + my * my + SSIM_C1) * (vx + vy + SSIM_C2));
+  }
+  return Math.max(0, total / (cols * rows));
+}
+
+// Mean color distance per cell, colored black → red → yellow → white
+function heatmapOf(a, b) {
+  const { width, height } = a;
+  const cell = Math.max(1, Math.ceil(Math.max(width, height) / HEATMAP_SIZE));
+  const cols = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  const sums = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cell) * cols;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const k = row + Math.floor(x / cell);
+      sums[k] += Math.max(
+        Math.abs(a.data[i] - b.data[i]),
+        Math.abs(a.data[i + 1] - b.data[i + 1]),
+        Math.abs(a.data[i + 2] - b.data[i + 2]),
+      ) / 255;
+      counts[k]++;
+    }
+  }
+
+  const heatmap = new PNG({ width: cols, height: rows });
+  for (let k = 0; k < sums.length; k++) {
+    const heat = (sums[k] / counts[k]) * 3;
+    heatmap.data[k * 4] = Math.round(Math.min(1, heat) * 255);
+    heatmap.data[k * 4 + 1] = Math.round(Math.min(1, Math.max(0, heat - 1)) * 255);
+    heatmap.data[k * 4 + 2] = Math.round(Math.min(1, Math.max(0, heat - 2)) * 255);
+    heatmap.data[k * 4 + 3] = 255;
+  }
+  return PNG.sync.write(heatmap);
+}
+
+function luma(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,13 +1,12 @@
 // Edit a design with natural language (structured output)
-import Anthropic from '@anthropic-ai/sdk';
-import { applyPatches } from '../shared/schema.js';
 import { renderToBase64PNG } from './renderer.js';
-import { validatePatches, generateSchemaDoc } from './validate.js';
-import { getAllPalettesForPrompt } from '../shared/palettes.js';
+import { generateSchemaDoc } from './validate.js';
+import { applyTransaction, summarizeTransaction, TRANSACTION_MODES } from './transaction.js';
+import { findToolUse, getProvider } from './ai.js';
+import { buildRepairTurn, getRepairBudget, repairTransaction } from './repair.js';
+import { formatPaletteForPrompt, getAllPalettesForPrompt } from '../shared/palettes.js';
 import { ICON_NAMES } from '../shared/icons.js';
 
-const client = new Anthropic();
-
 const EDIT_TOOL = {
   name: 'edit_design',
   description: 'Edit a design. You MUST include at least one patch. Do NOT return an empty patches array.',
@@ -74,6 +73,10 @@ Blur:
 Glow:
 - glow: { blur: 8, color: "#3b82f6", opacity: 0.6 }
 
+Groups:
+- { type: "group", children: ["box-id", "label-id"], x?: 0, y?: 0 } - children render only inside the group
+- Move a whole group (box + label) with one UPDATE of its x/y instead of moving each child
+
 Icons - ONLY use these exact names:
 - { type: "icon", name: "check", x: 10, y: 10, size: 24, color: "#000" }
 - Available: ${ICON_NAMES.join(', ')}
@@ -87,7 +90,20 @@ function log(msg) {
   console.log(`[edit] ${msg}`);
 }
 
-export async function editDesign(document, prompt, history = [], onProgress = () => {}) {
+/**
+ * Edit a document with a natural language prompt.
+ * options.transactionMode: 'best-effort' (default) drops invalid AI patches,
+ * 'atomic' keeps the document unchanged if any patch is invalid.
+ * options.repairAttempts: rounds of sending rejected patches back to the AI
+ * for correction (defaults to AI_REPAIR_ATTEMPTS, 0 disables).
+ * options.provider: AI provider to call (defaults to the configured one)
+ * options.palette: palette object (see parseCustomPalette) for the colors the
+ * edit introduces
+ */
+export async function editDesign(document, prompt, history = [], onProgress = () => {}, options = {}) {
+  const { transactionMode = TRANSACTION_MODES.BEST_EFFORT, provider = getProvider(), palette = null } = options;
+  const repairAttempts = getRepairBudget(options.repairAttempts);
+
   const emit = (type, message) => {
     log(message);
     onProgress({ type, message });
@@ -135,41 +151,47 @@ Current document:
 ${JSON.stringify(document, null, 2)}
 \`\`\`
 
-User request: ${prompt}`,
+User request: ${prompt}${palette ? `
+
+Use this color palette:
+${formatPaletteForPrompt(palette)}` : ''}`,
   });
 
   emit('status', 'Sending to AI...');
 
-  // Use streaming to show progress
-  const stream = client.messages.stream({
-    model: 'claude-opus-4-5-20251101',
-    max_tokens: 4096,
-    system: EDIT_SYSTEM_PROMPT,
-    tools: [EDIT_TOOL],
-    tool_choice: { type: 'tool', name: 'edit_design' },
-    messages: [
-      ...history.map(h => ({ role: h.role, content: h.content })),
-      { role: 'user', content: userContent },
-    ],
-  });
-
-  // Stream actual AI output
-  let streamedText = '';
-  stream.on('text', (text) => {
-    streamedText += text;
-    // Show last 100 chars of streamed text
-    const preview = streamedText.slice(-100).replace(/\n/g, ' ');
-    emit('status', `AI: ${preview}`);
-    log(`[stream] ${text}`);
-  });
+  const messages = [
+    ...history.map(h => ({ role: h.role, content: h.content })),
+    { role: 'user', content: userContent },
+  ];
+
+  // Stream actual AI output to show progress
+  const callModel = () => {
+    let streamedText = '';
+    return provider.createMessage({
+      task: 'edit',
+      maxTokens: 4096,
+      system: EDIT_SYSTEM_PROMPT,
+      tools: [EDIT_TOOL],
+      toolChoice: { type: 'tool', name: 'edit_design' },
+      messages,
+    }, {
+      onText: (text) => {
+        streamedText += text;
+        // Show last 100 chars of streamed text
+        const preview = streamedText.slice(-100).replace(/\n/g, ' ');
+        emit('status', `AI: ${preview}`);
+        log(`[stream] ${text}`);
+      },
+    });
+  };
 
-  const response = await stream.finalMessage();
+  let response = await callModel();
 
   emit('status', 'AI responded');
 
   // Extract tool use result
-  const toolUse = response.content.find(c => c.type === 'tool_use');
-  if (!toolUse || toolUse.name !== 'edit_design') {
+  const toolUse = findToolUse(response, 'edit_design');
+  if (!toolUse) {
     throw new Error('No edit output from AI');
   }
 
@@ -185,25 +207,48 @@ User request: ${prompt}`,
   emit('thinking', result.thinking || 'Analyzing...');
   emit('status', `Changes: ${result.patches?.length || 0} patches`);
 
-  // Validate and apply patches
+  // Validate and apply patches (invalid ones are dropped and reported)
   let appliedCount = 0;
+  let transaction = null;
   if (result.patches && result.patches.length > 0) {
     emit('status', 'Validating patches...');
-    const results = validatePatches(result.patches, document);
-    const valid = results.filter(r => r.valid).map(r => r.patch);
-    const invalid = results.filter(r => !r.valid);
-
-    if (invalid.length > 0) {
-      emit('status', `${invalid.length} invalid patches skipped`);
-      for (const r of invalid) {
-        log(`  Invalid: ${r.patch.id} - ${r.error}`);
+    transaction = applyTransaction(document, result.patches, { mode: transactionMode, coerce: true });
+
+    if (transaction.rejectedCount > 0 && repairAttempts > 0) {
+      for (const r of transaction.results.filter(r => r.status === 'rejected')) {
+        log(`  Invalid: ${r.patch?.id} - [${r.code}] ${r.error}`);
+      }
+      transaction = await repairTransaction(document, transaction, {
+        maxAttempts: repairAttempts,
+        coerce: true,
+        onProgress: (event) => {
+          log(event.message);
+          onProgress(event);
+        },
+        requestRepair: async (rejected) => {
+          messages.push(...buildRepairTurn(response, rejected,
+            'Call edit_design again with corrected versions of ONLY these patches. ' +
+            'The other patches were kept, so do not repeat them. Omit a patch if it cannot be fixed.'));
+          response = await callModel();
+          const fix = findToolUse(response, 'edit_design');
+          return fix?.input?.patches || [];
+        },
+      });
+    }
+
+    if (transaction.rejectedCount > 0) {
+      emit('status', transaction.committed
+        ? `${transaction.rejectedCount} invalid patches skipped`
+        : `${transaction.rejectedCount} invalid patches - all changes rolled back`);
+      for (const r of transaction.results.filter(r => r.status === 'rejected')) {
+        log(`  Invalid: ${r.patch?.id} - [${r.code}] ${r.error}`);
       }
     }
 
-    if (valid.length > 0) {
-      emit('status', `Applying ${valid.length} changes...`);
-      document = applyPatches(document, valid);
-      appliedCount = valid.length;
+    if (transaction.appliedCount > 0) {
+      emit('status', `Applying ${transaction.appliedCount} changes...`);
+      document = transaction.document;
+      appliedCount = transaction.appliedCount;
     }
   }
 
@@ -223,5 +268,8 @@ User request: ${prompt}`,
     document,
     message: result.message || 'Design updated',
     response: JSON.stringify(result),
+    patches: transaction ? summarizeTransaction(transaction) : null,
+    appliedPatches: transaction?.applied || [],
+    inversePatches: transaction?.inverse || [],
   };
 }
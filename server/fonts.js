@@ -0,0 +1,191 @@
+// Font files for embedding in exported SVGs and PDFs, so text looks the same
+// on machines without the design's fonts installed
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { basename, extname, join } from 'path';
+
+const FONT_TYPES = {
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+// File name suffix -> font-weight ("Inter.woff2", "Inter-Regular.ttf", "Inter-Bold.ttf")
+const WEIGHT_SUFFIXES = { '': 400, regular: 400, bold: 700 };
+
+// Families every viewer already has
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math',
+]);
+
+// Directory of font files, FONTS_DIR or ./fonts
+export function getFontsDir(env = process.env) {
+  return env.FONTS_DIR || join(process.cwd(), 'fonts');
+}
+
+const fontKey = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Family names in a CSS font stack ('"Inter", system-ui, sans-serif'), in order
+export function parseFontStack(fontFamily) {
+  if (typeof fontFamily !== 'string') return [];
+  return fontFamily.split(',')
+    .map(name => name.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
+
+export function isGenericFamily(family) {
+  return GENERIC_FAMILIES.has(family.toLowerCase());
+}
+
+// Named (non-generic) families in the font stacks of a document's text
+export function getUsedFontFamilies(doc) {
+  const families = new Set();
+  for (const element of Object.values(doc.elements)) {
+    if (element.type !== 'text') continue;
+    for (const family of parseFontStack(element.fontFamily)) {
+      if (!isGenericFamily(family)) families.add(family);
+    }
+  }
+  return [...families];
+}
+
+// Files in dir for a family, with the font-weight each one provides
+function findFontFiles(family, dir) {
+  if (!existsSync(dir)) return [];
+  const key = fontKey(family);
+
+  return readdirSync(dir).flatMap(file => {
+    const type = FONT_TYPES[extname(file).toLowerCase()];
+    if (!type) return [];
+    const name = fontKey(basename(file, extname(file)));
+    if (!name.startsWith(key)) return [];
+    const weight = WEIGHT_SUFFIXES[name.slice(key.length)];
+    return weight ? [{ path: join(dir, file), type, weight }] : [];
+  });
+}
+
+/**
+ * @font-face rules with the font files for the given families inlined.
+ * @returns {Object} { css, embedded: [family], missing: [family] }
+ */
+export function buildFontFaces(families, dir = getFontsDir()) {
+  const faces = [];
+  const embedded = [];
+  const missing = [];
+
+  for (const family of families) {
+    const files = findFontFiles(family, dir);
+
+    for (const file of files) {
+      const data = readFileSync(file.path).toString('base64');
+      faces.push(`@font-face{font-family:"${family.replace(/["\\<>]/g, '')}";font-weight:${file.weight};src:url(data:${file.type};base64,${data})}`);
+    }
+
+    (files.length > 0 ? embedded : missing).push(family);
+  }
+
+  return { css: faces.join(''), embedded, missing };
+}
+
+/**
+ * TrueType/OpenType file (not WOFF) for a family, preferring the requested
+ * weight and falling back to the regular one. Returns the path or null.
+ */
+export function findFontFile(family, weight = 400, dir = getFontsDir()) {
+  const files = findFontFiles(family, dir)
+    .filter(file => file.type === 'font/ttf' || file.type === 'font/otf');
+  const file = files.find(f => f.weight === weight) || files.find(f => f.weight === 400) || files[0];
+  return file ? file.path : null;
+}
+
+/**
+ * Metrics of a TrueType/OpenType font, read from its sfnt tables.
+ * Returns null when the file isn't an sfnt font or lacks a Unicode cmap.
+ * @returns {Object} {
+ *   unitsPerEm, bbox: [xMin, yMin, xMax, yMax], ascent, descent, capHeight,
+ *   italicAngle, outlines: 'truetype' | 'cff', advanceWidth(codePoint)
+ * }
+ */
+export function readFontMetrics(buffer) {
+  try {
+    const tables = {};
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      tables[buffer.toString('latin1', record, record + 4)] = buffer.readUInt32BE(record + 8);
+    }
+    if (tables.head === undefined || tables.hhea === undefined ||
+        tables.hmtx === undefined || tables.cmap === undefined) {
+      return null;
+    }
+
+    const head = tables.head;
+    const hhea = tables.hhea;
+    const ascent = buffer.readInt16BE(hhea + 4);
+    const numberOfHMetrics = buffer.readUInt16BE(hhea + 34);
+    const glyphForCode = readCmap(buffer, tables.cmap);
+    if (!glyphForCode) return null;
+
+    const os2 = tables['OS/2'];
+    const capHeight = os2 !== undefined && buffer.readUInt16BE(os2) >= 2
+      ? buffer.readInt16BE(os2 + 88)
+      : ascent;
+
+    return {
+      unitsPerEm: buffer.readUInt16BE(head + 18),
+      bbox: [0, 2, 4, 6].map(offset => buffer.readInt16BE(head + 36 + offset)),
+      ascent,
+      descent: buffer.readInt16BE(hhea + 6),
+      capHeight,
+      italicAngle: tables.post !== undefined ? buffer.readInt32BE(tables.post + 4) / 65536 : 0,
+      outlines: tables.glyf !== undefined ? 'truetype' : tables['CFF '] !== undefined ? 'cff' : null,
+      advanceWidth(codePoint) {
+        const glyph = Math.min(glyphForCode(codePoint), numberOfHMetrics - 1);
+        return buffer.readUInt16BE(tables.hmtx + glyph * 4);
+      },
+    };
+  } catch {
+    // Truncated or corrupt file
+    return null;
+  }
+}
+
+// Code point → glyph lookup from the font's Unicode BMP (format 4) cmap
+function readCmap(buffer, cmap) {
+  const count = buffer.readUInt16BE(cmap + 2);
+  let subtable = null;
+
+  for (let i = 0; i < count; i++) {
+    const record = cmap + 4 + i * 8;
+    const platform = buffer.readUInt16BE(record);
+    const encoding = buffer.readUInt16BE(record + 2);
+    const offset = cmap + buffer.readUInt32BE(record + 4);
+    const unicode = platform === 0 || (platform === 3 && encoding === 1);
+    if (unicode && buffer.readUInt16BE(offset) === 4) {
+      subtable = offset;
+      if (platform === 3) break;
+    }
+  }
+  if (subtable === null) return null;
+
+  const segCountX2 = buffer.readUInt16BE(subtable + 6);
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segCountX2 + 2;
+  const idDeltas = startCodes + segCountX2;
+  const idRangeOffsets = idDeltas + segCountX2;
+
+  return (code) => {
+    for (let seg = 0; seg < segCountX2; seg += 2) {
+      if (code > buffer.readUInt16BE(endCodes + seg)) continue;
+      const start = buffer.readUInt16BE(startCodes + seg);
+      if (code < start) return 0;
+      const delta = buffer.readUInt16BE(idDeltas + seg);
+      const rangeOffset = buffer.readUInt16BE(idRangeOffsets + seg);
+      if (rangeOffset === 0) return (code + delta) & 0xffff;
+      const glyph = buffer.readUInt16BE(idRangeOffsets + seg + rangeOffset + (code - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
@@ -0,0 +1,139 @@
+// Uploaded images → PNG the match pipeline can read (pngjs only decodes
+// 8-bit PNG, and the model sees the pixels as stored, not as displayed)
+import sharp from 'sharp';
+
+// Formats sharp decodes that people upload. SVG and PDF are left out: they'd
+// be rasterized by sharp's own renderers, with their external references.
+export const SUPPORTED_IMAGE_FORMATS = ['png', 'jpeg', 'webp', 'gif', 'heif', 'tiff'];
+export const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+// Decoding stops past this many pixels, before the image is in memory
+export const MAX_IMAGE_PIXELS = 50_000_000;
+// Longest side sent to the model; vision models downscale anything larger anyway
+export const MAX_IMAGE_SIDE = 1568;
+
+/**
+ * An upload that can't be used: not an image, an unsupported format or too
+ * large. The message is meant for the user.
+ */
+export class ImageInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageInputError';
+    this.code = 'invalid_image';
+  }
+}
+
+/**
+ * Image bytes from a data URL or bare base64 string (as the client sends them)
+ */
+export function decodeImageData(image) {
+  if (typeof image !== 'string') throw new ImageInputError('Image must be a data URL or base64 string');
+  const base64 = image.startsWith('data:') ? image.slice(image.indexOf(',') + 1) : image;
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Convert any supported upload into an opaque sRGB PNG: EXIF orientation is
+ * applied, transparency is flattened onto the image's own background color
+ * and images larger than MAX_IMAGE_SIDE are scaled down.
+ * @returns {Promise<Object>} {
+ *   buffer: PNG, width, height,
+ *   scale: original size / normalized size (1 unless downscaled),
+ *   format: the upload's format, background: color transparency was flattened onto
+ * }
+ */
+export async function normalizeImage(input, options = {}) {
+  const { maxSide = MAX_IMAGE_SIDE } = options;
+
+  if (!Buffer.isBuffer(input) || input.length === 0) {
+    throw new ImageInputError('Image is empty');
+  }
+  if (input.length > MAX_IMAGE_BYTES) {
+    throw new ImageInputError(`Image is too large (${formatMegabytes(input.length)}); the limit is ${formatMegabytes(MAX_IMAGE_BYTES)}`);
+  }
+
+  const open = () => sharp(input, { limitInputPixels: MAX_IMAGE_PIXELS, failOn: 'error' });
+  let metadata;
+  try {
+    metadata = await open().metadata();
+  } catch {
+    throw new ImageInputError('File is not a readable image');
+  }
+
+  // AVIF is a HEIF file; HEIC photos (HEVC-coded HEIF) can't be decoded here
+  if (!SUPPORTED_IMAGE_FORMATS.includes(metadata.format) || metadata.compression === 'hevc') {
+    const format = metadata.compression === 'hevc' ? 'heic' : metadata.format;
+    throw new ImageInputError(`Unsupported image format "${format}". Use PNG, JPEG, WebP, GIF or AVIF`);
+  }
+  if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+    throw new ImageInputError(`Image is too large (${metadata.width}x${metadata.height}); the limit is ${MAX_IMAGE_PIXELS / 1e6} megapixels`);
+  }
+
+  // Orientations 5-8 turn the image on its side
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const longest = Math.max(width, height);
+  const scale = longest > maxSide ? longest / maxSide : 1;
+
+  try {
+    let image = open().rotate();
+    if (scale > 1) {
+      image = image.resize(Math.max(1, Math.round(width / scale)), Math.max(1, Math.round(height / scale)), { fit: 'fill' });
+    }
+
+    const background = metadata.hasAlpha ? await detectBackground(image.clone()) : null;
+    if (background) image = image.flatten({ background });
+
+    const { data, info } = await image.toColourspace('srgb').png().toBuffer({ resolveWithObject: true });
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      scale: scale > 1 ? width / info.width : 1,
+      format: metadata.format,
+      background,
+    };
+  } catch {
+    throw new ImageInputError('Image could not be decoded');
+  }
+}
+
+/**
+ * Color behind a transparent image: the most common opaque color along its
+ * edges, or white when the edges are mostly see-through (logos, cut-outs).
+ */
+async function detectBackground(image) {
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const counts = new Map();
+  let edgePixels = 0;
+
+  const visit = (x, y) => {
+    const i = (y * width + x) * 4;
+    edgePixels++;
+    if (data[i + 3] < 128) return;
+    const color = toHex(data[i], data[i + 1], data[i + 2]);
+    counts.set(color, (counts.get(color) || 0) + 1);
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    if (height > 1) visit(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    visit(0, y);
+    if (width > 1) visit(width - 1, y);
+  }
+
+  const opaque = [...counts.values()].reduce((sum, n) => sum + n, 0);
+  if (opaque < edgePixels / 2) return '#ffffff';
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
@@ -2,15 +2,32 @@ import 'dotenv/config';
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { matchImage } from './match.js';
+import { matchImage, affordableRounds } from './match.js';
+import { decodeImageData, normalizeImage } from './image-input.js';
 import { editDesign } from './edit.js';
 import { createFromDescription } from './create.js';
-import { renderToBase64PNG } from './renderer.js';
-import { supabase, getDesigns, getDesign, createDesign, updateDesign, deleteDesign, getUser, checkRateLimit, incrementUsage, saveVersion, getVersions, getVersion } from './db.js';
+import { paletteFromImage, MAX_PALETTE_SIZE } from './palette.js';
+import { parseCustomPalette } from '../shared/palettes.js';
+import { renderToBase64PNG, renderToPNG, renderToSVGString, renderToImage, RASTER_FORMATS, FIT_MODES, MAX_RASTER_SIZE } from './renderer.js';
+import { renderSharePage } from './share-page.js';
+import { renderToPDF } from './pdf.js';
+import { buildFontFaces, getUsedFontFamilies } from './fonts.js';
+import { getProvider } from './ai.js';
+import { applyTransaction, summarizeTransaction, TRANSACTION_MODES } from './transaction.js';
+import { checkPatchList } from './validate.js';
+import { createCollabHub, attachCollab } from './collab.js';
+import { diffDocuments } from '../shared/schema.js';
+import { ROLES, isRole, roleAtLeast } from './roles.js';
+import { store, storageConfig, allowsLocalSession, getLocalSession, getDesigns, getDesign, createDesign, updateDesign, deleteDesign, getUser, checkRateLimit, incrementUsage, saveVersion, getVersions, getVersion, logPatches, getUndoEntry, getRedoEntry, setPatchesUndone, clearPatchLog, getShares, shareDesign, unshareDesign, createShareLink, getShareLinks, revokeShareLink, getDesignByShareLink, createWorkspace, getWorkspaces, getWorkspace, getWorkspaceMembers, setWorkspaceMember, removeWorkspaceMember, findUserByEmail, RevisionConflictError } from './db.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
+const RENDER_FORMATS = [...RASTER_FORMATS, 'svg', 'pdf'];
+const MAX_PDF_PAGES = 50;
+
+// Live viewers per design; every write below publishes its patches here
+const collab = createCollabHub();
 
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(join(__dirname, '../client')));
@@ -41,11 +58,114 @@ function requireAuth(req, res, next) {
 
 app.use(authMiddleware);
 
+// Express 4 doesn't catch rejected promises from async handlers: pass them on
+// to the error handler below instead of letting them end the process
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Load the design in :id for a user who needs at least `role` on it. Answers
+// 404 if they have no access at all, 403 if their role is too weak; then null.
+async function loadDesignAs(req, res, role) {
+  const design = await getDesign(req.params.id, req.user.id);
+  if (!design) {
+    res.status(404).json({ error: 'Design not found' });
+    return null;
+  }
+  if (!roleAtLeast(design.role, role)) {
+    res.status(403).json({ error: `Requires ${role} access`, code: 'forbidden', role: design.role });
+    return null;
+  }
+  return design;
+}
+
+// Optimistic concurrency - every design has a revision, sent as its ETag.
+// Writes may send If-Match with the revision they were based on.
+const etag = (revision) => `"${revision}"`;
+
+function sendConflict(res, revision) {
+  if (revision) res.set('ETag', etag(revision));
+  res.status(409).json({ error: 'Design has changed since it was loaded', code: 'revision_conflict', revision });
+}
+
+// False (after answering 409) if If-Match names a revision other than the current one
+function checkIfMatch(req, res, design) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+
+  const revisions = header.split(',').map(tag => parseInt(tag.trim().replace(/^W\//, '').replace(/"/g, ''), 10));
+  if (revisions.includes(design.revision)) return true;
+
+  sendConflict(res, design.revision);
+  return false;
+}
+
+// The optional "palette" of a create or edit request: a curated palette's name
+// or a custom palette. Undefined (after answering 400) if it's neither.
+function readPalette(req, res) {
+  if (req.body.palette === undefined || req.body.palette === null) return null;
+  const palette = parseCustomPalette(req.body.palette);
+  if (!palette) {
+    res.status(400).json({ error: 'Invalid palette: use a palette name or an object with "#rrggbb" primary, secondary, accent, background, surface and text' });
+    return undefined;
+  }
+  return palette;
+}
+
+// Update a design only if it is still at the revision the request read.
+// Answers 409 and returns null when another write got there first.
+async function updateAtRevision(res, design, userId, updates) {
+  try {
+    return await updateDesign(design.id, userId, updates, { revision: design.revision });
+  } catch (err) {
+    if (!(err instanceof RevisionConflictError)) throw err;
+    sendConflict(res, err.revision);
+    return null;
+  }
+}
+
+// Store an applied patch batch like any manual change: new revision,
+// thumbnail, version and undo entry, then tell the design's viewers.
+// Throws RevisionConflictError if the design moved on since it was read.
+async function commitPatches(design, user, transaction, origin = null) {
+  let thumbnail = design.thumbnail;
+  try {
+    thumbnail = `data:image/png;base64,${renderToBase64PNG(transaction.document)}`;
+  } catch (err) {
+    console.error('Thumbnail render failed:', err);
+  }
+
+  const updated = await updateDesign(design.id, user.id, {
+    document: transaction.document,
+    thumbnail,
+  }, { revision: design.revision });
+  await saveVersion(design.id, user.id, transaction.document, thumbnail);
+  await logPatches(design.id, user.id, transaction.applied, transaction.inverse, 'manual');
+
+  collab.publish(design.id, {
+    revision: updated.revision,
+    baseRevision: design.revision,
+    patches: transaction.applied,
+    source: 'manual',
+    user,
+  }, origin);
+
+  return { document: transaction.document, revision: updated.revision, thumbnail };
+}
+
 // Get Supabase config for client
-app.get('/api/config', (req, res) => {
+app.get('/api/config', async (req, res) => {
+  // Without Supabase the file backend signs in as its local user, by default
+  // only from this machine (LOCAL_SESSION)
+  const canSignIn = store.name !== 'supabase' && allowsLocalSession(storageConfig.localSession, {
+    remoteAddress: req.socket.remoteAddress,
+    forwarded: req.headers['x-forwarded-for'] !== undefined,
+  });
+  const localSession = canSignIn ? await getLocalSession() : null;
   res.json({
     supabaseUrl: process.env.SUPABASE_URL || 'https://staukauuowzlrooepwfo.supabase.co',
-    supabaseAnonKey: process.env.SUPABASE_ANON_KEY || '',
+    supabaseAnonKey: store.name === 'supabase' ? process.env.SUPABASE_ANON_KEY || '' : '',
+    localSession,
   });
 });
 
@@ -57,10 +177,9 @@ app.get('/api/designs', requireAuth, async (req, res) => {
 
 // Get a single design
 app.get('/api/designs/:id', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
-  }
+  const design = await loadDesignAs(req, res, ROLES.VIEWER);
+  if (!design) return;
+  res.set('ETag', etag(design.revision));
   res.json(design);
 });
 
@@ -76,6 +195,8 @@ app.post('/api/designs/from-description', requireAuth, async (req, res) => {
   if (!description) {
     return res.status(400).json({ error: 'Missing description' });
   }
+  const palette = readPalette(req, res);
+  if (palette === undefined) return;
 
   // Check rate limit
   const usage = await checkRateLimit(req.user.id);
@@ -97,7 +218,7 @@ app.post('/api/designs/from-description', requireAuth, async (req, res) => {
   try {
     const result = await createFromDescription(description, (progress) => {
       sendEvent(progress);
-    });
+    }, { palette });
 
     let thumbnail = null;
     try {
@@ -124,8 +245,10 @@ app.post('/api/designs/from-description', requireAuth, async (req, res) => {
       type: 'done',
       id: design.id,
       name: design.name,
+      revision: design.revision,
       thumbnail,
       document: design.document,
+      patches: result.patches,
     });
   } catch (err) {
     console.error('Create from description error:', err);
@@ -142,7 +265,16 @@ app.post('/api/designs/from-image', requireAuth, async (req, res) => {
     return res.status(400).json({ error: 'Missing image' });
   }
 
-  // Check rate limit (image matching uses 3 API calls, count as 3)
+  // Unusable uploads are refused before the stream starts
+  let target;
+  try {
+    target = await normalizeImage(decodeImageData(image));
+  } catch (err) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+
+  // Check rate limit. Matching charges every model call (up to 1 + 2 × MATCH_MAX_ROUNDS),
+  // so it runs only as many rounds as today's remaining prompts cover
   const usage = await checkRateLimit(req.user.id);
   if (!usage.allowed) {
     return res.status(429).json({
@@ -160,13 +292,9 @@ app.post('/api/designs/from-image', requireAuth, async (req, res) => {
   };
 
   try {
-    let base64Data = image;
-    if (image.startsWith('data:')) {
-      base64Data = image.split(',')[1];
-    }
-    const imageBuffer = Buffer.from(base64Data, 'base64');
-
-    const result = await matchImage(imageBuffer, {
+    const result = await matchImage(target.buffer, {
+      scale: target.scale,
+      maxRounds: affordableRounds(usage.remaining),
       onProgress: (progress) => {
         sendEvent(progress);
       },
@@ -190,17 +318,19 @@ app.post('/api/designs/from-image', requireAuth, async (req, res) => {
     // Save initial version
     await saveVersion(design.id, req.user.id, result.document, thumbnail);
 
-    // Increment usage (image matching uses 3 API calls)
-    await incrementUsage(req.user.id);
-    await incrementUsage(req.user.id);
-    await incrementUsage(req.user.id);
+    // Increment usage once per model call (build, then a critique and a fix per round)
+    for (let i = 0; i < result.calls; i++) {
+      await incrementUsage(req.user.id);
+    }
 
     sendEvent({
       type: 'done',
       id: design.id,
       name: design.name,
+      revision: design.revision,
       thumbnail,
       document: design.document,
+      patches: result.patches,
     });
   } catch (err) {
     console.error('Create from image error:', err);
@@ -210,17 +340,41 @@ app.post('/api/designs/from-image', requireAuth, async (req, res) => {
   res.end();
 });
 
+// Custom palette from an uploaded image, to pass as "palette" to create and edit
+app.post('/api/palettes/from-image', requireAuth, async (req, res) => {
+  const { image, count } = req.body;
+  if (!image) {
+    return res.status(400).json({ error: 'Missing image' });
+  }
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1 && count <= MAX_PALETTE_SIZE)) {
+    return res.status(400).json({ error: `count must be an integer from 1 to ${MAX_PALETTE_SIZE}` });
+  }
+
+  let target;
+  try {
+    target = await normalizeImage(decodeImageData(image));
+  } catch (err) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+
+  res.json(paletteFromImage(target.buffer, { count }));
+});
+
 // Edit a design with natural language (SSE)
 app.post('/api/designs/:id/edit', requireAuth, async (req, res) => {
-  const { prompt } = req.body;
+  const { prompt, mode = TRANSACTION_MODES.BEST_EFFORT } = req.body;
 
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
-  }
+  const design = await loadDesignAs(req, res, ROLES.EDITOR);
+  if (!design) return;
   if (!prompt) {
     return res.status(400).json({ error: 'Missing prompt' });
   }
+  if (!Object.values(TRANSACTION_MODES).includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Valid: ${Object.values(TRANSACTION_MODES).join(', ')}` });
+  }
+  const palette = readPalette(req, res);
+  if (palette === undefined) return;
+  if (!checkIfMatch(req, res, design)) return;
 
   // Check rate limit
   const usage = await checkRateLimit(req.user.id);
@@ -242,36 +396,55 @@ app.post('/api/designs/:id/edit', requireAuth, async (req, res) => {
   try {
     const result = await editDesign(design.document, prompt, [], (progress) => {
       sendEvent(progress);
-    });
-
-    let thumbnail = null;
-    try {
-      thumbnail = `data:image/png;base64,${renderToBase64PNG(result.document)}`;
-    } catch (err) {
-      console.error('Thumbnail render failed:', err);
+    }, { transactionMode: mode, palette });
+
+    // Commit only if something was applied; when every patch was rejected the
+    // design, its revision and its history stay as they were
+    let { revision, thumbnail } = design;
+    if (result.appliedPatches.length > 0) {
+      try {
+        thumbnail = `data:image/png;base64,${renderToBase64PNG(result.document)}`;
+      } catch (err) {
+        console.error('Thumbnail render failed:', err);
+      }
+
+      // Update in database, unless the design changed while the AI was working
+      const updated = await updateDesign(req.params.id, req.user.id, {
+        document: result.document,
+        thumbnail,
+      }, { revision: design.revision });
+      revision = updated.revision;
+
+      // Save this version to history and log the patches so they can be undone
+      await saveVersion(req.params.id, req.user.id, result.document, thumbnail);
+      await logPatches(req.params.id, req.user.id, result.appliedPatches, result.inversePatches, 'edit');
+      collab.publish(req.params.id, {
+        revision,
+        baseRevision: design.revision,
+        patches: result.appliedPatches,
+        source: 'edit',
+        user: req.user,
+      });
     }
 
-    // Update in database
-    await updateDesign(req.params.id, req.user.id, {
-      document: result.document,
-      thumbnail,
-    });
-
-    // Save this version to history
-    await saveVersion(req.params.id, req.user.id, result.document, thumbnail);
-
     // Increment usage
     await incrementUsage(req.user.id);
 
     sendEvent({
       type: 'done',
       document: result.document,
+      revision,
       thumbnail,
       message: result.message,
+      patches: result.patches,
     });
   } catch (err) {
-    console.error('Edit error:', err);
-    sendEvent({ type: 'error', message: err.message });
+    if (err instanceof RevisionConflictError) {
+      sendEvent({ type: 'error', code: err.code, revision: err.revision, message: err.message });
+    } else {
+      console.error('Edit error:', err);
+      sendEvent({ type: 'error', message: err.message });
+    }
   }
 
   res.end();
@@ -279,10 +452,8 @@ app.post('/api/designs/:id/edit', requireAuth, async (req, res) => {
 
 // Get version history for a design
 app.get('/api/designs/:id/versions', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
-  }
+  const design = await loadDesignAs(req, res, ROLES.VIEWER);
+  if (!design) return;
 
   const versions = await getVersions(req.params.id, req.user.id);
   res.json(versions);
@@ -290,10 +461,10 @@ app.get('/api/designs/:id/versions', requireAuth, async (req, res) => {
 
 // Switch to a specific version (doesn't modify history)
 app.post('/api/designs/:id/revert/:versionId', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
-  }
+  const design = await loadDesignAs(req, res, ROLES.EDITOR);
+  if (!design) return;
+
+  if (!checkIfMatch(req, res, design)) return;
 
   const version = await getVersion(req.params.versionId, req.user.id);
   if (!version || version.design_id !== req.params.id) {
@@ -301,37 +472,182 @@ app.post('/api/designs/:id/revert/:versionId', requireAuth, async (req, res) =>
   }
 
   // Just switch to this version - no new history entry
-  await updateDesign(req.params.id, req.user.id, {
+  const updated = await updateAtRevision(res, design, req.user.id, {
     document: version.document,
     thumbnail: version.thumbnail,
   });
+  if (!updated) return;
+
+  // The patch log no longer lines up with the document
+  await clearPatchLog(req.params.id, req.user.id);
+  collab.publish(req.params.id, {
+    revision: updated.revision,
+    baseRevision: design.revision,
+    patches: diffDocuments(design.document, version.document),
+    source: 'revert',
+    user: req.user,
+  });
 
+  res.set('ETag', etag(updated.revision));
   res.json({
     document: version.document,
+    revision: updated.revision,
     thumbnail: version.thumbnail,
   });
 });
 
-// Rename a design
+// Undo / redo the last logged change (doesn't modify history)
+async function stepPatchLog(req, res, direction) {
+  const design = await loadDesignAs(req, res, ROLES.EDITOR);
+  if (!design) return;
+  if (!checkIfMatch(req, res, design)) return;
+
+  const entry = direction === 'undo'
+    ? await getUndoEntry(req.params.id, req.user.id)
+    : await getRedoEntry(req.params.id, req.user.id);
+  if (!entry) {
+    return res.status(409).json({ error: `Nothing to ${direction}` });
+  }
+
+  const patches = direction === 'undo' ? entry.inverse : entry.patches;
+  const transaction = applyTransaction(design.document, patches, { mode: TRANSACTION_MODES.ATOMIC });
+  if (!transaction.committed) {
+    return res.status(409).json({
+      error: `Cannot ${direction}: the design has changed since this edit`,
+      patches: summarizeTransaction(transaction),
+    });
+  }
+
+  let thumbnail = design.thumbnail;
+  try {
+    thumbnail = `data:image/png;base64,${renderToBase64PNG(transaction.document)}`;
+  } catch (err) {
+    console.error('Thumbnail render failed:', err);
+  }
+
+  const updated = await updateAtRevision(res, design, req.user.id, {
+    document: transaction.document,
+    thumbnail,
+  });
+  if (!updated) return;
+  await setPatchesUndone(entry.id, req.user.id, direction === 'undo');
+  collab.publish(req.params.id, {
+    revision: updated.revision,
+    baseRevision: design.revision,
+    patches: transaction.applied,
+    source: direction,
+    user: req.user,
+  });
+
+  const [nextUndo, nextRedo] = await Promise.all([
+    getUndoEntry(req.params.id, req.user.id),
+    getRedoEntry(req.params.id, req.user.id),
+  ]);
+
+  res.set('ETag', etag(updated.revision));
+  res.json({
+    document: transaction.document,
+    revision: updated.revision,
+    thumbnail,
+    canUndo: !!nextUndo,
+    canRedo: !!nextRedo,
+  });
+}
+
+app.post('/api/designs/:id/undo', requireAuth, (req, res) => stepPatchLog(req, res, 'undo'));
+app.post('/api/designs/:id/redo', requireAuth, (req, res) => stepPatchLog(req, res, 'redo'));
+
+// Apply patches directly - for the canvas editor and scripts (no AI, no usage)
+app.post('/api/designs/:id/patches', requireAuth, asyncRoute(async (req, res) => {
+  const { patches, mode = TRANSACTION_MODES.ATOMIC, coerce = false } = req.body;
+
+  const design = await loadDesignAs(req, res, ROLES.EDITOR);
+  if (!design) return;
+  const listError = checkPatchList(patches);
+  if (listError) {
+    return res.status(400).json({ error: listError });
+  }
+  if (!Object.values(TRANSACTION_MODES).includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Valid: ${Object.values(TRANSACTION_MODES).join(', ')}` });
+  }
+  if (!checkIfMatch(req, res, design)) return;
+
+  const transaction = applyTransaction(design.document, patches, { mode, coerce: coerce === true });
+  if (!transaction.committed || transaction.applied.length === 0) {
+    return res.status(422).json({
+      error: 'Patches rejected',
+      patches: summarizeTransaction(transaction),
+    });
+  }
+
+  let committed;
+  try {
+    committed = await commitPatches(design, req.user, transaction);
+  } catch (err) {
+    if (!(err instanceof RevisionConflictError)) throw err;
+    return sendConflict(res, err.revision);
+  }
+
+  res.set('ETag', etag(committed.revision));
+  res.json({
+    ...committed,
+    patches: summarizeTransaction(transaction),
+  });
+}));
+
+// Rename a design, or move it into a workspace (workspaceId; null takes it out)
 app.patch('/api/designs/:id', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
+  const { name, workspaceId } = req.body;
+  const moving = workspaceId !== undefined;
+
+  const design = await loadDesignAs(req, res, moving ? ROLES.OWNER : ROLES.EDITOR);
+  if (!design) return;
+
+  // Designs can only go into workspaces the owner can edit in
+  if (moving && workspaceId !== null) {
+    const workspace = await getWorkspace(workspaceId, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!roleAtLeast(workspace.role, ROLES.EDITOR)) {
+      return res.status(403).json({ error: `Requires ${ROLES.EDITOR} access to the workspace`, code: 'forbidden' });
+    }
   }
 
-  if (req.body.name) {
-    await updateDesign(req.params.id, req.user.id, { name: req.body.name });
+  if (!checkIfMatch(req, res, design)) return;
+
+  const updates = {
+    ...(name && { name }),
+    ...(moving && { workspace_id: workspaceId }),
+  };
+  let revision = design.revision;
+  if (Object.keys(updates).length > 0) {
+    const updated = await updateAtRevision(res, design, req.user.id, updates);
+    if (!updated) return;
+    revision = updated.revision;
+    collab.publish(design.id, {
+      revision,
+      baseRevision: design.revision,
+      patches: [],
+      source: name ? 'rename' : 'move',
+      user: req.user,
+      ...(name && { name }),
+    });
   }
 
-  res.json({ id: design.id, name: req.body.name || design.name });
+  res.set('ETag', etag(revision));
+  res.json({
+    id: design.id,
+    name: name || design.name,
+    workspace_id: moving ? workspaceId : design.workspace_id,
+    revision,
+  });
 });
 
 // Duplicate a design
 app.post('/api/designs/:id/duplicate', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
-  if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
-  }
+  const design = await loadDesignAs(req, res, ROLES.VIEWER);
+  if (!design) return;
 
   const newDesign = await createDesign(
     req.user.id,
@@ -345,6 +661,9 @@ app.post('/api/designs/:id/duplicate', requireAuth, async (req, res) => {
 
 // Delete a design
 app.delete('/api/designs/:id', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.OWNER);
+  if (!design) return;
+
   const success = await deleteDesign(req.params.id, req.user.id);
   if (!success) {
     return res.status(404).json({ error: 'Design not found' });
@@ -352,26 +671,345 @@ app.delete('/api/designs/:id', requireAuth, async (req, res) => {
   res.json({ success: true });
 });
 
-// Render a design to PNG
-app.get('/api/designs/:id/render', requireAuth, async (req, res) => {
-  const design = await getDesign(req.params.id, req.user.id);
+// Sharing - who else has a role on a design. Everyone with access can see
+// the list; owners grant and revoke, and anyone can drop their own share.
+app.get('/api/designs/:id/shares', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.VIEWER);
+  if (!design) return;
+  res.json(await getShares(design.id));
+});
+
+app.put('/api/designs/:id/shares', requireAuth, async (req, res) => {
+  const { email, role } = req.body;
+
+  const design = await loadDesignAs(req, res, ROLES.OWNER);
+  if (!design) return;
+  if (!email) {
+    return res.status(400).json({ error: 'Missing email' });
+  }
+  if (!isRole(role)) {
+    return res.status(400).json({ error: `Invalid role. Valid: ${Object.values(ROLES).join(', ')}` });
+  }
+
+  const user = await findUserByEmail(email);
+  if (!user) {
+    return res.status(404).json({ error: 'No account with that email' });
+  }
+  if (user.id === design.user_id) {
+    return res.status(400).json({ error: 'That user created the design and already owns it' });
+  }
+
+  await shareDesign(design.id, user.id, role);
+  res.json(await getShares(design.id));
+});
+
+app.delete('/api/designs/:id/shares/:userId', requireAuth, async (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+
+  const design = await loadDesignAs(req, res, leaving ? ROLES.VIEWER : ROLES.OWNER);
+  if (!design) return;
+
+  await unshareDesign(design.id, req.params.userId);
+  res.json(leaving ? [] : await getShares(design.id));
+});
+
+// Public links - read-only views and embeddable renders for people without
+// an account. Only owners can create or revoke them.
+const linkUrls = (link) => ({ ...link, url: `/s/${link.token}`, png: `/s/${link.token}.png`, svg: `/s/${link.token}.svg` });
+
+app.get('/api/designs/:id/links', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.OWNER);
+  if (!design) return;
+  res.json((await getShareLinks(design.id)).map(linkUrls));
+});
+
+app.post('/api/designs/:id/links', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.OWNER);
+  if (!design) return;
+  res.json(linkUrls(await createShareLink(design.id, req.user.id)));
+});
+
+app.delete('/api/designs/:id/links/:token', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.OWNER);
+  if (!design) return;
+  await revokeShareLink(design.id, req.params.token);
+  res.json({ success: true });
+});
+
+// Shared renders are revalidated on every use (Cache-Control: no-cache) and
+// answer 304 until the design's revision moves on, so embeds stay current.
+function sendRevision(req, res, design, variant, type, render) {
+  res.set({
+    'Cache-Control': 'public, no-cache',
+    ETag: `"${design.id}-${design.revision}-${variant}"`,
+  });
+  if (req.fresh) return res.status(304).end();
+  res.type(type).send(render());
+}
+
+// Render a shared design: /s/:token.png (optional ?scale=1-4) or /s/:token.svg
+app.get('/s/:token.:format(png|svg)', async (req, res) => {
+  const design = await getDesignByShareLink(req.params.token);
   if (!design) {
-    return res.status(404).json({ error: 'Design not found' });
+    return res.status(404).json({ error: 'Link not found' });
+  }
+
+  try {
+    if (req.params.format === 'svg') {
+      // Served from our origin, so never let the SVG run anything
+      res.set({ 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:", 'X-Content-Type-Options': 'nosniff' });
+      return sendRevision(req, res, design, 'svg', 'image/svg+xml', () => renderToSVGString(design.document, { title: design.name }));
+    }
+    const scale = Math.min(4, Math.max(1, parseInt(req.query.scale) || 1));
+    sendRevision(req, res, design, `${scale}x.png`, 'image/png', () => renderToPNG(design.document, scale));
+  } catch (err) {
+    console.error('Shared render failed:', err);
+    res.status(500).json({ error: 'Render failed' });
+  }
+});
+
+// Read-only viewer page for a shared design
+app.get('/s/:token', async (req, res) => {
+  const design = await getDesignByShareLink(req.params.token);
+  if (!design) {
+    return res.status(404).send('This link does not exist or has been revoked.');
+  }
+  sendRevision(req, res, design, 'page', 'html', () => renderSharePage(design, req.params.token));
+});
+
+// Workspaces - members get their workspace role on every design in it
+app.get('/api/workspaces', requireAuth, async (req, res) => {
+  res.json(await getWorkspaces(req.user.id));
+});
+
+app.post('/api/workspaces', requireAuth, async (req, res) => {
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  res.json(await createWorkspace(req.user.id, name));
+});
+
+// Load the workspace in :id for a member who needs at least `role` in it (404/403 like loadDesignAs)
+async function loadWorkspaceAs(req, res, role) {
+  const workspace = await getWorkspace(req.params.id, req.user.id);
+  if (!workspace) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  if (!roleAtLeast(workspace.role, role)) {
+    res.status(403).json({ error: `Requires ${role} access to the workspace`, code: 'forbidden', role: workspace.role });
+    return null;
+  }
+  return workspace;
+}
+
+// True (after answering 409) if the change would leave the workspace without an owner
+function leavesNoOwner(res, members, userId, newRole) {
+  const owners = members.filter(m => m.role === ROLES.OWNER && m.user_id !== userId);
+  if (owners.length > 0 || newRole === ROLES.OWNER) return false;
+  res.status(409).json({ error: 'A workspace needs at least one owner' });
+  return true;
+}
+
+app.get('/api/workspaces/:id/members', requireAuth, async (req, res) => {
+  const workspace = await loadWorkspaceAs(req, res, ROLES.VIEWER);
+  if (!workspace) return;
+  res.json(await getWorkspaceMembers(workspace.id));
+});
+
+app.put('/api/workspaces/:id/members', requireAuth, async (req, res) => {
+  const { email, role } = req.body;
+
+  const workspace = await loadWorkspaceAs(req, res, ROLES.OWNER);
+  if (!workspace) return;
+  if (!email) {
+    return res.status(400).json({ error: 'Missing email' });
+  }
+  if (!isRole(role)) {
+    return res.status(400).json({ error: `Invalid role. Valid: ${Object.values(ROLES).join(', ')}` });
+  }
+
+  const user = await findUserByEmail(email);
+  if (!user) {
+    return res.status(404).json({ error: 'No account with that email' });
   }
+  const members = await getWorkspaceMembers(workspace.id);
+  if (members.some(m => m.user_id === user.id) && leavesNoOwner(res, members, user.id, role)) return;
+
+  await setWorkspaceMember(workspace.id, user.id, role);
+  res.json(await getWorkspaceMembers(workspace.id));
+});
+
+app.delete('/api/workspaces/:id/members/:userId', requireAuth, async (req, res) => {
+  const leaving = req.params.userId === req.user.id;
 
-  // Scale: 1 = original, 2 = 2x, 3 = 3x (default 2x for high-res export)
-  const scale = Math.min(4, Math.max(1, parseInt(req.query.scale) || 2));
+  const workspace = await loadWorkspaceAs(req, res, leaving ? ROLES.VIEWER : ROLES.OWNER);
+  if (!workspace) return;
+
+  const members = await getWorkspaceMembers(workspace.id);
+  if (leavesNoOwner(res, members, req.params.userId, null)) return;
+
+  await removeWorkspaceMember(workspace.id, req.params.userId);
+  res.json(leaving ? [] : await getWorkspaceMembers(workspace.id));
+});
+
+// Raster export options from the render query; { error } answers 400
+function parseRasterOptions(query, format) {
+  const options = {
+    format,
+    scale: Math.min(4, Math.max(1, parseInt(query.scale) || 2)),
+    fit: query.fit || 'contain',
+    transparent: query.transparent === '1' || query.transparent === 'true',
+  };
+
+  const limits = { width: [1, MAX_RASTER_SIZE], height: [1, MAX_RASTER_SIZE], quality: [1, 100], dpi: [1, 2400] };
+  for (const [name, [min, max]] of Object.entries(limits)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${name} must be a whole number from ${min} to ${max}` };
+    }
+    options[name] = value;
+  }
+
+  if (!FIT_MODES.includes(options.fit)) {
+    return { error: `Invalid fit. Valid: ${FIT_MODES.join(', ')}` };
+  }
+  if (options.transparent && format === 'jpeg') {
+    return { error: 'JPEG has no transparency. Use png, webp or avif' };
+  }
+  return { options };
+}
+
+// Render a design for export. transparent=1 leaves out the canvas background.
+// format=png (default), jpeg (or jpg), webp, avif: scale 1-4 (default 2x for
+// high-res export), or width and/or height in px with fit=contain|cover|fill|
+// inside|outside; quality=1-100 for the lossy formats; dpi= sets resolution metadata.
+// format=svg: standalone SVG titled with the design name and described by its
+// name and revision. precision=0-6 rounds
+// coordinates; fonts=1 embeds the fonts its text uses from FONTS_DIR.
+// format=pdf: vector PDF page. bleed=0-20 (mm) extends the background past
+// the trim edge; marks=1 adds crop marks.
+app.get('/api/designs/:id/render', requireAuth, async (req, res) => {
+  const design = await loadDesignAs(req, res, ROLES.VIEWER);
+  if (!design) return;
+
+  const format = req.query.format === 'jpg' ? 'jpeg' : req.query.format || 'png';
+  if (!RENDER_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format. Valid: ${RENDER_FORMATS.join(', ')}` });
+  }
+
+  let raster = null;
+  if (RASTER_FORMATS.includes(format)) {
+    const { options, error } = parseRasterOptions(req.query, format);
+    if (error) return res.status(400).json({ error });
+    raster = options;
+  }
 
   try {
-    const png = renderToBase64PNG(design.document, scale);
-    const buffer = Buffer.from(png, 'base64');
-    res.setHeader('Content-Type', 'image/png');
+    if (format === 'svg') {
+      const options = {
+        title: design.name,
+        description: `${design.name || 'Untitled'}, revision ${design.revision || 1}`,
+        transparent: req.query.transparent === '1' || req.query.transparent === 'true',
+      };
+      if (req.query.precision !== undefined) {
+        options.precision = Math.min(6, Math.max(0, parseInt(req.query.precision) || 0));
+      }
+      if (req.query.fonts === '1' || req.query.fonts === 'true') {
+        const fonts = buildFontFaces(getUsedFontFamilies(design.document));
+        options.fontFaces = fonts.css;
+        if (fonts.missing.length > 0) res.set('X-Missing-Fonts', fonts.missing.join(', '));
+      }
+      res.type('image/svg+xml');
+      return res.send(renderToSVGString(design.document, options));
+    }
+
+    if (format === 'pdf') {
+      const marks = req.query.marks === '1' || req.query.marks === 'true';
+      res.type('application/pdf');
+      return res.send(renderToPDF([design.document], { title: design.name, bleed: req.query.bleed, cropMarks: marks }));
+    }
+
+    const { buffer, contentType } = await renderToImage(design.document, raster);
+    res.setHeader('Content-Type', contentType);
     res.send(buffer);
   } catch (err) {
+    console.error('Render error:', err);
     res.status(500).json({ error: 'Render failed' });
   }
 });
 
-app.listen(PORT, () => {
+// Export several designs as the pages of one PDF, in the order given.
+// Body: { designIds: [id], title?, bleed? (mm), cropMarks? }
+app.post('/api/export/pdf', requireAuth, async (req, res) => {
+  const { designIds, title, bleed, cropMarks } = req.body || {};
+  if (!Array.isArray(designIds) || designIds.length === 0 || designIds.length > MAX_PDF_PAGES) {
+    return res.status(400).json({ error: `designIds must list 1-${MAX_PDF_PAGES} designs` });
+  }
+
+  // Any role can export, the same as rendering a single design
+  const designs = [];
+  for (const id of designIds) {
+    const design = await getDesign(String(id), req.user.id);
+    if (!design) return res.status(404).json({ error: `Design ${id} not found` });
+    designs.push(design);
+  }
+
+  try {
+    const pdf = renderToPDF(designs.map(d => d.document), {
+      title: typeof title === 'string' && title ? title : designs[0].name,
+      bleed,
+      cropMarks: Boolean(cropMarks),
+    });
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (err) {
+    console.error('PDF export error:', err);
+    res.status(500).json({ error: 'Render failed' });
+  }
+});
+
+// Unexpected errors answer 500; client errors (bad JSON, too large) keep their status
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(`${req.method} ${req.path} failed:`, err);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: status < 500 && err.expose ? err.message : 'Internal server error' });
+});
+
+// Fail fast on a bad AI_* configuration
+const aiProvider = getProvider();
+
+const server = app.listen(PORT, () => {
   console.log(`AI Drawer server running at http://localhost:${PORT}`);
+  console.log(`AI provider: ${aiProvider.name} (${aiProvider.model})`);
+  console.log(`Storage: ${store.name}`);
+});
+
+// Live collaboration: patches from viewers go through the same write path as
+// POST /patches, after being rebased onto the latest revision
+attachCollab(server, {
+  hub: collab,
+  authenticate: getUser,
+  loadDesign: (designId, user) => getDesign(designId, user.id),
+  async commitBatch({ design, user, patches, origins, conflicts, socket }) {
+    // Viewers can follow along but not write
+    if (!roleAtLeast(design.role, ROLES.EDITOR)) {
+      throw Object.assign(new Error(`Requires ${ROLES.EDITOR} access`), { code: 'forbidden' });
+    }
+    const transaction = applyTransaction(design.document, patches, { mode: TRANSACTION_MODES.BEST_EFFORT });
+    const summary = summarizeTransaction(transaction);
+    summary.dropped = [
+      ...conflicts.map(c => ({ ...c, code: 'conflict' })),
+      ...summary.dropped.map(d => ({ ...d, index: origins[d.index] })),
+    ].sort((a, b) => a.index - b.index);
+
+    if (transaction.applied.length === 0) {
+      return { document: design.document, revision: design.revision, thumbnail: design.thumbnail, patches: summary };
+    }
+    const committed = await commitPatches(design, user, transaction, socket);
+    return { ...committed, patches: summary };
+  },
 });
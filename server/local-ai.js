@@ -0,0 +1,292 @@
+// Local AI provider - deterministic, offline responses for CI and development
+import { sampleColors } from './analyze.js';
+import { compareImages } from './diff.js';
+import { getPalette } from '../shared/palettes.js';
+
+const palette = getPalette('modern');
+const ITEM_COLORS = [palette.primary, palette.secondary, palette.accent, palette.success, palette.info, palette.error];
+const MAX_MATCH_SHAPES = 12;
+
+const COLOR_WORDS = {
+  red: '#ef4444',
+  orange: '#f97316',
+  yellow: '#eab308',
+  green: '#22c55e',
+  teal: '#14b8a6',
+  blue: '#3b82f6',
+  purple: '#8b5cf6',
+  pink: '#ec4899',
+  gray: '#6b7280',
+  grey: '#6b7280',
+  black: '#000000',
+  white: '#ffffff',
+};
+
+/**
+ * Provider that answers without a network.
+ *
+ * Responses come from options.script when it has an entry for the call's task
+ * ({ [task]: response | [response, ...] } - arrays are served in order and the
+ * last entry repeats; a response is the tool input for tool calls, otherwise
+ * text or an object sent as JSON). Tasks without a script use built-in rules
+ * that produce small but valid designs from the prompt or target image.
+ */
+export function createLocalProvider(options = {}) {
+  const { script = {} } = options;
+  const served = {};
+  let callCount = 0;
+
+  return {
+    name: 'local',
+    model: 'local',
+
+    async createMessage(request, { onText } = {}) {
+      callCount++;
+      const tool = request.toolChoice?.type === 'tool' ? request.toolChoice.name : null;
+
+      let output;
+      if (request.task in script) {
+        const entries = [].concat(script[request.task]);
+        const i = served[request.task] = (served[request.task] ?? -1) + 1;
+        output = entries[Math.min(i, entries.length - 1)];
+      } else if (isRepairTurn(request.messages)) {
+        // Rules are deterministic, so asking again would repeat the same mistake
+        output = { thinking: 'Local provider cannot repair patches', patches: [], elements: [] };
+      } else if (RULES[request.task]) {
+        output = await RULES[request.task](request);
+      } else {
+        throw new Error(`Local AI provider has no rule for task "${request.task}"`);
+      }
+
+      const base = { id: `msg_local_${callCount}`, type: 'message', role: 'assistant', model: 'local', usage: { input_tokens: 0, output_tokens: 0 } };
+
+      if (tool) {
+        return {
+          ...base,
+          content: [{ type: 'tool_use', id: `toolu_local_${callCount}`, name: tool, input: output }],
+          stop_reason: 'tool_use',
+        };
+      }
+
+      const text = typeof output === 'string' ? output : JSON.stringify(output);
+      if (onText) {
+        for (let i = 0; i < text.length; i += 64) onText(text.slice(i, i + 64));
+      }
+      return { ...base, content: [{ type: 'text', text }], stop_reason: 'end_turn' };
+    },
+  };
+}
+
+const RULES = {
+  create: createRule,
+  edit: editRule,
+  'match.build': (request) => matchRule(request, 25),
+  'match.critique': critiqueRule,
+  'match.fix': (request) => matchRule(request, 50),
+};
+
+// Title from the first clause, one box per following clause, arrows between them
+function createRule(request) {
+  const { text, colors } = takePalette(textOf(lastUserContent(request.messages)));
+  const description = text
+    .replace(/^Create a design based on this description:\s*/, '')
+    .trim();
+  const itemColors = colors ? [colors.primary, colors.secondary, colors.accent, ...ITEM_COLORS.slice(3)] : ITEM_COLORS;
+  const parts = description
+    .split(/,|;|->|→|\n|\band\b|\bthen\b/i)
+    .map(s => s.trim().replace(/[.!?]+$/, ''))
+    .filter(Boolean);
+
+  const title = truncate(parts[0] || 'Untitled', 48);
+  const items = parts.slice(1, 7).map(p => truncate(p, 18));
+  if (items.length === 0) items.push('Start', 'Finish');
+
+  const width = 1000;
+  const height = 600;
+  const boxW = 140;
+  const boxH = 80;
+  const gap = items.length > 1 ? Math.min(60, (900 - items.length * boxW) / (items.length - 1)) : 0;
+  const x0 = (width - (items.length * boxW + (items.length - 1) * gap)) / 2;
+  const y = 260;
+
+  const elements = [
+    { id: 'title', type: 'text', x: width / 2, y: 100, content: title, fontSize: 32, fontWeight: 'bold', fill: colors?.text || palette.text, textAnchor: 'middle' },
+  ];
+
+  items.forEach((label, i) => {
+    const x = x0 + i * (boxW + gap);
+    const id = `item-${i + 1}`;
+    elements.push(
+      { id, type: 'rect', x, y, width: boxW, height: boxH, fill: itemColors[i % itemColors.length], cornerRadius: 12 },
+      { id: `${id}-label`, type: 'text', x: x + boxW / 2, y: y + boxH / 2 + 6, content: label, fontSize: 16, fill: palette.textInverse, textAnchor: 'middle' },
+      { id: `${id}-group`, type: 'group', children: [id, `${id}-label`] },
+    );
+    if (i > 0) {
+      elements.push({ id: `arrow-${i}`, type: 'path', d: `M ${x - gap} ${y + boxH / 2} L ${x} ${y + boxH / 2}`, stroke: palette.textMuted, strokeWidth: 2 });
+    }
+  });
+
+  return {
+    thinking: `Local rules: a title and ${items.length} boxes in a row`,
+    name: title,
+    canvas: { width, height, background: colors?.surface || palette.surface },
+    elements,
+  };
+}
+
+// Keyword edits: font size, colors, removals; otherwise a note with the request
+function editRule(request) {
+  const { text } = takePalette(textOf(lastUserContent(request.messages)));
+  const document = parseJsonBlock(text, 'Current document:') || { canvas: {}, elements: {} };
+  const prompt = text.split('User request:').pop().trim();
+  const lower = prompt.toLowerCase();
+  const entries = Object.entries(document.elements);
+  const patches = [];
+  const notes = [];
+
+  const scale = /\b(bigger|larger|increase)\b/.test(lower) ? 1.25
+    : /\b(smaller|decrease|shrink)\b/.test(lower) ? 0.8
+      : null;
+  if (scale) {
+    for (const [id, el] of entries) {
+      if (el.type === 'text') {
+        patches.push({ op: 'update', id, props: { fontSize: Math.round((el.fontSize || 16) * scale) } });
+      }
+    }
+    notes.push(scale > 1 ? 'enlarged text' : 'shrank text');
+  }
+
+  const color = lower.match(/#[0-9a-f]{6}\b/)?.[0]
+    || COLOR_WORDS[Object.keys(COLOR_WORDS).find(word => new RegExp(`\\b${word}\\b`).test(lower))];
+  if (color && /background/.test(lower)) {
+    patches.push({ op: 'update', id: 'canvas', props: { background: color } });
+    notes.push(`set the background to ${color}`);
+  } else if (color) {
+    for (const [id, el] of entries) {
+      if (el.type === 'rect' || el.type === 'ellipse') {
+        patches.push({ op: 'update', id, props: { fill: color } });
+      }
+    }
+    notes.push(`filled shapes with ${color}`);
+  }
+
+  if (/\b(remove|delete)\b/.test(lower)) {
+    const ids = entries.map(([id]) => id).filter(id => lower.includes(id.toLowerCase()));
+    for (const id of ids) patches.push({ op: 'remove', id });
+    if (ids.length) notes.push(`removed ${ids.join(', ')}`);
+  }
+
+  if (patches.length === 0) {
+    let n = 1;
+    while (document.elements[`note-${n}`]) n++;
+    patches.push({
+      op: 'add',
+      id: `note-${n}`,
+      element: { type: 'text', x: 20, y: (document.canvas.height || 600) - 20, content: truncate(prompt, 80), fontSize: 14, fill: palette.textMuted },
+    });
+    notes.push('added the request as a note');
+  }
+
+  return {
+    thinking: 'Local rules: keyword edit',
+    message: `Local edit: ${notes.join('; ')}`,
+    patches,
+  };
+}
+
+// One rect per dominant color over the sample points of that color
+function matchRule(request, gridSize) {
+  const content = lastUserContent(request.messages);
+  const [target] = imagesOf(content);
+  const current = parseJsonBlock(textOf(content), 'CURRENT DOCUMENT:');
+  if (!target) return { thinking: 'No target image', patches: [] };
+
+  const analysis = sampleColors(target, { gridSize });
+  const { width, height } = analysis.dimensions;
+  const stepX = width / (gridSize + 1);
+  const stepY = height / (gridSize + 1);
+
+  const byColor = new Map();
+  for (const s of analysis.samples) {
+    if (!byColor.has(s.color)) byColor.set(s.color, []);
+    byColor.get(s.color).push(s);
+  }
+  const [background, ...colors] = [...byColor.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+
+  const patches = [{ op: 'update', id: 'canvas', props: { background: background[0] } }];
+  for (const [color, points] of colors.filter(([, pts]) => pts.length >= 2).slice(0, MAX_MATCH_SHAPES)) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.max(0, Math.round(Math.min(...xs) - stepX / 2));
+    const y = Math.max(0, Math.round(Math.min(...ys) - stepY / 2));
+    const bounds = {
+      x,
+      y,
+      width: Math.min(width, Math.round(Math.max(...xs) + stepX / 2)) - x,
+      height: Math.min(height, Math.round(Math.max(...ys) + stepY / 2)) - y,
+    };
+    const id = `shape-${color.slice(1)}`;
+    patches.push(current?.elements?.[id]
+      ? { op: 'update', id, props: bounds }
+      : { op: 'add', id, element: { type: 'rect', ...bounds, fill: color } });
+  }
+
+  return {
+    thinking: `Local rules: ${patches.length - 1} color regions from a ${gridSize}x${gridSize} sample grid`,
+    patches,
+  };
+}
+
+async function critiqueRule(request) {
+  const [target, current] = imagesOf(lastUserContent(request.messages));
+  if (!target || !current) return { issues: [], done: true };
+
+  const { similarity } = await compareImages(target, current);
+  return similarity >= 97
+    ? { issues: [], done: true }
+    : { issues: [`Only ${similarity}% of pixels match the target; tighten the color regions`], done: false };
+}
+
+// Split off the "Use this color palette:" section create and edit append
+// (role=#hex pairs, see formatPaletteForPrompt)
+function takePalette(text) {
+  const [before, section] = text.split(/\n\nUse this color palette:\n/);
+  if (!section) return { text, colors: null };
+  const colors = Object.fromEntries([...section.matchAll(/(\w+)=(#[0-9a-f]{6})/gi)].map(([, role, color]) => [role, color]));
+  return { text: before, colors };
+}
+
+function lastUserContent(messages) {
+  return [...messages].reverse().find(m => m.role === 'user')?.content ?? '';
+}
+
+function isRepairTurn(messages) {
+  const content = lastUserContent(messages);
+  return Array.isArray(content) && content.some(c => c.type === 'tool_result');
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  return content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+}
+
+function imagesOf(content) {
+  if (typeof content === 'string') return [];
+  return content.filter(c => c.type === 'image').map(c => Buffer.from(c.source.data, 'base64'));
+}
+
+// JSON from the first ```json fence after a heading
+function parseJsonBlock(text, heading) {
+  const start = text.indexOf(heading);
+  if (start === -1) return null;
+  const match = text.slice(start).match(/```json\s*([\s\S]*?)\s*```/);
+  try {
+    return match ? JSON.parse(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
@@ -1,20 +1,26 @@
-// Image matching - reconstruct a target image with critique loop
-import Anthropic from '@anthropic-ai/sdk';
+// Image matching - reconstruct a target image with a scored critique loop
 import { applyPatches, createEmptyDocument } from '../shared/schema.js';
+import { scaleDocumentPatches } from '../shared/transform.js';
 import { renderToPNG } from './renderer.js';
-import { getImageDimensions, bufferToBase64 } from './diff.js';
-import { validatePatches, generateSchemaDoc } from './validate.js';
+import { getImageDimensions, bufferToBase64, scoreImages } from './diff.js';
+import { generateSchemaDoc } from './validate.js';
+import { applyTransaction, summarizeTransaction, TRANSACTION_MODES } from './transaction.js';
 import { analyzeImage } from './analyze.js';
-
-const client = new Anthropic();
+import { getRecognizer } from './ocr.js';
+import { hexToLab, labDistance } from '../shared/palettes.js';
+import { getProvider } from './ai.js';
 
 const BUILD_SYSTEM_PROMPT = `You are reconstructing a target image using geometric primitives.
 
 You will receive:
-1. COLOR SAMPLES - A grid of exact color values from the target image
-2. TARGET IMAGE - Visual reference
+1. COLOR SAMPLES - The target's dominant colors and a grid of exact color values from it
+2. SHAPES - Primitives measured from the target's flat-colored regions, back to front
+3. TEXT LINES - Text read from the target by OCR, when it has any
+4. TARGET IMAGE - Visual reference
 
 Build the image using the primitives. Match the structure and intent - if you see chevrons with centered labels, create that. Use the color samples for precise positioning.
+Start from the detected shapes: keep their coordinates and colors, merge pieces of one object, drop what is noise and add what they missed (gradients, photos, shapes touching others of the same color).
+Use the text lines for labels: copy their content exactly (fix only obvious OCR slips), put the text element's y on the line's baseline and match its size, weight and color.
 
 ## Response Format
 JSON only, no markdown:
@@ -87,164 +93,255 @@ JSON only:
 - line: x1, y1, x2, y2, stroke, strokeWidth`;
 
 /**
- * Match a target image: build → critique → fix
+ * Read match loop settings from the environment.
+ * - MATCH_MAX_ROUNDS: critique → fix rounds after the build (default 3)
+ * - MATCH_TARGET_SCORE: stop once a render scores this much, 0-100 (default 95)
+ * - MATCH_MIN_IMPROVEMENT: stop when a round gains less than this (default 0.5)
+ * - MATCH_TIME_BUDGET_MS: start no new round after this long (default 120000)
+ */
+export function getMatchConfig(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return {
+    maxRounds: Math.max(0, Math.floor(number(env.MATCH_MAX_ROUNDS, 3))),
+    targetScore: number(env.MATCH_TARGET_SCORE, 95),
+    minImprovement: number(env.MATCH_MIN_IMPROVEMENT, 0.5),
+    timeBudgetMs: number(env.MATCH_TIME_BUDGET_MS, 120_000),
+  };
+}
+
+/**
+ * Most critique → fix rounds a match can afford with `remaining` prompts left
+ * today. Every model call is a prompt: the build, then a critique and a fix
+ * per round, so up to 1 + 2 × maxRounds in all.
+ */
+export function affordableRounds(remaining, maxRounds = getMatchConfig().maxRounds) {
+  return Math.max(0, Math.min(maxRounds, Math.floor((remaining - 1) / 2)));
+}
+
+/**
+ * Match a target image: build, then critique → fix rounds.
+ * Every render is scored against the target (see scoreImages) and streamed
+ * as a 'score' event with its heatmap. The loop stops when the best score
+ * reaches targetScore, a round gains less than minImprovement, the critique
+ * approves, or maxRounds / timeBudgetMs run out; the best-scoring document is
+ * returned, so a round that made things worse is dropped.
+ * options.scale: how much the target PNG was scaled down from the upload (see
+ * image-input.js); the result is scaled back up to the upload's size.
+ * options.recognizer: OCR engine for the target's text (see ocr.js), null to skip it
+ * options.maxRounds, targetScore, minImprovement, timeBudgetMs: override getMatchConfig()
+ * @returns {Object} { document, patches, rounds: [{ round, similarity, structure, score }], bestRound, calls }
  */
 export async function matchImage(targetImageBuffer, options = {}) {
-  const { onProgress = () => {} } = options;
+  const { onProgress = () => {}, provider = getProvider(), scale = 1, recognizer = getRecognizer() } = options;
+  const { maxRounds, targetScore, minImprovement, timeBudgetMs } = { ...getMatchConfig(), ...pickDefined(options, ['maxRounds', 'targetScore', 'minImprovement', 'timeBudgetMs']) };
+  const startedAt = Date.now();
 
   const { width, height } = getImageDimensions(targetImageBuffer);
   let currentDoc = createEmptyDocument({ width, height });
+  let best = null;
+  const rounds = [];
+  let calls = 0;
+
+  // Patch outcomes of the rounds that were kept, reported with the result
+  const patchReport = { mode: TRANSACTION_MODES.BEST_EFFORT, committed: true, applied: 0, dropped: [] };
+  const finish = () => {
+    const document = best?.document || currentDoc;
+    return {
+      document: scale === 1 ? document : applyPatches(document, scaleDocumentPatches(document, scale)),
+      patches: patchReport,
+      rounds,
+      bestRound: best?.round ?? null,
+      calls,
+    };
+  };
+
+  // Render a round's document and score it against the target
+  const scoreRound = async (round, doc) => {
+    let buffer;
+    try {
+      buffer = renderToPNG(doc);
+    } catch (err) {
+      onProgress({ type: 'error', message: `Render failed: ${err.message}` });
+      return null;
+    }
+    onProgress({ type: 'render_update', phase: round === 0 ? 'build' : 'fix', round, image: `data:image/png;base64,${bufferToBase64(buffer)}` });
+
+    const { similarity, structure, score, heatmap } = await scoreImages(targetImageBuffer, buffer);
+    rounds.push({ round, similarity, structure, score });
+    onProgress({
+      type: 'score',
+      round,
+      similarity,
+      structure,
+      score,
+      best: !best || score > best.score,
+      heatmap: `data:image/png;base64,${bufferToBase64(heatmap)}`,
+    });
+    return { document: doc, buffer, round, similarity, structure, score };
+  };
 
   onProgress({ type: 'init', targetWidth: width, targetHeight: height });
 
   // Analyze target
   onProgress({ type: 'analyzing' });
-  const analysis = analyzeImage(targetImageBuffer);
-  onProgress({ type: 'analysis_complete', samples: analysis.samples.length });
+  const analysis = await analyzeImage(targetImageBuffer, { recognizer });
+  onProgress({ type: 'analysis_complete', samples: analysis.samples.length, shapes: analysis.shapes.length, textLines: analysis.text.length });
 
-  const sampleText = formatSamples(analysis.samples, analysis.gridSize);
+  const sampleText = formatSamples(analysis.samples, analysis.palette);
   const targetBase64 = bufferToBase64(targetImageBuffer);
 
-  // === PHASE 1: BUILD ===
-  onProgress({ type: 'phase', phase: 'build', description: 'Building initial version' });
+  // === BUILD ===
+  onProgress({ type: 'phase', phase: 'build', round: 0, description: 'Building initial version' });
 
   const buildContent = [
     { type: 'text', text: `## COLOR SAMPLES (${analysis.gridSize}x${analysis.gridSize} grid)\n\nCanvas: ${width}x${height}px\n\n${sampleText}\n\n---` },
+    ...(analysis.shapes.length > 0 ? [{ type: 'text', text: `## SHAPES (detected)\n\n${formatShapes(analysis.shapes)}\n\n---` }] : []),
+    ...(analysis.text.length > 0 ? [{ type: 'text', text: `## TEXT LINES (OCR)\n\n${formatTextLines(analysis.text)}\n\n---` }] : []),
     { type: 'text', text: 'TARGET IMAGE:' },
     { type: 'image', source: { type: 'base64', media_type: 'image/png', data: targetBase64 } },
     { type: 'text', text: generateSchemaDoc(currentDoc) },
   ];
 
-  const buildStream = await client.messages.stream({
-    model: 'claude-opus-4-5-20251101',
-    max_tokens: 8192,
+  calls++;
+  const buildResponse = await callModel(provider, {
+    task: 'match.build',
+    maxTokens: 8192,
     system: BUILD_SYSTEM_PROMPT,
     messages: [{ role: 'user', content: buildContent }],
-  });
-
-  let dotCount = 0;
-  let thinkingInterval = setInterval(() => {
-    dotCount = (dotCount + 1) % 4;
-    onProgress({ type: 'status', message: 'Building' + '.'.repeat(dotCount + 1) });
-  }, 500);
-
-  const buildResponse = await buildStream.finalMessage();
-  clearInterval(thinkingInterval);
+  }, onProgress, 'Building');
 
   let buildResult = parseResponse(buildResponse);
   if (!buildResult) {
     onProgress({ type: 'error', message: 'Failed to parse build response' });
-    return { document: currentDoc };
+    return finish();
   }
 
-  onProgress({ type: 'ai_response', phase: 'build', thinking: buildResult.thinking, patchCount: buildResult.patches?.length || 0 });
+  onProgress({ type: 'ai_response', phase: 'build', round: 0, thinking: buildResult.thinking, patchCount: buildResult.patches?.length || 0 });
 
   if (buildResult.patches?.length > 0) {
-    currentDoc = applyValidPatches(buildResult.patches, currentDoc, onProgress, 'build');
+    currentDoc = applyValidPatches(buildResult.patches, currentDoc, onProgress, 'build', patchReport);
   }
 
-  // Render after build
-  let currentBuffer;
-  try {
-    currentBuffer = renderToPNG(currentDoc);
-    onProgress({ type: 'render_update', phase: 'build', image: `data:image/png;base64,${bufferToBase64(currentBuffer)}` });
-  } catch (err) {
-    onProgress({ type: 'error', message: `Render failed: ${err.message}` });
-    return { document: currentDoc };
-  }
+  best = await scoreRound(0, currentDoc);
+  if (!best) return finish();
 
-  // === PHASE 2: CRITIQUE ===
-  onProgress({ type: 'phase', phase: 'critique', description: 'Analyzing what needs fixing' });
+  // === CRITIQUE → FIX ROUNDS ===
+  let reason;
+  for (let round = 1; ; round++) {
+    if (best.score >= targetScore) {
+      reason = 'target_reached';
+      break;
+    }
+    if (round > maxRounds) {
+      reason = 'max_rounds';
+      break;
+    }
+    if (Date.now() - startedAt >= timeBudgetMs) {
+      reason = 'time_budget';
+      break;
+    }
 
-  const critiqueContent = [
-    { type: 'text', text: 'TARGET IMAGE (what we want):' },
-    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: targetBase64 } },
-    { type: 'text', text: 'CURRENT IMAGE (what we have):' },
-    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: bufferToBase64(currentBuffer) } },
-    { type: 'text', text: 'What conceptual differences do you see? Focus on structure, not pixels.' },
-  ];
+    onProgress({ type: 'phase', phase: 'critique', round, description: `Round ${round}: analyzing what needs fixing` });
+
+    const critiqueContent = [
+      { type: 'text', text: 'TARGET IMAGE (what we want):' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: targetBase64 } },
+      { type: 'text', text: 'CURRENT IMAGE (what we have):' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: bufferToBase64(best.buffer) } },
+      { type: 'text', text: `Pixel similarity ${best.similarity}%, structure ${best.structure}%.\nWhat conceptual differences do you see? Focus on structure, not pixels.` },
+    ];
+
+    calls++;
+    const critiqueResponse = await callModel(provider, {
+      task: 'match.critique',
+      maxTokens: 2048,
+      system: CRITIQUE_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: critiqueContent }],
+    }, onProgress, 'Analyzing');
+
+    const critiqueResult = parseResponse(critiqueResponse);
+    if (!critiqueResult) {
+      onProgress({ type: 'error', message: 'Failed to parse critique response' });
+      return finish();
+    }
 
-  const critiqueStream = await client.messages.stream({
-    model: 'claude-opus-4-5-20251101',
-    max_tokens: 2048,
-    system: CRITIQUE_SYSTEM_PROMPT,
-    messages: [{ role: 'user', content: critiqueContent }],
-  });
+    onProgress({ type: 'critique', round, issues: critiqueResult.issues || [], done: critiqueResult.done });
 
-  dotCount = 0;
-  thinkingInterval = setInterval(() => {
-    dotCount = (dotCount + 1) % 4;
-    onProgress({ type: 'status', message: 'Analyzing' + '.'.repeat(dotCount + 1) });
-  }, 500);
+    if (critiqueResult.done) {
+      reason = 'critique_approved';
+      break;
+    }
 
-  const critiqueResponse = await critiqueStream.finalMessage();
-  clearInterval(thinkingInterval);
+    onProgress({ type: 'phase', phase: 'fix', round, description: `Round ${round}: fixing identified issues` });
+
+    const fixContent = [
+      { type: 'text', text: 'TARGET IMAGE:' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: targetBase64 } },
+      { type: 'text', text: 'CURRENT IMAGE:' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: bufferToBase64(best.buffer) } },
+      { type: 'text', text: `ISSUES TO FIX:\n${(critiqueResult.issues || []).map((issue, i) => `${i + 1}. ${issue}`).join('\n')}` },
+      { type: 'text', text: `CURRENT DOCUMENT:\n\`\`\`json\n${JSON.stringify(best.document, null, 2)}\n\`\`\`` },
+      { type: 'text', text: generateSchemaDoc(best.document) },
+    ];
+
+    calls++;
+    const fixResponse = await callModel(provider, {
+      task: 'match.fix',
+      maxTokens: 8192,
+      system: FIX_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: fixContent }],
+    }, onProgress, 'Fixing');
+
+    const fixResult = parseResponse(fixResponse);
+    if (!fixResult) {
+      onProgress({ type: 'error', message: 'Failed to parse fix response' });
+      return finish();
+    }
 
-  let critiqueResult = parseResponse(critiqueResponse);
-  if (!critiqueResult) {
-    onProgress({ type: 'error', message: 'Failed to parse critique response' });
-    return { document: currentDoc };
-  }
+    onProgress({ type: 'ai_response', phase: 'fix', round, thinking: fixResult.thinking, patchCount: fixResult.patches?.length || 0 });
 
-  onProgress({ type: 'critique', issues: critiqueResult.issues || [], done: critiqueResult.done });
+    const roundReport = { applied: 0, dropped: [] };
+    currentDoc = fixResult.patches?.length > 0
+      ? applyValidPatches(fixResult.patches, best.document, onProgress, 'fix', roundReport)
+      : best.document;
 
-  // If critique says we're done, return
-  if (critiqueResult.done) {
-    onProgress({ type: 'complete', reason: 'critique_approved' });
-    return { document: currentDoc };
-  }
+    const scored = await scoreRound(round, currentDoc);
+    if (!scored) return finish();
 
-  // === PHASE 3: FIX ===
-  onProgress({ type: 'phase', phase: 'fix', description: 'Fixing identified issues' });
+    const gain = scored.score - best.score;
+    if (gain > 0) {
+      best = scored;
+      patchReport.applied += roundReport.applied;
+      patchReport.dropped.push(...roundReport.dropped.map(d => ({ ...d, round })));
+    }
+    if (gain < minImprovement) {
+      reason = 'stagnated';
+      break;
+    }
+  }
 
-  const fixContent = [
-    { type: 'text', text: 'TARGET IMAGE:' },
-    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: targetBase64 } },
-    { type: 'text', text: 'CURRENT IMAGE:' },
-    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: bufferToBase64(currentBuffer) } },
-    { type: 'text', text: `ISSUES TO FIX:\n${critiqueResult.issues.map((issue, i) => `${i + 1}. ${issue}`).join('\n')}` },
-    { type: 'text', text: `CURRENT DOCUMENT:\n\`\`\`json\n${JSON.stringify(currentDoc, null, 2)}\n\`\`\`` },
-    { type: 'text', text: generateSchemaDoc(currentDoc) },
-  ];
+  onProgress({ type: 'complete', reason, bestRound: best.round, score: best.score });
+  return finish();
+}
 
-  const fixStream = await client.messages.stream({
-    model: 'claude-opus-4-5-20251101',
-    max_tokens: 8192,
-    system: FIX_SYSTEM_PROMPT,
-    messages: [{ role: 'user', content: fixContent }],
-  });
+// The options that are set, to override the configured defaults
+function pickDefined(options, keys) {
+  return Object.fromEntries(keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+}
 
-  dotCount = 0;
-  thinkingInterval = setInterval(() => {
+// Call the model while pulsing a status message
+async function callModel(provider, request, onProgress, label) {
+  let dotCount = 0;
+  const thinkingInterval = setInterval(() => {
     dotCount = (dotCount + 1) % 4;
-    onProgress({ type: 'status', message: 'Fixing' + '.'.repeat(dotCount + 1) });
+    onProgress({ type: 'status', message: label + '.'.repeat(dotCount + 1) });
   }, 500);
 
-  const fixResponse = await fixStream.finalMessage();
-  clearInterval(thinkingInterval);
-
-  let fixResult = parseResponse(fixResponse);
-  if (!fixResult) {
-    onProgress({ type: 'error', message: 'Failed to parse fix response' });
-    return { document: currentDoc };
-  }
-
-  onProgress({ type: 'ai_response', phase: 'fix', thinking: fixResult.thinking, patchCount: fixResult.patches?.length || 0 });
-
-  if (fixResult.patches?.length > 0) {
-    currentDoc = applyValidPatches(fixResult.patches, currentDoc, onProgress, 'fix');
-  }
-
-  // Final render
   try {
-    currentBuffer = renderToPNG(currentDoc);
-    onProgress({ type: 'render_update', phase: 'fix', image: `data:image/png;base64,${bufferToBase64(currentBuffer)}` });
-  } catch (err) {
-    onProgress({ type: 'error', message: `Final render failed: ${err.message}` });
+    return await provider.createMessage(request);
+  } finally {
+    clearInterval(thinkingInterval);
   }
-
-  onProgress({ type: 'complete', reason: 'fix_applied' });
-  return { document: currentDoc };
 }
 
 function parseResponse(response) {
@@ -263,37 +360,53 @@ function parseResponse(response) {
   }
 }
 
-function applyValidPatches(patches, doc, onProgress, phase) {
-  const results = validatePatches(patches, doc);
-  const valid = results.filter(r => r.valid).map(r => r.patch);
-  const invalid = results.filter(r => !r.valid);
+function applyValidPatches(patches, doc, onProgress, phase, report) {
+  const transaction = applyTransaction(doc, patches, { mode: TRANSACTION_MODES.BEST_EFFORT, coerce: true });
+  const rejected = transaction.results.filter(r => r.status === 'rejected');
 
-  for (const r of invalid) {
-    onProgress({ type: 'validation_error', phase, error: r.error });
+  for (const r of rejected) {
+    onProgress({ type: 'validation_error', phase, code: r.code, error: r.error });
   }
 
-  if (valid.length > 0) {
-    doc = applyPatches(doc, valid);
-    onProgress({ type: 'patches_applied', phase, appliedCount: valid.length, invalidCount: invalid.length, elementCount: Object.keys(doc.elements).length });
+  const summary = summarizeTransaction(transaction);
+  report.applied += summary.applied;
+  report.dropped.push(...summary.dropped.map(d => ({ ...d, phase })));
+
+  if (transaction.appliedCount > 0) {
+    doc = transaction.document;
+    onProgress({ type: 'patches_applied', phase, appliedCount: transaction.appliedCount, invalidCount: rejected.length, elementCount: Object.keys(doc.elements).length });
   }
 
   return doc;
 }
 
-function formatSamples(samples, gridSize) {
+// One element per line, ready to add as-is
+function formatShapes(shapes) {
+  return shapes.map(shape => JSON.stringify(shape)).join('\n');
+}
+
+// One line per OCR'd text line: content, box, baseline and style
+function formatTextLines(text) {
+  return text.map(({ content, bbox, baseline, fontSize, fontWeight, color }) => (
+    `${JSON.stringify(content)} box (${bbox.x},${bbox.y}) ${bbox.width}x${bbox.height}, baseline y=${baseline}, ~${fontSize}px ${fontWeight} ${color}`
+  )).join('\n');
+}
+
+// Dominant colors, then the samples outside the background color grouped by color
+function formatSamples(samples, palette) {
   const lines = [];
+  const [background] = palette;
+  lines.push(`Dominant colors: ${palette.map(p => `${p.color} ${Math.round(p.weight * 100)}%`).join(', ')}`);
 
+  const centers = palette.map(p => hexToLab(p.color));
   const notable = samples.filter(s => {
-    const r = parseInt(s.color.slice(1, 3), 16);
-    const g = parseInt(s.color.slice(3, 5), 16);
-    const b = parseInt(s.color.slice(5, 7), 16);
-    if (r > 200 && g > 200 && b > 200) return false;
-    if (r < 30 && g < 30 && b < 30) return false;
-    return true;
+    const lab = hexToLab(s.color);
+    const nearest = centers.reduce((best, c, i) => (labDistance(c, lab) < labDistance(centers[best], lab) ? i : best), 0);
+    return nearest !== 0;
   });
 
   if (notable.length > 0) {
-    lines.push(`Notable colors (${notable.length} samples):`);
+    lines.push(`Notable colors (${notable.length} samples, background ${background.color} left out):`);
     const byColor = {};
     for (const s of notable) {
       if (!byColor[s.color]) byColor[s.color] = [];
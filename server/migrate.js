@@ -0,0 +1,60 @@
+// Batch schema migration: rewrite stored designs and versions at SCHEMA_VERSION
+// Usage: node server/migrate.js [--dry-run]
+import 'dotenv/config';
+import { store, listStoredDocuments, updateStoredDocument } from './db.js';
+import { migrateDocument } from '../shared/migrations.js';
+import { SCHEMA_VERSION } from '../shared/schema.js';
+
+const TABLES = ['designs', 'design_versions'];
+const PAGE_SIZE = 100;
+
+async function migrateTable(table, dryRun) {
+  const stats = { scanned: 0, migrated: 0, failed: 0 };
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const rows = await listStoredDocuments(table, offset, PAGE_SIZE);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      stats.scanned++;
+      try {
+        const result = migrateDocument(row.document);
+        if (!result.migrated) continue;
+
+        if (!dryRun) {
+          await updateStoredDocument(table, row.id, result.document);
+        }
+        stats.migrated++;
+        console.log(`  ${table} ${row.id}: v${result.from} -> v${result.to}`);
+      } catch (err) {
+        stats.failed++;
+        console.error(`  ${table} ${row.id}: ${err.message}`);
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return stats;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`Migrating ${store.name} documents to schema v${SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}\n`);
+
+  let failed = 0;
+  for (const table of TABLES) {
+    console.log(`${table}:`);
+    const stats = await migrateTable(table, dryRun);
+    console.log(`  scanned ${stats.scanned}, ${dryRun ? 'would migrate' : 'migrated'} ${stats.migrated}, failed ${stats.failed}\n`);
+    failed += stats.failed;
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
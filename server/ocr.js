@@ -0,0 +1,126 @@
+// Text recognition (tesseract.js) for image analysis
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+import { createWorker, OEM } from 'tesseract.js';
+
+const DOWNLOAD_TIMEOUT_MS = 60_000;
+
+/**
+ * Read OCR settings from the environment.
+ * - OCR: 'off' disables text recognition
+ * - OCR_LANG: tesseract language(s), e.g. 'eng' or 'eng+deu' (default eng)
+ * - OCR_DATA_DIR: where <lang>.traineddata files live (default ./ocr-data).
+ *   Missing files are downloaded there on first use.
+ * - OCR_LANG_URL: where to download them from (default the tesseract.js CDN)
+ */
+export function getOCRConfig(env = process.env) {
+  return {
+    enabled: env.OCR !== 'off',
+    lang: env.OCR_LANG || 'eng',
+    dataDir: env.OCR_DATA_DIR || join(process.cwd(), 'ocr-data'),
+    langUrl: env.OCR_LANG_URL || null,
+  };
+}
+
+/**
+ * OCR engine. The tesseract worker starts on the first recognize() and is
+ * reused after that. If it can't start (no language data and no network),
+ * recognition is skipped with a warning: analysis still works without text.
+ * recognize(png) resolves to lines of
+ *   { text, confidence, bbox: { x, y, width, height }, baseline, rowHeight }
+ */
+export function createRecognizer(config = getOCRConfig()) {
+  let worker = null;
+
+  const start = () => {
+    worker ??= startWorker(config).catch((err) => {
+      console.warn(`OCR unavailable, analyzing without text: ${err.message}`);
+      return null;
+    });
+    return worker;
+  };
+
+  return {
+    async recognize(image) {
+      if (!config.enabled) return [];
+      const tesseract = await start();
+      if (!tesseract) return [];
+      try {
+        const { data } = await tesseract.recognize(image, {}, { blocks: true, text: false });
+        return toLines(data.blocks || []);
+      } catch (err) {
+        console.warn(`OCR failed: ${err.message || err}`);
+        return [];
+      }
+    },
+
+    async terminate() {
+      const tesseract = await worker;
+      worker = null;
+      await tesseract?.terminate();
+    },
+  };
+}
+
+let defaultRecognizer = null;
+
+// Recognizer shared by the server, configured from the environment
+export function getRecognizer() {
+  defaultRecognizer ??= createRecognizer();
+  return defaultRecognizer;
+}
+
+async function startWorker({ lang, dataDir, langUrl }) {
+  for (const code of lang.split('+')) {
+    await ensureLanguageData(code, dataDir, langUrl);
+  }
+
+  // tesseract.js reports load errors to errorHandler without rejecting, so
+  // surface them here instead of waiting forever
+  return new Promise((resolve, reject) => {
+    createWorker(lang, OEM.LSTM_ONLY, {
+      langPath: dataDir,
+      cachePath: dataDir,
+      gzip: false,
+      logger: () => {},
+      errorHandler: (err) => reject(new Error(String(err))),
+    }).then(resolve, reject);
+  });
+}
+
+// Download <code>.traineddata into dataDir unless it's already there
+async function ensureLanguageData(code, dataDir, langUrl) {
+  const file = join(dataDir, `${code}.traineddata`);
+  if (existsSync(file)) return;
+
+  const base = langUrl || `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${code}/4.0.0_best_int`;
+  const url = `${base.replace(/\/$/, '')}/${code}.traineddata.gz`;
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  } catch (err) {
+    throw new Error(`Could not download ${url}: ${err.cause?.message || err.message}`);
+  }
+  if (!response.ok) throw new Error(`Could not download ${url} (${response.status})`);
+
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(file, gunzipSync(Buffer.from(await response.arrayBuffer())));
+}
+
+// Tesseract's block → paragraph → line tree, flattened to lines
+function toLines(blocks) {
+  const box = ({ x0, y0, x1, y1 }) => ({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+
+  return blocks
+    .flatMap(block => block.paragraphs || [])
+    .flatMap(paragraph => paragraph.lines || [])
+    .map(line => ({
+      text: (line.text || '').trim(),
+      confidence: line.confidence,
+      bbox: box(line.bbox),
+      // Baseline y halfway along the line (it can slope slightly)
+      baseline: line.baseline ? (line.baseline.y0 + line.baseline.y1) / 2 : line.bbox.y1,
+      rowHeight: line.rowAttributes?.rowHeight || 0,
+    }));
+}
@@ -0,0 +1,220 @@
+// Palette extraction: an image's dominant colors, and a custom palette built from them
+import { PNG } from 'pngjs';
+import { PALETTES, PALETTE_NAMES, findNearestPaletteColor, hexToLab, labDistance } from '../shared/palettes.js';
+
+export const DEFAULT_PALETTE_SIZE = 6;
+export const MAX_PALETTE_SIZE = 12;
+const MAX_ITERATIONS = 20;
+// Clusters closer than this (CIE76) are one color
+const MERGE_DISTANCE = 10;
+// Clusters covering less of the image than this are noise
+const MIN_WEIGHT = 0.005;
+// WCAG contrast ratio for body text
+const MIN_TEXT_CONTRAST = 4.5;
+
+/**
+ * Custom palette from a PNG (see image-input.js for other formats)
+ * @returns {Object} { palette, colors: extractPalette() output, closest: curated palette name }
+ */
+export function paletteFromImage(imageBuffer, options = {}) {
+  const colors = extractPalette(PNG.sync.read(imageBuffer), options);
+  return { ...buildPalette(colors), colors };
+}
+
+/**
+ * Dominant colors of a decoded image by k-means in L*a*b*. Pixels are binned
+ * at 5 bits per channel first, so clustering runs over at most 32768 weighted
+ * points whatever the image size, and seeding is deterministic (each seed is
+ * the bin farthest from the others, weighted by its pixels).
+ * @param {Object} png - { width, height, data } as decoded by pngjs
+ * @param {Object} options - { count: most colors returned (default 6, max 12) }
+ * @returns {Object[]} [{ color, weight: share of pixels 0-1, nearest: see findNearestPaletteColor }],
+ *   heaviest first. A cluster's color is its most common exact color.
+ */
+export function extractPalette(png, options = {}) {
+  const count = Math.max(1, Math.min(MAX_PALETTE_SIZE, Math.round(options.count) || DEFAULT_PALETTE_SIZE));
+  const bins = binPixels(png);
+  const total = bins.reduce((sum, b) => sum + b.count, 0);
+
+  let centers = seedCenters(bins, count);
+  let assignment = new Int32Array(bins.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    bins.forEach((bin, i) => {
+      const nearest = nearestCenter(centers, bin.lab);
+      if (nearest !== assignment[i]) {
+        assignment[i] = nearest;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+    centers = centers.map((center, c) => meanLab(bins.filter((_, i) => assignment[i] === c)) || center);
+  }
+
+  let clusters = centers.map((_, c) => {
+    const members = bins.filter((_, i) => assignment[i] === c);
+    const weight = members.reduce((sum, b) => sum + b.count, 0);
+    const representative = members.reduce((best, b) => (!best || b.count > best.count ? b : best), null);
+    return { members, weight, representative };
+  }).filter(c => c.weight > 0);
+
+  // Merge clusters that ended up as one color
+  clusters.sort((a, b) => b.weight - a.weight);
+  const merged = [];
+  for (const cluster of clusters) {
+    const into = merged.find(m => labDistance(m.representative.lab, cluster.representative.lab) < MERGE_DISTANCE);
+    if (into) into.weight += cluster.weight;
+    else merged.push(cluster);
+  }
+  clusters = merged.filter(c => c.weight / total >= MIN_WEIGHT);
+
+  return clusters
+    .sort((a, b) => b.weight - a.weight || a.representative.hex.localeCompare(b.representative.hex))
+    .map(({ weight, representative }) => ({
+      color: representative.hex,
+      weight: Math.round(weight / total * 1000) / 1000,
+      nearest: findNearestPaletteColor(representative.hex),
+    }));
+}
+
+/**
+ * A palette with every role (see PALETTE_ROLES) from extracted colors: the
+ * heaviest color is the background, the one that reads best on it the text,
+ * the most colorful of the rest primary, secondary and accent. Tints are
+ * mixed from those; status colors come from the closest curated palette.
+ * @param {Object[]} colors - extractPalette() output
+ * @returns {Object} { palette, closest: name of the closest curated palette }
+ */
+export function buildPalette(colors, options = {}) {
+  const { name = 'From image' } = options;
+  const closest = closestPalette(colors);
+  const base = PALETTES[closest];
+
+  const background = colors[0]?.color || base.background;
+  const rest = colors.slice(1).map(c => c.color);
+
+  let text = rest.reduce((best, c) => (!best || contrast(c, background) > contrast(best, background) ? c : best), null);
+  if (!text || contrast(text, background) < MIN_TEXT_CONTRAST) {
+    text = contrast('#ffffff', background) > contrast('#111827', background) ? '#ffffff' : '#111827';
+  }
+
+  // Colorful and common first; grays only when there's nothing else
+  const weightOf = (c) => colors.find(x => x.color === c).weight;
+  const brand = rest
+    .filter(c => c !== text)
+    .sort((a, b) => weightOf(b) * (chroma(b) + 1) - weightOf(a) * (chroma(a) + 1));
+  const [primary = base.primary, secondary = base.secondary, accent = base.accent] = brand;
+
+  const palette = {
+    name,
+    primary,
+    primaryLight: mix(primary, '#ffffff', 0.2),
+    primaryDark: mix(primary, '#000000', 0.15),
+    secondary,
+    accent,
+    background,
+    surface: mix(background, text, 0.04),
+    border: mix(background, text, 0.15),
+    text,
+    textMuted: mix(text, background, 0.4),
+    textInverse: contrast(background, primary) >= contrast(text, primary) ? background : text,
+    success: base.success,
+    warning: base.warning,
+    error: base.error,
+    info: base.info,
+  };
+  return { palette, closest };
+}
+
+// Curated palette the extracted colors land nearest to, by weight
+function closestPalette(colors) {
+  const votes = new Map();
+  for (const { weight, nearest } of colors) {
+    votes.set(nearest.palette, (votes.get(nearest.palette) || 0) + weight);
+  }
+  return [...votes.entries()].sort((a, b) => b[1] - a[1] || PALETTE_NAMES.indexOf(a[0]) - PALETTE_NAMES.indexOf(b[0]))[0]?.[0] || 'modern';
+}
+
+// Non-empty 5-bit bins with their pixel count, exact mean color and L*a*b*
+function binPixels(png) {
+  const { data } = png;
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (let i = 0; i < data.length; i += 4) {
+    const b = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    counts[b]++;
+    sums[b * 3] += data[i];
+    sums[b * 3 + 1] += data[i + 1];
+    sums[b * 3 + 2] += data[i + 2];
+  }
+
+  const bins = [];
+  for (let b = 0; b < counts.length; b++) {
+    if (counts[b] === 0) continue;
+    const hex = toHex(...[0, 1, 2].map(k => Math.round(sums[b * 3 + k] / counts[b])));
+    bins.push({ count: counts[b], hex, lab: hexToLab(hex) });
+  }
+  return bins;
+}
+
+// k-means++ seeding without the randomness
+function seedCenters(bins, count) {
+  const centers = [bins.reduce((best, b) => (b.count > best.count ? b : best)).lab];
+  const distances = bins.map(b => labDistance(b.lab, centers[0]) ** 2);
+  while (centers.length < Math.min(count, bins.length)) {
+    let next = 0;
+    for (let i = 1; i < bins.length; i++) {
+      if (bins[i].count * distances[i] > bins[next].count * distances[next]) next = i;
+    }
+    if (distances[next] === 0) break;
+    centers.push(bins[next].lab);
+    bins.forEach((b, i) => {
+      distances[i] = Math.min(distances[i], labDistance(b.lab, bins[next].lab) ** 2);
+    });
+  }
+  return centers;
+}
+
+function nearestCenter(centers, lab) {
+  let best = 0;
+  for (let c = 1; c < centers.length; c++) {
+    if (labDistance(centers[c], lab) < labDistance(centers[best], lab)) best = c;
+  }
+  return best;
+}
+
+function meanLab(members) {
+  const weight = members.reduce((sum, b) => sum + b.count, 0);
+  if (weight === 0) return null;
+  return [0, 1, 2].map(k => members.reduce((sum, b) => sum + b.lab[k] * b.count, 0) / weight);
+}
+
+function chroma(hex) {
+  const [, a, b] = hexToLab(hex);
+  return Math.hypot(a, b);
+}
+
+// WCAG 2 contrast ratio (1-21)
+function contrast(a, b) {
+  const [la, lb] = [a, b].map(luminance);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// a moved toward b by amount (0-1), in sRGB
+function mix(a, b, amount) {
+  const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [ca, cb] = [channels(a), channels(b)];
+  return toHex(...ca.map((v, k) => Math.round(v + (cb[k] - v) * amount)));
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
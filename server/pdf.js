@@ -0,0 +1,722 @@
+// Server-side JSON Document → vector PDF writer. Shapes become PDF path
+// operators, gradients become shadings and text is set in the standard
+// fonts, or in TrueType fonts embedded from FONTS_DIR.
+import { deflateSync } from 'zlib';
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { PNG } from 'pngjs';
+import { getIconPath } from '../shared/icons.js';
+import { getRootIds } from '../shared/schema.js';
+import { CSS_NAMED_COLORS } from '../shared/sanitize.js';
+import { getRotationCenter } from '../shared/transform.js';
+import { parsePathData, getSegmentsBounds } from './svg-path.js';
+import { findFontFile, getFontsDir, isGenericFamily, parseFontStack, readFontMetrics } from './fonts.js';
+
+const PX_TO_PT = 0.75; // CSS px are 1/96in, PDF points 1/72in
+const MM_TO_PT = 72 / 25.4;
+const KAPPA = 0.5522847498; // Bezier handle length of a quarter circle
+const CROP_MARK_GAP = 3; // pt between the bleed edge and a crop mark
+const CROP_MARK_LENGTH = 12;
+export const MAX_BLEED_MM = 20;
+
+// Advance widths (1/1000 em) of ASCII 32-126 in the standard Helvetica fonts
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const STANDARD_FONTS = {
+  Helvetica: code => HELVETICA_WIDTHS[code - 32] || 556,
+  'Helvetica-Bold': code => HELVETICA_BOLD_WIDTHS[code - 32] || 556,
+  Courier: () => 600,
+  'Courier-Bold': () => 600,
+};
+
+// WinAnsiEncoding codes 128-159 that differ from Latin-1 (code → code point)
+const WIN_ANSI_EXTRAS = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152,
+  0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a,
+  0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178,
+};
+const WIN_ANSI_BY_CODE_POINT = new Map(
+  Object.entries(WIN_ANSI_EXTRAS).map(([code, codePoint]) => [codePoint, Number(code)])
+);
+
+/**
+ * Render documents to a PDF, one page per document. Pages are sized to each
+ * canvas (1px = 0.75pt) and keep every shape, path and text run as vectors.
+ * Shadow, blur and glow effects are left out; they have no PDF equivalent.
+ * options: {
+ *   title: document title metadata,
+ *   bleed: mm the background extends past the trim edge (0-20),
+ *   cropMarks: draw crop marks outside the bleed,
+ *   fontsDir: where to look for TrueType fonts (see fonts.js),
+ * }
+ * @returns {Buffer}
+ */
+export function renderToPDF(docs, options = {}) {
+  const { title, cropMarks = false, fontsDir = getFontsDir() } = options;
+  const bleed = Math.min(Math.max(Number(options.bleed) || 0, 0), MAX_BLEED_MM) * MM_TO_PT;
+
+  const pdf = createObjectTable();
+  const resources = createResources(pdf, fontsDir);
+  const catalogRef = pdf.reserve();
+  const pagesRef = pdf.reserve();
+  const resourcesRef = pdf.reserve();
+  const pageRefs = [];
+
+  for (const doc of [].concat(docs)) {
+    const { width, height } = doc.canvas;
+    const trimWidth = width * PX_TO_PT;
+    const trimHeight = height * PX_TO_PT;
+    // Space around the trim box: the bleed, plus room for the marks
+    const margin = bleed + (cropMarks ? CROP_MARK_GAP + CROP_MARK_LENGTH + CROP_MARK_GAP : 0);
+    const box = (outset) => `[${[
+      margin - outset, margin - outset, margin + trimWidth + outset, margin + trimHeight + outset,
+    ].map(num).join(' ')}]`;
+
+    const ops = [];
+    // Clip to the bleed box and switch to the canvas's y-down pixel space
+    ops.push('q', `${num(margin - bleed)} ${num(margin - bleed)} ${num(trimWidth + 2 * bleed)} ${num(trimHeight + 2 * bleed)} re W n`);
+    ops.push(`${num(PX_TO_PT)} 0 0 ${num(-PX_TO_PT)} ${num(margin)} ${num(margin + trimHeight)} cm`);
+
+    // The background runs into the bleed so trimming never leaves a white edge
+    const bleedPx = bleed / PX_TO_PT;
+    const background = parseColor(doc.canvas.background || '#ffffff');
+    if (background) {
+      ops.push('q', ...paintState(resources, background, null, 1));
+      ops.push(`${num(-bleedPx)} ${num(-bleedPx)} ${num(width + 2 * bleedPx)} ${num(height + 2 * bleedPx)} re f`, 'Q');
+    }
+
+    for (const id of getRootIds(doc)) {
+      drawElement(ops, id, doc, resources, 1, new Set());
+    }
+    ops.push('Q');
+
+    if (cropMarks) {
+      ops.push(...drawCropMarks(margin, trimWidth, trimHeight, bleed));
+    }
+
+    const contentRef = pdf.add(pdf.stream('', Buffer.from(ops.join('\n'), 'latin1')));
+    pageRefs.push(pdf.add(
+      `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox ${box(margin)} ` +
+      `/BleedBox ${box(bleed)} /TrimBox ${box(0)} /Resources ${resourcesRef} 0 R /Contents ${contentRef} 0 R >>`
+    ));
+  }
+
+  resources.write(resourcesRef);
+  pdf.set(pagesRef, `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+  pdf.set(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+
+  const info = [`/Producer ${pdfText('AI Drawer')}`, `/CreationDate ${pdfText(pdfDate(new Date()))}`];
+  if (title) info.unshift(`/Title ${pdfText(title)}`);
+  const infoRef = pdf.add(`<< ${info.join(' ')} >>`);
+
+  return pdf.toBuffer(catalogRef, infoRef);
+}
+
+// Numbered objects written out with a cross-reference table
+function createObjectTable() {
+  const objects = [];
+
+  return {
+    reserve() {
+      objects.push(null);
+      return objects.length;
+    },
+
+    set(ref, body) {
+      objects[ref - 1] = body;
+    },
+
+    add(body) {
+      objects.push(body);
+      return objects.length;
+    },
+
+    // Flate-compressed stream object; data that's already compressed (JPEG) is left alone
+    stream(dict, data, { compress = true } = {}) {
+      const body = compress ? deflateSync(data) : data;
+      const filter = compress ? ' /Filter /FlateDecode' : '';
+      return Buffer.concat([
+        Buffer.from(`<< ${dict ? `${dict} ` : ''}/Length ${body.length}${filter} >>\nstream\n`, 'latin1'),
+        body,
+        Buffer.from('\nendstream', 'latin1'),
+      ]);
+    },
+
+    toBuffer(rootRef, infoRef) {
+      // The comment's high bytes mark the file as binary for transfer tools
+      const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let length = chunks[0].length;
+
+      objects.forEach((body, index) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+          Buffer.isBuffer(body) ? body : Buffer.from(body ?? 'null', 'latin1'),
+          Buffer.from('\nendobj\n', 'latin1'),
+        ]);
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${rootRef} 0 R /Info ${infoRef} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        '',
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+
+      return Buffer.concat(chunks);
+    },
+  };
+}
+
+/**
+ * Fonts, transparency states, gradients and images used by the pages. They
+ * share one resource dictionary, so each is written once however many
+ * elements and pages use it.
+ */
+function createResources(pdf, fontsDir) {
+  const fonts = new Map(); // standard font name or file path → { name, ref, width }
+  const states = new Map(); // "fill/stroke" alpha → name
+  const shadings = new Map(); // gradient key → { name, ref }
+  const images = new Map(); // href → { name, ref, width, height } or null
+
+  function addFont(key, create) {
+    if (!fonts.has(key)) {
+      const font = create();
+      fonts.set(key, font && { name: `F${fonts.size + 1}`, ...font });
+    }
+    return fonts.get(key);
+  }
+
+  function standardFont(baseFont) {
+    return addFont(baseFont, () => ({
+      ref: pdf.add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`),
+      width: STANDARD_FONTS[baseFont],
+    }));
+  }
+
+  return {
+    // The first family in the element's stack we can embed, else a standard font
+    font(element) {
+      const bold = isBold(element.fontWeight);
+      for (const family of parseFontStack(element.fontFamily || 'system-ui, sans-serif')) {
+        if (isGenericFamily(family)) {
+          const mono = /monospace/i.test(family);
+          return standardFont(`${mono ? 'Courier' : 'Helvetica'}${bold ? '-Bold' : ''}`);
+        }
+        const path = findFontFile(family, bold ? 700 : 400, fontsDir);
+        const font = path && addFont(path, () => embedTrueType(pdf, path));
+        if (font) return font;
+      }
+      return standardFont(bold ? 'Helvetica-Bold' : 'Helvetica');
+    },
+
+    // ExtGState name for fill and stroke opacity
+    alpha(fill, stroke) {
+      const key = `${num(fill)}/${num(stroke)}`;
+      if (!states.has(key)) states.set(key, `GS${states.size + 1}`);
+      return states.get(key);
+    },
+
+    // Shading name for a gradient, mapped onto the unit square
+    shading(gradient) {
+      const spec = buildShading(gradient);
+      if (!spec) return null;
+      if (!shadings.has(spec)) {
+        shadings.set(spec, { name: `Sh${shadings.size + 1}`, ref: pdf.add(spec) });
+      }
+      return shadings.get(spec).name;
+    },
+
+    // Image XObject for a data: URL (PNG or JPEG), or null if it can't be used
+    image(href) {
+      if (!images.has(href)) {
+        const image = embedImage(pdf, href);
+        images.set(href, image && { name: `Im${images.size + 1}`, ...image });
+      }
+      return images.get(href);
+    },
+
+    write(ref) {
+      const dict = (map, toEntry) => {
+        const entries = [...map].filter(([, value]) => value).map(toEntry);
+        return entries.length > 0 ? `<< ${entries.join(' ')} >>` : null;
+      };
+      const categories = {
+        Font: dict(fonts, ([, font]) => `/${font.name} ${font.ref} 0 R`),
+        ExtGState: dict(states, ([key, name]) => {
+          const [fill, stroke] = key.split('/');
+          return `/${name} << /Type /ExtGState /ca ${fill} /CA ${stroke} >>`;
+        }),
+        Shading: dict(shadings, ([, shading]) => `/${shading.name} ${shading.ref} 0 R`),
+        XObject: dict(images, ([, image]) => `/${image.name} ${image.ref} 0 R`),
+      };
+      const entries = Object.entries(categories).filter(([, value]) => value);
+      pdf.set(ref, `<< ${entries.map(([category, value]) => `/${category} ${value}`).join(' ')} >>`);
+    },
+  };
+}
+
+function drawElement(ops, id, doc, resources, parentOpacity, ancestors) {
+  const element = doc.elements[id];
+  // Like the SVG renderer, skip missing elements and group cycles
+  if (!element || ancestors.has(id)) return;
+
+  const opacity = parentOpacity * (element.opacity !== undefined ? element.opacity : 1);
+  ops.push('q');
+
+  if (element.type === 'group') {
+    if (element.x || element.y) ops.push(`1 0 0 1 ${num(element.x || 0)} ${num(element.y || 0)} cm`);
+    if (element.rotation) ops.push(rotateAbout(element.rotation, getRotationCenter(doc, id)));
+    const inside = new Set([...ancestors, id]);
+    for (const childId of element.children || []) {
+      drawElement(ops, childId, doc, resources, opacity, inside);
+    }
+  } else {
+    if (element.rotation) ops.push(rotateAbout(element.rotation, getRotationCenter(doc, id)));
+    drawShape(ops, element, resources, opacity);
+  }
+
+  ops.push('Q');
+}
+
+function drawShape(ops, element, resources, opacity) {
+  switch (element.type) {
+    case 'rect': {
+      const { x = 0, y = 0, width = 0, height = 0 } = element;
+      const path = roundedRect(x, y, width, height, element.cornerRadius || 0);
+      paintPath(ops, path, { x, y, width, height }, element, resources, opacity);
+      break;
+    }
+
+    case 'ellipse': {
+      const { cx = 0, cy = 0, rx = 0, ry = 0 } = element;
+      const bounds = { x: cx - rx, y: cy - ry, width: 2 * rx, height: 2 * ry };
+      paintPath(ops, ellipse(cx, cy, rx, ry), bounds, element, resources, opacity);
+      break;
+    }
+
+    case 'line': {
+      const { x1 = 0, y1 = 0, x2 = 0, y2 = 0 } = element;
+      const path = `${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l`;
+      // Lines have no interior, so only the stroke is drawn
+      paintPath(ops, path, null, { ...element, fill: undefined }, resources, opacity);
+      break;
+    }
+
+    case 'path': {
+      const segments = parsePathData(element.d);
+      const bounds = getSegmentsBounds(segments);
+      if (bounds) paintPath(ops, segmentsToOps(segments), bounds, element, resources, opacity);
+      break;
+    }
+
+    case 'text':
+      drawText(ops, element, resources, opacity);
+      break;
+
+    case 'image':
+      drawImage(ops, element, resources, opacity);
+      break;
+
+    case 'icon': {
+      const iconPath = getIconPath(element.name);
+      if (!iconPath) break;
+      const scale = (element.size || 24) / 24;
+      const color = parseColor(element.color || '#000000');
+      if (!color) break;
+      ops.push(`${num(scale)} 0 0 ${num(scale)} ${num(element.x || 0)} ${num(element.y || 0)} cm`);
+      ops.push(...paintState(resources, null, color, opacity), '2 w 1 J 1 j');
+      ops.push(`${segmentsToOps(parsePathData(iconPath))} S`);
+      break;
+    }
+  }
+}
+
+/**
+ * Fill and stroke a path the way SVG does: solid colors fill directly,
+ * gradients fill a clip of the path (a second copy is needed for the stroke).
+ */
+function paintPath(ops, path, bounds, element, resources, opacity) {
+  const gradient = element.fill && typeof element.fill === 'object' ? element.fill : null;
+  const fill = typeof element.fill === 'string' ? parseColor(element.fill) : null;
+  const stroke = element.stroke ? parseColor(element.stroke) : null;
+  const strokeWidth = element.strokeWidth || 1;
+
+  if (gradient && bounds && bounds.width > 0 && bounds.height > 0) {
+    const shading = resources.shading(gradient);
+    if (shading) {
+      ops.push('q');
+      if (opacity < 1) ops.push(`/${resources.alpha(opacity, opacity)} gs`);
+      ops.push(`${path} W n`);
+      ops.push(`${num(bounds.width)} 0 0 ${num(bounds.height)} ${num(bounds.x)} ${num(bounds.y)} cm`);
+      ops.push(`/${shading} sh`, 'Q');
+    }
+  }
+
+  if (!fill && !stroke) return;
+  ops.push(...paintState(resources, fill, stroke, opacity));
+  if (stroke) ops.push(`${num(strokeWidth)} w`);
+  ops.push(`${path} ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+}
+
+function drawText(ops, element, resources, opacity) {
+  const content = collapseWhitespace(element.content || '');
+  if (!content) return;
+
+  // Text without a fill is black, as in SVG; gradients use their first stop
+  const fillValue = typeof element.fill === 'object' && element.fill
+    ? element.fill.stops?.[0]?.color
+    : element.fill;
+  const fill = fillValue ? parseColor(fillValue) : parseColor('#000000');
+  if (!fill) return;
+
+  const font = resources.font(element);
+  const size = element.fontSize || 16;
+  const codes = encodeWinAnsi(content);
+  const width = codes.reduce((sum, code) => sum + font.width(code), 0) / 1000 * size;
+  const shift = element.textAnchor === 'middle' ? width / 2 : element.textAnchor === 'end' ? width : 0;
+  const hex = codes.map(code => code.toString(16).padStart(2, '0')).join('');
+
+  ops.push(...paintState(resources, fill, null, opacity));
+  // The text matrix flips y back so glyphs stand upright in y-down space
+  ops.push(`BT /${font.name} ${num(size)} Tf 1 0 0 -1 ${num((element.x || 0) - shift)} ${num(element.y || 0)} Tm <${hex}> Tj ET`);
+}
+
+function drawImage(ops, element, resources, opacity) {
+  const image = element.href ? resources.image(element.href) : null;
+  const { x = 0, y = 0, width = 0, height = 0 } = element;
+  if (!image || !width || !height) return;
+
+  // preserveAspectRatio="xMidYMid meet", SVG's default
+  const scale = Math.min(width / image.width, height / image.height);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  const left = x + (width - w) / 2;
+  const top = y + (height - h) / 2;
+
+  if (opacity < 1) ops.push(`/${resources.alpha(opacity, opacity)} gs`);
+  ops.push(`${num(w)} 0 0 ${num(-h)} ${num(left)} ${num(top + h)} cm /${image.name} Do`);
+}
+
+// Color and opacity operators for a fill and/or stroke
+function paintState(resources, fill, stroke, opacity) {
+  const ops = [];
+  if (fill) ops.push(`${fill.rgb.map(num).join(' ')} rg`);
+  if (stroke) ops.push(`${stroke.rgb.map(num).join(' ')} RG`);
+  const fillAlpha = opacity * (fill ? fill.alpha : 1);
+  const strokeAlpha = opacity * (stroke ? stroke.alpha : 1);
+  if (fillAlpha < 1 || strokeAlpha < 1) ops.push(`/${resources.alpha(fillAlpha, strokeAlpha)} gs`);
+  return ops;
+}
+
+function drawCropMarks(margin, trimWidth, trimHeight, bleed) {
+  const ops = ['q', '0 G 0.25 w'];
+  const near = bleed + CROP_MARK_GAP;
+  const far = near + CROP_MARK_LENGTH;
+
+  for (const x of [margin, margin + trimWidth]) {
+    for (const y of [margin, margin + trimHeight]) {
+      // Outward direction from this corner
+      const dx = x === margin ? -1 : 1;
+      const dy = y === margin ? -1 : 1;
+      ops.push(`${num(x + dx * near)} ${num(y)} m ${num(x + dx * far)} ${num(y)} l S`);
+      ops.push(`${num(x)} ${num(y + dy * near)} m ${num(x)} ${num(y + dy * far)} l S`);
+    }
+  }
+
+  ops.push('Q');
+  return ops;
+}
+
+// SVG rotate(angle cx cy), which in y-down space turns clockwise
+function rotateAbout(degrees, center) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const { x, y } = center || { x: 0, y: 0 };
+  const e = x - cos * x + sin * y;
+  const f = y - sin * x - cos * y;
+  return `${[cos, sin, -sin, cos, e, f].map(num).join(' ')} cm`;
+}
+
+function roundedRect(x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  if (r <= 0) return `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`;
+
+  const k = r * (1 - KAPPA);
+  const right = x + width;
+  const bottom = y + height;
+  return [
+    `${num(x + r)} ${num(y)} m`,
+    `${num(right - r)} ${num(y)} l`,
+    `${num(right - k)} ${num(y)} ${num(right)} ${num(y + k)} ${num(right)} ${num(y + r)} c`,
+    `${num(right)} ${num(bottom - r)} l`,
+    `${num(right)} ${num(bottom - k)} ${num(right - k)} ${num(bottom)} ${num(right - r)} ${num(bottom)} c`,
+    `${num(x + r)} ${num(bottom)} l`,
+    `${num(x + k)} ${num(bottom)} ${num(x)} ${num(bottom - k)} ${num(x)} ${num(bottom - r)} c`,
+    `${num(x)} ${num(y + r)} l`,
+    `${num(x)} ${num(y + k)} ${num(x + k)} ${num(y)} ${num(x + r)} ${num(y)} c`,
+    'h',
+  ].join(' ');
+}
+
+function ellipse(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    `${num(cx + rx)} ${num(cy)} m`,
+    `${num(cx + rx)} ${num(cy + ky)} ${num(cx + kx)} ${num(cy + ry)} ${num(cx)} ${num(cy + ry)} c`,
+    `${num(cx - kx)} ${num(cy + ry)} ${num(cx - rx)} ${num(cy + ky)} ${num(cx - rx)} ${num(cy)} c`,
+    `${num(cx - rx)} ${num(cy - ky)} ${num(cx - kx)} ${num(cy - ry)} ${num(cx)} ${num(cy - ry)} c`,
+    `${num(cx + kx)} ${num(cy - ry)} ${num(cx + rx)} ${num(cy - ky)} ${num(cx + rx)} ${num(cy)} c`,
+    'h',
+  ].join(' ');
+}
+
+function segmentsToOps(segments) {
+  return segments.map(([command, ...coords]) => {
+    const args = coords.map(num).join(' ');
+    switch (command) {
+      case 'M': return `${args} m`;
+      case 'L': return `${args} l`;
+      case 'C': return `${args} c`;
+      default: return 'h';
+    }
+  }).join(' ');
+}
+
+/**
+ * Shading dictionary for a gradient over the unit square, matching the SVG
+ * renderer's objectBoundingBox gradients. Stop opacity isn't carried over.
+ */
+function buildShading(gradient) {
+  const stops = (gradient.stops || [])
+    .map(stop => ({ offset: Math.min(Math.max(Number(stop.offset) || 0, 0), 1), color: parseColor(stop.color) }))
+    .filter(stop => stop.color)
+    .sort((a, b) => a.offset - b.offset);
+  if (stops.length === 0) return null;
+
+  // Pad so the function covers 0-1, as SVG repeats the end colors
+  if (stops[0].offset > 0) stops.unshift({ ...stops[0], offset: 0 });
+  if (stops[stops.length - 1].offset < 1) stops.push({ ...stops[stops.length - 1], offset: 1 });
+
+  const interpolate = (a, b) => (
+    `<< /FunctionType 2 /Domain [0 1] /C0 [${a.color.rgb.map(num).join(' ')}] /C1 [${b.color.rgb.map(num).join(' ')}] /N 1 >>`
+  );
+  const functions = stops.slice(1).map((stop, i) => interpolate(stops[i], stop));
+  const fn = functions.length === 1
+    ? functions[0]
+    : `<< /FunctionType 3 /Domain [0 1] /Functions [${functions.join(' ')}] ` +
+      `/Bounds [${stops.slice(1, -1).map(stop => num(stop.offset)).join(' ')}] ` +
+      `/Encode [${functions.map(() => '0 1').join(' ')}] >>`;
+
+  if (gradient.type === 'radial') {
+    return `<< /ShadingType 3 /ColorSpace /DeviceRGB /Coords [0.5 0.5 0 0.5 0.5 0.5] /Function ${fn} /Extend [true true] >>`;
+  }
+
+  // Same angle → endpoints conversion as the SVG renderer
+  const rad = ((gradient.angle || 0) - 90) * Math.PI / 180;
+  const coords = [
+    0.5 - Math.cos(rad) / 2, 0.5 - Math.sin(rad) / 2,
+    0.5 + Math.cos(rad) / 2, 0.5 + Math.sin(rad) / 2,
+  ];
+  return `<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords [${coords.map(num).join(' ')}] /Function ${fn} /Extend [true true] >>`;
+}
+
+/**
+ * Embed a TrueType font file as a simple WinAnsi-encoded font. Fonts with
+ * CFF outlines (most .otf files) return null and fall back to a standard font.
+ */
+function embedTrueType(pdf, path) {
+  const data = readFileSync(path);
+  const metrics = readFontMetrics(data);
+  if (!metrics || metrics.outlines !== 'truetype') return null;
+
+  const scale = 1000 / metrics.unitsPerEm;
+  const widths = [];
+  for (let code = 32; code <= 255; code++) {
+    widths.push(Math.round(metrics.advanceWidth(WIN_ANSI_EXTRAS[code] || code) * scale));
+  }
+
+  const baseFont = basename(path, extname(path)).replace(/[^A-Za-z0-9-]/g, '') || 'Font';
+  const fileRef = pdf.add(pdf.stream(`/Length1 ${data.length}`, data));
+  const descriptorRef = pdf.add(
+    `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 32 ` +
+    `/FontBBox [${metrics.bbox.map(v => Math.round(v * scale)).join(' ')}] ` +
+    `/ItalicAngle ${num(metrics.italicAngle)} /Ascent ${Math.round(metrics.ascent * scale)} ` +
+    `/Descent ${Math.round(metrics.descent * scale)} /CapHeight ${Math.round(metrics.capHeight * scale)} ` +
+    `/StemV 80 /FontFile2 ${fileRef} 0 R >>`
+  );
+  const ref = pdf.add(
+    `<< /Type /Font /Subtype /TrueType /BaseFont /${baseFont} /FirstChar 32 /LastChar 255 ` +
+    `/Widths [${widths.join(' ')}] /FontDescriptor ${descriptorRef} 0 R /Encoding /WinAnsiEncoding >>`
+  );
+
+  return { ref, width: code => widths[code - 32] || 0 };
+}
+
+function isBold(fontWeight) {
+  return fontWeight === 'bold' || fontWeight === 'bolder' || Number(fontWeight) >= 600;
+}
+
+// SVG's default xml:space handling: drop newlines, tabs become spaces, trim and collapse
+function collapseWhitespace(text) {
+  return text.replace(/[\r\n]/g, '').replace(/\t/g, ' ').trim().replace(/ {2,}/g, ' ');
+}
+
+// Characters outside WinAnsiEncoding become "?"
+function encodeWinAnsi(text) {
+  return [...text].map(char => {
+    const codePoint = char.codePointAt(0);
+    if ((codePoint >= 32 && codePoint <= 126) || (codePoint >= 160 && codePoint <= 255)) return codePoint;
+    return WIN_ANSI_BY_CODE_POINT.get(codePoint) || 63;
+  });
+}
+
+// Image XObject for a PNG or JPEG data: URL. Remote and other images are skipped.
+function embedImage(pdf, href) {
+  const match = /^data:image\/(png|jpe?g);base64,(.*)$/is.exec(href);
+  if (!match) return null;
+  const data = Buffer.from(match[2], 'base64');
+
+  try {
+    if (match[1].toLowerCase() === 'png') {
+      const png = PNG.sync.read(data);
+      const pixels = png.width * png.height;
+      const rgb = Buffer.alloc(pixels * 3);
+      const alpha = Buffer.alloc(pixels);
+      let opaque = true;
+      for (let i = 0; i < pixels; i++) {
+        png.data.copy(rgb, i * 3, i * 4, i * 4 + 3);
+        alpha[i] = png.data[i * 4 + 3];
+        if (alpha[i] < 255) opaque = false;
+      }
+
+      const size = `/Width ${png.width} /Height ${png.height} /BitsPerComponent 8`;
+      const mask = opaque ? '' : ` /SMask ${pdf.add(pdf.stream(`/Type /XObject /Subtype /Image ${size} /ColorSpace /DeviceGray`, alpha))} 0 R`;
+      const ref = pdf.add(pdf.stream(`/Type /XObject /Subtype /Image ${size} /ColorSpace /DeviceRGB${mask}`, rgb));
+      return { ref, width: png.width, height: png.height };
+    }
+
+    const jpeg = readJpegHeader(data);
+    if (!jpeg) return null;
+    const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[jpeg.components];
+    if (!colorSpace) return null;
+    const ref = pdf.add(pdf.stream(
+      `/Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /BitsPerComponent 8 /ColorSpace ${colorSpace} /Filter /DCTDecode`,
+      data,
+      { compress: false }
+    ));
+    return { ref, width: jpeg.width, height: jpeg.height };
+  } catch {
+    // Corrupt image data
+    return null;
+  }
+}
+
+// Size and channel count from a JPEG's start-of-frame marker
+function readJpegHeader(data) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) return null;
+  let offset = 2;
+
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9],
+      };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Parse a CSS color into 0-1 RGB and alpha. Handles hex, rgb()/rgba() and
+ * CSS color names; "none" and "transparent" (and anything unknown) are null.
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  let color = value.trim().toLowerCase();
+  color = CSS_NAMED_COLORS[color] || color;
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map(d => d + d).join('');
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return { rgb: channels.slice(0, 3), alpha: channels.length === 4 ? channels[3] : 1 };
+  }
+
+  const rgb = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const channel = part => (part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255);
+    const alpha = parts[3] === undefined ? 1
+      : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    const channels = parts.slice(0, 3).map(channel);
+    if ([...channels, alpha].some(Number.isNaN)) return null;
+    return { rgb: channels.map(clamp01), alpha: clamp01(alpha) };
+  }
+
+  return null;
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+// Numbers in content streams: plain decimals, no exponents, at most 4 places
+function num(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '0';
+  const rounded = Number(n.toFixed(4));
+  return rounded === 0 ? '0' : String(rounded);
+}
+
+// Text string: literal ASCII, or UTF-16BE hex with a byte order mark
+function pdfText(text) {
+  const str = String(text);
+  if (/^[\x20-\x7e]*$/.test(str)) return `(${str.replace(/[\\()]/g, '\\$&')})`;
+  let hex = 'feff';
+  for (let i = 0; i < str.length; i++) hex += str.charCodeAt(i).toString(16).padStart(4, '0');
+  return `<${hex}>`;
+}
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
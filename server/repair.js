@@ -0,0 +1,118 @@
+// Self-repair - send rejected patches back to the model and merge its corrections
+import { applyTransaction } from './transaction.js';
+
+// Repair rounds per AI call when AI_REPAIR_ATTEMPTS is not set (0 disables repair)
+export const DEFAULT_REPAIR_ATTEMPTS = 1;
+export const MAX_REPAIR_ATTEMPTS = 5;
+
+/**
+ * Resolve the repair budget from an explicit option, then AI_REPAIR_ATTEMPTS,
+ * then the default. Clamped to 0..MAX_REPAIR_ATTEMPTS.
+ */
+export function getRepairBudget(value) {
+  const raw = value ?? process.env.AI_REPAIR_ATTEMPTS;
+  const n = raw === undefined || raw === '' ? DEFAULT_REPAIR_ATTEMPTS : Number(raw);
+  if (!Number.isFinite(n)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.max(0, Math.min(MAX_REPAIR_ATTEMPTS, Math.floor(n)));
+}
+
+/**
+ * Describe rejected transaction results for the model: one entry per patch
+ * with its error code, message and the patch as sent.
+ */
+export function formatRejections(rejected) {
+  return rejected.map((r, i) =>
+    `${i + 1}. [${r.code}] ${r.error}\n   ${JSON.stringify(r.patch)}`
+  ).join('\n');
+}
+
+/**
+ * Build the follow-up turn for a tool call whose output had rejected patches.
+ * Returns the assistant + user messages to append to the conversation.
+ */
+export function buildRepairTurn(response, rejected, instructions) {
+  const toolUse = response.content.find(c => c.type === 'tool_use');
+  return [
+    { role: 'assistant', content: response.content },
+    {
+      role: 'user',
+      content: [{
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        is_error: true,
+        content: `${rejected.length} of your patches were rejected by validation:
+
+${formatRejections(rejected)}
+
+${instructions}`,
+      }],
+    },
+  ];
+}
+
+/**
+ * Run repair rounds until nothing is rejected or the budget is spent.
+ *
+ * Each round asks the model to correct the rejected patches, then re-runs the
+ * batch (the patches that were not rejected, followed by the corrections)
+ * against the original document in the transaction's own mode, so atomic
+ * transactions stay all-or-nothing.
+ *
+ * @param {Object} document - Document the original transaction started from
+ * @param {Object} transaction - Result of applyTransaction
+ * @param {Object} options
+ *   maxAttempts - repair rounds allowed
+ *   coerce - re-run the batch with value coercion, as the original transaction did
+ *   requestRepair(rejected, attempt) - resolves to the corrected patches
+ *   onProgress(event) - receives { type: 'repair', attempt, maxAttempts, ... }
+ * @returns {Object} the final transaction, with repairs: [{ attempt, rejected, corrected, remaining, error? }]
+ */
+export async function repairTransaction(document, transaction, options) {
+  const { maxAttempts, coerce = false, requestRepair, onProgress = () => {} } = options;
+  const repairs = [];
+  let current = transaction;
+
+  for (let attempt = 1; attempt <= maxAttempts && current.rejectedCount > 0; attempt++) {
+    const rejected = current.results.filter(r => r.status === 'rejected');
+    const event = { type: 'repair', attempt, maxAttempts, rejected: rejected.length };
+
+    onProgress({
+      ...event,
+      message: `Repair ${attempt}/${maxAttempts}: asking AI to fix ${rejected.length} rejected patches`,
+    });
+
+    let corrections;
+    try {
+      corrections = await requestRepair(rejected, attempt);
+    } catch (err) {
+      repairs.push({ attempt, rejected: rejected.length, corrected: 0, remaining: rejected.length, error: err.message });
+      onProgress({ ...event, message: `Repair ${attempt}/${maxAttempts} failed: ${err.message}` });
+      break;
+    }
+
+    if (!Array.isArray(corrections) || corrections.length === 0) {
+      repairs.push({ attempt, rejected: rejected.length, corrected: 0, remaining: rejected.length });
+      onProgress({ ...event, message: `Repair ${attempt}/${maxAttempts}: AI returned no corrections` });
+      break;
+    }
+
+    const kept = current.results.filter(r => r.status !== 'rejected').map(r => r.patch);
+    const next = applyTransaction(document, [...kept, ...corrections], { mode: current.mode, coerce });
+    const remaining = next.rejectedCount;
+    const corrected = Math.max(0, corrections.length - remaining);
+
+    repairs.push({ attempt, rejected: rejected.length, corrected, remaining });
+    onProgress({
+      ...event,
+      corrected,
+      remaining,
+      message: remaining === 0
+        ? `Repair ${attempt}/${maxAttempts}: all ${corrections.length} corrections applied`
+        : `Repair ${attempt}/${maxAttempts}: ${remaining} patches still invalid`,
+    });
+
+    current = next;
+  }
+
+  return { ...current, repairs };
+}
@@ -0,0 +1,22 @@
+// Access roles on designs and workspaces, weakest first
+export const ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner',
+};
+
+const RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export function isRole(role) {
+  return Object.hasOwn(RANK, role);
+}
+
+// True if role grants at least the access of `needed`
+export function roleAtLeast(role, needed) {
+  return (RANK[role] || 0) >= RANK[needed];
+}
+
+// Strongest of the given roles (nulls ignored), or null
+export function strongestRole(...roles) {
+  return roles.reduce((best, role) => ((RANK[role] || 0) > (RANK[best] || 0) ? role : best), null);
+}
@@ -0,0 +1,612 @@
+// Shape detection for image analysis: flat-colored regions of the target
+// fitted to document primitives (rect, ellipse, line, polygon path)
+
+// Colors closer than this (RGB distance) are one region: absorbs JPEG noise
+// and anti-aliasing, keeps neighbouring brand colors apart
+const MERGE_DISTANCE = 24;
+const MAX_COLORS = 32;
+const MAX_SHAPES = 40;
+// Line: at least this many times longer than thick, and no thicker than this
+const LINE_ELONGATION = 8;
+const MAX_LINE_THICKNESS = 8;
+// Ink below this share of the filled outline means the shape is only a stroke
+const OUTLINE_INK_RATIO = 0.5;
+// Polygons with more corners than this are blobs (photos, icons), not shapes
+const MAX_POLYGON_POINTS = 32;
+
+// Freeman chain directions, counter-clockwise from east (y points down)
+const DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Find the shapes in a decoded image: quantize its colors, split it into
+ * connected regions of one color and fit each region to a primitive.
+ * Regions in the color along the image's border are background, not shapes.
+ * @param {Object} png - { width, height, data } as decoded by pngjs
+ * @param {Object} options - {
+ *   exclude: boxes ({ x, y, width, height }) whose regions are skipped, e.g. text lines,
+ *   minArea: smallest region in pixels (default 1/5000 of the image); smaller
+ *     regions only count as lines at least as long as a square of that area,
+ *   maxShapes: largest number of shapes returned,
+ * }
+ * @returns {Object[]} Document elements, back to front (largest first)
+ */
+export function detectShapes(png, options = {}) {
+  const { width, height } = png;
+  const {
+    exclude = [],
+    minArea = Math.max(16, Math.round(width * height / 5000)),
+    maxShapes = MAX_SHAPES,
+  } = options;
+
+  const { palette, indexOf } = quantize(png, minArea);
+  const { colors, labels, components } = findComponents(png, indexOf);
+  const background = borderColor(png, indexOf);
+
+  // Regions this small are specks (stray anti-aliasing), never a shape or a surface
+  const speck = minArea / 16;
+  // The region a component starts next to: what it sits on, or what encloses it
+  const surfaceOf = (component) => {
+    for (let p = component.start - 1; p >= component.start - component.start % width; p--) {
+      if (components[labels[p]].area >= speck) return components[labels[p]];
+    }
+    return null;
+  };
+  // A gap enclosed by glyph-sized regions that shows the surface they sit on,
+  // like the inside of a letter. Holes in large shapes are kept: they're drawn.
+  const isCounter = (component) => {
+    const around = neighboursOf(labels, width, components, component).filter(n => n.area >= speck);
+    if (around.length === 0 || around.some(n => n.area > 4 * minArea)) return false;
+    return component.x0 > Math.min(...around.map(n => n.x0)) && component.x1 < Math.max(...around.map(n => n.x1))
+      && component.y0 > Math.min(...around.map(n => n.y0)) && component.y1 < Math.max(...around.map(n => n.y1))
+      && around.some(n => surfaceOf(n)?.color === component.color);
+  };
+
+  const shapes = [];
+  for (const component of components) {
+    // Lines are thin, so they're held to their length instead of their area
+    if (component.area < speck || component.color === background) continue;
+    if (exclude.some(box => contains(box, component)) || isCounter(component)) continue;
+
+    const region = fillHoles(labels, width, component);
+    const shape = fitShape(png, { colors, labels }, component, region, palette);
+    if (!shape || (component.area < minArea && !(shape.type === 'line' && lineLength(shape) >= Math.sqrt(minArea)))) continue;
+    shapes.push({ shape, size: region.filledArea });
+  }
+
+  return shapes
+    .sort((a, b) => b.size - a.size)
+    .slice(0, maxShapes)
+    .map(s => s.shape);
+}
+
+/**
+ * Palette of the image's main colors. Pixels are binned at 5 bits per channel;
+ * bins big enough to be a region seed the palette (merging near duplicates),
+ * then every bin maps to its nearest palette color.
+ * @returns {Object} { palette: [[r, g, b]], indexOf(pixelOffset) → palette index }
+ */
+function quantize(png, minArea) {
+  const { data } = png;
+  const bin = (i) => ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+
+  const counts = new Uint32Array(32768);
+  for (let i = 0; i < data.length; i += 4) counts[bin(i)]++;
+
+  const binColor = (b) => [((b >> 10) << 3) + 4, (((b >> 5) & 31) << 3) + 4, ((b & 31) << 3) + 4];
+  const seeds = [];
+  for (let b = 0; b < counts.length; b++) {
+    if (counts[b] >= minArea) seeds.push(b);
+  }
+  seeds.sort((a, b) => counts[b] - counts[a] || a - b);
+
+  const palette = [];
+  for (const b of seeds) {
+    const color = binColor(b);
+    if (palette.length < MAX_COLORS && !palette.some(p => distance(p, color) < MERGE_DISTANCE)) {
+      palette.push(color);
+    }
+  }
+  if (palette.length === 0) palette.push(binColor(bin(0)));
+
+  const lookup = new Int16Array(32768).fill(-1);
+  const nearest = (b) => {
+    const color = binColor(b);
+    let best = 0;
+    for (let p = 1; p < palette.length; p++) {
+      if (distance(palette[p], color) < distance(palette[best], color)) best = p;
+    }
+    return best;
+  };
+
+  return {
+    palette,
+    indexOf(i) {
+      const b = bin(i);
+      if (lookup[b] < 0) lookup[b] = nearest(b);
+      return lookup[b];
+    },
+  };
+}
+
+/**
+ * 4-connected regions of one palette color. Anti-aliased pixels, whose color
+ * is a mix of the neighbours on either side, join the nearer neighbour first
+ * so edges don't turn into hairline regions of their own.
+ * @returns {Object} {
+ *   colors: palette index per pixel (before smoothing), labels: region id per pixel,
+ *   components: [{ id, color, area, start, x0, y0, x1, y1 }],
+ * }
+ */
+function findComponents(png, indexOf) {
+  const { width, height } = png;
+  const colors = new Int16Array(width * height);
+  for (let p = 0; p < colors.length; p++) colors[p] = indexOf(p * 4);
+  const blended = smoothEdges(png, colors);
+
+  const labels = new Int32Array(width * height).fill(-1);
+  const stack = new Int32Array(width * height);
+  const components = [];
+
+  for (let p = 0; p < labels.length; p++) {
+    if (labels[p] >= 0) continue;
+
+    const id = components.length;
+    const color = blended[p];
+    const component = { id, color, area: 0, start: p, x0: width, y0: height, x1: 0, y1: 0 };
+    let top = 0;
+    stack[top++] = p;
+    labels[p] = id;
+
+    while (top > 0) {
+      const q = stack[--top];
+      const x = q % width;
+      const y = (q - x) / width;
+      component.area++;
+      if (x < component.x0) component.x0 = x;
+      if (x > component.x1) component.x1 = x;
+      if (y < component.y0) component.y0 = y;
+      if (y > component.y1) component.y1 = y;
+
+      const visit = (n) => {
+        if (labels[n] < 0 && blended[n] === color) {
+          labels[n] = id;
+          stack[top++] = n;
+        }
+      };
+      if (x > 0) visit(q - 1);
+      if (x < width - 1) visit(q + 1);
+      if (y > 0) visit(q - width);
+      if (y < height - 1) visit(q + width);
+    }
+
+    components.push(component);
+  }
+
+  return { colors, labels, components };
+}
+
+function smoothEdges(png, colors) {
+  const { width, height, data } = png;
+  const rgb = (p) => [data[p * 4], data[p * 4 + 1], data[p * 4 + 2]];
+  const result = colors.slice();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const pairs = [];
+      if (x > 0 && x < width - 1) pairs.push([p - 1, p + 1]);
+      if (y > 0 && y < height - 1) pairs.push([p - width, p + width]);
+
+      for (const [a, b] of pairs) {
+        if (colors[a] === colors[b] || colors[p] === colors[a] || colors[p] === colors[b]) continue;
+        const c = rgb(p);
+        const ca = rgb(a);
+        const cb = rgb(b);
+        if (distance(ca, cb) < 2 * MERGE_DISTANCE || distanceToSegment(c, ca, cb) >= MERGE_DISTANCE / 2) continue;
+        result[p] = distance(c, ca) <= distance(c, cb) ? colors[a] : colors[b];
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+// Regions that touch a component
+function neighboursOf(labels, width, components, component) {
+  const { id, x0, y0, x1, y1 } = component;
+  const height = labels.length / width;
+  const found = new Set();
+  const check = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const label = labels[y * width + x];
+    if (label !== id) found.add(label);
+  };
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (labels[y * width + x] !== id) continue;
+      check(x - 1, y);
+      check(x + 1, y);
+      check(x, y - 1);
+      check(x, y + 1);
+    }
+  }
+  return [...found].map(label => components[label]);
+}
+
+// Most common palette color along the image's edges
+function borderColor(png, indexOf) {
+  const { width, height } = png;
+  const counts = new Map();
+  const count = (x, y) => {
+    const c = indexOf((y * width + x) * 4);
+    counts.set(c, (counts.get(c) || 0) + 1);
+  };
+  for (let x = 0; x < width; x++) {
+    count(x, 0);
+    count(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    count(0, y);
+    count(width - 1, y);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+/**
+ * The region with its holes filled in (labels inside a button, the inside of
+ * an outlined box): everything in its bounding box that the outside can't reach.
+ * @returns {Object} { filledArea, rows: [[left, right]] }
+ */
+function fillHoles(labels, width, component) {
+  const { id, x0, y0, x1, y1 } = component;
+  const w = x1 - x0 + 1;
+  const h = y1 - y0 + 1;
+  const mask = new Uint8Array(w * h).fill(1);
+  const stack = [];
+
+  const reach = (x, y) => {
+    const m = y * w + x;
+    if (mask[m] === 1 && labels[(y0 + y) * width + x0 + x] !== id) {
+      mask[m] = 0;
+      stack.push(m);
+    }
+  };
+  for (let x = 0; x < w; x++) {
+    reach(x, 0);
+    reach(x, h - 1);
+  }
+  for (let y = 0; y < h; y++) {
+    reach(0, y);
+    reach(w - 1, y);
+  }
+  while (stack.length > 0) {
+    const m = stack.pop();
+    const x = m % w;
+    const y = (m - x) / w;
+    if (x > 0) reach(x - 1, y);
+    if (x < w - 1) reach(x + 1, y);
+    if (y > 0) reach(x, y - 1);
+    if (y < h - 1) reach(x, y + 1);
+  }
+
+  let filledArea = 0;
+  const rows = [];
+  for (let y = 0; y < h; y++) {
+    let left = -1;
+    let right = -1;
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue;
+      filledArea++;
+      if (left < 0) left = x;
+      right = x;
+    }
+    rows.push([x0 + left, x0 + right]);
+  }
+
+  return { filledArea, rows };
+}
+
+/**
+ * Best primitive for a region: a line if it's long and thin, otherwise the
+ * rect (with corner radius) or ellipse whose outline follows the region's
+ * rows most closely, or the traced outline as a polygon path. Regions that
+ * are mostly hole become stroked shapes.
+ * @returns {Object|null} Document element, or null if nothing fits
+ */
+function fitShape(png, { colors, labels }, component, region, palette) {
+  const color = dominantColor(png, colors, labels, component) || toHex(...palette[component.color]);
+  const { x0, y0, x1, y1, area } = component;
+  const width = x1 - x0 + 1;
+  const height = y1 - y0 + 1;
+
+  const line = fitLine(png.width, labels, component);
+  if (line) return { type: 'line', ...line, stroke: color };
+
+  const outline = area < region.filledArea * OUTLINE_INK_RATIO;
+  // Stroke width from ink spread along the outline's length
+  const strokeWidth = outline ? Math.max(1, Math.round(area / ((width + height) * 2))) : 0;
+  const paint = outline ? { fill: 'none', stroke: color, strokeWidth } : { fill: color };
+  // A stroke is centered on the outline, so the geometry sits half a stroke in
+  const inset = strokeWidth / 2;
+
+  const tolerance = 1 + 0.02 * Math.min(width, height);
+  const rect = fitRect(region, component);
+  const ellipse = fitEllipse(region, component);
+  const best = rect.error <= ellipse.error ? rect : ellipse;
+
+  if (best.error <= tolerance) {
+    if (best === ellipse) {
+      return {
+        type: 'ellipse',
+        cx: round(x0 + width / 2),
+        cy: round(y0 + height / 2),
+        rx: round(width / 2 - inset),
+        ry: round(height / 2 - inset),
+        ...paint,
+      };
+    }
+    return {
+      type: 'rect',
+      x: round(x0 + inset),
+      y: round(y0 + inset),
+      width: round(width - strokeWidth),
+      height: round(height - strokeWidth),
+      ...(rect.radius > 0 ? { cornerRadius: round(Math.max(0, rect.radius - inset)) } : {}),
+      ...paint,
+    };
+  }
+
+  const contour = traceContour(png.width, labels, component);
+  const polygon = simplifyClosed(contour, Math.max(1.5, 0.01 * Math.hypot(width, height)));
+  if (polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS) return null;
+  const d = polygon.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${round(x)} ${round(y)}`).join(' ') + ' Z';
+  return { type: 'path', d, ...paint };
+}
+
+/**
+ * Long thin regions as a line through their principal axis
+ * @returns {Object|null} { x1, y1, x2, y2, strokeWidth }
+ */
+function fitLine(imageWidth, labels, component) {
+  const { area } = component;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  forEachPixel(imageWidth, labels, component, (x, y) => {
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    syy += y * y;
+    sxy += x * y;
+  });
+  const mx = sx / area;
+  const my = sy / area;
+  const vxx = sxx / area - mx * mx;
+  const vyy = syy / area - my * my;
+  const vxy = sxy / area - mx * my;
+
+  // Eigenvalues of the covariance: spread along and across the main axis.
+  // A run of n pixels has variance (n² - 1) / 12.
+  const mean = (vxx + vyy) / 2;
+  const spread = Math.sqrt(((vxx - vyy) / 2) ** 2 + vxy ** 2);
+  const length = Math.sqrt(12 * (mean + spread) + 1);
+  const thickness = Math.sqrt(12 * Math.max(0, mean - spread) + 1);
+  if (length < LINE_ELONGATION * thickness || thickness > MAX_LINE_THICKNESS) return null;
+  // A thin ring or a bent stroke has the spread but not the ink of a bar
+  if (area < 0.7 * length * thickness) return null;
+
+  // Lines have butt caps: the ends are the bar's ends
+  const angle = Math.atan2(2 * vxy, vxx - vyy) / 2;
+  const dx = Math.cos(angle) * length / 2;
+  const dy = Math.sin(angle) * length / 2;
+  return {
+    x1: round(mx + 0.5 - dx),
+    y1: round(my + 0.5 - dy),
+    x2: round(mx + 0.5 + dx),
+    y2: round(my + 0.5 + dy),
+    strokeWidth: Math.max(1, Math.round(thickness)),
+  };
+}
+
+/**
+ * Rounded rect through the region's bounding box. The radius comes from the
+ * area the corners are missing (r²(4 - π) for four quarter-circle corners).
+ * @returns {Object} { radius, error: mean distance in px between the rows and the model }
+ */
+function fitRect(region, component) {
+  const { x0, y0, x1, y1 } = component;
+  const width = x1 - x0 + 1;
+  const height = y1 - y0 + 1;
+  const missing = Math.max(0, width * height - region.filledArea);
+  let radius = Math.min(Math.sqrt(missing / (4 - Math.PI)), Math.min(width, height) / 2);
+  if (radius < 1.5) radius = 0;
+
+  const error = rowError(region, y0, (cy) => {
+    const top = y0 + radius - cy;
+    const bottom = cy - (y1 + 1 - radius);
+    const t = Math.max(top, bottom, 0);
+    const inset = t > 0 ? radius - Math.sqrt(Math.max(0, radius * radius - t * t)) : 0;
+    return [x0 + inset, x1 + 1 - inset];
+  });
+
+  return { radius, error };
+}
+
+// Ellipse inscribed in the region's bounding box
+function fitEllipse(region, component) {
+  const { x0, y0, x1, y1 } = component;
+  const rx = (x1 + 1 - x0) / 2;
+  const ry = (y1 + 1 - y0) / 2;
+  const cx = x0 + rx;
+  const cy0 = y0 + ry;
+
+  const error = rowError(region, y0, (cy) => {
+    const t = (cy - cy0) / ry;
+    const half = rx * Math.sqrt(Math.max(0, 1 - t * t));
+    return [cx - half, cx + half];
+  });
+
+  return { error };
+}
+
+/**
+ * Mean distance between each row's filled span and a model's span at that
+ * row's center. Pixels count as covered when their center is inside.
+ */
+function rowError(region, y0, spanAt) {
+  let total = 0;
+  region.rows.forEach(([left, right], i) => {
+    const [from, to] = spanAt(y0 + i + 0.5);
+    const expectedLeft = Math.ceil(from - 0.5);
+    const expectedRight = Math.floor(to - 0.5);
+    total += (Math.abs(left - expectedLeft) + Math.abs(right - expectedRight)) / 2;
+  });
+  return total / region.rows.length;
+}
+
+/**
+ * Outer boundary of a region, clockwise on screen, as pixel centers
+ * (Moore-neighbour tracing from its first pixel in scan order)
+ * @returns {number[][]} [[x, y]]
+ */
+function traceContour(imageWidth, labels, component) {
+  const { id, start } = component;
+  const height = labels.length / imageWidth;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < imageWidth && y < height && labels[y * imageWidth + x] === id;
+
+  const startX = start % imageWidth;
+  const startY = (start - startX) / imageWidth;
+  const contour = [[startX, startY]];
+  let x = startX;
+  let y = startY;
+  // The scan reached the start from the west, so search from the north-west
+  let direction = 7;
+
+  for (let steps = 0; steps < 4 * component.area + 8; steps++) {
+    const from = direction % 2 === 0 ? (direction + 7) % 8 : (direction + 6) % 8;
+    let next = -1;
+    for (let k = 0; k < 8; k++) {
+      const d = (from + k) % 8;
+      if (inside(x + DIRECTIONS[d][0], y + DIRECTIONS[d][1])) {
+        next = d;
+        break;
+      }
+    }
+    if (next < 0) break;
+
+    x += DIRECTIONS[next][0];
+    y += DIRECTIONS[next][1];
+    direction = next;
+    // Back at the start and about to retrace the first step
+    if (x === startX && y === startY) break;
+    contour.push([x, y]);
+  }
+
+  return contour.map(([px, py]) => [px + 0.5, py + 0.5]);
+}
+
+/**
+ * Douglas-Peucker on a closed outline: split it at the point farthest from
+ * the first one and simplify both halves
+ */
+function simplifyClosed(points, epsilon) {
+  if (points.length < 3) return points;
+  let far = 0;
+  let farDistance = -1;
+  points.forEach(([x, y], i) => {
+    const d = Math.hypot(x - points[0][0], y - points[0][1]);
+    if (d > farDistance) {
+      far = i;
+      farDistance = d;
+    }
+  });
+  const first = simplify(points.slice(0, far + 1), epsilon);
+  const second = simplify([...points.slice(far), points[0]], epsilon);
+  return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+function simplify(points, epsilon) {
+  if (points.length < 3) return points;
+  const [ax, ay] = points[0];
+  const [bx, by] = points[points.length - 1];
+  const length = Math.hypot(bx - ax, by - ay);
+
+  let index = 0;
+  let max = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [px, py] = points[i];
+    const d = length === 0
+      ? Math.hypot(px - ax, py - ay)
+      : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+    if (d > max) {
+      index = i;
+      max = d;
+    }
+  }
+  if (max <= epsilon) return [points[0], points[points.length - 1]];
+
+  const left = simplify(points.slice(0, index + 1), epsilon);
+  const right = simplify(points.slice(index), epsilon);
+  return [...left.slice(0, -1), ...right];
+}
+
+// Most common exact color in a region: the fill, not its anti-aliased edge
+function dominantColor(png, colors, labels, component) {
+  const counts = new Map();
+  forEachPixel(png.width, labels, component, (x, y) => {
+    if (colors[y * png.width + x] !== component.color) return;
+    const i = (y * png.width + x) * 4;
+    const color = (png.data[i] << 16) | (png.data[i + 1] << 8) | png.data[i + 2];
+    counts.set(color, (counts.get(color) || 0) + 1);
+  });
+  let best = -1;
+  let bestCount = 0;
+  for (const [color, count] of counts) {
+    if (count > bestCount) {
+      best = color;
+      bestCount = count;
+    }
+  }
+  return best < 0 ? null : toHex(best >> 16, (best >> 8) & 255, best & 255);
+}
+
+function forEachPixel(imageWidth, labels, component, fn) {
+  const { id, x0, y0, x1, y1 } = component;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (labels[y * imageWidth + x] === id) fn(x, y);
+    }
+  }
+}
+
+// Region inside a box (with a little slack for the box's own rounding)
+function contains(box, component) {
+  return component.x0 >= box.x - 2 && component.y0 >= box.y - 2
+    && component.x1 <= box.x + box.width + 2 && component.y1 <= box.y + box.height + 2;
+}
+
+function lineLength({ x1, y1, x2, y2 }) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+function distanceToSegment(c, a, b) {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const dot = (c[0] - a[0]) * ab[0] + (c[1] - a[1]) * ab[1] + (c[2] - a[2]) * ab[2];
+  const t = Math.max(0, Math.min(1, dot / (ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2)));
+  return distance(c, [a[0] + t * ab[0], a[1] + t * ab[1], a[2] + t * ab[2]]);
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
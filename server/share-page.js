@@ -0,0 +1,70 @@
+// Read-only viewer page for public share links (/s/:token)
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Standalone HTML page showing a shared design. The image is the live
+ * /s/:token.svg render, so the page always shows the current revision.
+ */
+export function renderSharePage(design, token) {
+  const name = escapeHtml(design.name || 'Untitled');
+  const base = `/s/${encodeURIComponent(token)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${name} - AI Drawer</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #1a1a1a;
+      color: #e5e5e5;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 16px;
+      padding: 24px;
+    }
+
+    h1 { font-size: 18px; font-weight: 600; }
+
+    img {
+      display: block;
+      max-width: 100%;
+      max-height: calc(100vh - 160px);
+      background: #fff;
+      border-radius: 8px;
+      box-shadow: 0 4px 24px rgba(0,0,0,0.3);
+    }
+
+    .links { font-size: 13px; color: #888; }
+    .links a { color: #888; }
+    .links a:hover { color: #e5e5e5; }
+  </style>
+</head>
+<body>
+  <h1>${name}</h1>
+  <img src="${base}.svg?v=${design.revision}" alt="${name}">
+  <div class="links">
+    <a href="${base}.png?scale=2" download="${name}.png">Download PNG</a>
+    &middot;
+    <a href="${base}.svg" download="${name}.svg">Download SVG</a>
+  </div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,250 @@
+// SVG path data → absolute M/L/C/Z segments, for output formats (like PDF)
+// that only know moveto, lineto, cubic curveto and closepath
+
+const NUMBER = /[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/iy;
+
+/**
+ * Parse an SVG path "d" attribute. H/V become lines, quadratics and arcs
+ * become cubics and every coordinate is absolute. Like an SVG renderer,
+ * parsing stops at the first error and keeps what came before it.
+ * @returns {Array} [['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y], ['Z']]
+ */
+export function parsePathData(d) {
+  const segments = [];
+  if (typeof d !== 'string') return segments;
+
+  let i = 0;
+  const skip = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+  const number = () => {
+    skip();
+    NUMBER.lastIndex = i;
+    const match = NUMBER.exec(d);
+    if (!match) throw new Error('Expected a number');
+    i += match[0].length;
+    return parseFloat(match[0]);
+  };
+  // Arc flags are a single digit and may be written without separators ("a1 1 0 011 1")
+  const flag = () => {
+    skip();
+    if (d[i] !== '0' && d[i] !== '1') throw new Error('Expected a flag');
+    return d[i++] === '1';
+  };
+
+  let command = null;
+  let x = 0, y = 0;
+  let startX = 0, startY = 0;
+  // Last control point, reflected by S (after a cubic) and T (after a quadratic)
+  let cubicControl = null;
+  let quadControl = null;
+
+  try {
+    for (;;) {
+      skip();
+      if (i >= d.length) break;
+
+      if (/[a-z]/i.test(d[i])) {
+        command = d[i++];
+      } else if (!command || command === 'z' || command === 'Z') {
+        break;
+      }
+
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      let nextCubic = null;
+      let nextQuad = null;
+
+      switch (command.toUpperCase()) {
+        case 'M':
+          x = ox + number();
+          y = oy + number();
+          startX = x;
+          startY = y;
+          segments.push(['M', x, y]);
+          // Further coordinate pairs are implicit linetos
+          command = relative ? 'l' : 'L';
+          break;
+
+        case 'L':
+          x = ox + number();
+          y = oy + number();
+          segments.push(['L', x, y]);
+          break;
+
+        case 'H':
+          x = ox + number();
+          segments.push(['L', x, y]);
+          break;
+
+        case 'V':
+          y = oy + number();
+          segments.push(['L', x, y]);
+          break;
+
+        case 'C': {
+          const x1 = ox + number(), y1 = oy + number();
+          const x2 = ox + number(), y2 = oy + number();
+          x = ox + number();
+          y = oy + number();
+          segments.push(['C', x1, y1, x2, y2, x, y]);
+          nextCubic = [x2, y2];
+          break;
+        }
+
+        case 'S': {
+          const x1 = cubicControl ? 2 * x - cubicControl[0] : x;
+          const y1 = cubicControl ? 2 * y - cubicControl[1] : y;
+          const x2 = ox + number(), y2 = oy + number();
+          x = ox + number();
+          y = oy + number();
+          segments.push(['C', x1, y1, x2, y2, x, y]);
+          nextCubic = [x2, y2];
+          break;
+        }
+
+        case 'Q': {
+          const qx = ox + number(), qy = oy + number();
+          const ex = ox + number(), ey = oy + number();
+          segments.push(quadToCubic(x, y, qx, qy, ex, ey));
+          x = ex;
+          y = ey;
+          nextQuad = [qx, qy];
+          break;
+        }
+
+        case 'T': {
+          const qx = quadControl ? 2 * x - quadControl[0] : x;
+          const qy = quadControl ? 2 * y - quadControl[1] : y;
+          const ex = ox + number(), ey = oy + number();
+          segments.push(quadToCubic(x, y, qx, qy, ex, ey));
+          x = ex;
+          y = ey;
+          nextQuad = [qx, qy];
+          break;
+        }
+
+        case 'A': {
+          const rx = number(), ry = number(), angle = number();
+          const largeArc = flag(), sweep = flag();
+          const ex = ox + number(), ey = oy + number();
+          segments.push(...arcToCubics(x, y, rx, ry, angle, largeArc, sweep, ex, ey));
+          x = ex;
+          y = ey;
+          break;
+        }
+
+        case 'Z':
+          segments.push(['Z']);
+          x = startX;
+          y = startY;
+          break;
+
+        default:
+          throw new Error(`Unknown path command: ${command}`);
+      }
+
+      cubicControl = nextCubic;
+      quadControl = nextQuad;
+    }
+  } catch {
+    // Malformed data: render what parsed so far
+  }
+
+  return segments;
+}
+
+/**
+ * Bounding box of parsed segments. Curves are bounded by their control
+ * points, which can be slightly larger than the curve itself.
+ */
+export function getSegmentsBounds(segments) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [, ...coords] of segments) {
+    for (let i = 0; i < coords.length; i += 2) {
+      minX = Math.min(minX, coords[i]);
+      maxX = Math.max(maxX, coords[i]);
+      minY = Math.min(minY, coords[i + 1]);
+      maxY = Math.max(maxY, coords[i + 1]);
+    }
+  }
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+function quadToCubic(x0, y0, qx, qy, x, y) {
+  return [
+    'C',
+    x0 + (2 / 3) * (qx - x0), y0 + (2 / 3) * (qy - y0),
+    x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+    x, y,
+  ];
+}
+
+// Endpoint arc → cubics, one per quarter turn (SVG spec, appendix F.6)
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return [['L', x2, y2]];
+
+  const phi = angle * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Radii too small to reach the endpoint are scaled up
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = coef * (rx * y1p) / ry;
+  const cyp = coef * -(ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angleBetween = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+  const vx = (-x1p - cxp) / rx, vy = (-y1p - cyp) / ry;
+  const theta = angleBetween(1, 0, ux, uy);
+  let delta = angleBetween(ux, uy, vx, vy);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const point = t => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  ];
+  const tangent = t => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  ];
+
+  const parts = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+  const step = delta / parts;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const segments = [];
+
+  for (let n = 0; n < parts; n++) {
+    const t1 = theta + n * step;
+    const t2 = t1 + step;
+    const [px1, py1] = point(t1);
+    const [dx1, dy1] = tangent(t1);
+    const [dx2, dy2] = tangent(t2);
+    // Land exactly on the endpoint instead of accumulating rounding error
+    const [px2, py2] = n === parts - 1 ? [x2, y2] : point(t2);
+    segments.push(['C', px1 + k * dx1, py1 + k * dy1, px2 - k * dx2, py2 - k * dy2, px2, py2]);
+  }
+
+  return segments;
+}
@@ -0,0 +1,102 @@
+// Patch transactions - apply a batch of patches all-or-nothing or best effort
+import { applyPatchWithInverse, PATCH_ERRORS } from '../shared/schema.js';
+import { validatePatch } from './validate.js';
+
+export const TRANSACTION_MODES = {
+  ATOMIC: 'atomic',
+  BEST_EFFORT: 'best-effort',
+};
+
+/**
+ * Apply patches as one transaction.
+ *
+ * Every patch is validated and applied against the result of the ones before
+ * it, so a batch reports all of its problems, not just the first.
+ * - atomic: if any patch fails, nothing is applied and the successful patches
+ *   are reported as rolled back
+ * - best-effort: failing patches are skipped, the rest are applied
+ *
+ * @param {Object} document - Document to patch (never mutated)
+ * @param {Array} patches - Patches in order
+ * @param {Object} options - { mode: 'atomic' | 'best-effort', coerce: repair common value mistakes }
+ * @returns {Object} { document, committed, mode, appliedCount, rejectedCount, results, applied, inverse }
+ *   results[i] = { index, patch, status: 'applied'|'rejected'|'rolled_back', code?, error?, warnings? }
+ *   applied = the patches that made it into the document, inverse = patches that undo them
+ */
+export function applyTransaction(document, patches, options = {}) {
+  const { mode = TRANSACTION_MODES.ATOMIC, coerce = false } = options;
+  if (!Object.values(TRANSACTION_MODES).includes(mode)) {
+    throw new Error(`Unknown transaction mode "${mode}"`);
+  }
+
+  let working = document;
+  const results = [];
+  // Inverse of each applied patch, latest first
+  const inverses = [];
+
+  for (let i = 0; i < patches.length; i++) {
+    const validation = validatePatch(patches[i], working, { coerce });
+    const patch = validation.patch || patches[i];
+
+    if (!validation.valid) {
+      results.push({ index: i, patch, status: 'rejected', code: validation.code, error: validation.error });
+      continue;
+    }
+
+    try {
+      const step = applyPatchWithInverse(working, patch);
+      working = step.document;
+      inverses.unshift(step.inverse);
+      results.push({ index: i, patch, status: 'applied', warnings: validation.warnings });
+    } catch (err) {
+      results.push({ index: i, patch, status: 'rejected', code: err.code || PATCH_ERRORS.APPLY_FAILED, error: err.message });
+    }
+  }
+
+  const rejectedCount = results.filter(r => r.status === 'rejected').length;
+
+  if (mode === TRANSACTION_MODES.ATOMIC && rejectedCount > 0) {
+    for (const r of results) {
+      if (r.status === 'applied') {
+        r.status = 'rolled_back';
+        r.code = PATCH_ERRORS.ROLLED_BACK;
+        r.error = 'Rolled back because another patch in the batch failed';
+      }
+    }
+    return { document, committed: false, mode, appliedCount: 0, rejectedCount, results, applied: [], inverse: [] };
+  }
+
+  return {
+    document: working,
+    committed: true,
+    mode,
+    appliedCount: results.length - rejectedCount,
+    rejectedCount,
+    results,
+    applied: results.filter(r => r.status === 'applied').map(r => r.patch),
+    inverse: inverses.flat(),
+  };
+}
+
+/**
+ * Compact, JSON-safe summary of a transaction for clients (SSE events, API responses)
+ * Lists only the patches that did not make it into the document, plus the
+ * repair rounds when the transaction went through repairTransaction.
+ */
+export function summarizeTransaction(transaction) {
+  return {
+    mode: transaction.mode,
+    committed: transaction.committed,
+    applied: transaction.appliedCount,
+    dropped: transaction.results
+      .filter(r => r.status !== 'applied')
+      .map(r => ({
+        index: r.index,
+        op: r.patch?.op,
+        id: r.patch?.id,
+        code: r.code,
+        error: r.error,
+      })),
+    ...(transaction.repairs ? { repairs: transaction.repairs } : {}),
+  };
+}
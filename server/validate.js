@@ -1,6 +1,8 @@
 // Patch validation - validate patches before applying to catch errors early
-import { ELEMENT_TYPES, PATCH_OPS } from '../shared/schema.js';
+import { ELEMENT_TYPES, PATCH_OPS, PATCH_ERRORS, applyPatch, checkGroupChildren, getRootIds } from '../shared/schema.js';
 import { ICON_NAMES } from '../shared/icons.js';
+// The renderer sanitizes with the same rules, so valid documents render unchanged
+import { isColor, isPathData } from '../shared/sanitize.js';
 
 const VALID_ELEMENT_TYPES = Object.values(ELEMENT_TYPES);
 
@@ -20,111 +22,469 @@ const ELEMENT_REQUIRED_FIELDS = {
 const ELEMENT_OPTIONAL_FIELDS = {
   rect: ['fill', 'stroke', 'strokeWidth', 'opacity', 'rotation', 'cornerRadius', 'shadow', 'blur', 'glow'],
   ellipse: ['fill', 'stroke', 'strokeWidth', 'opacity', 'rotation', 'shadow', 'blur', 'glow'],
-  line: ['stroke', 'strokeWidth', 'opacity', 'shadow', 'blur', 'glow'],
+  line: ['stroke', 'strokeWidth', 'opacity', 'rotation', 'shadow', 'blur', 'glow'],
   path: ['fill', 'stroke', 'strokeWidth', 'opacity', 'shadow', 'blur', 'glow'],
-  text: ['fontSize', 'fontFamily', 'fontWeight', 'fill', 'opacity', 'textAnchor', 'shadow', 'blur', 'glow'],
-  image: ['opacity', 'shadow', 'blur', 'glow'],
+  text: ['fontSize', 'fontFamily', 'fontWeight', 'fill', 'opacity', 'rotation', 'textAnchor', 'shadow', 'blur', 'glow'],
+  image: ['opacity', 'rotation', 'shadow', 'blur', 'glow'],
   icon: ['color', 'opacity', 'rotation', 'shadow', 'glow'],
   group: ['x', 'y', 'opacity', 'rotation', 'shadow', 'blur', 'glow'],
 };
 
+// Value kind of every known property (see checkValue / coerceValue)
+const PROPERTY_KINDS = {
+  x: 'number', y: 'number', cx: 'number', cy: 'number',
+  x1: 'number', y1: 'number', x2: 'number', y2: 'number',
+  width: 'nonNegative', height: 'nonNegative', rx: 'nonNegative', ry: 'nonNegative',
+  d: 'path',
+  content: 'string',
+  href: 'string',
+  name: 'iconName',
+  size: 'positive',
+  children: 'ids',
+  fill: 'paint',
+  stroke: 'color',
+  color: 'color',
+  strokeWidth: 'nonNegative',
+  opacity: 'unit',
+  rotation: 'number',
+  cornerRadius: 'nonNegative',
+  fontSize: 'positive',
+  fontFamily: 'string',
+  fontWeight: 'fontWeight',
+  textAnchor: 'textAnchor',
+  shadow: 'shadow',
+  blur: 'nonNegative',
+  glow: 'glow',
+};
+
+const CANVAS_PROPERTY_KINDS = {
+  width: 'positive',
+  height: 'positive',
+  background: 'color',
+};
+
+// Properties every element may carry without a warning
+const ELEMENT_META_FIELDS = ['type', 'id'];
+
+const TEXT_ANCHORS = ['start', 'middle', 'end'];
+const TEXT_ANCHOR_ALIASES = { left: 'start', center: 'middle', centre: 'middle', right: 'end' };
+const FONT_WEIGHT_KEYWORDS = ['normal', 'bold', 'bolder', 'lighter'];
+
+const NUMERIC_STRING = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*(?:px)?\s*$/i;
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function describe(v) {
+  return typeof v === 'string' ? `"${v}"` : JSON.stringify(v);
+}
+
+/**
+ * Check a value against a property kind
+ * Returns an error message (without the property name), or null if fine
+ */
+function checkValue(kind, value) {
+  switch (kind) {
+    case 'number':
+      return isFiniteNumber(value) ? null : `must be a number (got ${describe(value)})`;
+    case 'nonNegative':
+      return isFiniteNumber(value) && value >= 0 ? null : `must be a number >= 0 (got ${describe(value)})`;
+    case 'positive':
+      return isFiniteNumber(value) && value > 0 ? null : `must be a number > 0 (got ${describe(value)})`;
+    case 'unit':
+      return isFiniteNumber(value) && value >= 0 && value <= 1 ? null : `must be a number from 0 to 1 (got ${describe(value)})`;
+    case 'string':
+      return typeof value === 'string' ? null : `must be a string (got ${describe(value)})`;
+    case 'path':
+      return isPathData(value) ? null : `must be SVG path data starting with "M" (got ${describe(value)})`;
+    case 'iconName':
+      return ICON_NAMES.includes(value) ? null : `must be a known icon name (got ${describe(value)})`;
+    case 'ids':
+      return Array.isArray(value) && value.every(id => typeof id === 'string') ? null : `must be an array of element ids (got ${describe(value)})`;
+    case 'color':
+      return isColor(value) ? null : `must be a color like "#3b82f6" (got ${describe(value)})`;
+    case 'paint':
+      if (typeof value === 'string') return checkValue('color', value);
+      return checkGradient(value);
+    case 'fontWeight':
+      if (isFiniteNumber(value)) return value >= 1 && value <= 1000 ? null : `must be between 1 and 1000 (got ${value})`;
+      if (typeof value === 'string' && (FONT_WEIGHT_KEYWORDS.includes(value) || /^\d{3}$/.test(value))) return null;
+      return `must be a weight like 400, 700 or "bold" (got ${describe(value)})`;
+    case 'textAnchor':
+      return TEXT_ANCHORS.includes(value) ? null : `must be one of ${TEXT_ANCHORS.join(', ')} (got ${describe(value)})`;
+    case 'shadow':
+      return checkShape(value, { offsetX: 'number', offsetY: 'number', blur: 'nonNegative', color: 'color' });
+    case 'glow':
+      return checkShape(value, { blur: 'nonNegative', color: 'color', opacity: 'unit' });
+    default:
+      return null;
+  }
+}
+
+// Check an object whose (optional) fields have known kinds
+function checkShape(value, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return `must be an object with ${Object.keys(fields).join(', ')} (got ${describe(value)})`;
+  }
+  for (const [field, kind] of Object.entries(fields)) {
+    if (value[field] === undefined) continue;
+    const error = checkValue(kind, value[field]);
+    if (error) return `.${field} ${error}`;
+  }
+  return null;
+}
+
+function checkGradient(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return `must be a color or a gradient object (got ${describe(value)})`;
+  }
+  if (value.type !== 'linear' && value.type !== 'radial') {
+    return `gradient type must be "linear" or "radial" (got ${describe(value.type)})`;
+  }
+  if (value.angle !== undefined && !isFiniteNumber(value.angle)) {
+    return `gradient angle must be a number (got ${describe(value.angle)})`;
+  }
+  if (!Array.isArray(value.stops) || value.stops.length === 0) {
+    return 'gradient must have a non-empty stops array';
+  }
+  for (const [i, stop] of value.stops.entries()) {
+    const error = checkShape(stop, { offset: 'unit', color: 'color' });
+    if (error) return `gradient stop ${i}${error.startsWith('.') ? error : ` ${error}`}`;
+    if (stop.offset === undefined || stop.color === undefined) {
+      return `gradient stop ${i} needs offset and color`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Repair common mistakes for a property kind: numeric strings, hex colors
+ * without "#", percentage opacities, anchor aliases, boolean weights.
+ * Returns the value unchanged when there is nothing to repair.
+ */
+function coerceValue(kind, value) {
+  switch (kind) {
+    case 'number':
+    case 'nonNegative':
+    case 'positive':
+      return typeof value === 'string' && NUMERIC_STRING.test(value) ? parseFloat(value) : value;
+    case 'unit': {
+      let v = value;
+      if (typeof v === 'string' && /^\s*[\d.]+\s*%\s*$/.test(v)) return parseFloat(v) / 100;
+      if (typeof v === 'string' && NUMERIC_STRING.test(v)) v = parseFloat(v);
+      if (isFiniteNumber(v) && v > 1 && v <= 100) return v / 100;
+      return v;
+    }
+    case 'string':
+      return isFiniteNumber(value) ? String(value) : value;
+    case 'color': {
+      if (typeof value !== 'string') return value;
+      const v = value.trim();
+      return /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v) ? `#${v}` : v;
+    }
+    case 'paint':
+      if (value && typeof value === 'object' && Array.isArray(value.stops)) {
+        return {
+          ...value,
+          type: typeof value.type === 'string' ? value.type.toLowerCase() : value.type,
+          ...(value.angle !== undefined && { angle: coerceValue('number', value.angle) }),
+          stops: value.stops.map(stop => coerceShape(stop, { offset: 'unit', color: 'color' })),
+        };
+      }
+      return coerceValue('color', value);
+    case 'fontWeight':
+      if (value === true) return 'bold';
+      if (value === false) return 'normal';
+      if (typeof value === 'string') {
+        const v = value.trim().toLowerCase();
+        return NUMERIC_STRING.test(v) ? parseFloat(v) : v;
+      }
+      return value;
+    case 'textAnchor': {
+      if (typeof value !== 'string') return value;
+      const v = value.trim().toLowerCase();
+      return TEXT_ANCHOR_ALIASES[v] || v;
+    }
+    case 'shadow':
+      return coerceShape(value, { offsetX: 'number', offsetY: 'number', blur: 'nonNegative', color: 'color' });
+    case 'glow':
+      return coerceShape(value, { blur: 'nonNegative', color: 'color', opacity: 'unit' });
+    case 'ids':
+      return typeof value === 'string' ? [value] : value;
+    default:
+      return value;
+  }
+}
+
+function coerceShape(value, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const result = { ...value };
+  for (const [field, kind] of Object.entries(fields)) {
+    if (result[field] !== undefined) result[field] = coerceValue(kind, result[field]);
+  }
+  return result;
+}
+
+/**
+ * Type-check (and optionally repair) properties of one element type
+ * Returns { error?, props, warnings } - props is the repaired copy when coercing
+ */
+function validateProps(type, props, kinds, knownFields, options = {}) {
+  const warnings = [];
+  const result = { ...props };
+
+  for (const [key, value] of Object.entries(props)) {
+    if (ELEMENT_META_FIELDS.includes(key) && kinds === PROPERTY_KINDS) continue;
+    if (knownFields && !knownFields.includes(key)) {
+      warnings.push(`Unknown ${type} property "${key}"`);
+      continue;
+    }
+
+    const kind = kinds[key];
+    if (!kind) continue;
+
+    let checked = value;
+    if (options.coerce) {
+      checked = coerceValue(kind, value);
+      if (JSON.stringify(checked) !== JSON.stringify(value)) {
+        warnings.push(`Coerced ${type} "${key}" from ${describe(value)} to ${describe(checked)}`);
+        result[key] = checked;
+      }
+    }
+
+    const error = checkValue(kind, checked);
+    if (error) {
+      // Nested field errors come back as ".field message"
+      const nested = error.match(/^\.(\w+) (.*)$/);
+      const message = nested ? `${type} "${key}.${nested[1]}" ${nested[2]}` : `${type} "${key}" ${error}`;
+      return { error: message, props: result, warnings };
+    }
+  }
+
+  return { props: result, warnings };
+}
+
+// Every property an element type knows about
+function knownFieldsFor(type) {
+  return [...(ELEMENT_REQUIRED_FIELDS[type] || []), ...(ELEMENT_OPTIONAL_FIELDS[type] || [])];
+}
+
+/**
+ * Check a request's patch list before applying it: a non-empty array of
+ * objects. Returns an error string or null.
+ */
+export function checkPatchList(patches) {
+  if (!Array.isArray(patches) || patches.length === 0) {
+    return 'Missing patches';
+  }
+  const index = patches.findIndex(patch => !isPatchObject(patch));
+  return index === -1 ? null : `Patch #${index + 1} must be an object`;
+}
+
+function isPatchObject(patch) {
+  return patch !== null && typeof patch === 'object' && !Array.isArray(patch);
+}
+
 /**
  * Validate a single patch against the current document
- * Returns { valid: boolean, error?: string, warnings?: string[] }
+ * Returns { valid: boolean, code?: string, error?: string, warnings?: string[], patch? }
+ * code is one of PATCH_ERRORS when invalid.
+ * options.coerce repairs common value mistakes (numeric strings, hex colors
+ * without "#", ...); the repaired patch is returned as `patch` when anything changed.
  */
-export function validatePatch(patch, document) {
+export function validatePatch(patch, document, options = {}) {
   const warnings = [];
+  let repaired = null;
+
+  if (!isPatchObject(patch)) {
+    return { valid: false, code: PATCH_ERRORS.MISSING_OP, error: `Patch must be an object with an "op" field, got ${patch === null ? 'null' : Array.isArray(patch) ? 'an array' : typeof patch}` };
+  }
 
   // Check op exists
   if (!patch.op) {
-    return { valid: false, error: 'Patch missing "op" field' };
+    return { valid: false, code: PATCH_ERRORS.MISSING_OP, error: 'Patch missing "op" field' };
   }
 
   if (!Object.values(PATCH_OPS).includes(patch.op)) {
-    return { valid: false, error: `Invalid op "${patch.op}". Valid ops: ${Object.values(PATCH_OPS).join(', ')}` };
+    return { valid: false, code: PATCH_ERRORS.INVALID_OP, error: `Invalid op "${patch.op}". Valid ops: ${Object.values(PATCH_OPS).join(', ')}` };
   }
 
   switch (patch.op) {
     case PATCH_OPS.ADD: {
       if (!patch.id) {
-        return { valid: false, error: 'ADD patch missing "id" field' };
+        return { valid: false, code: PATCH_ERRORS.MISSING_ID, error: 'ADD patch missing "id" field' };
       }
       if (!patch.element) {
-        return { valid: false, error: 'ADD patch missing "element" field' };
+        return { valid: false, code: PATCH_ERRORS.MISSING_ELEMENT, error: 'ADD patch missing "element" field' };
       }
       if (patch.id === 'canvas') {
-        return { valid: false, error: 'Cannot ADD element with id "canvas". Use UPDATE with id "canvas" to change canvas properties.' };
+        return { valid: false, code: PATCH_ERRORS.RESERVED_ID, error: 'Cannot ADD element with id "canvas". Use UPDATE with id "canvas" to change canvas properties.' };
       }
       if (document.elements[patch.id]) {
-        return { valid: false, error: `Element with id "${patch.id}" already exists. Use UPDATE to modify it.` };
+        return { valid: false, code: PATCH_ERRORS.DUPLICATE_ID, error: `Element with id "${patch.id}" already exists. Use UPDATE to modify it.` };
       }
 
       // Validate element
-      const elemValidation = validateElement(patch.element);
+      const elemValidation = validateElement(patch.element, options);
       if (!elemValidation.valid) {
-        return { valid: false, error: `Invalid element: ${elemValidation.error}` };
+        return { valid: false, code: PATCH_ERRORS.INVALID_ELEMENT, error: `Invalid element: ${elemValidation.error}` };
       }
       if (elemValidation.warnings) {
         warnings.push(...elemValidation.warnings);
       }
+      if (elemValidation.element !== patch.element) {
+        repaired = { ...patch, element: elemValidation.element };
+      }
+
+      if (patch.element.type === ELEMENT_TYPES.GROUP) {
+        const groupError = checkGroupChildren(document, patch.id, patch.element.children);
+        if (groupError) {
+          return { valid: false, code: PATCH_ERRORS.INVALID_GROUP, error: groupError };
+        }
+      }
       break;
     }
 
     case PATCH_OPS.UPDATE: {
       if (!patch.id) {
-        return { valid: false, error: 'UPDATE patch missing "id" field' };
+        return { valid: false, code: PATCH_ERRORS.MISSING_ID, error: 'UPDATE patch missing "id" field' };
       }
       if (!patch.props || typeof patch.props !== 'object') {
-        return { valid: false, error: 'UPDATE patch missing "props" object' };
+        return { valid: false, code: PATCH_ERRORS.MISSING_PROPS, error: 'UPDATE patch missing "props" object' };
+      }
+      if (patch.unset !== undefined && (!Array.isArray(patch.unset) || patch.unset.some(key => typeof key !== 'string'))) {
+        return { valid: false, code: PATCH_ERRORS.MISSING_PROPS, error: 'UPDATE patch "unset" must be an array of property names' };
       }
 
       // Special case: canvas update
       if (patch.id === 'canvas') {
-        const validCanvasProps = ['width', 'height', 'background'];
-        for (const key of Object.keys(patch.props)) {
-          if (!validCanvasProps.includes(key)) {
-            warnings.push(`Unknown canvas property "${key}". Valid: ${validCanvasProps.join(', ')}`);
-          }
+        const validCanvasProps = Object.keys(CANVAS_PROPERTY_KINDS);
+        const canvasCheck = validateProps('canvas', patch.props, CANVAS_PROPERTY_KINDS, validCanvasProps, options);
+        if (canvasCheck.error) {
+          return { valid: false, code: PATCH_ERRORS.INVALID_PROPS, error: canvasCheck.error };
+        }
+        warnings.push(...canvasCheck.warnings.map(w => w.startsWith('Unknown') ? `${w}. Valid: ${validCanvasProps.join(', ')}` : w));
+        if (options.coerce && JSON.stringify(canvasCheck.props) !== JSON.stringify(patch.props)) {
+          repaired = { ...patch, props: canvasCheck.props };
         }
         break;
       }
 
       if (!document.elements[patch.id]) {
-        return { valid: false, error: `Element with id "${patch.id}" does not exist. Use ADD to create it.` };
+        return { valid: false, code: PATCH_ERRORS.NOT_FOUND, error: `Element with id "${patch.id}" does not exist. Use ADD to create it.` };
+      }
+
+      // Type-check the new values against the element's (possibly new) type
+      const type = patch.props.type ?? document.elements[patch.id].type;
+      if (!VALID_ELEMENT_TYPES.includes(type)) {
+        return { valid: false, code: PATCH_ERRORS.INVALID_PROPS, error: `Invalid element type "${type}". Valid types: ${VALID_ELEMENT_TYPES.join(', ')}` };
+      }
+      const propsCheck = validateProps(type, patch.props, PROPERTY_KINDS, knownFieldsFor(type), options);
+      if (propsCheck.error) {
+        return { valid: false, code: PATCH_ERRORS.INVALID_PROPS, error: propsCheck.error };
+      }
+      warnings.push(...propsCheck.warnings);
+      if (options.coerce && JSON.stringify(propsCheck.props) !== JSON.stringify(patch.props)) {
+        repaired = { ...patch, props: propsCheck.props };
+      }
+
+      const required = ELEMENT_REQUIRED_FIELDS[type] || [];
+      const unsetRequired = (patch.unset || []).find(key => required.includes(key));
+      if (unsetRequired) {
+        return { valid: false, code: PATCH_ERRORS.INVALID_PROPS, error: `Cannot unset required ${type} field "${unsetRequired}"` };
+      }
+      const missing = required.find(key => patch.props[key] === undefined && document.elements[patch.id][key] === undefined);
+      if (missing && patch.props.type) {
+        return { valid: false, code: PATCH_ERRORS.INVALID_PROPS, error: `${type} element missing required field "${missing}"` };
+      }
+
+      if (document.elements[patch.id].type === ELEMENT_TYPES.GROUP && patch.props.children !== undefined) {
+        const groupError = checkGroupChildren(document, patch.id, patch.props.children);
+        if (groupError) {
+          return { valid: false, code: PATCH_ERRORS.INVALID_GROUP, error: groupError };
+        }
       }
       break;
     }
 
     case PATCH_OPS.REMOVE: {
       if (!patch.id) {
-        return { valid: false, error: 'REMOVE patch missing "id" field' };
+        return { valid: false, code: PATCH_ERRORS.MISSING_ID, error: 'REMOVE patch missing "id" field' };
       }
       if (patch.id === 'canvas') {
-        return { valid: false, error: 'Cannot remove canvas' };
+        return { valid: false, code: PATCH_ERRORS.RESERVED_ID, error: 'Cannot remove canvas' };
       }
       if (!document.elements[patch.id]) {
-        return { valid: false, error: `Element with id "${patch.id}" does not exist` };
+        return { valid: false, code: PATCH_ERRORS.NOT_FOUND, error: `Element with id "${patch.id}" does not exist` };
       }
       break;
     }
 
     case PATCH_OPS.REORDER: {
       if (!patch.order && !patch.id) {
-        return { valid: false, error: 'REORDER patch must have either "order" array or "id" with "after"/"before"' };
+        return { valid: false, code: PATCH_ERRORS.INVALID_REORDER, error: 'REORDER patch must have either "order" array or "id" with "after"/"before"' };
+      }
+      const reorderError = checkReorder(document, patch);
+      if (reorderError) {
+        return { valid: false, code: PATCH_ERRORS.INVALID_REORDER, error: reorderError };
       }
       break;
     }
   }
 
-  return { valid: true, warnings: warnings.length > 0 ? warnings : undefined };
+  return {
+    valid: true,
+    warnings: warnings.length > 0 ? warnings : undefined,
+    ...(repaired && { patch: repaired }),
+  };
+}
+
+// A full order must list every top-level element exactly once; a move needs
+// an existing top-level id and an existing top-level neighbour. Returns an error string or null.
+function checkReorder(document, patch) {
+  const rootIds = getRootIds(document);
+
+  if (patch.order !== undefined) {
+    if (!Array.isArray(patch.order)) {
+      return 'REORDER "order" must be an array of element ids';
+    }
+    const listed = new Set(patch.order);
+    if (listed.size !== patch.order.length) {
+      return 'REORDER "order" lists an element more than once';
+    }
+    const missing = rootIds.filter(id => !listed.has(id));
+    const unknown = patch.order.filter(id => !rootIds.includes(id));
+    if (missing.length > 0 || unknown.length > 0) {
+      return `REORDER "order" must list the top-level elements exactly${missing.length ? `; missing: ${missing.join(', ')}` : ''}${unknown.length ? `; not top-level elements: ${unknown.join(', ')}` : ''}`;
+    }
+    return null;
+  }
+
+  if (!rootIds.includes(patch.id)) {
+    return `REORDER "id" must be a top-level element, got "${patch.id}"`;
+  }
+  const neighbour = patch.after ?? patch.before;
+  if (neighbour === undefined) {
+    return 'REORDER with "id" needs "after" or "before"';
+  }
+  if (neighbour === patch.id || !rootIds.includes(neighbour)) {
+    return `REORDER "${patch.after !== undefined ? 'after' : 'before'}" must be another top-level element, got "${neighbour}"`;
+  }
+  return null;
 }
 
 /**
- * Validate an element definition
+ * Validate an element definition: type, required fields and value types
+ * Returns { valid, error?, warnings?, element } - element is repaired when coercing
  */
-function validateElement(element) {
+function validateElement(element, options = {}) {
   const warnings = [];
 
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    return { valid: false, error: 'Element must be an object' };
+  }
+
   if (!element.type) {
     return { valid: false, error: 'Element missing "type" field' };
   }
@@ -140,13 +500,25 @@ function validateElement(element) {
     }
   }
 
-  return { valid: true, warnings: warnings.length > 0 ? warnings : undefined };
+  const propsCheck = validateProps(element.type, element, PROPERTY_KINDS, knownFieldsFor(element.type), options);
+  if (propsCheck.error) {
+    return { valid: false, error: propsCheck.error };
+  }
+  warnings.push(...propsCheck.warnings);
+
+  const changed = options.coerce && JSON.stringify(propsCheck.props) !== JSON.stringify(element);
+  return {
+    valid: true,
+    warnings: warnings.length > 0 ? warnings : undefined,
+    element: changed ? propsCheck.props : element,
+  };
 }
 
 /**
  * Validate all patches and return detailed results
+ * With options.coerce, results[i].patch is the repaired patch.
  */
-export function validatePatches(patches, document) {
+export function validatePatches(patches, document, options = {}) {
   const results = [];
   let tempDoc = {
     canvas: { ...document.canvas },
@@ -156,25 +528,23 @@ export function validatePatches(patches, document) {
 
   for (let i = 0; i < patches.length; i++) {
     const patch = patches[i];
-    const result = validatePatch(patch, tempDoc);
-    results.push({
-      index: i,
-      patch,
-      ...result,
-    });
+    let result = validatePatch(patch, tempDoc, options);
 
     // Simulate applying valid patches for subsequent validation
+    // (applyPatch also enforces group membership and removes group subtrees)
     if (result.valid) {
-      if (patch.op === PATCH_OPS.ADD) {
-        tempDoc.elements[patch.id] = patch.element;
-        tempDoc.order.push(patch.id);
-      } else if (patch.op === PATCH_OPS.UPDATE && patch.id !== 'canvas') {
-        tempDoc.elements[patch.id] = { ...tempDoc.elements[patch.id], ...patch.props };
-      } else if (patch.op === PATCH_OPS.REMOVE) {
-        delete tempDoc.elements[patch.id];
-        tempDoc.order = tempDoc.order.filter(id => id !== patch.id);
+      try {
+        tempDoc = applyPatch(tempDoc, result.patch || patch);
+      } catch (err) {
+        result = { ...result, valid: false, code: err.code || PATCH_ERRORS.APPLY_FAILED, error: err.message };
       }
     }
+
+    results.push({
+      index: i,
+      patch,
+      ...result,
+    });
   }
 
   return results;
@@ -209,32 +579,42 @@ export function generateSchemaDoc(document) {
 
 ### rect (rectangle)
 Required: x, y, width, height
-Optional: fill, stroke, strokeWidth, opacity, rotation, cornerRadius, shadow, blur, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.rect.join(', ')}
 
 ### ellipse
 Required: cx, cy, rx, ry
-Optional: fill, stroke, strokeWidth, opacity, rotation, shadow, blur, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.ellipse.join(', ')}
 
 ### line
 Required: x1, y1, x2, y2
-Optional: stroke, strokeWidth, opacity, shadow, blur, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.line.join(', ')}
 
 ### path (SVG path)
 Required: d (SVG path string, e.g., "M 0 0 L 100 100")
-Optional: fill, stroke, strokeWidth, opacity, shadow, blur, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.path.join(', ')}
 
 ### text
 Required: x, y, content
-Optional: fontSize, fontFamily, fontWeight, fill, opacity, textAnchor, shadow, blur, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.text.join(', ')}
 
 ### icon (Lucide icons)
 Required: name, x, y, size
-Optional: color, opacity, rotation, shadow, glow
+Optional: ${ELEMENT_OPTIONAL_FIELDS.icon.join(', ')}
 Available icons: ${ICON_NAMES.join(', ')}
 
 ### group
-Required: children (array of element ids)
-Optional: x, y, opacity, rotation, shadow, blur, glow
+Required: children (array of existing element ids - add the children first)
+Optional: ${ELEMENT_OPTIONAL_FIELDS.group.join(', ')}
+- Children move inside the group and render only there; a group may contain groups
+- x/y move the whole group (e.g. a box with its label), rotation turns it around its center
+- Removing a group removes its children
+
+## Value Types
+- Coordinates, sizes, rotation, fontSize, strokeWidth, blur: numbers (not strings); sizes are >= 0
+- opacity: number from 0 to 1
+- Colors: "#rrggbb" (or "#rrggbbaa" for alpha)
+- fontWeight: 400/500/600/700 or "bold"; textAnchor: "start" | "middle" | "end"
+- Unknown properties are ignored
 
 ## Fills
 - Solid: fill: "#3b82f6"
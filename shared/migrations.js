@@ -0,0 +1,83 @@
+// Document schema migrations
+// Each migration upgrades a document from version - 1 to version. They run in
+// order on read (see server/db.js) and in bulk with `npm run migrate`.
+import { SCHEMA_VERSION, ELEMENT_TYPES } from './schema.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add schemaVersion, strip renderer bookkeeping, drop group offsets, keep group children out of order',
+    migrate(doc) {
+      const elements = {};
+      for (const [id, el] of Object.entries(doc.elements || {})) {
+        // The server renderer used to write these into stored documents
+        const { _gradientId, _filterId, ...clean } = el;
+        if (clean.type === ELEMENT_TYPES.GROUP) {
+          // Groups used to render without their x/y; now they translate the
+          // subtree, so keeping them would shift what the document showed
+          const { x, y, ...group } = clean;
+          elements[id] = group;
+        } else {
+          elements[id] = clean;
+        }
+      }
+
+      const grouped = new Set();
+      for (const [id, el] of Object.entries(elements)) {
+        if (el.type !== ELEMENT_TYPES.GROUP) continue;
+        const children = (Array.isArray(el.children) ? el.children : [])
+          .filter(childId => childId !== id && elements[childId] && !grouped.has(childId));
+        children.forEach(childId => grouped.add(childId));
+        elements[id] = { ...el, children };
+      }
+
+      const order = (Array.isArray(doc.order) ? doc.order : [])
+        .filter(id => elements[id] && !grouped.has(id));
+
+      return { ...doc, elements, order };
+    },
+  },
+];
+
+/**
+ * Version of a stored document (documents from before versioning are 0)
+ */
+export function getSchemaVersion(doc) {
+  return Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 0;
+}
+
+/**
+ * Upgrade a document to SCHEMA_VERSION. Never mutates the input.
+ * @returns {Object} { document, from, to, migrated }
+ */
+export function migrateDocument(doc) {
+  const from = getSchemaVersion(doc);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Document schema version ${from} is newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  let document = doc;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    document = { ...migration.migrate(document), schemaVersion: migration.version };
+  }
+
+  return { document, from, to: SCHEMA_VERSION, migrated: from !== SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade a document, returning just the document
+ */
+export function upgradeDocument(doc) {
+  return migrateDocument(doc).document;
+}
+
+// The registry must end at the current version, one step at a time
+MIGRATIONS.forEach((m, i) => {
+  if (m.version !== i + 1) {
+    throw new Error(`Migration ${i} has version ${m.version}, expected ${i + 1}`);
+  }
+});
+if (MIGRATIONS.length !== SCHEMA_VERSION) {
+  throw new Error(`Migrations end at version ${MIGRATIONS.length} but SCHEMA_VERSION is ${SCHEMA_VERSION}`);
+}
@@ -197,12 +197,81 @@ export function getColor(paletteName, colorKey) {
   return palette[colorKey] || palette.primary;
 }
 
-// Format palette for AI prompt
-export function formatPaletteForPrompt(name) {
-  const p = getPalette(name);
+// Color roles every palette defines
+export const PALETTE_ROLES = [
+  'primary', 'primaryLight', 'primaryDark', 'secondary', 'accent',
+  'background', 'surface', 'border', 'text', 'textMuted', 'textInverse',
+  'success', 'warning', 'error', 'info',
+];
+
+// Roles a custom palette must have (the ones prompts list)
+const REQUIRED_ROLES = ['primary', 'secondary', 'accent', 'background', 'surface', 'text'];
+
+// Format palette for AI prompt (a palette name or a palette object)
+export function formatPaletteForPrompt(nameOrPalette) {
+  const p = typeof nameOrPalette === 'object' && nameOrPalette ? nameOrPalette : getPalette(nameOrPalette);
   return `${p.name}: primary=${p.primary}, secondary=${p.secondary}, accent=${p.accent}, bg=${p.background}, surface=${p.surface}, text=${p.text}`;
 }
 
+/**
+ * Palette from user input: a curated palette's name, or a custom palette
+ * object with "#rrggbb" colors for at least the prompt roles. Unknown keys
+ * are dropped.
+ * @returns {Object|null} Palette, or null if the input isn't one
+ */
+export function parseCustomPalette(value) {
+  if (typeof value === 'string') return PALETTES[value] || null;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const palette = {
+    name: typeof value.name === 'string' && value.name.trim() ? value.name.trim().slice(0, 40) : 'Custom',
+  };
+  for (const role of PALETTE_ROLES) {
+    if (value[role] === undefined) continue;
+    if (typeof value[role] !== 'string' || !/^#[0-9a-f]{6}$/i.test(value[role])) return null;
+    palette[role] = value[role].toLowerCase();
+  }
+  return REQUIRED_ROLES.every(role => palette[role]) ? palette : null;
+}
+
+/**
+ * Closest curated palette color to a "#rrggbb" color, by CIE76 distance
+ * (about 2.3 is the smallest difference people notice)
+ * @returns {Object} { palette, role, color, distance }
+ */
+export function findNearestPaletteColor(hex) {
+  const lab = hexToLab(hex);
+  let nearest = null;
+  for (const name of PALETTE_NAMES) {
+    for (const role of PALETTE_ROLES) {
+      const color = PALETTES[name][role];
+      const distance = labDistance(lab, hexToLab(color));
+      if (!nearest || distance < nearest.distance) {
+        nearest = { palette: name, role, color, distance: Math.round(distance * 10) / 10 };
+      }
+    }
+  }
+  return nearest;
+}
+
+// "#rrggbb" → CIE L*a*b* (D65)
+export function hexToLab(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+  const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+// CIE76 color difference between two L*a*b* colors
+export function labDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
 // Get all palettes formatted for AI
 export function getAllPalettesForPrompt() {
   return PALETTE_NAMES.map(name => {
@@ -0,0 +1,398 @@
+// JSON Document → SVG renderer shared by the browser and the server. It builds
+// a plain { tag, attrs, children } tree, which the server serializes to a
+// string and the browser turns into DOM nodes, so both draw the same thing.
+import { getIconPath } from './icons.js';
+import { getRootIds } from './schema.js';
+import { getRotationCenter } from './transform.js';
+import {
+  escapeXml, safeColor, safeDefId, safeFontFamily, safeFontWeight, safeHref, safeNumber, safePathData,
+} from './sanitize.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TEXT_ANCHORS = new Set(['start', 'middle', 'end']);
+// Attributes whose numbers are names or data, not coordinates
+const UNROUNDED_ATTRS = new Set(['id', 'href', 'font-family']);
+
+/**
+ * Render document to an SVG tree: nodes are { tag, attrs, children } and text
+ * is a plain string child. Icons are inlined as paths and identical
+ * gradients/filters share one def. Every value from the document passes
+ * through sanitize.js, so the tree is safe to serialize or insert as DOM.
+ * options: {
+ *   title, description: <title>/<desc> metadata,
+ *   fontFaces: @font-face CSS to embed (see server/fonts.js),
+ *   transparent: leave out the canvas background,
+ *   allowRemoteImages: keep http(s) image hrefs (only data: images otherwise),
+ * }
+ */
+export function renderToSVGTree(doc, options = {}) {
+  const { canvas, elements } = doc;
+  const { title, description, fontFaces, transparent = false } = options;
+
+  const context = createRenderContext(doc, options);
+  const rootIds = getRootIds(doc);
+
+  // Pre-scan elements (including group children) to collect gradients and filters
+  forEachRendered(rootIds, elements, (id, element) => {
+    collectGradients(context, id, element);
+    collectFilters(context, id, element);
+  });
+
+  const width = safeNumber(canvas.width);
+  const height = safeNumber(canvas.height);
+  const children = [];
+  if (title) children.push(node('title', {}, [String(title)]));
+  if (description) children.push(node('desc', {}, [String(description)]));
+
+  // Add definitions (fonts, gradients and filters)
+  if (fontFaces || context.gradientDefs.size > 0 || context.filterDefs.size > 0) {
+    children.push(node('defs', {}, [
+      ...(fontFaces ? [node('style', {}, [fontFaces])] : []),
+      ...[...context.gradientDefs.values()].map(d => d.node),
+      ...[...context.filterDefs.values()].map(d => d.node),
+    ]));
+  }
+
+  // Background
+  if (!transparent) {
+    children.push(node('rect', { x: 0, y: 0, width, height, fill: safeColor(canvas.background) || '#ffffff' }));
+  }
+
+  // Render elements in order
+  for (const id of rootIds) {
+    const element = elements[id];
+    if (!element) continue;
+    const rendered = renderElement(context, id, element);
+    if (rendered) children.push(rendered);
+  }
+
+  return node('svg', { xmlns: SVG_NS, width, height, viewBox: `0 0 ${width} ${height}` }, children);
+}
+
+/**
+ * Render document to an SVG string. precision rounds decimals in attributes
+ * to that many places; the other options are as for renderToSVGTree.
+ */
+export function renderToSVGString(doc, options = {}) {
+  return serialize(renderToSVGTree(doc, options), options.precision);
+}
+
+// Render document to an <svg> element created with the given DOM document
+export function renderToSVGElement(doc, dom, options = {}) {
+  return toElement(renderToSVGTree(doc, options), dom);
+}
+
+// Tree node; null and undefined attributes are left out
+function node(tag, attrs = {}, children = []) {
+  const values = {};
+  for (const [name, value] of Object.entries(attrs)) {
+    if (value !== undefined && value !== null) values[name] = String(value);
+  }
+  return { tag, attrs: values, children };
+}
+
+function serialize(tree, precision) {
+  if (typeof tree === 'string') return escapeXml(tree);
+  const attrs = Object.entries(tree.attrs)
+    .map(([name, value]) => ` ${name}="${escapeXml(precision === undefined ? value : roundNumbers(name, value, precision))}"`)
+    .join('');
+  const children = tree.children.map(child => serialize(child, precision)).join('');
+  return children ? `<${tree.tag}${attrs}>${children}</${tree.tag}>` : `<${tree.tag}${attrs}/>`;
+}
+
+function toElement(tree, dom) {
+  if (typeof tree === 'string') return dom.createTextNode(tree);
+  const el = dom.createElementNS(SVG_NS, tree.tag);
+  for (const [name, value] of Object.entries(tree.attrs)) {
+    // The namespace comes from createElementNS
+    if (name !== 'xmlns') el.setAttribute(name, value);
+  }
+  for (const child of tree.children) el.appendChild(toElement(child, dom));
+  return el;
+}
+
+// Round decimals inside an attribute value
+function roundNumbers(name, value, precision) {
+  if (UNROUNDED_ATTRS.has(name) || value.includes('url(')) return value;
+  // Hex colors (#1e293b) are matched first so they pass through untouched
+  return value.replace(/#[0-9a-f]+|-?(?:\d*\.\d+(?:e[-+]?\d+)?|\d+e[-+]?\d+)/gi, n => (
+    n.startsWith('#') ? n : String(Number(Number(n).toFixed(precision)))
+  ));
+}
+
+/**
+ * State for one render: the defs collected so far and which def each element
+ * uses. Kept per call, and outside the document, so renders never interfere
+ * with each other or leave anything behind in the caller's elements.
+ */
+function createRenderContext(doc, { allowRemoteImages = false } = {}) {
+  return {
+    doc,
+    allowRemoteImages,
+    gradientDefs: new Map(), // serialized def without its id -> { id, node }
+    filterDefs: new Map(),
+    gradientIds: new Map(), // element id -> def id
+    filterIds: new Map(),
+  };
+}
+
+// Identical defs are emitted once and shared by every element that uses them
+function addDef(defs, id, render) {
+  const key = serialize(render(''));
+  if (!defs.has(key)) defs.set(key, { id, node: render(id) });
+  return defs.get(key).id;
+}
+
+// Visit every element that will be rendered, descending into groups once
+function forEachRendered(ids, elements, fn, seen = new Set()) {
+  for (const id of ids) {
+    const element = elements[id];
+    if (!element || seen.has(id)) continue;
+    seen.add(id);
+    fn(id, element);
+    if (element.type === 'group' && Array.isArray(element.children)) {
+      forEachRendered(element.children, elements, fn, seen);
+    }
+  }
+}
+
+// Collect gradient definitions from element
+function collectGradients(context, id, element) {
+  if (element.fill && typeof element.fill === 'object') {
+    const defId = addDef(context.gradientDefs, safeDefId('grad', id), defId => renderGradientDef(defId, element.fill));
+    context.gradientIds.set(id, defId);
+  }
+}
+
+// Collect filter definitions from element (for shadows, blur, glow)
+function collectFilters(context, id, element) {
+  const filters = [];
+
+  if (element.shadow && typeof element.shadow === 'object') {
+    filters.push({ type: 'shadow', config: element.shadow });
+  }
+  if (element.blur && typeof element.blur === 'number') {
+    filters.push({ type: 'blur', config: element.blur });
+  }
+  if (element.glow && typeof element.glow === 'object') {
+    filters.push({ type: 'glow', config: element.glow });
+  }
+
+  if (filters.length > 0) {
+    const defId = addDef(context.filterDefs, safeDefId('filter', id), defId => renderCombinedFilter(defId, filters));
+    context.filterIds.set(id, defId);
+  }
+}
+
+// Render a combined filter definition
+function renderCombinedFilter(id, filters) {
+  const primitives = [];
+  let lastResult = 'SourceGraphic';
+  let resultCounter = 0;
+
+  for (const filter of filters) {
+    const resultName = `result${resultCounter++}`;
+
+    if (filter.type === 'shadow') {
+      const s = filter.config;
+      // Shadow behind the element
+      primitives.push(node('feDropShadow', {
+        in: lastResult,
+        dx: safeNumber(s.offsetX),
+        dy: safeNumber(s.offsetY),
+        stdDeviation: (safeNumber(s.blur) || 4) / 2,
+        'flood-color': safeColor(s.color) || '#00000040',
+        'flood-opacity': 1,
+        result: resultName,
+      }));
+      lastResult = resultName;
+    }
+
+    if (filter.type === 'blur') {
+      primitives.push(node('feGaussianBlur', { in: lastResult, stdDeviation: safeNumber(filter.config), result: resultName }));
+      lastResult = resultName;
+    }
+
+    if (filter.type === 'glow') {
+      const g = filter.config;
+      // Glow: blur the source, colorize it, put original on top
+      primitives.push(
+        node('feGaussianBlur', { in: 'SourceAlpha', stdDeviation: safeNumber(g.blur) || 8, result: `glowBlur${resultCounter}` }),
+        node('feFlood', {
+          'flood-color': safeColor(g.color) || '#ffffff',
+          'flood-opacity': g.opacity !== undefined ? safeNumber(g.opacity, 0.6) : 0.6,
+          result: `glowColor${resultCounter}`,
+        }),
+        node('feComposite', {
+          in: `glowColor${resultCounter}`, in2: `glowBlur${resultCounter}`, operator: 'in', result: `glowComposite${resultCounter}`,
+        }),
+        node('feMerge', { result: resultName }, [
+          node('feMergeNode', { in: `glowComposite${resultCounter}` }),
+          node('feMergeNode', { in: lastResult }),
+        ]),
+      );
+      lastResult = resultName;
+    }
+  }
+
+  return node('filter', { id, x: '-50%', y: '-50%', width: '200%', height: '200%' }, primitives);
+}
+
+// Render a gradient definition
+function renderGradientDef(id, gradient) {
+  const stops = (Array.isArray(gradient.stops) ? gradient.stops : [])
+    .map(s => node('stop', { offset: `${safeNumber(s?.offset) * 100}%`, 'stop-color': safeColor(s?.color) || '#000000' }));
+
+  if (gradient.type === 'radial') {
+    return node('radialGradient', { id, cx: '50%', cy: '50%', r: '50%' }, stops);
+  }
+  // Linear gradient - convert angle to x1,y1,x2,y2
+  const rad = (safeNumber(gradient.angle) - 90) * Math.PI / 180;
+  return node('linearGradient', {
+    id,
+    x1: `${50 - Math.cos(rad) * 50}%`,
+    y1: `${50 - Math.sin(rad) * 50}%`,
+    x2: `${50 + Math.cos(rad) * 50}%`,
+    y2: `${50 + Math.sin(rad) * 50}%`,
+  }, stops);
+}
+
+function renderElement(context, id, element, ancestors = new Set()) {
+  const { doc } = context;
+  const n = (key) => safeNumber(element[key]);
+
+  switch (element.type) {
+    case 'rect': {
+      const radius = n('cornerRadius') || undefined;
+      return node('rect', {
+        ...commonAttrs(context, id, element),
+        x: n('x'), y: n('y'), width: n('width'), height: n('height'), rx: radius, ry: radius,
+      });
+    }
+
+    case 'ellipse':
+      return node('ellipse', { ...commonAttrs(context, id, element), cx: n('cx'), cy: n('cy'), rx: n('rx'), ry: n('ry') });
+
+    case 'line':
+      return node('line', { ...commonAttrs(context, id, element), x1: n('x1'), y1: n('y1'), x2: n('x2'), y2: n('y2') });
+
+    case 'path':
+      return node('path', { ...commonAttrs(context, id, element), d: safePathData(element.d) });
+
+    case 'text':
+      return node('text', {
+        ...commonAttrs(context, id, element),
+        x: n('x'),
+        y: n('y'),
+        'font-size': n('fontSize') || undefined,
+        'font-family': safeFontFamily(element.fontFamily) || 'system-ui, sans-serif',
+        'font-weight': safeFontWeight(element.fontWeight),
+        'text-anchor': TEXT_ANCHORS.has(element.textAnchor) ? element.textAnchor : undefined,
+      }, [String(element.content ?? '')]);
+
+    case 'image':
+      return node('image', {
+        ...commonAttrs(context, id, element),
+        x: n('x'), y: n('y'), width: n('width'), height: n('height'),
+        href: safeHref(element.href, { allowRemote: context.allowRemoteImages }),
+      });
+
+    case 'icon': {
+      const iconPath = getIconPath(element.name);
+      if (!iconPath) return null;
+      const scale = (n('size') || 24) / 24;
+      const filterId = context.filterIds.get(id);
+      // Render as a group with a path, scaled and positioned
+      return node('g', {
+        id,
+        transform: buildTransform(id, element, doc),
+        opacity: opacityAttr(element),
+        filter: filterId ? `url(#${filterId})` : undefined,
+      }, [node('path', {
+        d: iconPath,
+        fill: 'none',
+        stroke: safeColor(element.color) || '#000000',
+        'stroke-width': 2,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        transform: `translate(${n('x')}, ${n('y')}) scale(${scale})`,
+      })]);
+    }
+
+    case 'group': {
+      // Skip children that would recurse into an enclosing group
+      const inside = new Set([...ancestors, id]);
+      const children = [];
+      for (const childId of Array.isArray(element.children) ? element.children : []) {
+        const childElement = doc.elements[childId];
+        if (childElement && !inside.has(childId)) {
+          const rendered = renderElement(context, childId, childElement, inside);
+          if (rendered) children.push(rendered);
+        }
+      }
+      const filterId = context.filterIds.get(id);
+      return node('g', {
+        id,
+        transform: buildGroupTransform(id, element, doc),
+        opacity: opacityAttr(element),
+        filter: filterId ? `url(#${filterId})` : undefined,
+      }, children);
+    }
+
+    default:
+      return null;
+  }
+}
+
+function commonAttrs(context, id, element) {
+  const attrs = { id };
+
+  const gradientId = context.gradientIds.get(id);
+  const fill = typeof element.fill === 'string' ? safeColor(element.fill) : null;
+  if (gradientId) {
+    // Gradient fill - reference the gradient def
+    attrs.fill = `url(#${gradientId})`;
+  } else if (fill) {
+    attrs.fill = fill;
+  } else if (element.type !== 'line' && element.type !== 'text') {
+    attrs.fill = 'none';
+  }
+
+  attrs.stroke = safeColor(element.stroke);
+  attrs['stroke-width'] = safeNumber(element.strokeWidth) || undefined;
+  attrs.opacity = opacityAttr(element);
+
+  // Apply shadow filter if present
+  const filterId = context.filterIds.get(id);
+  if (filterId) attrs.filter = `url(#${filterId})`;
+
+  attrs.transform = buildTransform(id, element, context.doc);
+  return attrs;
+}
+
+function opacityAttr(element) {
+  return element.opacity !== undefined ? safeNumber(element.opacity, 1) : undefined;
+}
+
+function buildTransform(id, element, doc) {
+  const rotation = safeNumber(element.rotation);
+  if (!rotation) return undefined;
+
+  const center = getRotationCenter(doc, id);
+  return `rotate(${rotation} ${safeNumber(center.x)} ${safeNumber(center.y)})`;
+}
+
+// Groups translate their subtree and rotate it around the children's center
+function buildGroupTransform(id, element, doc) {
+  const parts = [];
+  const x = safeNumber(element.x);
+  const y = safeNumber(element.y);
+  if (x || y) parts.push(`translate(${x} ${y})`);
+
+  const rotation = safeNumber(element.rotation);
+  if (rotation) {
+    const center = getRotationCenter(doc, id);
+    parts.push(`rotate(${rotation} ${safeNumber(center.x)} ${safeNumber(center.y)})`);
+  }
+  return parts.length > 0 ? parts.join(' ') : undefined;
+}
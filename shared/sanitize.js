@@ -0,0 +1,123 @@
+// Whitelists for document values that end up in SVG markup. The renderer
+// passes every attribute through these, so an AI- or user-supplied value
+// can't break out of its attribute or pull in scripts and remote resources.
+
+// CSS color names and their values. The PDF renderer, which has no CSS
+// engine, resolves names through this table, so it accepts exactly the names
+// the SVG output does
+export const CSS_NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+  beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+  blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+  chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+  darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b',
+  darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000',
+  darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b', darkslategray: '#2f4f4f',
+  darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3', deeppink: '#ff1493',
+  deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222',
+  floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+  ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+  greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+  lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080',
+  lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90',
+  lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a', lightseagreen: '#20b2aa',
+  lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899', lightsteelblue: '#b0c4de',
+  lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6', magenta: '#ff00ff',
+  maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+  mediumturquoise: '#48d1cc', mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa',
+  mistyrose: '#ffe4e1', moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6',
+  olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd',
+  powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f',
+  royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+  seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f', steelblue: '#4682b4',
+  tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0',
+  violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00',
+  yellowgreen: '#9acd32',
+};
+
+const CSS_COLOR_NAMES = new Set([...Object.keys(CSS_NAMED_COLORS), 'none', 'transparent', 'currentcolor']);
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTIONAL_COLOR = /^(?:rgba?|hsla?)\(\s*[-+\d.%\s,\/]+\)$/i;
+// SVG path data: commands, numbers, separators only, starting with a moveto
+const PATH_DATA = /^\s*[Mm][\sMmLlHhVvCcSsQqTtAaZz\d.,eE+-]*$/;
+// Inline raster images; SVG data URLs are left out as they can carry scripts
+const DATA_IMAGE_URL = /^data:image\/(?:png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]*$/i;
+const REMOTE_URL = /^https?:\/\/[^\s"'<>\\]+$/i;
+// Family names, quotes and commas: a CSS font stack and nothing else
+const FONT_FAMILY = /^[\p{L}\p{N}\s"',._-]+$/u;
+const FONT_WEIGHT_KEYWORDS = new Set(['normal', 'bold', 'bolder', 'lighter']);
+
+export function isColor(value) {
+  return typeof value === 'string' &&
+    (HEX_COLOR.test(value) || FUNCTIONAL_COLOR.test(value) || CSS_COLOR_NAMES.has(value.toLowerCase()));
+}
+
+export function isPathData(value) {
+  return typeof value === 'string' && PATH_DATA.test(value);
+}
+
+// Escape text for element content and double- or single-quoted attributes
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// The color if it's valid CSS color syntax, otherwise null
+export function safeColor(value) {
+  return isColor(value) ? value : null;
+}
+
+// Path data, or an empty path when it holds anything but path syntax
+export function safePathData(value) {
+  return isPathData(value) ? value : '';
+}
+
+// A finite number (numeric strings are converted), otherwise the fallback
+export function safeNumber(value, fallback = 0) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Image href allowed in rendered output: base64 raster data: URLs, plus
+ * http(s) URLs when allowRemote is set. Anything else (javascript:, file:,
+ * relative paths, SVG documents) is null.
+ */
+export function safeHref(value, { allowRemote = false } = {}) {
+  if (typeof value !== 'string') return null;
+  const href = value.trim();
+  if (DATA_IMAGE_URL.test(href)) return href;
+  if (allowRemote && REMOTE_URL.test(href)) return href;
+  return null;
+}
+
+export function safeFontFamily(value) {
+  return typeof value === 'string' && FONT_FAMILY.test(value) ? value : null;
+}
+
+// Weight keyword or a number from 1 to 1000 (variable fonts take any of them)
+export function safeFontWeight(value) {
+  if (FONT_WEIGHT_KEYWORDS.has(value)) return value;
+  const weight = safeNumber(value, null);
+  return weight !== null && weight >= 1 && weight <= 1000 ? weight : null;
+}
+
+/**
+ * Fragment id for a def named after an element ("grad-card"). Characters that
+ * could end a url(#...) reference are hex-escaped ("grad-a_20_b" for "a b").
+ */
+export function safeDefId(prefix, id) {
+  const name = String(id).replace(/[^A-Za-z0-9-]/gu, c => `_${c.codePointAt(0).toString(16)}_`);
+  return `${prefix}-${name}`;
+}
@@ -1,6 +1,10 @@
 // Design Document Schema
 // This is the source of truth for the design format
 
+// Bump when the document shape changes, and add a migration for the new
+// version in shared/migrations.js so stored documents get upgraded
+export const SCHEMA_VERSION = 1;
+
 export const ELEMENT_TYPES = {
   RECT: 'rect',
   ELLIPSE: 'ellipse',
@@ -19,6 +23,39 @@ export const PATCH_OPS = {
   REORDER: 'reorder',
 };
 
+// Patch shapes:
+// { op: 'add', id, element, after?, before? }
+// { op: 'update', id, props, unset?: [...keys to delete] }   (id may be 'canvas')
+// { op: 'remove', id }
+// { op: 'reorder', order: [...ids] } or { op: 'reorder', id, after | before }
+
+// Machine-readable reasons a patch was not applied
+export const PATCH_ERRORS = {
+  MISSING_OP: 'missing_op',
+  INVALID_OP: 'invalid_op',
+  MISSING_ID: 'missing_id',
+  MISSING_ELEMENT: 'missing_element',
+  MISSING_PROPS: 'missing_props',
+  RESERVED_ID: 'reserved_id',
+  DUPLICATE_ID: 'duplicate_id',
+  NOT_FOUND: 'not_found',
+  INVALID_ELEMENT: 'invalid_element',
+  INVALID_PROPS: 'invalid_props',
+  INVALID_GROUP: 'invalid_group',
+  INVALID_REORDER: 'invalid_reorder',
+  APPLY_FAILED: 'apply_failed',
+  ROLLED_BACK: 'rolled_back',
+};
+
+// Error thrown by applyPatch, carrying one of PATCH_ERRORS
+export class PatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PatchError';
+    this.code = code;
+  }
+}
+
 // Example element structures:
 //
 // Rect:
@@ -28,16 +65,16 @@ export const PATCH_OPS = {
 // { type: 'ellipse', cx, cy, rx, ry, fill?, stroke?, strokeWidth?, opacity?, rotation? }
 //
 // Line:
-// { type: 'line', x1, y1, x2, y2, stroke?, strokeWidth?, opacity? }
+// { type: 'line', x1, y1, x2, y2, stroke?, strokeWidth?, opacity?, rotation? }
 //
 // Path:
 // { type: 'path', d, fill?, stroke?, strokeWidth?, opacity? }
 //
 // Text:
-// { type: 'text', x, y, content, fontSize?, fontFamily?, fontWeight?, fill?, opacity?, textAnchor? }
+// { type: 'text', x, y, content, fontSize?, fontFamily?, fontWeight?, fill?, opacity?, rotation?, textAnchor? }
 //
 // Image:
-// { type: 'image', x, y, width, height, href, opacity? }
+// { type: 'image', x, y, width, height, href, opacity?, rotation? }
 //
 // Icon (Lucide icons):
 // { type: 'icon', name, x, y, size, color?, opacity?, rotation? }
@@ -47,6 +84,10 @@ export const PATCH_OPS = {
 //
 // Group:
 // { type: 'group', children: [...ids], x?, y?, opacity?, rotation? }
+// Children live only inside their group: they are removed from the top-level
+// order (and from any other group) when grouped, and render once, inside it.
+// x/y translate the whole subtree, rotation turns it around the center of the
+// children's bounds, and opacity/filters apply to the subtree. Groups nest.
 //
 // --- FILL can be a color string OR a gradient object ---
 //
@@ -102,6 +143,7 @@ export const DEFAULT_CANVAS = {
 // Create an empty design document
 export function createEmptyDocument(canvasOptions = {}) {
   return {
+    schemaVersion: SCHEMA_VERSION,
     canvas: { ...DEFAULT_CANVAS, ...canvasOptions },
     elements: {},
     order: [],
@@ -122,12 +164,212 @@ export function validateDocument(doc) {
     }
   }
 
+  // Check group children exist and groups don't contain themselves
+  for (const [id, el] of Object.entries(doc.elements)) {
+    if (el.type !== ELEMENT_TYPES.GROUP) continue;
+    if (!Array.isArray(el.children)) {
+      return { valid: false, error: `Group "${id}" must have a children array` };
+    }
+    for (const childId of el.children) {
+      if (!doc.elements[childId]) {
+        return { valid: false, error: `Group "${id}" references non-existent child: ${childId}` };
+      }
+    }
+    if (getDescendantIds(doc, id).includes(id)) {
+      return { valid: false, error: `Group "${id}" contains itself` };
+    }
+  }
+
   return { valid: true };
 }
 
+// --- Group helpers ---
+
+// Find the group that directly contains an element (null if top-level)
+export function findParentGroup(doc, id) {
+  for (const [groupId, el] of Object.entries(doc.elements)) {
+    if (el.type === ELEMENT_TYPES.GROUP && el.children?.includes(id)) {
+      return groupId;
+    }
+  }
+  return null;
+}
+
+// All descendant ids of an element, depth-first (empty for non-groups).
+// Safe on documents that already contain cycles.
+export function getDescendantIds(doc, id) {
+  const result = [];
+  const seen = new Set();
+  const visit = (groupId) => {
+    const el = doc.elements[groupId];
+    if (!el || el.type !== ELEMENT_TYPES.GROUP || !el.children) return;
+    for (const childId of el.children) {
+      if (seen.has(childId)) continue;
+      seen.add(childId);
+      result.push(childId);
+      visit(childId);
+    }
+  };
+  visit(id);
+  return result;
+}
+
+// Whether putting childId inside groupId would make a group contain itself
+export function wouldCreateCycle(doc, groupId, childId) {
+  return childId === groupId || getDescendantIds(doc, childId).includes(groupId);
+}
+
+// Ids rendered at the top level: order minus anything living inside a group
+// (older documents listed group children in both places)
+export function getRootIds(doc) {
+  const grouped = new Set();
+  for (const el of Object.values(doc.elements)) {
+    if (el.type === ELEMENT_TYPES.GROUP && el.children) {
+      for (const childId of el.children) grouped.add(childId);
+    }
+  }
+  return doc.order.filter(id => !grouped.has(id));
+}
+
+// Check a group's children list against a document. Returns an error string or null.
+export function checkGroupChildren(doc, groupId, children) {
+  if (!Array.isArray(children)) {
+    return `Group "${groupId}" children must be an array of element ids`;
+  }
+  for (const childId of children) {
+    if (!doc.elements[childId]) {
+      return `Group "${groupId}" references non-existent child "${childId}"`;
+    }
+    if (wouldCreateCycle(doc, groupId, childId)) {
+      return `Group "${groupId}" cannot contain "${childId}": it would contain itself`;
+    }
+  }
+  if (new Set(children).size !== children.length) {
+    return `Group "${groupId}" lists the same child more than once`;
+  }
+  return null;
+}
+
+// Approximate axis-aligned bounds of an element in its parent's coordinates
+// (rotation is ignored). Returns { x, y, width, height } or null.
+export function getElementBounds(doc, id, seen = new Set()) {
+  const el = doc.elements[id];
+  if (!el || seen.has(id)) return null;
+
+  switch (el.type) {
+    case ELEMENT_TYPES.RECT:
+    case ELEMENT_TYPES.IMAGE:
+      return { x: el.x || 0, y: el.y || 0, width: el.width || 0, height: el.height || 0 };
+
+    case ELEMENT_TYPES.ELLIPSE:
+      return { x: (el.cx || 0) - (el.rx || 0), y: (el.cy || 0) - (el.ry || 0), width: (el.rx || 0) * 2, height: (el.ry || 0) * 2 };
+
+    case ELEMENT_TYPES.LINE: {
+      const x = Math.min(el.x1 || 0, el.x2 || 0);
+      const y = Math.min(el.y1 || 0, el.y2 || 0);
+      return { x, y, width: Math.abs((el.x2 || 0) - (el.x1 || 0)), height: Math.abs((el.y2 || 0) - (el.y1 || 0)) };
+    }
+
+    case ELEMENT_TYPES.PATH: {
+      // Treats every number pair as an absolute point - good enough for hit areas
+      const nums = (el.d || '').match(/-?\d*\.?\d+(?:e-?\d+)?/gi)?.map(Number) || [];
+      if (nums.length < 2) return null;
+      const xs = nums.filter((_, i) => i % 2 === 0);
+      const ys = nums.filter((_, i) => i % 2 === 1);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    case ELEMENT_TYPES.TEXT: {
+      const fontSize = el.fontSize || 16;
+      const width = String(el.content || '').length * fontSize * 0.6;
+      let x = el.x || 0;
+      if (el.textAnchor === 'middle') x -= width / 2;
+      if (el.textAnchor === 'end') x -= width;
+      return { x, y: (el.y || 0) - fontSize * 0.8, width, height: fontSize };
+    }
+
+    case ELEMENT_TYPES.ICON:
+      return { x: el.x || 0, y: el.y || 0, width: el.size || 24, height: el.size || 24 };
+
+    case ELEMENT_TYPES.GROUP: {
+      const local = getChildrenBounds(doc, id, new Set([...seen, id]));
+      if (!local) return null;
+      return { ...local, x: local.x + (el.x || 0), y: local.y + (el.y || 0) };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Union of a group's children bounds, in the group's local coordinates
+export function getChildrenBounds(doc, groupId, seen = new Set([groupId])) {
+  const group = doc.elements[groupId];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const childId of group?.children || []) {
+    const b = getElementBounds(doc, childId, seen);
+    if (!b) continue;
+    minX = Math.min(minX, b.x);
+    minY = Math.min(minY, b.y);
+    maxX = Math.max(maxX, b.x + b.width);
+    maxY = Math.max(maxY, b.y + b.height);
+  }
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Detach ids from the top-level order and from every group except keepGroupId
+function detachFromParents(doc, ids, keepGroupId) {
+  const moving = new Set(ids);
+  doc.order = doc.order.filter(id => !moving.has(id));
+  for (const [groupId, el] of Object.entries(doc.elements)) {
+    if (groupId === keepGroupId || el.type !== ELEMENT_TYPES.GROUP || !el.children) continue;
+    if (el.children.some(id => moving.has(id))) {
+      doc.elements[groupId] = { ...el, children: el.children.filter(id => !moving.has(id)) };
+    }
+  }
+}
+
+// Put ids back into the container holding groupId, right after it
+function insertAfterInContainer(doc, groupId, ids) {
+  const parentId = findParentGroup(doc, groupId);
+  if (parentId) {
+    const parent = doc.elements[parentId];
+    const children = [...parent.children];
+    children.splice(children.indexOf(groupId) + 1, 0, ...ids);
+    doc.elements[parentId] = { ...parent, children };
+  } else {
+    const idx = doc.order.indexOf(groupId);
+    if (idx === -1) {
+      doc.order.push(...ids);
+    } else {
+      doc.order.splice(idx + 1, 0, ...ids);
+    }
+  }
+}
+
 // Apply a patch to a document (immutable - returns new doc)
 export function applyPatch(doc, patch) {
+  return applyOp(doc, patch, null);
+}
+
+// Apply a patch and get the patches that undo it, built by each op from what
+// it changes: add -> remove, update -> previous values (and unset of new
+// keys), remove -> add (with its subtree, at its old position), reorder ->
+// previous order. Children that an op moved between containers are put back
+// by updating the groups that held them and, if the top level changed, a reorder.
+export function applyPatchWithInverse(doc, patch) {
+  const inverse = [];
+  const document = applyOp(doc, patch, inverse);
+  return { document, inverse };
+}
+
+// Apply one patch; when `inverse` is an array, push the patches that undo it
+function applyOp(doc, patch, inverse) {
   const newDoc = {
+    ...doc,
     canvas: { ...doc.canvas },
     elements: { ...doc.elements },
     order: [...doc.order],
@@ -136,7 +378,13 @@ export function applyPatch(doc, patch) {
   switch (patch.op) {
     case PATCH_OPS.ADD: {
       if (newDoc.elements[patch.id]) {
-        throw new Error(`Element with id "${patch.id}" already exists`);
+        throw new PatchError(PATCH_ERRORS.DUPLICATE_ID, `Element with id "${patch.id}" already exists`);
+      }
+      if (patch.element?.type === ELEMENT_TYPES.GROUP) {
+        const error = checkGroupChildren(newDoc, patch.id, patch.element.children);
+        if (error) throw new PatchError(PATCH_ERRORS.INVALID_GROUP, error);
+        // Children move into the group
+        detachFromParents(newDoc, patch.element.children, null);
       }
       newDoc.elements[patch.id] = { ...patch.element };
 
@@ -158,48 +406,87 @@ export function applyPatch(doc, patch) {
       } else {
         newDoc.order.push(patch.id);
       }
+
+      if (inverse) {
+        const children = patch.element?.type === ELEMENT_TYPES.GROUP ? patch.element.children : [];
+        // Let the children go before removing the group, or they'd go with it
+        if (children.length > 0) inverse.push({ op: PATCH_OPS.UPDATE, id: patch.id, props: { children: [] } });
+        inverse.push({ op: PATCH_OPS.REMOVE, id: patch.id });
+        if (children.length > 0) {
+          inverse.push(...restoreContainers(doc, newDoc, inverse));
+        }
+      }
       break;
     }
 
     case PATCH_OPS.UPDATE: {
       // Special case: update canvas properties
       if (patch.id === 'canvas') {
-        newDoc.canvas = {
+        newDoc.canvas = withoutKeys({
           ...newDoc.canvas,
           ...patch.props,
-        };
+        }, patch.unset);
+        if (inverse) inverse.push(revertProps('canvas', doc.canvas, patch));
         break;
       }
 
       if (!newDoc.elements[patch.id]) {
-        throw new Error(`Element with id "${patch.id}" does not exist`);
+        throw new PatchError(PATCH_ERRORS.NOT_FOUND, `Element with id "${patch.id}" does not exist`);
+      }
+      const existing = newDoc.elements[patch.id];
+      if (existing.type === ELEMENT_TYPES.GROUP && patch.props?.children !== undefined) {
+        const children = patch.props.children;
+        const error = checkGroupChildren(newDoc, patch.id, children);
+        if (error) throw new PatchError(PATCH_ERRORS.INVALID_GROUP, error);
+        // New children move into the group, dropped ones return to its container
+        const released = (existing.children || []).filter(id => !children.includes(id));
+        detachFromParents(newDoc, children, patch.id);
+        if (released.length > 0) {
+          insertAfterInContainer(newDoc, patch.id, released);
+        }
       }
-      newDoc.elements[patch.id] = {
+      newDoc.elements[patch.id] = withoutKeys({
         ...newDoc.elements[patch.id],
         ...patch.props,
-      };
+      }, patch.unset);
+
+      if (inverse) {
+        inverse.push(revertProps(patch.id, existing, patch));
+        if (existing.type === ELEMENT_TYPES.GROUP && patch.props?.children !== undefined) {
+          inverse.push(...restoreContainers(doc, newDoc, inverse));
+        }
+      }
       break;
     }
 
     case PATCH_OPS.REMOVE: {
       if (!newDoc.elements[patch.id]) {
-        throw new Error(`Element with id "${patch.id}" does not exist`);
+        throw new PatchError(PATCH_ERRORS.NOT_FOUND, `Element with id "${patch.id}" does not exist`);
       }
-      delete newDoc.elements[patch.id];
-      newDoc.order = newDoc.order.filter(id => id !== patch.id);
+      // Removing a group removes everything inside it
+      const removed = new Set([patch.id, ...getDescendantIds(newDoc, patch.id)]);
+      for (const id of removed) {
+        delete newDoc.elements[id];
+      }
+      newDoc.order = newDoc.order.filter(id => !removed.has(id));
 
       // Also remove from any groups
-      for (const el of Object.values(newDoc.elements)) {
-        if (el.type === 'group' && el.children) {
-          el.children = el.children.filter(id => id !== patch.id);
+      for (const [groupId, el] of Object.entries(newDoc.elements)) {
+        if (el.type === ELEMENT_TYPES.GROUP && el.children?.some(id => removed.has(id))) {
+          newDoc.elements[groupId] = { ...el, children: el.children.filter(id => !removed.has(id)) };
         }
       }
+
+      if (inverse) {
+        inverse.push(...readdSubtree(doc, patch.id));
+        inverse.push(...restoreContainers(doc, newDoc, inverse));
+      }
       break;
     }
 
     case PATCH_OPS.REORDER: {
       if (patch.order) {
-        newDoc.order = patch.order;
+        newDoc.order = [...patch.order];
       } else if (patch.id && patch.after) {
         newDoc.order = newDoc.order.filter(id => id !== patch.id);
         const idx = newDoc.order.indexOf(patch.after);
@@ -209,11 +496,12 @@ export function applyPatch(doc, patch) {
         const idx = newDoc.order.indexOf(patch.before);
         newDoc.order.splice(idx, 0, patch.id);
       }
+      if (inverse) inverse.push({ op: PATCH_OPS.REORDER, order: [...doc.order] });
       break;
     }
 
     default:
-      throw new Error(`Unknown patch operation: ${patch.op}`);
+      throw new PatchError(PATCH_ERRORS.INVALID_OP, `Unknown patch operation: ${patch.op}`);
   }
 
   return newDoc;
@@ -223,3 +511,147 @@ export function applyPatch(doc, patch) {
 export function applyPatches(doc, patches) {
   return patches.reduce((d, patch) => applyPatch(d, patch), doc);
 }
+
+// UPDATE that puts back the values a patch changed on `prev` (canvas or element)
+function revertProps(id, prev, patch) {
+  const props = {};
+  const unset = [];
+  for (const key of [...Object.keys(patch.props || {}), ...(patch.unset || [])]) {
+    if (key in props || unset.includes(key)) continue;
+    if (key in prev) props[key] = structuredClone(prev[key]);
+    else if (patch.props && key in patch.props) unset.push(key);
+  }
+  const revert = { op: PATCH_OPS.UPDATE, id, props };
+  if (unset.length > 0) revert.unset = unset;
+  return revert;
+}
+
+// ADDs that bring back a removed element and everything inside it, children
+// before the groups holding them; a top-level element goes back next to its old neighbour
+function readdSubtree(doc, rootId) {
+  const patches = [];
+  const addBack = (id) => {
+    const el = doc.elements[id];
+    if (el.type === ELEMENT_TYPES.GROUP) {
+      for (const childId of el.children || []) addBack(childId);
+    }
+    patches.push({ op: PATCH_OPS.ADD, id, element: structuredClone(el) });
+  };
+  addBack(rootId);
+
+  const index = doc.order.indexOf(rootId);
+  if (index > 0) patches.at(-1).after = doc.order[index - 1];
+  else if (index === 0 && doc.order.length > 1) patches.at(-1).before = doc.order[1];
+  return patches;
+}
+
+// Patches that finish an undo once `undo` has run on `after`: groups whose
+// children differ from `before` get them back (a group letting go of children
+// hands them to its own container, so repeat until nothing moves), then the
+// top-level order is put back if it still differs
+function restoreContainers(before, after, undo) {
+  const patches = [];
+  let state = undo.reduce((working, patch) => applyOp(working, patch, null), after);
+
+  for (let pass = 0; pass <= Object.keys(before.elements).length; pass++) {
+    const stale = Object.entries(before.elements).filter(([id, el]) =>
+      el.type === ELEMENT_TYPES.GROUP && state.elements[id]
+      && !sameIds(el.children || [], state.elements[id].children || []));
+    if (stale.length === 0) break;
+
+    for (const [id, el] of stale) {
+      const restore = { op: PATCH_OPS.UPDATE, id, props: { children: [...(el.children || [])] } };
+      patches.push(restore);
+      state = applyOp(state, restore, null);
+    }
+  }
+
+  if (!sameIds(before.order, state.order)) {
+    patches.push({ op: PATCH_OPS.REORDER, order: [...before.order] });
+  }
+  return patches;
+}
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+// Patches that turn document `from` into document `to`.
+// Group side effects (children moving in and out of containers) are settled
+// by simulating the patches and correcting, and a final reorder fixes z-order.
+export function diffDocuments(from, to) {
+  const patches = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  // Elements only in `from` go away. Empty groups first so removing them
+  // doesn't take children that should stay along with them.
+  for (const [id, el] of Object.entries(from.elements)) {
+    if (!to.elements[id] && el.type === ELEMENT_TYPES.GROUP && el.children?.length) {
+      patches.push({ op: PATCH_OPS.UPDATE, id, props: { children: [] } });
+    }
+  }
+  for (const id of Object.keys(from.elements)) {
+    if (!to.elements[id]) patches.push({ op: PATCH_OPS.REMOVE, id });
+  }
+
+  // Elements only in `to` come back, children before the groups holding them
+  const added = new Set();
+  const addBack = (id) => {
+    if (added.has(id) || from.elements[id] || !to.elements[id]) return;
+    added.add(id);
+    const el = to.elements[id];
+    if (el.type === ELEMENT_TYPES.GROUP) {
+      for (const childId of el.children || []) addBack(childId);
+    }
+    patches.push({ op: PATCH_OPS.ADD, id, element: structuredClone(el) });
+  };
+  for (const id of Object.keys(to.elements)) addBack(id);
+
+  // Elements in both: set changed props, unset dropped ones
+  for (const [id, el] of Object.entries(to.elements)) {
+    const prev = from.elements[id];
+    if (!prev || same(prev, el)) continue;
+    patches.push(propsPatch(id, prev, el, same));
+  }
+
+  if (!same(from.canvas, to.canvas)) {
+    patches.push(propsPatch('canvas', from.canvas, to.canvas, same));
+  }
+
+  // Moving children between groups can disturb other groups - correct until settled
+  let result = applyPatches(from, patches);
+  for (let pass = 0; pass < 3; pass++) {
+    const fixes = Object.entries(to.elements)
+      .filter(([id, el]) => el.type === ELEMENT_TYPES.GROUP && !same(result.elements[id]?.children, el.children))
+      .map(([id, el]) => ({ op: PATCH_OPS.UPDATE, id, props: { children: [...el.children] } }));
+    if (fixes.length === 0) break;
+    patches.push(...fixes);
+    result = applyPatches(result, fixes);
+  }
+
+  if (!same(result.order, to.order)) {
+    patches.push({ op: PATCH_OPS.REORDER, order: [...to.order] });
+  }
+
+  return patches;
+}
+
+// UPDATE patch that turns prev's props into next's
+function propsPatch(id, prev, next, same) {
+  const props = {};
+  for (const [key, value] of Object.entries(next)) {
+    if (!same(prev[key], value)) props[key] = structuredClone(value);
+  }
+  const unset = Object.keys(prev).filter(key => !(key in next));
+  const patch = { op: PATCH_OPS.UPDATE, id, props };
+  if (unset.length > 0) patch.unset = unset;
+  return patch;
+}
+
+// Copy of obj without the given keys
+function withoutKeys(obj, keys) {
+  if (!keys?.length) return obj;
+  const copy = { ...obj };
+  for (const key of keys) delete copy[key];
+  return copy;
+}
@@ -0,0 +1,295 @@
+// Direct manipulation - turn move/resize/rotate gestures into update patches
+import { ELEMENT_TYPES, PATCH_OPS, getElementBounds, getChildrenBounds } from './schema.js';
+
+// Element types the canvas editor can select and transform
+export const MANIPULABLE_TYPES = [
+  ELEMENT_TYPES.RECT,
+  ELEMENT_TYPES.ELLIPSE,
+  ELEMENT_TYPES.LINE,
+  ELEMENT_TYPES.TEXT,
+  ELEMENT_TYPES.ICON,
+  ELEMENT_TYPES.IMAGE,
+  ELEMENT_TYPES.GROUP,
+];
+
+const MIN_SIZE = 1;
+
+// Keep stored coordinates tidy: one decimal place
+const round = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Box the editor draws handles on, in the element's own (unrotated) frame.
+ * Groups use their children's bounds, before the group's translate.
+ */
+export function getLocalBounds(doc, id) {
+  const el = doc.elements[id];
+  if (!el) return null;
+  return el.type === ELEMENT_TYPES.GROUP ? getChildrenBounds(doc, id) : getElementBounds(doc, id);
+}
+
+/**
+ * Point an element rotates around: the center of its local bounds, so it
+ * turns about the middle of the box the editor draws - must match both renderers
+ */
+export function getRotationCenter(doc, id) {
+  if (!doc.elements[id]) return null;
+  const b = getLocalBounds(doc, id);
+  return b ? { x: b.x + b.width / 2, y: b.y + b.height / 2 } : { x: 0, y: 0 };
+}
+
+/**
+ * Update patch that moves an element by (dx, dy) in its parent's coordinates
+ */
+export function movePatch(doc, id, dx, dy) {
+  const el = doc.elements[id];
+  let props;
+
+  switch (el.type) {
+    case ELEMENT_TYPES.ELLIPSE:
+      props = { cx: round((el.cx || 0) + dx), cy: round((el.cy || 0) + dy) };
+      break;
+    case ELEMENT_TYPES.LINE:
+      props = {
+        x1: round((el.x1 || 0) + dx),
+        y1: round((el.y1 || 0) + dy),
+        x2: round((el.x2 || 0) + dx),
+        y2: round((el.y2 || 0) + dy),
+      };
+      break;
+    default:
+      // rect, text, icon, image, group
+      props = { x: round((el.x || 0) + dx), y: round((el.y || 0) + dy) };
+  }
+
+  return { op: PATCH_OPS.UPDATE, id, props };
+}
+
+/**
+ * Update patches that fit an element into a new local box.
+ * Groups have no size of their own, so their descendants are scaled instead.
+ */
+export function resizePatches(doc, id, box) {
+  const from = getLocalBounds(doc, id);
+  if (!from) return [];
+  const to = {
+    x: box.x,
+    y: box.y,
+    width: Math.max(MIN_SIZE, box.width),
+    height: Math.max(MIN_SIZE, box.height),
+  };
+
+  const el = doc.elements[id];
+  if (el.type !== ELEMENT_TYPES.GROUP) {
+    const props = scaleProps(el, from, to);
+    return props ? [{ op: PATCH_OPS.UPDATE, id, props }] : [];
+  }
+  return scaleChildren(doc, id, from, to, new Set([id]));
+}
+
+/**
+ * Update patch that sets an element's rotation, normalized to [0, 360)
+ */
+export function rotatePatch(doc, id, degrees) {
+  const rotation = round(((degrees % 360) + 360) % 360);
+  return rotation === 0 && doc.elements[id].rotation !== undefined
+    ? { op: PATCH_OPS.UPDATE, id, props: {}, unset: ['rotation'] }
+    : { op: PATCH_OPS.UPDATE, id, props: { rotation } };
+}
+
+// Numeric props that are positions or lengths, scaled with the document
+const SCALED_PROPS = ['x', 'y', 'width', 'height', 'cx', 'cy', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2',
+  'fontSize', 'size', 'cornerRadius', 'strokeWidth', 'blur'];
+
+/**
+ * Update patches that scale a whole document, canvas included, by factor
+ * around the origin. Stroke widths, corner radii and effects scale along.
+ */
+export function scaleDocumentPatches(doc, factor) {
+  const scale = (v) => round(v * factor);
+  const scaleNumbers = (obj, keys) => {
+    const out = { ...obj };
+    for (const key of keys) if (typeof obj[key] === 'number') out[key] = scale(obj[key]);
+    return out;
+  };
+
+  const patches = [{
+    op: PATCH_OPS.UPDATE,
+    id: 'canvas',
+    props: {
+      width: Math.max(MIN_SIZE, Math.round(doc.canvas.width * factor)),
+      height: Math.max(MIN_SIZE, Math.round(doc.canvas.height * factor)),
+    },
+  }];
+
+  for (const [id, el] of Object.entries(doc.elements)) {
+    const props = {};
+    for (const key of SCALED_PROPS) {
+      if (typeof el[key] === 'number') props[key] = scale(el[key]);
+    }
+    if (el.type === ELEMENT_TYPES.PATH) {
+      const d = scalePathData(el.d, factor);
+      if (d) props.d = d;
+    }
+    if (el.shadow && typeof el.shadow === 'object') props.shadow = scaleNumbers(el.shadow, ['offsetX', 'offsetY', 'blur']);
+    if (el.glow && typeof el.glow === 'object') props.glow = scaleNumbers(el.glow, ['blur']);
+    if (Object.keys(props).length > 0) patches.push({ op: PATCH_OPS.UPDATE, id, props });
+  }
+
+  return patches;
+}
+
+// Map a point from one box onto another
+function mapper(from, to) {
+  const sx = from.width ? to.width / from.width : 1;
+  const sy = from.height ? to.height / from.height : 1;
+  return {
+    sx,
+    sy,
+    x: (x) => round(to.x + (x - from.x) * sx),
+    y: (y) => round(to.y + (y - from.y) * sy),
+  };
+}
+
+function scaleProps(el, from, to) {
+  const m = mapper(from, to);
+
+  switch (el.type) {
+    case ELEMENT_TYPES.RECT:
+    case ELEMENT_TYPES.IMAGE:
+      return { x: round(to.x), y: round(to.y), width: round(to.width), height: round(to.height) };
+
+    case ELEMENT_TYPES.ELLIPSE:
+      return {
+        cx: round(to.x + to.width / 2),
+        cy: round(to.y + to.height / 2),
+        rx: round(to.width / 2),
+        ry: round(to.height / 2),
+      };
+
+    case ELEMENT_TYPES.LINE:
+      return { x1: m.x(el.x1 || 0), y1: m.y(el.y1 || 0), x2: m.x(el.x2 || 0), y2: m.y(el.y2 || 0) };
+
+    case ELEMENT_TYPES.TEXT:
+      // Text scales with the box height; its anchor point follows the box
+      return {
+        x: m.x(el.x || 0),
+        y: m.y(el.y || 0),
+        fontSize: Math.max(MIN_SIZE, round((el.fontSize || 16) * m.sy)),
+      };
+
+    case ELEMENT_TYPES.ICON:
+      return { x: round(to.x), y: round(to.y), size: Math.max(MIN_SIZE, round(Math.min(to.width, to.height))) };
+
+    case ELEMENT_TYPES.PATH: {
+      const d = mapPathPoints(el.d, (x, y) => [m.x(x), m.y(y)]);
+      return d ? { d } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Scale a group's subtree; nested groups keep their offset and scale their own children
+function scaleChildren(doc, groupId, from, to, seen) {
+  const patches = [];
+
+  for (const childId of doc.elements[groupId].children || []) {
+    const child = doc.elements[childId];
+    if (!child || seen.has(childId)) continue;
+
+    if (child.type === ELEMENT_TYPES.GROUP) {
+      // Child coordinates are offset by the nested group's translate
+      const ox = child.x || 0;
+      const oy = child.y || 0;
+      const shift = (b) => ({ ...b, x: b.x - ox, y: b.y - oy });
+      patches.push(...scaleChildren(doc, childId, shift(from), shift(to), new Set([...seen, childId])));
+      continue;
+    }
+
+    const bounds = getElementBounds(doc, childId);
+    if (!bounds) continue;
+    const m = mapper(from, to);
+    const props = scaleProps(child, bounds, {
+      x: m.x(bounds.x),
+      y: m.y(bounds.y),
+      width: Math.max(MIN_SIZE, bounds.width * m.sx),
+      height: Math.max(MIN_SIZE, bounds.height * m.sy),
+    });
+    if (props) patches.push({ op: PATCH_OPS.UPDATE, id: childId, props });
+  }
+
+  return patches;
+}
+
+/**
+ * Rewrite every point of a path made only of absolute M/L/C/S/Q/T/Z commands.
+ * Returns null for paths we cannot transform safely (relative commands, H/V, arcs).
+ */
+function mapPathPoints(d, fn) {
+  if (typeof d !== 'string' || !/^[MLCSQTZ\d\s,.eE+-]*$/.test(d)) return null;
+
+  const tokens = d.match(/[MLCSQTZ]|-?\d*\.?\d+(?:e[+-]?\d+)?/gi) || [];
+  const out = [];
+  const pending = [];
+  for (const token of tokens) {
+    if (/^[A-Z]$/i.test(token)) {
+      if (pending.length) return null;
+      out.push(token);
+    } else {
+      pending.push(Number(token));
+      if (pending.length === 2) {
+        const [x, y] = fn(pending[0], pending[1]);
+        out.push(round(x), round(y));
+        pending.length = 0;
+      }
+    }
+  }
+  return pending.length ? null : out.join(' ');
+}
+
+/**
+ * Scale path data around the origin. Any commands work, absolute or
+ * relative, since every coordinate and length scales the same way; arc
+ * rotations and flags are kept. Returns null for malformed data.
+ */
+function scalePathData(d, factor) {
+  if (typeof d !== 'string') return null;
+  const NUMBER = /[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/iy;
+  const out = [];
+  let command = null;
+  let param = 0;
+  let i = 0;
+
+  while (i < d.length) {
+    const c = d[i];
+    if (/[\s,]/.test(c)) {
+      i++;
+    } else if (/[MLHVCSQTAZ]/i.test(c)) {
+      command = c;
+      param = 0;
+      out.push(c);
+      i++;
+    } else {
+      if (!command) return null;
+      // Arc parameters: rx ry rotation large-arc sweep x y
+      const arcParam = /a/i.test(command) ? param % 7 : -1;
+      if (arcParam === 3 || arcParam === 4) {
+        // Flags are single digits and may run into the next number ("011 1")
+        if (c !== '0' && c !== '1') return null;
+        out.push(c);
+        i++;
+      } else {
+        NUMBER.lastIndex = i;
+        const match = NUMBER.exec(d);
+        if (!match) return null;
+        const value = parseFloat(match[0]);
+        out.push(arcParam === 2 ? value : round(value * factor));
+        i += match[0].length;
+      }
+      param++;
+    }
+  }
+
+  return out.join(' ');
+}
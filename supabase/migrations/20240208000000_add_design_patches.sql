@@ -0,0 +1,35 @@
+-- Applied patch log per design, for undo/redo
+create table design_patches (
+  id uuid primary key default gen_random_uuid(),
+  seq bigint generated always as identity,
+  design_id uuid references designs(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  patches jsonb not null,
+  inverse jsonb not null,
+  source text not null default 'edit',
+  undone boolean not null default false,
+  created_at timestamp with time zone default now()
+);
+
+-- Enable RLS
+alter table design_patches enable row level security;
+
+-- Users can only see their own patch log
+create policy "Users can view own patches"
+  on design_patches for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own patches"
+  on design_patches for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own patches"
+  on design_patches for update
+  using (auth.uid() = user_id);
+
+create policy "Users can delete own patches"
+  on design_patches for delete
+  using (auth.uid() = user_id);
+
+-- Index for walking the log
+create index design_patches_design_seq_idx on design_patches(design_id, seq desc);
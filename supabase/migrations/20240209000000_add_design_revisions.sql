@@ -0,0 +1,16 @@
+-- Revision number per design, for optimistic concurrency (ETag / If-Match)
+alter table designs add column revision integer not null default 1;
+
+-- Every update moves the revision forward, whoever makes it
+create or replace function bump_design_revision()
+returns trigger as $$
+begin
+  new.revision := old.revision + 1;
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger designs_bump_revision
+  before update on designs
+  for each row
+  execute function bump_design_revision();
@@ -0,0 +1,151 @@
+-- Workspaces with members, and per-design sharing with viewer/editor/owner roles
+create table workspaces (
+  id uuid primary key default gen_random_uuid(),
+  name text not null default 'Workspace',
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamp with time zone default now()
+);
+
+create table workspace_members (
+  workspace_id uuid references workspaces(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  created_at timestamp with time zone default now(),
+  primary key (workspace_id, user_id)
+);
+
+create table design_shares (
+  design_id uuid references designs(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  created_at timestamp with time zone default now(),
+  primary key (design_id, user_id)
+);
+
+-- A design can live in a workspace; its members get their workspace role on it
+alter table designs add column workspace_id uuid references workspaces(id) on delete set null;
+
+create index workspace_members_user_id_idx on workspace_members(user_id);
+create index design_shares_user_id_idx on design_shares(user_id);
+create index designs_workspace_id_idx on designs(workspace_id);
+
+-- Strongest role a user has on a design: owner if they created it, otherwise
+-- the stronger of a direct share and their role in the design's workspace.
+-- security definer so policies can call it without recursing into RLS.
+create or replace function design_role(p_design uuid, p_user uuid)
+returns text as $$
+  select case
+    when d.user_id = p_user then 'owner'
+    else (
+      select r.role from (
+        select s.role from design_shares s
+          where s.design_id = d.id and s.user_id = p_user
+        union all
+        select m.role from workspace_members m
+          where m.workspace_id = d.workspace_id and m.user_id = p_user
+      ) r
+      order by case r.role when 'owner' then 3 when 'editor' then 2 else 1 end desc
+      limit 1
+    )
+  end
+  from designs d
+  where d.id = p_design;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function workspace_role(p_workspace uuid, p_user uuid)
+returns text as $$
+  select role from workspace_members
+  where workspace_id = p_workspace and user_id = p_user;
+$$ language sql stable security definer set search_path = public;
+
+-- Looking people up to share with; only the server (service role) may call these
+create or replace function user_id_by_email(p_email text)
+returns uuid as $$
+  select id from auth.users where lower(email) = lower(p_email) limit 1;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function user_emails(p_ids uuid[])
+returns table (id uuid, email text) as $$
+  select u.id, u.email::text from auth.users u where u.id = any(p_ids);
+$$ language sql stable security definer set search_path = public;
+
+revoke execute on function user_id_by_email(text) from public, anon, authenticated;
+revoke execute on function user_emails(uuid[]) from public, anon, authenticated;
+
+-- Designs: anyone with a role can read, editors can update, owners can delete
+drop policy "Users can view own designs" on designs;
+drop policy "Users can update own designs" on designs;
+drop policy "Users can delete own designs" on designs;
+
+create policy "Users can view designs they have a role on"
+  on designs for select
+  using (design_role(id, auth.uid()) is not null);
+
+create policy "Editors can update designs"
+  on designs for update
+  using (design_role(id, auth.uid()) in ('editor', 'owner'));
+
+create policy "Owners can delete designs"
+  on designs for delete
+  using (design_role(id, auth.uid()) = 'owner');
+
+-- Versions: history is shared by everyone who can see the design
+drop policy "Users can view own versions" on design_versions;
+drop policy "Users can insert own versions" on design_versions;
+
+create policy "Users can view versions of designs they have a role on"
+  on design_versions for select
+  using (design_role(design_id, auth.uid()) is not null);
+
+create policy "Editors can insert versions"
+  on design_versions for insert
+  with check (auth.uid() = user_id and design_role(design_id, auth.uid()) in ('editor', 'owner'));
+
+-- Shares: visible to everyone on the design, managed by its owners
+alter table design_shares enable row level security;
+
+create policy "Users can view shares of designs they have a role on"
+  on design_shares for select
+  using (design_role(design_id, auth.uid()) is not null);
+
+create policy "Owners can manage shares"
+  on design_shares for all
+  using (design_role(design_id, auth.uid()) = 'owner')
+  with check (design_role(design_id, auth.uid()) = 'owner');
+
+-- Workspaces: visible to members, managed by workspace owners
+alter table workspaces enable row level security;
+alter table workspace_members enable row level security;
+
+create policy "Members can view workspaces"
+  on workspaces for select
+  using (workspace_role(id, auth.uid()) is not null);
+
+create policy "Users can create workspaces"
+  on workspaces for insert
+  with check (auth.uid() = created_by);
+
+create policy "Owners can update workspaces"
+  on workspaces for update
+  using (workspace_role(id, auth.uid()) = 'owner');
+
+create policy "Owners can delete workspaces"
+  on workspaces for delete
+  using (workspace_role(id, auth.uid()) = 'owner');
+
+create policy "Members can view members"
+  on workspace_members for select
+  using (workspace_role(workspace_id, auth.uid()) is not null);
+
+create policy "Owners can manage members"
+  on workspace_members for all
+  using (workspace_role(workspace_id, auth.uid()) = 'owner')
+  with check (workspace_role(workspace_id, auth.uid()) = 'owner');
+
+-- The creator becomes the first owner
+create policy "Creators can join their workspace as owner"
+  on workspace_members for insert
+  with check (
+    auth.uid() = user_id and role = 'owner'
+    and exists (select 1 from workspaces w where w.id = workspace_id and w.created_by = auth.uid())
+  );
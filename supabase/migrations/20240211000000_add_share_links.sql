@@ -0,0 +1,25 @@
+-- Public read-only links: anyone with the token can view and embed the design
+create table share_links (
+  token text primary key,
+  design_id uuid references designs(id) on delete cascade not null,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamp with time zone default now()
+);
+
+create index share_links_design_id_idx on share_links(design_id);
+
+-- Enable RLS
+alter table share_links enable row level security;
+
+-- Links are managed by the design's owners; the server resolves tokens itself
+create policy "Owners can view share links"
+  on share_links for select
+  using (design_role(design_id, auth.uid()) = 'owner');
+
+create policy "Owners can create share links"
+  on share_links for insert
+  with check (auth.uid() = created_by and design_role(design_id, auth.uid()) = 'owner');
+
+create policy "Owners can revoke share links"
+  on share_links for delete
+  using (design_role(design_id, auth.uid()) = 'owner');
@@ -0,0 +1,31 @@
+-- design_role and workspace_role are security definer and take any user id, so
+-- any signed-in user could call them over RPC to learn anyone's role on any
+-- design or workspace. Callers now only get their own role (policies always
+-- pass auth.uid()); the server's service role can still ask about any user.
+create or replace function design_role(p_design uuid, p_user uuid)
+returns text as $$
+  select case
+    when d.user_id = p_user then 'owner'
+    else (
+      select r.role from (
+        select s.role from design_shares s
+          where s.design_id = d.id and s.user_id = p_user
+        union all
+        select m.role from workspace_members m
+          where m.workspace_id = d.workspace_id and m.user_id = p_user
+      ) r
+      order by case r.role when 'owner' then 3 when 'editor' then 2 else 1 end desc
+      limit 1
+    )
+  end
+  from designs d
+  where d.id = p_design
+    and (p_user = auth.uid() or auth.role() = 'service_role');
+$$ language sql stable security definer set search_path = public;
+
+create or replace function workspace_role(p_workspace uuid, p_user uuid)
+returns text as $$
+  select role from workspace_members
+  where workspace_id = p_workspace and user_id = p_user
+    and (p_user = auth.uid() or auth.role() = 'service_role');
+$$ language sql stable security definer set search_path = public;
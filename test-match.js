@@ -4,7 +4,7 @@ import { readFileSync, writeFileSync } from 'fs';
 const BASE_URL = 'http://localhost:3000';
 
 async function test() {
-  console.log('=== Testing Image Match (Build → Critique → Fix) ===\n');
+  console.log('=== Testing Image Match (Build, then Critique → Fix rounds) ===\n');
 
   // 1. Create session
   console.log('Creating session...');
@@ -85,11 +85,11 @@ function handleEvent(event) {
       break;
 
     case 'analyzing':
-      console.log('Sampling colors from target...');
+      console.log('Analyzing target...');
       break;
 
     case 'analysis_complete':
-      console.log(`Sampled ${event.samples} grid points\n`);
+      console.log(`Sampled ${event.samples} grid points, found ${event.shapes} shapes and ${event.textLines} text lines\n`);
       break;
 
     case 'phase':
@@ -131,8 +131,12 @@ function handleEvent(event) {
       console.log(`    ✓ Rendered (${event.phase})`);
       break;
 
+    case 'score':
+      console.log(`    Score: ${event.score}% (pixels ${event.similarity}%, structure ${event.structure}%)${event.best ? ' - best so far' : ''}`);
+      break;
+
     case 'complete':
-      console.log(`\n>>> COMPLETE (${event.reason})`);
+      console.log(`\n>>> COMPLETE (${event.reason}, best round ${event.bestRound} at ${event.score}%)`);
       break;
 
     case 'error':
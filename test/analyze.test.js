@@ -1,12 +1,27 @@
-// Tests for image analysis (grid color sampling)
-import { readFileSync } from 'fs';
-import { analyzeImage } from '../server/analyze.js';
+// Tests for image analysis (grid color sampling, palette, text lines, shapes)
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { analyzeImage, sampleColors } from '../server/analyze.js';
+import { createRecognizer } from '../server/ocr.js';
+import { validatePatches } from '../server/validate.js';
+import { extractPalette } from '../server/palette.js';
+import { PNG } from 'pngjs';
+import { applyPatches, createEmptyDocument } from '../shared/schema.js';
+import { renderToPNG } from '../server/renderer.js';
 import assert from 'assert';
 
 const TEST_IMAGE = './test-image.png';
+// Grid tests don't need OCR (or its language data download)
+const NO_OCR = { recognizer: null };
+
+// Recognizer that reports fixed lines, standing in for tesseract
+function fakeRecognizer(lines) {
+  return { recognize: async () => lines };
+}
 
 async function runTests() {
-  console.log('=== Analysis Tests (Grid Sampling) ===\n');
+  console.log('=== Analysis Tests (Grid Sampling, Palette, Text, Shapes) ===\n');
 
   let passed = 0;
   let failed = 0;
@@ -15,7 +30,7 @@ async function runTests() {
   try {
     console.log('Test 1: Analysis runs without error...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf);
+    const result = await analyzeImage(buf, NO_OCR);
     assert(result.dimensions, 'Should have dimensions');
     assert(result.samples, 'Should have samples array');
     assert(result.gridSize, 'Should have gridSize');
@@ -30,7 +45,7 @@ async function runTests() {
   try {
     console.log('Test 2: Default 25x25 grid produces 625 samples...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf);
+    const result = await analyzeImage(buf, NO_OCR);
     assert(result.gridSize === 25, `Expected gridSize 25, got ${result.gridSize}`);
     assert(result.samples.length === 625, `Expected 625 samples, got ${result.samples.length}`);
     console.log('  ✓ Passed\n');
@@ -44,7 +59,7 @@ async function runTests() {
   try {
     console.log('Test 3: Custom grid size (10x10) works...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf, { gridSize: 10 });
+    const result = await analyzeImage(buf, { gridSize: 10, ...NO_OCR });
     assert(result.gridSize === 10, `Expected gridSize 10, got ${result.gridSize}`);
     assert(result.samples.length === 100, `Expected 100 samples, got ${result.samples.length}`);
     console.log('  ✓ Passed\n');
@@ -58,7 +73,7 @@ async function runTests() {
   try {
     console.log('Test 4: Samples have correct structure...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf);
+    const result = await analyzeImage(buf, NO_OCR);
     for (let i = 0; i < Math.min(10, result.samples.length); i++) {
       const sample = result.samples[i];
       assert(typeof sample.x === 'number', `Sample ${i} missing x`);
@@ -78,7 +93,7 @@ async function runTests() {
   try {
     console.log('Test 5: Samples span the image...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf);
+    const result = await analyzeImage(buf, NO_OCR);
     const xs = result.samples.map(s => s.x);
     const ys = result.samples.map(s => s.y);
     const minX = Math.min(...xs);
@@ -103,7 +118,7 @@ async function runTests() {
   try {
     console.log('Test 6: Finds colorful samples in test image...');
     const buf = readFileSync(TEST_IMAGE);
-    const result = analyzeImage(buf);
+    const result = await analyzeImage(buf, NO_OCR);
 
     // Count non-background colors
     const colorful = result.samples.filter(s => {
@@ -129,6 +144,198 @@ async function runTests() {
     failed++;
   }
 
+  // Test 7: Recognized lines get their style from the pixels
+  try {
+    console.log('Test 7: Text lines carry box, baseline, size, weight and color...');
+
+    // Vertical bars stand in for glyph stems: 2px at 24px reads regular, 4px bold
+    const bars = (prefix, x, y, stem, fill) => Array.from({ length: 6 }, (_, i) => (
+      { op: 'add', id: `${prefix}-${i}`, element: { type: 'rect', x: x + i * 12, y, width: stem, height: 18, fill } }
+    ));
+    const png = renderToPNG(applyPatches(createEmptyDocument({ width: 200, height: 120 }), [
+      { op: 'update', id: 'canvas', props: { background: '#f8fafc' } },
+      ...bars('thin', 10, 12, 2, '#1e293b'),
+      ...bars('thick', 10, 62, 4, '#dc2626'),
+    ]));
+    const lines = [
+      { text: 'Regular label', confidence: 91, bbox: { x: 8, y: 8, width: 76, height: 26 }, baseline: 30.4, rowHeight: 24 },
+      { text: 'Bold label', confidence: 88, bbox: { x: 8, y: 58, width: 80, height: 26 }, baseline: 80, rowHeight: 24 },
+      { text: 'Unsure', confidence: 30, bbox: { x: 8, y: 8, width: 76, height: 26 }, baseline: 30, rowHeight: 24 },
+      { text: '~ -', confidence: 95, bbox: { x: 8, y: 8, width: 76, height: 26 }, baseline: 30, rowHeight: 24 },
+      { text: 'Empty area', confidence: 80, bbox: { x: 120, y: 90, width: 60, height: 20 }, baseline: 106, rowHeight: 20 },
+    ];
+
+    const result = await analyzeImage(png, { recognizer: fakeRecognizer(lines) });
+    assert.strictEqual(result.samples.length, 625, 'Color samples are still there');
+    assert.deepStrictEqual(result.text.map(t => t.content), ['Regular label', 'Bold label'], 'Low-confidence, letterless and inkless lines should be dropped');
+
+    const [regular, bold] = result.text;
+    assert.deepStrictEqual(regular, {
+      content: 'Regular label',
+      bbox: { x: 8, y: 8, width: 76, height: 26 },
+      baseline: 30,
+      fontSize: 24,
+      fontWeight: 'normal',
+      color: '#1e293b',
+      confidence: 91,
+    });
+    assert.strictEqual(bold.fontWeight, 'bold');
+    assert.strictEqual(bold.color, '#dc2626');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 8: Without language data or network, analysis goes on without text
+  try {
+    console.log('Test 8: Unavailable OCR degrades to no text lines...');
+
+    const dataDir = mkdtempSync(join(tmpdir(), 'ocr-'));
+    const recognizer = createRecognizer({ enabled: true, lang: 'eng', dataDir, langUrl: 'http://127.0.0.1:9' });
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      const buf = readFileSync(TEST_IMAGE);
+      const result = await analyzeImage(buf, { recognizer });
+      assert.deepStrictEqual(result.text, []);
+      assert.deepStrictEqual(result.samples, sampleColors(buf).samples, 'Samples should match the OCR-free path');
+      assert.deepStrictEqual(await recognizer.recognize(buf), [], 'A failed start should not be retried');
+      assert.strictEqual(warnings.length, 1, 'The failure should be reported once');
+      assert(/OCR unavailable/.test(warnings[0]), warnings[0]);
+    } finally {
+      console.warn = warn;
+      await recognizer.terminate();
+      rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    const disabled = createRecognizer({ enabled: false, lang: 'eng', dataDir: '/nonexistent' });
+    assert.deepStrictEqual(await disabled.recognize(Buffer.alloc(0)), []);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 9: Flat regions come back as the primitives that drew them
+  try {
+    console.log('Test 9: Shapes are fitted to rects, ellipses, lines and paths...');
+
+    const doc = applyPatches(createEmptyDocument({ width: 400, height: 300 }), [
+      { op: 'update', id: 'canvas', props: { background: '#f8fafc' } },
+      { op: 'add', id: 'rect', element: { type: 'rect', x: 20, y: 20, width: 120, height: 80, fill: '#3b82f6' } },
+      { op: 'add', id: 'rounded', element: { type: 'rect', x: 170, y: 20, width: 120, height: 80, cornerRadius: 16, fill: '#10b981' } },
+      { op: 'add', id: 'label', element: { type: 'text', x: 230, y: 68, content: 'Go', fontSize: 20, fontWeight: 'bold', fill: '#ffffff', textAnchor: 'middle' } },
+      { op: 'add', id: 'ellipse', element: { type: 'ellipse', cx: 80, cy: 200, rx: 50, ry: 35, fill: '#f59e0b' } },
+      { op: 'add', id: 'outline', element: { type: 'rect', x: 170, y: 140, width: 100, height: 60, fill: 'none', stroke: '#7c3aed', strokeWidth: 4 } },
+      { op: 'add', id: 'line', element: { type: 'line', x1: 300, y1: 150, x2: 380, y2: 280, stroke: '#111827', strokeWidth: 3 } },
+      { op: 'add', id: 'triangle', element: { type: 'path', d: 'M 300 20 L 390 60 L 300 100 Z', fill: '#dc2626' } },
+    ]);
+    const result = await analyzeImage(renderToPNG(doc), NO_OCR);
+    const byColor = Object.fromEntries(result.shapes.map(s => [s.fill === 'none' || s.type === 'line' ? s.stroke : s.fill, s]));
+
+    assert.strictEqual(result.shapes.length, 6, JSON.stringify(result.shapes));
+    assert.deepStrictEqual(byColor['#3b82f6'], { type: 'rect', x: 20, y: 20, width: 120, height: 80, fill: '#3b82f6' });
+    assert.deepStrictEqual(byColor['#f59e0b'], { type: 'ellipse', cx: 80, cy: 200, rx: 50, ry: 35, fill: '#f59e0b' });
+    assert.deepStrictEqual(byColor['#7c3aed'], { type: 'rect', x: 170, y: 140, width: 100, height: 60, fill: 'none', stroke: '#7c3aed', strokeWidth: 4 });
+
+    const rounded = byColor['#10b981'];
+    assert.strictEqual(rounded.type, 'rect', 'The label is a hole in the rounded rect, not a reason to give up on it');
+    assert(Math.abs(rounded.cornerRadius - 16) <= 2, `Corner radius ${rounded.cornerRadius}`);
+
+    const line = byColor['#111827'];
+    assert.strictEqual(line.type, 'line');
+    assert.strictEqual(line.strokeWidth, 3);
+    assert(Math.hypot(line.x1 - 300, line.y1 - 150) <= 1.5 && Math.hypot(line.x2 - 380, line.y2 - 280) <= 1.5, JSON.stringify(line));
+
+    const triangle = byColor['#dc2626'];
+    assert.strictEqual(triangle.type, 'path');
+    assert.strictEqual(triangle.d.match(/[ML]/g).length, 3, triangle.d);
+
+    const adds = result.shapes.map((element, i) => ({ op: 'add', id: `shape-${i}`, element }));
+    const invalid = validatePatches(adds, createEmptyDocument({ width: 400, height: 300 })).filter(r => !r.valid || r.warnings?.length);
+    assert.deepStrictEqual(invalid, [], 'Shapes should be valid elements as they are');
+
+    // Regions inside a text line are the text's glyphs
+    const withText = await analyzeImage(renderToPNG(doc), { recognizer: fakeRecognizer([
+      { text: 'Shapes', confidence: 90, bbox: { x: 10, y: 10, width: 140, height: 100 }, baseline: 80, rowHeight: 60 },
+    ]) });
+    assert.strictEqual(withText.shapes.length, 5);
+    assert(!withText.shapes.some(s => s.fill === '#3b82f6'), 'The rect under the text line should be left out');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 10: The test image's chevrons and connectors
+  try {
+    console.log('Test 10: Shapes in the test image...');
+    const result = await analyzeImage(readFileSync(TEST_IMAGE), NO_OCR);
+
+    const [frame, ...rest] = result.shapes;
+    assert.strictEqual(frame.type, 'rect', 'The light panel inside the dark border comes first');
+    assert.strictEqual(frame.fill, '#ecebea');
+    assert(!rest.some(s => s.fill === frame.fill), 'Letter counters show the panel, they are not shapes');
+
+    const chevrons = rest.filter(s => s.type === 'path');
+    assert.deepStrictEqual(chevrons.map(s => s.fill).sort(), ['#3f23ca', '#5d1b57', '#b82c65', '#d1315b', '#e96357']);
+    for (const chevron of chevrons) {
+      const points = chevron.d.match(/[ML]/g).length;
+      assert(points === 5 || points === 6, `Chevron should have 5-6 corners: ${chevron.d}`);
+    }
+
+    const connectors = rest.filter(s => s.type === 'line');
+    assert.strictEqual(connectors.length, 8, `Expected 8 connector lines, got ${connectors.length}`);
+    assert(connectors.every(l => l.x1 === l.x2 && l.stroke === '#d1315b'), JSON.stringify(connectors));
+    console.log(`  ${result.shapes.length} shapes: ${chevrons.length} chevrons, ${connectors.length} connectors`);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 11: Dominant colors with their weights and nearest curated colors
+  try {
+    console.log('Test 11: Palette extraction...');
+
+    // 60% white, 30% blue, 10% amber, and a small anti-aliased dot
+    const doc = applyPatches(createEmptyDocument({ width: 200, height: 100 }), [
+      { op: 'update', id: 'canvas', props: { background: '#ffffff' } },
+      { op: 'add', id: 'blue', element: { type: 'rect', x: 0, y: 0, width: 60, height: 100, fill: '#3b82f6' } },
+      { op: 'add', id: 'amber', element: { type: 'rect', x: 60, y: 0, width: 20, height: 100, fill: '#f59e0b' } },
+      { op: 'add', id: 'dots', element: { type: 'ellipse', cx: 150, cy: 50, rx: 3.5, ry: 3.5, fill: '#3b82f6' } },
+    ]);
+    const png = PNG.sync.read(renderToPNG(doc));
+    const palette = extractPalette(png);
+
+    assert.deepStrictEqual(palette.map(p => p.color), ['#ffffff', '#3b82f6', '#f59e0b']);
+    assert(Math.abs(palette[0].weight - 0.6) < 0.01 && Math.abs(palette[1].weight - 0.3) < 0.01 && Math.abs(palette[2].weight - 0.1) < 0.01,
+      `Weights ${palette.map(p => p.weight)}`);
+    assert.deepStrictEqual(palette[1].nearest, { palette: 'modern', role: 'primary', color: '#3b82f6', distance: 0 });
+    assert.deepStrictEqual(extractPalette(png), palette, 'Extraction should be deterministic');
+    assert.strictEqual(extractPalette(png, { count: 1 }).length, 1);
+
+    const analysis = await analyzeImage(readFileSync(TEST_IMAGE), NO_OCR);
+    assert.strictEqual(analysis.palette[0].color, '#ecebea', 'The panel dominates the test image');
+    assert(analysis.palette.some(p => p.color === '#1e1e1e'), 'Dark colors count too');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
   // Summary
   console.log('=== Summary ===');
   console.log(`Passed: ${passed}`);
@@ -0,0 +1,125 @@
+// Tests for the HTTP API against a real server process (file storage, local AI)
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import assert from 'assert';
+
+const STARTUP_TIMEOUT_MS = 15000;
+
+// A port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function startServer(dir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server/index.js'], {
+    env: { ...process.env, PORT: String(port), STORAGE_BACKEND: 'file', STORAGE_DIR: dir, AI_PROVIDER: 'local', OCR: 'off' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('running at')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return { base: `http://127.0.0.1:${port}`, child, output: () => output };
+}
+
+async function runTests() {
+  console.log('=== API Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const dir = mkdtempSync(join(tmpdir(), 'ai-drawer-api-'));
+  const server = await startServer(dir);
+  const { base } = server;
+
+  try {
+    const { localSession } = await (await fetch(`${base}/api/config`)).json();
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${localSession.access_token}` };
+    const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+    // A design to patch, made by the local AI rules
+    const stream = await (await post('/api/designs/from-description', { description: 'Flow: start, finish' })).text();
+    const designId = stream.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6))).find(e => e.type === 'done').id;
+
+    // Test 1: Malformed patch lists are refused and the server keeps running
+    try {
+      console.log('Test 1: Null and non-object patches get a 400...');
+
+      for (const patches of [[null], [42], ['remove'], [[]], [{ op: 'remove', id: 'title' }, null]]) {
+        const res = await post(`/api/designs/${designId}/patches`, { patches });
+        assert.strictEqual(res.status, 400, `${JSON.stringify(patches)} should be refused`);
+        assert.match((await res.json()).error, /must be an object/);
+      }
+      assert.strictEqual((await post(`/api/designs/${designId}/patches`, { patches: 'nope' })).status, 400);
+
+      const bad = await post(`/api/designs/${designId}/patches`, '{"patches": [');
+      assert.strictEqual(bad.status, 400, 'Unparseable JSON keeps its 400');
+
+      const ok = await post(`/api/designs/${designId}/patches`, { patches: [{ op: 'update', id: 'title', props: { fill: '#ef4444' } }] });
+      assert.strictEqual(ok.status, 200, 'The server should still be up');
+      assert.strictEqual((await ok.json()).document.elements.title.fill, '#ef4444');
+      assert.strictEqual(server.child.exitCode, null);
+
+      console.log('  ✓ Passed\n');
+      passed++;
+    } catch (err) {
+      console.log('  ✗ Failed:', err.message, '\n');
+      failed++;
+    }
+
+    // Test 2: SVG exports carry a title and description
+    try {
+      console.log('Test 2: SVG export includes <title> and <desc>...');
+
+      const res = await fetch(`${base}/api/designs/${designId}/render?format=svg`, { headers });
+      assert.strictEqual(res.status, 200);
+      const svg = await res.text();
+      assert.match(svg, /<title>[^<]+<\/title>/);
+      assert.match(svg, /<desc>[^<]+, revision \d+<\/desc>/, 'The description should name the design and its revision');
+
+      console.log('  ✓ Passed\n');
+      passed++;
+    } catch (err) {
+      console.log('  ✗ Failed:', err.message, '\n');
+      failed++;
+    }
+  } finally {
+    server.child.kill();
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+// Tests for live collaboration: rebasing stale batches, rooms and the WebSocket protocol
+import { createServer } from 'http';
+import WebSocket from 'ws';
+import { rebasePatches, createCollabHub, attachCollab } from '../server/collab.js';
+import { applyTransaction, summarizeTransaction } from '../server/transaction.js';
+import { applyPatches, createEmptyDocument } from '../shared/schema.js';
+import assert from 'assert';
+
+const USERS = {
+  'token-a': { id: 'user-a', email: 'a@example.com', user_metadata: {} },
+  'token-b': { id: 'user-b', email: 'b@example.com', user_metadata: {} },
+};
+
+function startDoc() {
+  return applyPatches(createEmptyDocument({ width: 400, height: 300 }), [
+    { op: 'add', id: 'box', element: { type: 'rect', x: 10, y: 10, width: 50, height: 50, fill: '#3b82f6' } },
+    { op: 'add', id: 'dot', element: { type: 'ellipse', cx: 100, cy: 100, rx: 5, ry: 5 } },
+  ]);
+}
+
+// A collab server over an in-memory design, committing like server/index.js does
+async function startServer() {
+  const design = { id: 'd1', revision: 1, document: startDoc(), thumbnail: null };
+  const hub = createCollabHub();
+  const server = createServer();
+
+  attachCollab(server, {
+    hub,
+    authenticate: async (token) => USERS[token] || null,
+    loadDesign: async (id) => (id === design.id ? structuredClone(design) : null),
+    async commitBatch({ design: read, user, patches, origins, conflicts, socket }) {
+      const transaction = applyTransaction(read.document, patches, { mode: 'best-effort' });
+      const summary = summarizeTransaction(transaction);
+      summary.dropped = [
+        ...conflicts.map(c => ({ ...c, code: 'conflict' })),
+        ...summary.dropped.map(d => ({ ...d, index: origins[d.index] })),
+      ];
+      design.document = transaction.document;
+      design.revision++;
+      hub.publish(design.id, { revision: design.revision, baseRevision: read.revision, patches: transaction.applied, source: 'manual', user }, socket);
+      return { document: design.document, revision: design.revision, patches: summary };
+    },
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  return { server, hub, design, url: `ws://localhost:${server.address().port}/ws` };
+}
+
+// Socket that queues incoming messages so tests can wait for the next one of a type
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const inbox = [];
+  const waiters = [];
+  socket.on('message', (data) => {
+    inbox.push(JSON.parse(data.toString()));
+    waiters.splice(0).forEach(fn => fn());
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  socket.sendJSON = (message) => socket.send(JSON.stringify(message));
+  socket.next = (type, timeout = 2000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No "${type}" message`)), timeout);
+    const check = () => {
+      const i = inbox.findIndex(m => m.type === type);
+      if (i === -1) return waiters.push(check);
+      clearTimeout(timer);
+      resolve(inbox.splice(i, 1)[0]);
+    };
+    check();
+  });
+  return socket;
+}
+
+async function runTests() {
+  console.log('=== Collaboration Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Stale updates lose the props a concurrent batch already changed
+  try {
+    console.log('Test 1: Rebase keeps the first writer and reports conflicts...');
+
+    const concurrent = [
+      { op: 'update', id: 'box', props: { fill: '#ef4444' } },
+      { op: 'remove', id: 'dot' },
+    ];
+    const stale = [
+      { op: 'update', id: 'box', props: { fill: '#22c55e', x: 40 } },
+      { op: 'update', id: 'dot', props: { rx: 10 } },
+      { op: 'reorder', order: ['dot', 'box'] },
+      { op: 'reorder', id: 'box', before: 'dot' },
+      { op: 'add', id: 'note', element: { type: 'text', x: 0, y: 20, content: 'Hi' } },
+    ];
+
+    const { patches, origins, conflicts } = rebasePatches(stale, concurrent);
+    assert.deepStrictEqual(patches[0], { op: 'update', id: 'box', props: { x: 40 } }, 'Untouched props should survive');
+    assert.deepStrictEqual(patches.map(p => p.op), ['update', 'reorder', 'add']);
+    assert.deepStrictEqual(origins, [0, 3, 4], 'Kept patches should point at their original index');
+    assert.deepStrictEqual(conflicts.map(c => c.index), [0, 1, 2]);
+    assert.deepStrictEqual(conflicts[0].props, ['fill']);
+
+    const untouched = rebasePatches(stale, [{ op: 'update', id: 'other', props: { x: 1 } }]);
+    assert.deepStrictEqual(untouched.patches, stale, 'Unrelated concurrent changes should leave the batch alone');
+    assert.deepStrictEqual(untouched.conflicts, []);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 2: The room log only rebases what it fully covers
+  try {
+    console.log('Test 2: Room log covers revisions and skips the sender\'s own batches...');
+
+    const hub = createCollabHub();
+    const mine = { readyState: 1, OPEN: 1, send() {} };
+    hub.join('d', mine, USERS['token-a']);
+    hub.publish('d', { revision: 2, baseRevision: 1, patches: [{ op: 'remove', id: 'a' }] }, mine);
+    hub.publish('d', { revision: 3, baseRevision: 2, patches: [{ op: 'remove', id: 'b' }] });
+
+    assert.deepStrictEqual(hub.concurrentSince('d', 1, 3).map(p => p.id), ['a', 'b']);
+    assert.deepStrictEqual(hub.concurrentSince('d', 1, 3, mine).map(p => p.id), ['b'], 'The sender already has its own batch');
+    assert.strictEqual(hub.concurrentSince('d', 0, 3), null, 'Revisions before the log should need a resync');
+
+    // Writes to one design run one after another, in arrival order
+    const order = [];
+    const slow = hub.serialize('d', async () => { await new Promise(r => setTimeout(r, 20)); order.push('first'); });
+    const fast = hub.serialize('d', async () => { order.push('second'); });
+    await Promise.all([slow, fast]);
+    assert.deepStrictEqual(order, ['first', 'second']);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 3: Two viewers see each other and each other's patches
+  const { server, design, url } = await startServer();
+  const sockets = [];
+  try {
+    console.log('Test 3: Viewers get presence, broadcasts and rebased acks...');
+
+    const a = await connect(url);
+    const b = await connect(url);
+    const stranger = await connect(url);
+    sockets.push(a, b, stranger);
+
+    stranger.sendJSON({ type: 'join', designId: 'd1', token: 'bad' });
+    assert.strictEqual((await stranger.next('error')).code, 'unauthorized');
+    b.sendJSON({ type: 'patches', requestId: 9, baseRevision: 1, patches: [{ op: 'remove', id: 'box' }] });
+    assert.strictEqual((await b.next('error')).requestId, 9, 'Patches before joining should be refused');
+
+    a.sendJSON({ type: 'join', designId: 'd1', token: 'token-a' });
+    assert.strictEqual((await a.next('joined')).revision, 1);
+    b.sendJSON({ type: 'join', designId: 'd1', token: 'token-b' });
+    await b.next('joined');
+    let presence = await a.next('presence');
+    while (presence.viewers.length < 2) presence = await a.next('presence');
+    assert.deepStrictEqual(presence.viewers.map(v => v.email).sort(), ['a@example.com', 'b@example.com']);
+
+    // A moves the box; B hears about it, A just gets its ack
+    a.sendJSON({ type: 'patches', requestId: 1, baseRevision: 1, patches: [{ op: 'update', id: 'box', props: { x: 99 } }] });
+    const ackA = await a.next('ack');
+    assert.strictEqual(ackA.revision, 2);
+    const heard = await b.next('patches');
+    assert.deepStrictEqual(heard.patches, [{ op: 'update', id: 'box', props: { x: 99 } }]);
+    assert.deepStrictEqual([heard.baseRevision, heard.revision, heard.by.id], [1, 2, 'user-a']);
+
+    // B, still on revision 1, changes x and fill: x conflicts, fill goes through
+    b.sendJSON({ type: 'patches', requestId: 2, baseRevision: 1, patches: [{ op: 'update', id: 'box', props: { x: 5, fill: '#000000' } }] });
+    const ackB = await b.next('ack');
+    assert.strictEqual(ackB.revision, 3);
+    assert.strictEqual(ackB.document.elements.box.x, 99, 'The first writer should keep x');
+    assert.strictEqual(ackB.document.elements.box.fill, '#000000');
+    assert.deepStrictEqual(ackB.patches.dropped.map(d => [d.index, d.code]), [[0, 'conflict']]);
+    assert.strictEqual(design.revision, 3);
+
+    b.close();
+    presence = await a.next('presence');
+    while (presence.viewers.length !== 1) presence = await a.next('presence');
+    assert.strictEqual(presence.viewers[0].id, 'user-a', 'Leaving should update presence');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  } finally {
+    sockets.forEach(s => s.terminate());
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -200,9 +200,10 @@ test.describe('AI Drawer', () => {
     await page.click('#modal-create');
     await expect(page.locator('#progress-overlay')).toBeHidden({ timeout: 10000 });
 
-    // Start download
+    // Start download from the export dialog (PNG is the default format)
     const downloadPromise = page.waitForEvent('download');
     await page.click('#export-btn');
+    await page.click('#export-submit');
     const download = await downloadPromise;
 
     // Verify download filename
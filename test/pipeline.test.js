@@ -0,0 +1,347 @@
+// End-to-end create/edit/match pipelines on the local AI provider (no network)
+import { applyPatches, createEmptyDocument, validateDocument } from '../shared/schema.js';
+import { createFromDescription } from '../server/create.js';
+import { editDesign } from '../server/edit.js';
+import { matchImage, getMatchConfig, affordableRounds } from '../server/match.js';
+import { scoreImages } from '../server/diff.js';
+import { renderToPNG } from '../server/renderer.js';
+import { getAIConfig, createProvider } from '../server/ai.js';
+import { createLocalProvider } from '../server/local-ai.js';
+import { normalizeImage, decodeImageData, ImageInputError, MAX_IMAGE_BYTES } from '../server/image-input.js';
+import { paletteFromImage } from '../server/palette.js';
+import { parseCustomPalette, PALETTES } from '../shared/palettes.js';
+import { PNG } from 'pngjs';
+import sharp from 'sharp';
+import assert from 'assert';
+
+const DESCRIPTION = 'Checkout flow: Cart, Shipping, Payment and Confirmation';
+
+function targetImage() {
+  const doc = applyPatches(createEmptyDocument({ width: 200, height: 150 }), [
+    { op: 'update', id: 'canvas', props: { background: '#ffffff' } },
+    { op: 'add', id: 'a', element: { type: 'rect', x: 20, y: 20, width: 80, height: 60, fill: '#3b82f6' } },
+    { op: 'add', id: 'b', element: { type: 'rect', x: 110, y: 70, width: 70, height: 60, fill: '#ef4444' } },
+  ]);
+  return renderToPNG(doc);
+}
+
+async function runTests() {
+  console.log('=== Pipeline Tests (Local Provider) ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Create runs offline and is deterministic
+  try {
+    console.log('Test 1: Create pipeline with local rules...');
+
+    const events = [];
+    const first = await createFromDescription(DESCRIPTION, (e) => events.push(e), { provider: createLocalProvider() });
+    const second = await createFromDescription(DESCRIPTION, () => {}, { provider: createLocalProvider() });
+
+    assert.strictEqual(first.name, 'Checkout flow: Cart');
+    assert(validateDocument(first.document).valid, 'Created document should be valid');
+    assert.strictEqual(first.document.elements['item-1-group'].type, 'group', 'Boxes should be grouped with labels');
+    assert.strictEqual(first.patches.dropped.length, 0, 'Local rules should produce only valid elements');
+    assert.deepStrictEqual(first.document, second.document, 'Same description should give the same document');
+    assert(events.some(e => e.type === 'complete'), 'Progress should finish with complete');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 2: Edit keyword rules produce patches the pipeline applies
+  try {
+    console.log('Test 2: Edit pipeline with local rules...');
+
+    const provider = createLocalProvider();
+    const { document } = await createFromDescription(DESCRIPTION, () => {}, { provider });
+
+    const bigger = await editDesign(document, 'Make the text bigger', [], () => {}, { provider });
+    assert.strictEqual(bigger.document.elements.title.fontSize, 40, 'Title 32 should scale to 40');
+    assert.strictEqual(bigger.inversePatches.length > 0, true, 'Edit should be undoable');
+
+    const background = await editDesign(bigger.document, 'Change the background to green', [], () => {}, { provider });
+    assert.strictEqual(background.document.canvas.background, '#22c55e');
+
+    const note = await editDesign(document, 'Something the rules do not know', [], () => {}, { provider });
+    assert.strictEqual(note.document.elements['note-1'].content, 'Something the rules do not know');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 3: Match builds color regions from the target image
+  try {
+    console.log('Test 3: Match pipeline with local rules...');
+
+    const events = [];
+    const result = await matchImage(targetImage(), { onProgress: (e) => events.push(e), provider: createLocalProvider(), recognizer: null });
+
+    assert(result.document.elements['shape-3b82f6'], 'Blue region should become a rect');
+    assert(result.document.elements['shape-ef4444'], 'Red region should become a rect');
+    assert.strictEqual(result.document.canvas.background, '#ffffff');
+    assert(events.some(e => e.type === 'complete'), 'Match should complete');
+    assert(!events.some(e => e.type === 'error'), `No errors expected: ${JSON.stringify(events.filter(e => e.type === 'error'))}`);
+
+    // OCR'd lines reach the build prompt
+    const local = createLocalProvider();
+    const requests = [];
+    const capturing = { ...local, createMessage: (request, opts) => (requests.push(request), local.createMessage(request, opts)) };
+    const recognizer = { recognize: async () => [{ text: 'Blue box', confidence: 90, bbox: { x: 10, y: 10, width: 100, height: 80 }, baseline: 60, rowHeight: 20 }] };
+    await matchImage(targetImage(), { provider: capturing, recognizer });
+    const buildText = requests[0].messages[0].content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+    assert(buildText.includes('## TEXT LINES (OCR)'), 'Build prompt should list the text lines');
+    assert(/"Blue box" box \(10,10\) 100x80, baseline y=60, ~20px \w+ #ffffff/.test(buildText), buildText);
+
+    // So do the detected shapes, minus what's inside a text line
+    assert(buildText.includes('## SHAPES (detected)'), 'Build prompt should list the shapes');
+    assert(buildText.includes('{"type":"rect","x":110,"y":70,"width":70,"height":60,"fill":"#ef4444"}'), buildText);
+    assert(!buildText.includes('#3b82f6"}'), 'The blue rect is inside the text line');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 4: Scripted responses drive the repair round
+  try {
+    console.log('Test 4: Scripted provider feeds the repair loop...');
+
+    const provider = createLocalProvider({
+      script: {
+        create: [
+          {
+            thinking: 'Two shapes',
+            name: 'Scripted',
+            canvas: { width: 300, height: 200, background: '#ffffff' },
+            elements: [
+              { id: 'ok', type: 'rect', x: 10, y: 10, width: 50, height: 50, fill: '#3b82f6' },
+              { id: 'bad', type: 'ellipse', cx: 100, cy: 100 },
+            ],
+          },
+          { elements: [{ id: 'bad', type: 'ellipse', cx: 100, cy: 100, rx: 20, ry: 20, fill: '#ef4444' }] },
+        ],
+      },
+    });
+
+    const events = [];
+    const result = await createFromDescription('anything', (e) => events.push(e), { provider, repairAttempts: 1 });
+    assert.strictEqual(result.document.elements.bad.rx, 20, 'Repaired element should be applied');
+    assert.strictEqual(result.patches.dropped.length, 0);
+    assert.strictEqual(events.filter(e => e.type === 'repair').length, 2, 'Repair start and outcome should be reported');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 5: Provider configuration
+  try {
+    console.log('Test 5: Provider configuration from environment...');
+
+    const defaults = getAIConfig({});
+    assert.strictEqual(defaults.provider, 'anthropic');
+    assert.strictEqual(defaults.streaming, true);
+
+    const local = getAIConfig({ AI_PROVIDER: 'local', AI_MAX_TOKENS: '1024', AI_STREAMING: 'false' });
+    assert.deepStrictEqual([local.maxTokens, local.streaming], [1024, false]);
+    assert.strictEqual(createProvider(local).name, 'local');
+
+    assert.throws(() => getAIConfig({ AI_PROVIDER: 'nope' }), /Unknown AI_PROVIDER/);
+    assert.throws(() => getAIConfig({ AI_MAX_TOKENS: 'lots' }), /positive integer/);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 6: Uploads of any common format become a PNG the pipeline can read
+  try {
+    console.log('Test 6: Upload normalization and rejection...');
+
+    const pixel = (png, x, y) => {
+      const { data, width } = PNG.sync.read(png);
+      const i = (y * width + x) * 4;
+      return '#' + [data[i], data[i + 1], data[i + 2]].map(v => v.toString(16).padStart(2, '0')).join('');
+    };
+
+    const jpeg = await sharp(targetImage()).jpeg({ quality: 95 }).toBuffer();
+    const fromJpeg = await normalizeImage(decodeImageData(`data:image/jpeg;base64,${jpeg.toString('base64')}`));
+    assert.deepStrictEqual([fromJpeg.format, fromJpeg.width, fromJpeg.height, fromJpeg.scale], ['jpeg', 200, 150, 1]);
+    assert.strictEqual(PNG.sync.read(fromJpeg.buffer).width, 200, 'Output should decode with pngjs');
+
+    const rotated = await sharp(targetImage()).webp().withMetadata({ orientation: 6 }).toBuffer();
+    const upright = await normalizeImage(rotated);
+    assert.deepStrictEqual([upright.width, upright.height], [150, 200], 'EXIF orientation should be applied');
+
+    // Transparent cut-out: flattened onto white. Opaque frame: onto the frame's color.
+    const rgba = (size, color) => {
+      const data = Buffer.alloc(size * size * 4);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const edge = x < 2 || y < 2 || x >= size - 2 || y >= size - 2;
+          if (edge === (color !== null)) data.set(color || [0, 0, 0, 255], (y * size + x) * 4);
+        }
+      }
+      return sharp(data, { raw: { width: size, height: size, channels: 4 } }).png().toBuffer();
+    };
+    const cutout = await normalizeImage(await rgba(20, null));
+    assert.strictEqual(cutout.background, '#ffffff');
+    assert.strictEqual(pixel(cutout.buffer, 0, 0), '#ffffff', 'Transparent corners should become white');
+    const framed = await normalizeImage(await rgba(20, [17, 34, 51, 255]));
+    assert.strictEqual(framed.background, '#112233');
+    assert.strictEqual(pixel(framed.buffer, 10, 10), '#112233', 'Transparent middle should take the frame color');
+
+    // Oversized uploads are matched small and scaled back to their own size
+    const small = await normalizeImage(targetImage(), { maxSide: 100 });
+    assert.deepStrictEqual([small.width, small.height, small.scale], [100, 75, 2]);
+    const result = await matchImage(small.buffer, { scale: small.scale, provider: createLocalProvider(), recognizer: null });
+    assert.deepStrictEqual([result.document.canvas.width, result.document.canvas.height], [200, 150]);
+    const blue = result.document.elements['shape-3b82f6'];
+    assert(blue && Math.abs(blue.x - 20) <= 8 && Math.abs(blue.width - 80) <= 16, `Blue rect should map back near x=20 w=80: ${JSON.stringify(blue)}`);
+
+    const rejects = async (input, pattern) => {
+      await assert.rejects(normalizeImage(input), (err) => err instanceof ImageInputError && pattern.test(err.message));
+    };
+    await rejects(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>'), /Unsupported image format "svg"/);
+    await rejects(Buffer.from('not an image at all'), /not a readable image/);
+    await rejects(Buffer.alloc(0), /empty/);
+    await rejects(Buffer.alloc(MAX_IMAGE_BYTES + 1), /too large/);
+    await rejects(jpeg.subarray(0, 200), /could not be decoded|not a readable image/);
+    assert.throws(() => decodeImageData(42), ImageInputError);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 7: A palette taken from an image drives create and edit
+  try {
+    console.log('Test 7: Custom palette from an image in create and edit prompts...');
+
+    const { palette, closest } = paletteFromImage(targetImage());
+    assert.strictEqual(palette.background, '#ffffff');
+    assert.deepStrictEqual([palette.primary, palette.secondary], ['#3b82f6', '#ef4444']);
+    assert.strictEqual(closest, 'modern');
+    assert.deepStrictEqual(parseCustomPalette(JSON.parse(JSON.stringify(palette))), palette, 'The endpoint output should be accepted back as is');
+
+    const local = createLocalProvider();
+    const requests = [];
+    const capturing = { ...local, createMessage: (request, opts) => (requests.push(request), local.createMessage(request, opts)) };
+
+    const created = await createFromDescription(DESCRIPTION, () => {}, { provider: capturing, palette });
+    const fills = Object.values(created.document.elements).filter(e => e.type === 'rect').map(e => e.fill);
+    assert.deepStrictEqual(fills.slice(0, 2), [palette.primary, palette.secondary], 'Boxes should use the palette');
+    assert(requests[0].messages[0].content.includes(`Use this color palette:\nFrom image: primary=${palette.primary}`), requests[0].messages[0].content);
+
+    await editDesign(created.document, 'make the text bigger', [], () => {}, { provider: capturing, palette: PALETTES.nature });
+    const editText = requests[1].messages[0].content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+    assert(editText.includes('User request: make the text bigger\n\nUse this color palette:\nNature: primary=#16a34a'), 'Edit prompt should name the palette');
+
+    assert.strictEqual(parseCustomPalette('nature'), PALETTES.nature);
+    assert.strictEqual(parseCustomPalette('nope'), null);
+    assert.strictEqual(parseCustomPalette({ ...palette, primary: 'red' }), null, 'Colors must be #rrggbb');
+    assert.strictEqual(parseCustomPalette({ primary: '#000000' }), null, 'Prompt roles are required');
+    assert.strictEqual(parseCustomPalette({ ...palette, script: '<x>' }).script, undefined, 'Unknown keys are dropped');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 8: Match rounds are scored, stop on their own and keep the best document
+  try {
+    console.log('Test 8: Scored match rounds...');
+
+    const same = await scoreImages(targetImage(), targetImage());
+    assert.deepStrictEqual([same.similarity, same.structure, same.score], [100, 100, 100]);
+    const blank = renderToPNG(createEmptyDocument({ width: 200, height: 150 }));
+    const off = await scoreImages(targetImage(), blank);
+    assert(off.similarity < 80 && off.structure < 100 && off.score === Math.round((off.similarity + off.structure) * 50) / 100, JSON.stringify(off));
+    const heatmap = PNG.sync.read(off.heatmap);
+    assert.deepStrictEqual([heatmap.width, heatmap.height], [200, 150]);
+    assert.deepStrictEqual([...heatmap.data.subarray(0, 4)], [0, 0, 0, 255], 'Matching corner should be black');
+
+    const blue = { op: 'add', id: 'a', element: { type: 'rect', x: 20, y: 20, width: 80, height: 60, fill: '#3b82f6' } };
+    // A few pixels off, so it scores well but not 100
+    const red = { op: 'add', id: 'b', element: { type: 'rect', x: 114, y: 70, width: 70, height: 60, fill: '#ef4444' } };
+    const run = async (script, options = {}) => {
+      const events = [];
+      const provider = createLocalProvider({
+        script: { 'match.build': { patches: [blue] }, 'match.critique': { issues: ['Red box missing'], done: false }, ...script },
+      });
+      const result = await matchImage(targetImage(), { provider, recognizer: null, onProgress: (e) => events.push(e), ...options });
+      return { result, events, complete: events.find(e => e.type === 'complete') };
+    };
+
+    // Round 1 adds the red box, round 2 removes it again: that round is dropped
+    const worse = await run({ 'match.fix': [{ patches: [red] }, { patches: [{ op: 'remove', id: 'b' }] }] }, { targetScore: 99 });
+    assert.deepStrictEqual(worse.result.rounds.map(r => r.round), [0, 1, 2]);
+    assert(worse.result.rounds[1].score > worse.result.rounds[0].score, JSON.stringify(worse.result.rounds));
+    assert.strictEqual(worse.complete.reason, 'stagnated');
+    assert.strictEqual(worse.result.bestRound, 1);
+    assert(worse.result.document.elements.b, 'The best round keeps the red box');
+    assert.strictEqual(worse.result.calls, 5);
+    assert.strictEqual(worse.result.patches.applied, 2, 'Only kept rounds count');
+    const scores = worse.events.filter(e => e.type === 'score');
+    assert.deepStrictEqual(scores.map(e => e.best), [true, true, false]);
+    assert(scores.every(e => e.heatmap.startsWith('data:image/png;base64,')));
+
+    const reached = await run({ 'match.fix': { patches: [red] } }, { targetScore: 90 });
+    assert.strictEqual(reached.complete.reason, 'target_reached');
+    assert.strictEqual(reached.result.calls, 3);
+
+    const approved = await run({ 'match.critique': { issues: [], done: true } });
+    assert.strictEqual(approved.complete.reason, 'critique_approved');
+    assert.strictEqual(approved.result.bestRound, 0);
+
+    assert.strictEqual((await run({}, { maxRounds: 0 })).complete.reason, 'max_rounds');
+    const timedOut = await run({}, { timeBudgetMs: 0 });
+    assert.strictEqual(timedOut.complete.reason, 'time_budget');
+    assert.strictEqual(timedOut.result.calls, 1);
+
+    // The build and each round's two calls have to fit in the prompts left today
+    assert.deepStrictEqual([1, 2, 3, 6, 7, 100].map(left => affordableRounds(left, 3)), [0, 0, 1, 2, 3, 3]);
+    const lastPrompt = await run({ 'match.fix': { patches: [red] } }, { maxRounds: affordableRounds(1, 3) });
+    assert.strictEqual(lastPrompt.result.calls, 1, 'One prompt left pays for the build only');
+
+    assert.deepStrictEqual(getMatchConfig({}), { maxRounds: 3, targetScore: 95, minImprovement: 0.5, timeBudgetMs: 120000 });
+    const config = getMatchConfig({ MATCH_MAX_ROUNDS: '5', MATCH_TARGET_SCORE: '90', MATCH_MIN_IMPROVEMENT: 'lots', MATCH_TIME_BUDGET_MS: '1000' });
+    assert.deepStrictEqual(config, { maxRounds: 5, targetScore: 90, minImprovement: 0.5, timeBudgetMs: 1000 });
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -1,9 +1,17 @@
 // Tests for visual primitives: gradients, shadows, blur, glow, icons, palettes
 import { applyPatches, createEmptyDocument } from '../shared/schema.js';
 import { validatePatches } from '../server/validate.js';
-import { renderToSVGString, renderToBase64PNG } from '../server/renderer.js';
+import { renderToSVGString, renderToBase64PNG, renderToImage } from '../server/renderer.js';
+import { renderToPDF } from '../server/pdf.js';
+import { parsePathData } from '../server/svg-path.js';
+import { buildFontFaces, getUsedFontFamilies } from '../server/fonts.js';
 import { ICONS, ICON_NAMES, getIconPath } from '../shared/icons.js';
 import { PALETTES, PALETTE_NAMES, getPalette, getColor } from '../shared/palettes.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { inflateSync } from 'zlib';
+import { join } from 'path';
+import sharp from 'sharp';
 import assert from 'assert';
 
 async function runTests() {
@@ -395,6 +403,240 @@ async function runTests() {
     failed++;
   }
 
+  // Test 11: Standalone SVG export options
+  try {
+    console.log('Test 11: SVG export shares defs, adds metadata, rounds and embeds fonts...');
+
+    const gradient = { type: 'linear', angle: 90, stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }] };
+    const shadow = { offsetX: 2, offsetY: 2, blur: 4, color: '#00000040' };
+    const doc = applyPatches(createEmptyDocument(), [
+      { op: 'add', id: 'a', element: { type: 'rect', x: 10.123456, y: 0, width: 50, height: 50, fill: gradient, shadow } },
+      { op: 'add', id: 'b', element: { type: 'rect', x: 80, y: 0, width: 50, height: 50, fill: structuredClone(gradient), shadow: { ...shadow } } },
+      { op: 'add', id: 't', element: { type: 'text', x: 0, y: 100, content: 'Pi is 3.14159', fill: '#1e293b', fontFamily: '"Inter", sans-serif', fontWeight: 'bold' } },
+    ]);
+
+    const plain = renderToSVGString(doc);
+    assert.strictEqual(plain.match(/<linearGradient/g).length, 1, 'Identical gradients should share one def');
+    assert.strictEqual(plain.match(/<filter /g).length, 1, 'Identical filters should share one def');
+    assert.strictEqual(plain.match(/url\(#grad-a\)/g).length, 2);
+    assert(!plain.includes('<title>'), 'Metadata is opt-in');
+
+    const svg = renderToSVGString(doc, { title: 'Q&A <draft>', description: 'Two boxes', precision: 2 });
+    assert(svg.includes('<title>Q&amp;A &lt;draft&gt;</title><desc>Two boxes</desc>'), 'Title and description should be escaped');
+    assert(svg.includes('x="10.12"'), 'Coordinates should be rounded');
+    assert(svg.includes('Pi is 3.14159'), 'Text content should not be rounded');
+    assert(svg.includes('fill="#1e293b"'), 'Hex colors should not be read as numbers');
+
+    assert.deepStrictEqual(getUsedFontFamilies(doc), ['Inter'], 'Generic families should not be embedded');
+    const dir = mkdtempSync(join(tmpdir(), 'ai-drawer-fonts-'));
+    try {
+      writeFileSync(join(dir, 'Inter-Regular.woff2'), 'regular');
+      writeFileSync(join(dir, 'Inter-Bold.woff2'), 'bold');
+      writeFileSync(join(dir, 'InterDisplay.woff2'), 'other family');
+      const fonts = buildFontFaces(['Inter', 'Roboto'], dir);
+      assert.deepStrictEqual([fonts.embedded, fonts.missing], [['Inter'], ['Roboto']]);
+      assert.strictEqual(fonts.css.match(/@font-face/g).length, 2, 'Regular and bold files should both be embedded');
+      assert(fonts.css.includes('font-weight:700;src:url(data:font/woff2;base64,' + Buffer.from('bold').toString('base64')));
+
+      const withFonts = renderToSVGString(doc, { fontFaces: fonts.css });
+      assert(withFonts.includes('<defs><style>@font-face'), 'Font faces should go in the defs');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 12: Vector PDF export
+  try {
+    console.log('Test 12: PDF export draws vectors, one page per design, with bleed and marks...');
+
+    const gradient = { type: 'radial', stops: [{ offset: 0, color: '#ffffff' }, { offset: 0.5, color: '#ff0000' }, { offset: 1, color: '#0000ff' }] };
+    const doc = applyPatches(createEmptyDocument(), [
+      { op: 'add', id: 'r', element: { type: 'rect', x: 10, y: 10, width: 100, height: 50, cornerRadius: 8, fill: gradient, stroke: '#000000' } },
+      { op: 'add', id: 'e', element: { type: 'ellipse', cx: 200, cy: 100, rx: 40, ry: 20, fill: '#00ff0080' } },
+      { op: 'add', id: 't', element: { type: 'text', x: 100, y: 200, content: 'Hi (there)', textAnchor: 'middle', fill: '#333333' } },
+      { op: 'add', id: 'i', element: { type: 'icon', name: 'star', x: 300, y: 20, size: 48, color: '#f59e0b' } },
+    ]);
+
+    const pdf = renderToPDF([doc, doc], { title: 'Brochure', bleed: 3, cropMarks: true });
+    const text = pdf.toString('latin1');
+    assert(text.startsWith('%PDF-1.7'), 'Should be a PDF');
+    assert(text.trimEnd().endsWith('%%EOF'));
+    assert(text.includes('/Count 2'), 'Each design should be a page');
+    assert(text.includes('/Title (Brochure)'));
+
+    // Every cross-reference entry should point at its object
+    const xref = text.slice(Number(text.match(/startxref\n(\d+)/)[1])).split('\n');
+    const count = Number(xref[1].split(' ')[1]);
+    for (let n = 1; n < count; n++) {
+      assert(text.startsWith(`${n} 0 obj`, Number(xref[2 + n].slice(0, 10))), `Bad offset for object ${n}`);
+    }
+
+    // 800x600px canvas = 600x450pt trim; 3mm bleed + marks around it
+    const bleed = 3 * 72 / 25.4;
+    const trim = text.match(/\/TrimBox \[([^\]]+)\]/)[1].split(' ').map(Number);
+    const bleedBox = text.match(/\/BleedBox \[([^\]]+)\]/)[1].split(' ').map(Number);
+    assert.strictEqual(Math.round(trim[2] - trim[0]), 600);
+    assert.strictEqual(Math.round(trim[3] - trim[1]), 450);
+    assert(Math.abs(trim[0] - bleedBox[0] - bleed) < 0.01, 'Bleed box should extend 3mm past the trim');
+    assert(bleedBox[0] > 0, 'Crop marks need room outside the bleed');
+
+    assert(/\/ShadingType 3/.test(text), 'Radial gradients should be shadings');
+    assert(/\/FunctionType 3 .*\/Bounds \[0\.5\]/.test(text), 'Three stops should stitch two functions');
+    assert(/\/BaseFont \/Helvetica /.test(text));
+    assert(/\/ca 0\.502/.test(text), 'Color alpha should become a transparency state');
+
+    const content = inflateSync(pdf.subarray(text.indexOf('stream\n') + 7)).toString('latin1');
+    assert(/ re W n\n0\.75 0 0 -0\.75 /.test(content), 'Pages should clip to the bleed and map px to pt');
+    assert(/ c h W n\n100 0 0 50 10 10 cm\n\/Sh\d sh/.test(content), 'Gradient should fill a clip of the rounded rect');
+    assert(content.includes('0.2 0.2 0.2 rg'));
+    assert(content.includes(`<${Buffer.from('Hi (there)').toString('hex')}> Tj`), 'Text should be set, not rasterized');
+    const x = Number(content.match(/1 0 0 -1 ([\d.]+) 200 Tm/)[1]);
+    assert(x > 60 && x < 100, `Middle-anchored text should start left of its x (got ${x})`);
+    assert(content.includes('2 w 1 J 1 j'), 'Icons should be round-capped strokes');
+    assert((content.match(/ S\n/g) || []).length >= 8, 'Crop marks should be stroked at each corner');
+
+    // Any color name the SVG renderer accepts resolves in the PDF too
+    const named = applyPatches(createEmptyDocument(), [
+      { op: 'add', id: 'n', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: 'rebeccapurple' } },
+    ]);
+    const namedPdf = renderToPDF([named]);
+    const namedContent = inflateSync(namedPdf.subarray(namedPdf.toString('latin1').indexOf('stream\n') + 7)).toString('latin1');
+    assert(namedContent.includes('0.4 0.2 0.6 rg'), 'rebeccapurple should fill in the PDF');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 13: SVG path data for PDF
+  try {
+    console.log('Test 13: Path data becomes absolute lines and cubics...');
+
+    assert.deepStrictEqual(parsePathData('m10 10 h 20 v20 l-20 0z'), [
+      ['M', 10, 10], ['L', 30, 10], ['L', 30, 30], ['L', 10, 30], ['Z'],
+    ]);
+    assert.deepStrictEqual(parsePathData('M0 0 10 10'), [['M', 0, 0], ['L', 10, 10]], 'Extra moveto pairs are linetos');
+    assert.deepStrictEqual(parsePathData('M0 0 Q 30 0 30 30')[1], ['C', 20, 0, 30, 10, 30, 30], 'Quadratics become cubics');
+
+    // A half circle from (0,0) to (20,0) through (10,-10), with compact flags
+    const arc = parsePathData('M0 0a10 10 0 0120 0');
+    assert.strictEqual(arc.length, 3, 'Half circles should be two quarter cubics');
+    assert.deepStrictEqual(arc[2].slice(5), [20, 0], 'Arcs should end exactly on their endpoint');
+    assert(Math.abs(arc[1][5] - 10) < 1e-9 && Math.abs(arc[1][6] + 10) < 1e-9, 'Sweep 1 should pass over the top');
+
+    assert.deepStrictEqual(parsePathData('M0 0 L10 10 L oops 5'), [['M', 0, 0], ['L', 10, 10]], 'Parsing stops at bad data');
+    assert.deepStrictEqual(parsePathData(undefined), []);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 14: Raster export formats
+  try {
+    console.log('Test 14: Raster export encodes JPEG/WebP/AVIF, resizes, keeps transparency and DPI...');
+
+    const doc = applyPatches(createEmptyDocument({ width: 200, height: 100, background: '#ff0000' }), [
+      { op: 'add', id: 'a', element: { type: 'rect', x: 0, y: 0, width: 60, height: 50, fill: '#0000ff' } },
+    ]);
+
+    assert(!renderToSVGString(doc, { transparent: true }).includes('fill="#ff0000"'), 'Transparent SVG should have no background');
+
+    for (const [format, type] of [['jpeg', 'image/jpeg'], ['webp', 'image/webp'], ['avif', 'image/avif']]) {
+      const { buffer, contentType } = await renderToImage(doc, { format, quality: 50 });
+      const meta = await sharp(buffer).metadata();
+      assert.strictEqual(contentType, type);
+      assert.strictEqual(meta.format, format === 'avif' ? 'heif' : format);
+      assert.deepStrictEqual([meta.width, meta.height], [200, 100], `${format} should default to 1x`);
+    }
+
+    const scaled = await sharp((await renderToImage(doc, { scale: 2 })).buffer).metadata();
+    assert.deepStrictEqual([scaled.width, scaled.height], [400, 200]);
+
+    const wide = await sharp((await renderToImage(doc, { width: 300 })).buffer).metadata();
+    assert.deepStrictEqual([wide.width, wide.height], [300, 150], 'One dimension should keep the aspect ratio');
+
+    // A 2:1 canvas fitted into a square: letterboxed, cropped to the middle or stretched
+    for (const fit of ['contain', 'cover', 'fill']) {
+      const { buffer } = await renderToImage(doc, { width: 100, height: 100, fit });
+      const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      assert.deepStrictEqual([info.width, info.height], [100, 100], `fit=${fit} should produce the exact size`);
+      const topLeft = [...data.subarray(0, 3)];
+      assert.deepStrictEqual(topLeft, fit === 'contain' ? [255, 0, 0] : [0, 0, 255], `fit=${fit} top-left pixel`);
+    }
+
+    const { buffer: clear } = await renderToImage(doc, { transparent: true });
+    const { data: pixels } = await sharp(clear).raw().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(pixels[(50 * 200 + 150) * 4 + 3], 0, 'Background should be see-through');
+    assert.strictEqual(pixels[3], 255, 'Elements stay opaque');
+
+    // Backgrounds sharp can't read letterbox in white instead of failing the export
+    for (const background of ['"><script>', 'none', 'Tomato']) {
+      const odd = { ...doc, canvas: { ...doc.canvas, background } };
+      const { buffer } = await renderToImage(odd, { format: 'jpeg', width: 100, height: 100 });
+      const { data } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      const expected = background === 'Tomato' ? [255, 99, 71] : [255, 255, 255];
+      assert(data.subarray(0, 3).every((v, i) => Math.abs(v - expected[i]) < 8), `Letterbox for ${background}`);
+    }
+
+    const { buffer: print } = await renderToImage(doc, { format: 'jpeg', dpi: 300 });
+    assert.strictEqual((await sharp(print).metadata()).density, 300, 'DPI should be recorded');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 15: Rendering is repeatable and leaves the document alone
+  try {
+    console.log('Test 15: Rendering twice gives identical SVG and never mutates the document...');
+
+    const gradient = { type: 'linear', angle: 45, stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }] };
+    const doc = applyPatches(createEmptyDocument(), [
+      { op: 'add', id: 'a', element: { type: 'rect', x: 0, y: 0, width: 50, height: 50, fill: gradient, shadow: { offsetX: 2, blur: 4 } } },
+      { op: 'add', id: 'b', element: { type: 'ellipse', cx: 100, cy: 100, rx: 20, ry: 20, fill: structuredClone(gradient) } },
+      { op: 'add', id: 'c', element: { type: 'text', x: 10, y: 200, content: 'Hello', glow: { color: '#ffffff' } } },
+      { op: 'add', id: 'g', element: { type: 'group', children: ['c'], blur: 2 } },
+    ]);
+    const original = structuredClone(doc);
+
+    const first = renderToSVGString(doc);
+    const second = renderToSVGString(doc);
+    assert.strictEqual(first, second, 'Same document should render byte-identical SVG');
+    assert.deepStrictEqual(doc, original, 'Rendering should not touch the document');
+
+    // Another document's defs must not leak into the next render
+    const other = applyPatches(createEmptyDocument(), [
+      { op: 'add', id: 'x', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: { type: 'radial', stops: [{ offset: 0, color: '#00ff00' }] }, blur: 3 } },
+    ]);
+    const otherSvg = renderToSVGString(other);
+    assert(!otherSvg.includes('grad-a') && !otherSvg.includes('filter-a'), 'Defs should not carry over between renders');
+    assert.strictEqual(renderToSVGString(doc), first, 'Rendering another document in between should change nothing');
+
+    renderToBase64PNG(doc);
+    await renderToImage(doc, { format: 'webp' });
+    renderToPDF([doc]);
+    assert.deepStrictEqual(doc, original, 'Raster and PDF export should not touch the document either');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
   // Summary
   console.log('=== Summary ===');
   console.log(`Passed: ${passed}`);
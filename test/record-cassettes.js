@@ -0,0 +1,40 @@
+// Record AI cassettes for the pipeline scenarios
+// Usage: node test/record-cassettes.js [scenario-name ...]
+// Uses the configured provider (AI_PROVIDER, AI_MODEL, ...), so with an API key
+// this captures real model output; AI_PROVIDER=local records offline.
+import 'dotenv/config';
+import { mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createProvider, getAIConfig } from '../server/ai.js';
+import { createCassette, createRecordingProvider, saveCassette } from '../server/cassette.js';
+import { SCENARIOS } from './scenarios.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CASSETTE_DIR = join(__dirname, 'cassettes');
+
+async function record() {
+  const only = process.argv.slice(2);
+  const scenarios = only.length ? SCENARIOS.filter(s => only.includes(s.name)) : SCENARIOS;
+  if (scenarios.length === 0) {
+    console.error(`No matching scenarios. Available: ${SCENARIOS.map(s => s.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  const provider = createProvider({ ...getAIConfig(), cassette: null, cassetteMode: null });
+  console.log(`Recording with ${provider.name} (${provider.model})\n`);
+  mkdirSync(CASSETTE_DIR, { recursive: true });
+
+  for (const scenario of scenarios) {
+    const cassette = createCassette(scenario.name, provider);
+    const { result, events } = await scenario.run(createRecordingProvider(provider, cassette));
+    cassette.expected = JSON.parse(JSON.stringify({ result, events }));
+    saveCassette(join(CASSETTE_DIR, `${scenario.name}.json`), cassette);
+    console.log(`  ${scenario.name}: ${cassette.calls.length} calls`);
+  }
+}
+
+record().catch(err => {
+  console.error('Recording failed:', err);
+  process.exit(1);
+});
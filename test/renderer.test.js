@@ -0,0 +1,278 @@
+// Tests for the shared SVG renderer: DOM/string parity and hostile input
+import { createEmptyDocument } from '../shared/schema.js';
+import { renderToSVGString, renderToSVGElement, renderToSVGTree } from '../shared/renderer.js';
+import { renderToSVGString as serverRenderToSVGString } from '../server/renderer.js';
+import { escapeXml, safeColor, safeDefId, safeFontFamily, safeHref, safeNumber, safePathData } from '../shared/sanitize.js';
+import assert from 'assert';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGP4z8DwHwAFAAH/iZk9HQAAAABJRU5ErkJggg==';
+
+const ALLOWED_TAGS = new Set([
+  'svg', 'title', 'desc', 'defs', 'style', 'linearGradient', 'radialGradient', 'stop', 'filter',
+  'feDropShadow', 'feGaussianBlur', 'feFlood', 'feComposite', 'feMerge', 'feMergeNode',
+  'rect', 'ellipse', 'line', 'path', 'text', 'image', 'g',
+]);
+
+function makeDoc(elements, canvas = {}) {
+  const doc = createEmptyDocument(canvas);
+  doc.elements = elements;
+  doc.order = Object.keys(elements);
+  return doc;
+}
+
+// Just enough of the DOM for renderToSVGElement, serialized like XMLSerializer
+function createFakeDocument() {
+  return {
+    createElementNS(namespace, tag) {
+      assert.strictEqual(namespace, SVG_NS, 'Elements should be created in the SVG namespace');
+      return {
+        tag,
+        attributes: [],
+        childNodes: [],
+        setAttribute(name, value) {
+          this.attributes.push([name, String(value)]);
+        },
+        appendChild(child) {
+          this.childNodes.push(child);
+          return child;
+        },
+      };
+    },
+    createTextNode(text) {
+      return { text };
+    },
+  };
+}
+
+function serializeFakeNode(node, isRoot = true) {
+  if ('text' in node) return escapeXml(node.text);
+  const attributes = isRoot ? [['xmlns', SVG_NS], ...node.attributes] : node.attributes;
+  const attrs = attributes.map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+  const children = node.childNodes.map(child => serializeFakeNode(child, false)).join('');
+  return children ? `<${node.tag}${attrs}>${children}</${node.tag}>` : `<${node.tag}${attrs}/>`;
+}
+
+// Tokenize the markup: fails on anything that isn't a whitelisted tag, a
+// quoted attribute or escaped text, and on unbalanced tags
+function checkMarkup(svg) {
+  const TOKEN = /<(\/?)([A-Za-z][\w-]*)((?:\s+[\w:-]+="[^"<]*")*)\s*(\/?)>|([^<]+)/y;
+  const ATTR = /([\w:-]+)="([^"<]*)"/g;
+  const BARE_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos);)/;
+  const stack = [];
+  let position = 0;
+
+  while (position < svg.length) {
+    TOKEN.lastIndex = position;
+    const match = TOKEN.exec(svg);
+    assert(match, `Unparseable markup at ${position}: ${svg.slice(position, position + 60)}`);
+    position = TOKEN.lastIndex;
+
+    const [, closing, tag, attrs, selfClosing, text] = match;
+    if (text !== undefined) {
+      assert(!BARE_AMPERSAND.test(text), `Unescaped & in text: ${text}`);
+      continue;
+    }
+    assert(ALLOWED_TAGS.has(tag), `Unexpected <${tag}>`);
+    for (const [, name, value] of attrs.matchAll(ATTR)) {
+      assert(!/^on/i.test(name), `Event handler attribute ${name}`);
+      assert(!BARE_AMPERSAND.test(value), `Unescaped & in ${name}="${value}"`);
+      assert(!/javascript:/i.test(value), `Script URL in ${name}="${value}"`);
+    }
+    if (closing) {
+      assert.strictEqual(stack.pop(), tag, `Unbalanced </${tag}>`);
+    } else if (!selfClosing) {
+      stack.push(tag);
+    }
+  }
+  assert.strictEqual(stack.length, 0, `Unclosed <${stack.join('>, <')}>`);
+}
+
+// Every element type and effect, with sharing and nesting
+function makeFixture() {
+  const gradient = { type: 'linear', angle: 45, stops: [{ offset: 0, color: '#3b82f6' }, { offset: 1, color: '#8b5cf6' }] };
+  return makeDoc({
+    card: { type: 'rect', x: 20, y: 20, width: 200, height: 120, cornerRadius: 12, fill: gradient, stroke: '#1e293b', strokeWidth: 2, shadow: { offsetX: 2, offsetY: 4, blur: 8, color: '#00000040' } },
+    twin: { type: 'rect', x: 240, y: 20, width: 200, height: 120, fill: gradient, rotation: 15 },
+    dot: { type: 'ellipse', cx: 100, cy: 220, rx: 40, ry: 30, fill: { type: 'radial', stops: [{ offset: 0, color: '#fff' }, { offset: 1, color: 'navy' }] }, blur: 3 },
+    rule: { type: 'line', x1: 20, y1: 300, x2: 400, y2: 300, stroke: 'rgb(0, 0, 0)', strokeWidth: 1.5, glow: { color: '#facc15', blur: 6, opacity: 0.8 } },
+    wave: { type: 'path', d: 'M 10 350 C 40 320, 80 380, 120 350 Z', fill: 'hsl(200, 50%, 50%)', opacity: 0.7 },
+    heading: { type: 'text', x: 240, y: 200, content: 'Q&A <today>', fontSize: 24, fontFamily: '"Inter", sans-serif', fontWeight: 700, textAnchor: 'middle', fill: '#0f172a' },
+    plain: { type: 'text', x: 20, y: 420, content: 'Default font' },
+    photo: { type: 'image', x: 300, y: 300, width: 80, height: 80, href: PNG_DATA_URL },
+    check: { type: 'icon', name: 'check', x: 400, y: 200, size: 48, color: '#22c55e', rotation: 30, opacity: 0.9, shadow: { offsetX: 1, offsetY: 1, blur: 2 } },
+    inner: { type: 'group', children: ['badge'], opacity: 0.5, glow: { color: '#ffffff' } },
+    badge: { type: 'rect', x: 500, y: 40, width: 40, height: 40, fill: '#ef4444' },
+    outer: { type: 'group', x: 10, y: 10, rotation: 45, children: ['inner', 'star'] },
+    star: { type: 'icon', name: 'star', x: 520, y: 120 },
+  }, { width: 640, height: 480, background: '#f8fafc' });
+}
+
+async function runTests() {
+  console.log('=== Renderer Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Browser (DOM) and server (string) output match
+  try {
+    console.log('Test 1: DOM and string renders match for every element type and effect...');
+
+    const doc = makeFixture();
+    const options = { title: 'Fixture', description: 'Every element', fontFaces: '@font-face{font-family:"Inter"}' };
+    const svg = renderToSVGString(doc, options);
+    const element = renderToSVGElement(doc, createFakeDocument(), options);
+
+    assert.strictEqual(serializeFakeNode(element), svg, 'DOM render should serialize to the string render');
+    assert.strictEqual(serverRenderToSVGString, renderToSVGString, 'Server should use the shared renderer');
+
+    for (const tag of ['rect', 'ellipse', 'line', 'path', 'text', 'image', 'linearGradient', 'radialGradient',
+      'feDropShadow', 'feGaussianBlur', 'feFlood', 'feComposite', 'feMerge']) {
+      assert(svg.includes(`<${tag} `), `Output should contain <${tag}>`);
+    }
+    assert(svg.includes('<rect x="0" y="0" width="640" height="480" fill="#f8fafc"/>'), 'Background should be a rect in both renders');
+    assert.strictEqual(svg.match(/<linearGradient /g).length, 1, 'Identical gradients should share one def');
+    assert(svg.includes('>Q&amp;A &lt;today&gt;</text>'), 'Text content should be escaped');
+    assert(/<text id="plain" x="20" y="420" font-family="system-ui, sans-serif">/.test(svg), 'Text without fill should keep the default black, not fill="none"');
+    assert(/<g id="check" transform="rotate\(30 424 224\)" opacity="0.9" filter="url\(#filter-check\)">/.test(svg), 'Icons should carry rotation, opacity and effects');
+    assert(/<g id="outer" transform="translate\(10 10\) rotate\(45 [\d.]+ [\d.]+\)"><g id="inner" opacity="0.5" filter="url\(#filter-inner\)"><rect id="badge"/.test(svg), 'Groups should nest with their transforms');
+    checkMarkup(svg);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 2: The tree is plain data
+  try {
+    console.log('Test 2: The render tree is plain JSON-safe data...');
+
+    const tree = renderToSVGTree(makeFixture());
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(tree)), tree, 'Tree should survive a JSON round trip');
+    assert.strictEqual(tree.tag, 'svg');
+    assert.strictEqual(tree.attrs.viewBox, '0 0 640 480');
+
+    const walk = (node) => {
+      if (typeof node === 'string') return;
+      for (const value of Object.values(node.attrs)) {
+        assert.strictEqual(typeof value, 'string', `${node.tag} attributes should be strings`);
+      }
+      node.children.forEach(walk);
+    };
+    walk(tree);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 3: Sanitizers accept good values and reject the rest
+  try {
+    console.log('Test 3: Sanitizers whitelist colors, paths, URLs and fonts...');
+
+    for (const color of ['#fff', '#3b82f680', 'rgb(0, 0, 0)', 'hsla(10, 50%, 50%, 0.5)', 'RebeccaPurple', 'none']) {
+      assert.strictEqual(safeColor(color), color, `${color} should be allowed`);
+    }
+    for (const color of ['red" onload="alert(1)', 'url(#x)', 'url(https://evil.test/x.svg)', 'expression(alert(1))', '#12', 42, {}]) {
+      assert.strictEqual(safeColor(color), null, `${JSON.stringify(color)} should be rejected`);
+    }
+
+    assert.strictEqual(safePathData('M0 0 L10 10 Z'), 'M0 0 L10 10 Z');
+    assert.strictEqual(safePathData('M0 0"/><script>alert(1)</script>'), '');
+    assert.strictEqual(safePathData(null), '');
+
+    assert.strictEqual(safeHref(PNG_DATA_URL), PNG_DATA_URL);
+    assert.strictEqual(safeHref('javascript:alert(1)'), null);
+    assert.strictEqual(safeHref(' JaVaScRiPt:alert(1)', { allowRemote: true }), null);
+    assert.strictEqual(safeHref('data:image/svg+xml;base64,PHN2Zy8+'), null, 'SVG data URLs can carry scripts');
+    assert.strictEqual(safeHref('data:text/html,<script>alert(1)</script>'), null);
+    assert.strictEqual(safeHref('https://example.com/a.png'), null, 'Remote URLs should be blocked by default');
+    assert.strictEqual(safeHref('https://example.com/a.png', { allowRemote: true }), 'https://example.com/a.png');
+    assert.strictEqual(safeHref('https://example.com/a.png" onload="x', { allowRemote: true }), null);
+    assert.strictEqual(safeHref('file:///etc/passwd', { allowRemote: true }), null);
+
+    assert.strictEqual(safeFontFamily('"Noto Sans JP", 思源黑体, sans-serif'), '"Noto Sans JP", 思源黑体, sans-serif');
+    assert.strictEqual(safeFontFamily('Inter;} svg{display:none'), null);
+
+    assert.strictEqual(safeNumber('12.5'), 12.5);
+    assert.strictEqual(safeNumber('12" onload="x'), 0);
+    assert.strictEqual(safeNumber(Infinity, 3), 3);
+
+    assert.strictEqual(safeDefId('grad', 'card-1'), 'grad-card-1');
+    assert.strictEqual(safeDefId('grad', 'a) url(#b'), 'grad-a_29__20_url_28__23_b');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 4: Hostile documents render as inert, well-formed markup
+  try {
+    console.log('Test 4: Hostile input corpus renders safely in both paths...');
+
+    const breakout = '"><script>alert(1)</script><rect x="';
+    const corpus = {
+      'quoted fill': { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: `red${breakout}` },
+      'quoted stroke': { type: 'line', x1: 0, y1: 0, x2: 5, y2: 5, stroke: `#000" onmouseover="alert(1)` },
+      'css injection in font': { type: 'text', x: 0, y: 0, content: 'x', fontFamily: 'a"; onload="alert(1)' },
+      'script in text': { type: 'text', x: 0, y: 0, content: '</text><script>alert(1)</script>]]><!--' },
+      'bad weight and anchor': { type: 'text', x: 0, y: 0, content: 'x', fontWeight: '700" onclick="x', textAnchor: 'end" onclick="x' },
+      'javascript href': { type: 'image', x: 0, y: 0, width: 10, height: 10, href: 'javascript:alert(document.cookie)' },
+      'remote href': { type: 'image', x: 0, y: 0, width: 10, height: 10, href: 'https://tracker.test/pixel.png' },
+      'svg data href': { type: 'image', x: 0, y: 0, width: 10, height: 10, href: 'data:image/svg+xml,<svg onload="alert(1)"/>' },
+      'bad path': { type: 'path', d: `M0 0${breakout}` },
+      'comment in icon name': { type: 'icon', name: '--><script>alert(1)</script>', x: 0, y: 0 },
+      'non-numeric coordinates': { type: 'ellipse', cx: '1" onload="x', cy: {}, rx: [], ry: 'NaN', rotation: '45" onclick="x' },
+      'hostile gradient': { type: 'rect', x: 0, y: 0, width: 1, height: 1, fill: { type: 'linear', angle: 'x"', stops: [{ offset: '1"', color: `blue${breakout}` }, null] } },
+      'hostile effects': { type: 'rect', x: 0, y: 0, width: 1, height: 1, shadow: { offsetX: '"', color: breakout }, glow: { color: breakout, opacity: '"', blur: '"' } },
+      'hostile group': { type: 'group', x: '"', rotation: 'x', opacity: '" onload="x', children: 'abc' },
+      [`id${breakout}`]: { type: 'rect', x: 0, y: 0, width: 1, height: 1, fill: { type: 'radial', stops: [] }, blur: 2 },
+    };
+    const doc = makeDoc(corpus, { width: '640" onload="alert(1)', height: 480, background: `#fff${breakout}` });
+    const options = { title: `</title>${breakout}`, description: ']]><!-- -->' };
+
+    const svg = renderToSVGString(doc, options);
+    checkMarkup(svg);
+    assert.strictEqual(serializeFakeNode(renderToSVGElement(doc, createFakeDocument(), options)), svg, 'DOM render should match for hostile input too');
+
+    assert(!svg.includes('<script'), 'No script elements');
+    assert(!svg.includes('tracker.test'), 'Remote images should be dropped by default');
+    assert(!svg.includes('image/svg+xml'), 'SVG data URLs should be dropped');
+    assert(!svg.includes('<!--'), 'Unknown icons should not emit comments');
+    assert(svg.includes('<svg xmlns="http://www.w3.org/2000/svg" width="0" height="480"'), 'Non-numeric canvas size should become a number');
+    assert(svg.includes('fill="#ffffff"/>'), 'Invalid background should fall back to white');
+    assert(svg.includes('id="id&quot;&gt;&lt;script&gt;'), 'Element ids should be escaped');
+    assert(/filter="url\(#filter-id_22__3e__3c_script/.test(svg), 'Def references should use escaped ids');
+    assert(svg.includes('<path id="bad path" fill="none" d=""/>'), 'Invalid path data should become an empty path');
+    assert(svg.includes('<ellipse id="non-numeric coordinates" fill="none" cx="0" cy="0" rx="0" ry="0"/>'), 'Non-numeric coordinates should become 0');
+
+    const remote = renderToSVGString(makeDoc({ pic: corpus['remote href'] }), { allowRemoteImages: true });
+    assert(remote.includes('href="https://tracker.test/pixel.png"'), 'allowRemoteImages should keep http(s) images');
+    const script = renderToSVGString(makeDoc({ pic: corpus['javascript href'] }), { allowRemoteImages: true });
+    assert(!script.includes('href='), 'javascript: hrefs should never be kept');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
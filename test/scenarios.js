@@ -0,0 +1,78 @@
+// Pipeline scenarios shared by the cassette recorder and the replay tests
+import { applyPatches, createEmptyDocument } from '../shared/schema.js';
+import { createFromDescription } from '../server/create.js';
+import { editDesign } from '../server/edit.js';
+import { matchImage } from '../server/match.js';
+import { renderToPNG } from '../server/renderer.js';
+
+// Small labelled flow used as the starting point for edits
+function flowDocument() {
+  return applyPatches(createEmptyDocument({ width: 600, height: 300 }), [
+    { op: 'update', id: 'canvas', props: { background: '#f8fafc' } },
+    { op: 'add', id: 'title', element: { type: 'text', x: 300, y: 50, content: 'Sign-up Flow', fontSize: 28, fontWeight: 'bold', fill: '#1e293b', textAnchor: 'middle' } },
+    { op: 'add', id: 'form', element: { type: 'rect', x: 60, y: 120, width: 180, height: 80, fill: '#3b82f6', cornerRadius: 8 } },
+    { op: 'add', id: 'form-label', element: { type: 'text', x: 150, y: 166, content: 'Form', fontSize: 18, fill: '#ffffff', textAnchor: 'middle' } },
+    { op: 'add', id: 'done', element: { type: 'rect', x: 360, y: 120, width: 180, height: 80, fill: '#22c55e', cornerRadius: 8 } },
+    { op: 'add', id: 'done-label', element: { type: 'text', x: 450, y: 166, content: 'Welcome', fontSize: 18, fill: '#ffffff', textAnchor: 'middle' } },
+    { op: 'add', id: 'arrow', element: { type: 'path', d: 'M 240 160 L 360 160', stroke: '#64748b', strokeWidth: 2 } },
+  ]);
+}
+
+function targetImage() {
+  return renderToPNG(applyPatches(createEmptyDocument({ width: 200, height: 150 }), [
+    { op: 'update', id: 'canvas', props: { background: '#ffffff' } },
+    { op: 'add', id: 'a', element: { type: 'rect', x: 20, y: 20, width: 80, height: 60, fill: '#3b82f6' } },
+    { op: 'add', id: 'b', element: { type: 'rect', x: 110, y: 70, width: 70, height: 60, fill: '#ef4444' } },
+  ]));
+}
+
+// Progress events without timing-dependent status pulses or rendered images
+function collector() {
+  const events = [];
+  const onProgress = (event) => {
+    if (event.type === 'status') return;
+    const { image, ...rest } = event;
+    events.push(image ? { ...rest, image: '[png]' } : rest);
+  };
+  return { events, onProgress };
+}
+
+/**
+ * Each scenario runs one pipeline on the given provider and resolves to
+ * { result, events } - the output a replay must reproduce exactly.
+ */
+export const SCENARIOS = [
+  {
+    name: 'create-checkout',
+    async run(provider) {
+      const { events, onProgress } = collector();
+      const result = await createFromDescription('Checkout flow: Cart, Shipping, Payment and Confirmation', onProgress, { provider });
+      return { result, events };
+    },
+  },
+  {
+    name: 'edit-bigger-text',
+    async run(provider) {
+      const { events, onProgress } = collector();
+      const result = await editDesign(flowDocument(), 'Make the text bigger', [], onProgress, { provider });
+      return { result, events };
+    },
+  },
+  {
+    name: 'edit-background',
+    async run(provider) {
+      const { events, onProgress } = collector();
+      const result = await editDesign(flowDocument(), 'Change the background to #0f172a', [], onProgress, { provider });
+      return { result, events };
+    },
+  },
+  {
+    name: 'match-two-rects',
+    async run(provider) {
+      const { events, onProgress } = collector();
+      // No OCR: the target has no text, and recognition would need its language data
+      const result = await matchImage(targetImage(), { onProgress, provider, recognizer: null });
+      return { result, events };
+    },
+  },
+];
@@ -0,0 +1,689 @@
+// Tests for document semantics: patches, groups, transactions, inverses, migrations, manipulation
+import { applyPatch, applyPatches, applyPatchWithInverse, diffDocuments, createEmptyDocument, validateDocument, getRootIds, PATCH_ERRORS, SCHEMA_VERSION } from '../shared/schema.js';
+import { migrateDocument, MIGRATIONS } from '../shared/migrations.js';
+import { validatePatches, checkPatchList, generateSchemaDoc } from '../server/validate.js';
+import { applyTransaction, summarizeTransaction } from '../server/transaction.js';
+import { repairTransaction, buildRepairTurn, getRepairBudget } from '../server/repair.js';
+import { renderToSVGString } from '../server/renderer.js';
+import { movePatch, resizePatches, rotatePatch, getLocalBounds, getRotationCenter, scaleDocumentPatches } from '../shared/transform.js';
+import assert from 'assert';
+
+// A box with its label, grouped
+function boxWithLabel() {
+  return applyPatches(createEmptyDocument({ width: 400, height: 300 }), [
+    { op: 'add', id: 'box', element: { type: 'rect', x: 50, y: 50, width: 100, height: 60, fill: '#3b82f6' } },
+    { op: 'add', id: 'label', element: { type: 'text', x: 100, y: 85, content: 'Box', textAnchor: 'middle' } },
+    { op: 'add', id: 'card', element: { type: 'group', children: ['box', 'label'] } },
+  ]);
+}
+
+async function runTests() {
+  console.log('=== Schema Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Grouped children leave the top-level order
+  try {
+    console.log('Test 1: Grouping moves children out of the order...');
+
+    const doc = boxWithLabel();
+    assert.deepStrictEqual(doc.order, ['card'], 'Only the group should be top-level');
+    assert(validateDocument(doc).valid, 'Grouped document should be valid');
+
+    const svg = renderToSVGString(doc);
+    assert.strictEqual(svg.split('id="box"').length - 1, 1, 'Child should render exactly once');
+    assert(svg.includes('<g id="card"'), 'Group should render as <g>');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 2: Group x/y/opacity/rotation apply to the subtree
+  try {
+    console.log('Test 2: Group transform and opacity render...');
+
+    const doc = applyPatch(boxWithLabel(), { op: 'update', id: 'card', props: { x: 40, y: 10, opacity: 0.5, rotation: 90 } });
+    const svg = renderToSVGString(doc);
+    assert(svg.includes('<g id="card" transform="translate(40 10) rotate(90 100 80)" opacity="0.5">'), 'Group should carry transform and opacity');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 3: Nested groups render children once, with filters
+  try {
+    console.log('Test 3: Nested groups render with filters...');
+
+    const doc = applyPatches(boxWithLabel(), [
+      { op: 'add', id: 'dot', element: { type: 'ellipse', cx: 20, cy: 20, rx: 5, ry: 5, fill: { type: 'radial', stops: [{ offset: 0, color: '#fff' }, { offset: 1, color: '#000' }] } } },
+      { op: 'add', id: 'outer', element: { type: 'group', children: ['card', 'dot'], shadow: { offsetX: 2, offsetY: 2, blur: 4 } } },
+    ]);
+    assert.deepStrictEqual(getRootIds(doc), ['outer'], 'Only outer group should be a root');
+
+    const svg = renderToSVGString(doc);
+    assert(svg.includes('<g id="outer" filter="url(#filter-outer)">'), 'Outer group should reference its filter');
+    assert(svg.includes('id="grad-dot"'), 'Gradient of nested child should be defined');
+    assert.strictEqual(svg.split('id="label"').length - 1, 1, 'Nested child should render exactly once');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 4: Cycles and dangling children are rejected
+  try {
+    console.log('Test 4: Cycles and dangling children are rejected...');
+
+    const doc = applyPatch(boxWithLabel(), { op: 'add', id: 'outer', element: { type: 'group', children: ['card'] } });
+
+    assert.throws(() => applyPatch(doc, { op: 'update', id: 'card', props: { children: ['box', 'outer'] } }), /contain itself/);
+    assert.throws(() => applyPatch(doc, { op: 'add', id: 'g2', element: { type: 'group', children: ['missing'] } }), /non-existent child/);
+
+    const results = validatePatches([
+      { op: 'update', id: 'card', props: { children: ['outer'] } },
+      { op: 'add', id: 'g3', element: { type: 'group', children: ['ghost'] } },
+      { op: 'add', id: 'g4', element: { type: 'group', children: ['g4'] } },
+    ], doc);
+    assert(results.every(r => !r.valid), 'All group patches should be invalid');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 5: Removing a group removes its subtree; ungrouping releases children
+  try {
+    console.log('Test 5: Remove and ungroup...');
+
+    const removed = applyPatch(boxWithLabel(), { op: 'remove', id: 'card' });
+    assert.deepStrictEqual(Object.keys(removed.elements), [], 'Group children should be removed with it');
+
+    const original = boxWithLabel();
+    const ungrouped = applyPatch(original, { op: 'update', id: 'card', props: { children: ['box'] } });
+    assert.deepStrictEqual(ungrouped.order, ['card', 'label'], 'Released child should return after the group');
+    assert.deepStrictEqual(original.elements.card.children, ['box', 'label'], 'Input document should not be mutated');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 6: Legacy documents listing children in order render them once
+  try {
+    console.log('Test 6: Legacy group children render once...');
+
+    const doc = {
+      canvas: { width: 200, height: 200, background: '#fff' },
+      elements: {
+        a: { type: 'rect', x: 0, y: 0, width: 10, height: 10 },
+        g: { type: 'group', children: ['a'] },
+      },
+      order: ['a', 'g'],
+    };
+    const svg = renderToSVGString(doc);
+    assert.strictEqual(svg.split('id="a"').length - 1, 1, 'Child should render exactly once');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 7: Atomic transaction rolls back on any failure
+  try {
+    console.log('Test 7: Atomic transaction rolls back...');
+
+    const doc = boxWithLabel();
+    const tx = applyTransaction(doc, [
+      { op: 'update', id: 'box', props: { fill: '#ff0000' } },
+      { op: 'update', id: 'missing', props: { fill: '#00ff00' } },
+      { op: 'add', id: 'box', element: { type: 'rect', x: 0, y: 0, width: 1, height: 1 } },
+    ]);
+
+    assert.strictEqual(tx.committed, false, 'Transaction should not commit');
+    assert.strictEqual(tx.document, doc, 'Original document should be returned');
+    assert.deepStrictEqual(tx.results.map(r => r.status), ['rolled_back', 'rejected', 'rejected']);
+    assert.deepStrictEqual(tx.results.map(r => r.code), [PATCH_ERRORS.ROLLED_BACK, PATCH_ERRORS.NOT_FOUND, PATCH_ERRORS.DUPLICATE_ID]);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 8: Best-effort transaction applies what it can
+  try {
+    console.log('Test 8: Best-effort transaction skips invalid patches...');
+
+    const tx = applyTransaction(boxWithLabel(), [
+      { op: 'update', id: 'card', props: { x: 16 } },
+      { op: 'add', id: 'bad', element: { type: 'blob' } },
+      { op: 'remove' },
+    ], { mode: 'best-effort' });
+
+    assert.strictEqual(tx.committed, true);
+    assert.strictEqual(tx.appliedCount, 1);
+    assert.strictEqual(tx.document.elements.card.x, 16, 'Valid patch should apply');
+
+    const summary = summarizeTransaction(tx);
+    assert.deepStrictEqual(summary.dropped.map(d => d.code), [PATCH_ERRORS.INVALID_ELEMENT, PATCH_ERRORS.MISSING_ID]);
+    assert.strictEqual(summary.dropped[0].id, 'bad');
+    assert.doesNotThrow(() => JSON.stringify(summary), 'Summary should be JSON-safe');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 9: validatePatches reports error codes
+  try {
+    console.log('Test 9: validatePatches reports error codes...');
+
+    const results = validatePatches([
+      { id: 'x' },
+      { op: 'explode', id: 'x' },
+      { op: 'remove', id: 'canvas' },
+      { op: 'update', id: 'box' },
+    ], boxWithLabel());
+    assert.deepStrictEqual(results.map(r => r.code), [
+      PATCH_ERRORS.MISSING_OP,
+      PATCH_ERRORS.INVALID_OP,
+      PATCH_ERRORS.RESERVED_ID,
+      PATCH_ERRORS.MISSING_PROPS,
+    ]);
+
+    // Anything but an object is a patch without an op, never an exception
+    const junk = [null, 42, 'remove', ['op']];
+    assert(validatePatches(junk, boxWithLabel()).every(r => r.code === PATCH_ERRORS.MISSING_OP));
+    const tx = applyTransaction(boxWithLabel(), junk, { mode: 'best-effort' });
+    assert.deepStrictEqual(tx.results.map(r => r.code), junk.map(() => PATCH_ERRORS.MISSING_OP));
+    assert.strictEqual(checkPatchList([{ op: 'remove', id: 'box' }]), null);
+    assert.strictEqual(checkPatchList([]), 'Missing patches');
+    assert.strictEqual(checkPatchList([{ op: 'remove', id: 'box' }, null]), 'Patch #2 must be an object');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 10: Every patch kind can be inverted
+  try {
+    console.log('Test 10: Inverse patches restore the document...');
+
+    const base = applyPatches(boxWithLabel(), [
+      { op: 'add', id: 'note', element: { type: 'text', x: 10, y: 280, content: 'Note' } },
+      { op: 'add', id: 'outer', element: { type: 'group', children: ['card'], opacity: 0.9 } },
+    ]);
+    const cases = [
+      { op: 'add', id: 'line', element: { type: 'line', x1: 0, y1: 0, x2: 10, y2: 10 }, before: 'note' },
+      { op: 'update', id: 'box', props: { fill: '#000000', cornerRadius: 8 } },
+      { op: 'update', id: 'canvas', props: { background: '#f5f5f5' } },
+      { op: 'remove', id: 'note' },
+      { op: 'remove', id: 'outer' },
+      { op: 'reorder', order: ['outer', 'note'] },
+      { op: 'add', id: 'wrap', element: { type: 'group', children: ['note', 'label'] } },
+      { op: 'update', id: 'card', props: { children: ['box'] } },
+      { op: 'remove', id: 'label' },
+      { op: 'remove', id: 'card' },
+      { op: 'update', id: 'outer', props: { children: ['note'] } },
+      { op: 'add', id: 'wrap', element: { type: 'group', children: ['card'] } },
+      { op: 'reorder', id: 'outer', after: 'note' },
+    ];
+
+    for (const patch of cases) {
+      const { document, inverse } = applyPatchWithInverse(base, patch);
+      const restored = applyPatches(document, inverse);
+      assert.deepStrictEqual(restored, base, `Inverse of ${patch.op} ${patch.id || ''} should restore the document`);
+      const undo = applyTransaction(document, inverse);
+      assert(undo.committed, `Inverse of ${patch.op} ${patch.id || ''} should pass validation`);
+    }
+
+    const updated = applyPatchWithInverse(base, { op: 'update', id: 'box', props: { cornerRadius: 4 } });
+    assert.deepStrictEqual(updated.inverse, [{ op: 'update', id: 'box', props: {}, unset: ['cornerRadius'] }], 'New props should be unset on undo');
+
+    const removed = applyPatchWithInverse(base, { op: 'remove', id: 'note' });
+    assert.deepStrictEqual(removed.inverse, [{ op: 'add', id: 'note', element: base.elements.note, before: 'outer' }], 'A removed element comes back at its old position');
+
+    const reordered = applyPatchWithInverse(base, { op: 'reorder', order: ['outer', 'note'] });
+    assert.deepStrictEqual(reordered.inverse, [{ op: 'reorder', order: ['note', 'outer'] }], 'A reorder is undone by the previous order');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 11: Transactions return their inverse, which replays as undo/redo
+  try {
+    console.log('Test 11: Transaction inverse supports undo/redo...');
+
+    const before = boxWithLabel();
+    const tx = applyTransaction(before, [
+      { op: 'update', id: 'card', props: { x: 100 } },
+      { op: 'add', id: 'badge', element: { type: 'ellipse', cx: 5, cy: 5, rx: 5, ry: 5 } },
+    ]);
+
+    const undone = applyTransaction(tx.document, tx.inverse);
+    assert(undone.committed, 'Undo should commit');
+    assert.deepStrictEqual(undone.document, before, 'Undo should restore the original');
+
+    const redone = applyTransaction(undone.document, tx.applied);
+    assert.deepStrictEqual(redone.document, tx.document, 'Redo should reproduce the edit');
+
+    assert.deepStrictEqual(diffDocuments(before, before), [], 'Identical documents have no diff');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 12: Legacy documents migrate to the current schema
+  try {
+    console.log('Test 12: Legacy documents migrate...');
+
+    const legacy = {
+      canvas: { width: 200, height: 200, background: '#fff' },
+      elements: {
+        a: { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: { type: 'linear', stops: [] }, _gradientId: 'grad-a' },
+        g: { type: 'group', children: ['a', 'ghost'] },
+      },
+      order: ['a', 'g', 'ghost'],
+    };
+    const snapshot = JSON.stringify(legacy);
+
+    const result = migrateDocument(legacy);
+    assert.strictEqual(result.from, 0);
+    assert.strictEqual(result.to, SCHEMA_VERSION);
+    assert(result.migrated, 'Legacy document should be migrated');
+    assert.strictEqual(result.document.schemaVersion, SCHEMA_VERSION);
+    assert.strictEqual(result.document.elements.a._gradientId, undefined, 'Renderer ids should be stripped');
+    assert.deepStrictEqual(result.document.elements.g.children, ['a'], 'Dangling children should be dropped');
+    assert.deepStrictEqual(result.document.order, ['g'], 'Group children should leave the order');
+    assert(validateDocument(result.document).valid, 'Migrated document should be valid');
+    assert.strictEqual(JSON.stringify(legacy), snapshot, 'Input should not be mutated');
+
+    const again = migrateDocument(result.document);
+    assert.strictEqual(again.migrated, false, 'Current documents should not migrate again');
+    assert.strictEqual(MIGRATIONS.length, SCHEMA_VERSION, 'Registry should end at the current version');
+
+    assert.throws(() => migrateDocument({ ...legacy, schemaVersion: SCHEMA_VERSION + 1 }), /newer than supported/);
+
+    // Old renderers ignored group x/y, so a migrated group must not move its children
+    const offset = migrateDocument({
+      canvas: { width: 200, height: 200 },
+      elements: {
+        b: { type: 'rect', x: 10, y: 10, width: 20, height: 20, fill: '#000' },
+        g: { type: 'group', children: ['b'], x: 50, y: 40, opacity: 0.5 },
+      },
+      order: ['g'],
+    }).document;
+    assert.deepStrictEqual(offset.elements.g, { type: 'group', children: ['b'], opacity: 0.5 });
+    assert(!renderToSVGString(offset).includes('translate(50'), 'Migrated group should not be translated');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 13: New and patched documents carry the schema version
+  try {
+    console.log('Test 13: Documents keep schemaVersion through patches...');
+
+    const doc = boxWithLabel();
+    assert.strictEqual(doc.schemaVersion, SCHEMA_VERSION, 'Patched document should keep schemaVersion');
+    assert.strictEqual(createEmptyDocument().schemaVersion, SCHEMA_VERSION);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 14: Element and update values are type-checked
+  try {
+    console.log('Test 14: Property types and ranges are checked...');
+
+    const doc = boxWithLabel();
+    const results = validatePatches([
+      { op: 'add', id: 'a', element: { type: 'rect', x: 0, y: 0, width: 'big', height: 10 } },
+      { op: 'add', id: 'b', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: 42 } },
+      { op: 'update', id: 'label', props: { fontWeight: true } },
+      { op: 'update', id: 'label', props: { textAnchor: 'diagonal' } },
+      { op: 'update', id: 'box', props: { opacity: 3 } },
+      { op: 'update', id: 'box', props: { shadow: { offsetX: 2, blur: -1 } } },
+      { op: 'update', id: 'box', props: { fill: { type: 'linear', stops: [{ offset: 0, color: 'blurple' }] } } },
+      { op: 'add', id: 'c', element: { type: 'path', d: 'javascript:alert(1)' } },
+      { op: 'add', id: 'd', element: { type: 'icon', name: 'not-an-icon', x: 0, y: 0, size: 24 } },
+      { op: 'update', id: 'canvas', props: { background: 12 } },
+      { op: 'update', id: 'box', props: {}, unset: ['width'] },
+    ], doc);
+
+    for (const r of results) {
+      assert(!r.valid, `Patch ${r.index} should be invalid`);
+    }
+    assert(results[0].error.includes('rect "width" must be a number'), results[0].error);
+    assert(results[5].error.includes('"shadow.blur"'), results[5].error);
+    assert.strictEqual(results[2].code, PATCH_ERRORS.INVALID_PROPS);
+
+    const ok = validatePatches([
+      { op: 'update', id: 'box', props: { fill: 'rgba(0, 0, 0, 0.5)', stroke: 'slategray', opacity: 0.5 } },
+      { op: 'update', id: 'label', props: { fontWeight: '600', textAnchor: 'end' } },
+    ], doc);
+    assert(ok.every(r => r.valid), 'Well-typed updates should be valid');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 15: Unknown properties produce warnings, not errors
+  try {
+    console.log('Test 15: Unknown properties warn...');
+
+    const [result] = validatePatches([
+      { op: 'add', id: 'a', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10, sparkle: true } },
+    ], createEmptyDocument());
+    assert(result.valid, 'Unknown property should not invalidate the patch');
+    assert(result.warnings.some(w => w.includes('Unknown rect property "sparkle"')), 'Should warn about unknown property');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 16: Coercion repairs common mistakes
+  try {
+    console.log('Test 16: Coercion repairs common mistakes...');
+
+    const tx = applyTransaction(boxWithLabel(), [
+      { op: 'add', id: 'a', element: { type: 'rect', x: '10', y: '20px', width: 100, height: ' 50 ', fill: '3b82f6', opacity: '50%' } },
+      { op: 'update', id: 'label', props: { fontWeight: true, textAnchor: 'Center', content: 42 } },
+      { op: 'update', id: 'canvas', props: { width: '1024' } },
+    ], { coerce: true });
+
+    assert(tx.committed, `Coerced patches should apply: ${JSON.stringify(tx.results.map(r => r.error))}`);
+    const a = tx.document.elements.a;
+    assert.deepStrictEqual([a.x, a.y, a.height, a.fill, a.opacity], [10, 20, 50, '#3b82f6', 0.5]);
+    const label = tx.document.elements.label;
+    assert.deepStrictEqual([label.fontWeight, label.textAnchor, label.content], ['bold', 'middle', '42']);
+    assert.strictEqual(tx.document.canvas.width, 1024);
+    assert(tx.results[0].warnings.some(w => w.startsWith('Coerced rect "x"')), 'Coercions should be reported');
+
+    const strict = applyTransaction(boxWithLabel(), [{ op: 'update', id: 'box', props: { width: '100' } }]);
+    assert(!strict.committed, 'Without coercion numeric strings should be rejected');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 17: Repair rounds merge corrected patches and respect the budget
+  try {
+    console.log('Test 17: Repair rounds fix rejected patches...');
+
+    const base = boxWithLabel();
+    const patches = [
+      { op: 'update', id: 'box', props: { fill: '#ef4444' } },
+      { op: 'add', id: 'dot', element: { type: 'ellipse', cx: 10, cy: 10 } },
+    ];
+    const events = [];
+    const seen = [];
+
+    const best = applyTransaction(base, patches, { mode: 'best-effort', coerce: true });
+    assert.strictEqual(best.rejectedCount, 1);
+    const repaired = await repairTransaction(base, best, {
+      maxAttempts: 2,
+      coerce: true,
+      onProgress: (e) => events.push(e),
+      requestRepair: async (rejected) => {
+        seen.push(...rejected.map(r => r.code));
+        return [{ op: 'add', id: 'dot', element: { type: 'ellipse', cx: 10, cy: 10, rx: 5, ry: 5 } }];
+      },
+    });
+    assert.strictEqual(repaired.rejectedCount, 0, 'Corrected patch should apply');
+    assert.strictEqual(repaired.document.elements.box.fill, '#ef4444', 'Kept patches should stay applied');
+    assert.strictEqual(repaired.document.elements.dot.rx, 5);
+    assert.deepStrictEqual(seen, ['invalid_element']);
+    assert.deepStrictEqual(events.map(e => e.type), ['repair', 'repair']);
+    assert.deepStrictEqual(summarizeTransaction(repaired).repairs, [{ attempt: 1, rejected: 1, corrected: 1, remaining: 0 }]);
+    assert.deepStrictEqual(applyPatches(repaired.document, repaired.inverse), base, 'Inverse should undo the merged batch');
+
+    // Atomic batches stay all-or-nothing, and the budget bounds the rounds
+    const atomic = applyTransaction(base, patches, { mode: 'atomic', coerce: true });
+    let calls = 0;
+    const stillBad = await repairTransaction(base, atomic, {
+      maxAttempts: 2,
+      requestRepair: async () => { calls++; return [{ op: 'remove', id: 'missing' }]; },
+    });
+    assert.strictEqual(calls, 2, 'Should stop after the budget');
+    assert(!stillBad.committed && stillBad.document === base, 'Atomic repair failure should leave the document');
+    assert.strictEqual(stillBad.repairs.length, 2);
+
+    // Corrections are coerced only when the caller's transaction was
+    const strict = applyTransaction(base, patches, { mode: 'best-effort' });
+    const fixNeedingCoercion = async () => [{ op: 'add', id: 'dot', element: { type: 'ellipse', cx: 10, cy: 10, rx: '5', ry: 5 } }];
+    const uncoerced = await repairTransaction(base, strict, { maxAttempts: 1, requestRepair: fixNeedingCoercion });
+    assert.strictEqual(uncoerced.rejectedCount, 1, 'Without coerce a numeric string stays invalid');
+    const coerced = await repairTransaction(base, strict, { maxAttempts: 1, coerce: true, requestRepair: fixNeedingCoercion });
+    assert.strictEqual(coerced.document.elements.dot.rx, 5);
+
+    const turn = buildRepairTurn({ content: [{ type: 'tool_use', id: 'tu_1', name: 'edit_design', input: {} }] },
+      atomic.results.filter(r => r.status === 'rejected'), 'Fix them.');
+    assert.strictEqual(turn[1].content[0].tool_use_id, 'tu_1');
+    assert(turn[1].content[0].content.includes('[invalid_element]'), 'Errors should be sent to the model');
+
+    assert.strictEqual(getRepairBudget(0), 0);
+    assert.strictEqual(getRepairBudget('99'), 5);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 18: Canvas gestures become valid update patches
+  try {
+    console.log('Test 18: Move, resize and rotate produce update patches...');
+
+    const base = applyPatches(createEmptyDocument({ width: 400, height: 300 }), [
+      { op: 'add', id: 'r', element: { type: 'rect', x: 10, y: 10, width: 40, height: 20 } },
+      { op: 'add', id: 'e', element: { type: 'ellipse', cx: 100, cy: 100, rx: 20, ry: 10 } },
+      { op: 'add', id: 'l', element: { type: 'line', x1: 0, y1: 0, x2: 10, y2: 20 } },
+      { op: 'add', id: 't', element: { type: 'text', x: 50, y: 200, content: 'Hi', fontSize: 20 } },
+      { op: 'add', id: 'i', element: { type: 'icon', name: 'check', x: 300, y: 20, size: 24 } },
+    ]);
+
+    assert.deepStrictEqual(movePatch(base, 'r', 5, -5), { op: 'update', id: 'r', props: { x: 15, y: 5 } });
+    assert.deepStrictEqual(movePatch(base, 'e', 1.25, 0).props, { cx: 101.3, cy: 100 }, 'Coordinates round to 0.1');
+    assert.deepStrictEqual(movePatch(base, 'l', 1, 1).props, { x1: 1, y1: 1, x2: 11, y2: 21 });
+
+    assert.deepStrictEqual(resizePatches(base, 'r', { x: 0, y: 0, width: 80, height: -5 })[0].props,
+      { x: 0, y: 0, width: 80, height: 1 }, 'Sizes should not go below 1');
+    assert.deepStrictEqual(resizePatches(base, 'e', { x: 70, y: 80, width: 60, height: 40 })[0].props, { cx: 100, cy: 100, rx: 30, ry: 20 });
+    assert.deepStrictEqual(resizePatches(base, 'l', { x: 0, y: 0, width: 20, height: 40 })[0].props, { x1: 0, y1: 0, x2: 20, y2: 40 });
+    const text = getLocalBounds(base, 't');
+    assert.strictEqual(resizePatches(base, 't', { ...text, height: text.height * 2 })[0].props.fontSize, 40, 'Text scales its font');
+    assert.strictEqual(resizePatches(base, 'i', { x: 300, y: 20, width: 48, height: 30 })[0].props.size, 30, 'Icons stay square');
+
+    assert.deepStrictEqual(rotatePatch(base, 'r', -90).props, { rotation: 270 });
+    const rotated = applyPatch(base, rotatePatch(base, 'r', 45));
+    assert.deepStrictEqual(rotatePatch(rotated, 'r', 360), { op: 'update', id: 'r', props: {}, unset: ['rotation'] });
+
+    // Everything turns about the middle of its handle box, lines included
+    assert.deepStrictEqual(getRotationCenter(base, 'l'), { x: 5, y: 10 }, 'Lines rotate about their midpoint');
+    const textBox = getLocalBounds(base, 't');
+    assert.deepStrictEqual(getRotationCenter(base, 't'), { x: textBox.x + textBox.width / 2, y: textBox.y + textBox.height / 2 });
+    const turnedLine = renderToSVGString(applyPatch(base, rotatePatch(base, 'l', 90)));
+    assert(turnedLine.includes('rotate(90 5 10)'), 'The renderer should use the same pivot for a line');
+
+    const gestures = [
+      movePatch(base, 'r', 5, 5),
+      ...resizePatches(base, 'e', { x: 0, y: 0, width: 10, height: 10 }),
+      ...resizePatches(base, 't', { x: 0, y: 0, width: 10, height: 10 }),
+      rotatePatch(base, 'i', 30),
+      rotatePatch(base, 'l', 15),
+      rotatePatch(base, 't', -10),
+    ];
+    const transaction = applyTransaction(base, gestures, { mode: 'atomic' });
+    assert(transaction.committed, 'Gesture patches should pass validation');
+    assert(transaction.applied.every(p => p.op === 'update'));
+    assert(transaction.results.every(r => !r.warnings?.length), 'Rotation is a known property of every rotatable type');
+    assert(/### line\nRequired: [^\n]+\nOptional: [^\n]*rotation/.test(generateSchemaDoc(base)), 'The AI schema doc should list rotation for lines');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 19: Resizing a group scales everything inside it
+  try {
+    console.log('Test 19: Group resize scales descendants...');
+
+    const base = applyPatches(boxWithLabel(), [
+      { op: 'add', id: 'tick', element: { type: 'path', d: 'M 50 50 L 60 60', stroke: '#000' } },
+      { op: 'add', id: 'dash', element: { type: 'path', d: 'M 50 50 l 50 50', stroke: '#000' } },
+      { op: 'add', id: 'inner', element: { type: 'group', x: 10, y: 10, children: ['tick', 'dash'] } },
+      { op: 'update', id: 'card', props: { x: 20, children: ['box', 'label', 'inner'] } },
+    ]);
+    const from = getLocalBounds(base, 'card');
+    assert.deepStrictEqual(from, { x: 50, y: 50, width: 100, height: 60 }, 'Group bounds are local (before its translate)');
+
+    const patches = resizePatches(base, 'card', { x: 50, y: 50, width: 200, height: 120 });
+    const byId = Object.fromEntries(patches.map(p => [p.id, p.props]));
+    assert.deepStrictEqual(byId.box, { x: 50, y: 50, width: 200, height: 120 });
+    assert.deepStrictEqual(byId.tick, { d: 'M 60 60 L 80 80' }, 'Nested group children scale in their own frame');
+    assert(!byId.dash && !byId.card && !byId.inner, 'Relative paths and groups themselves are left alone');
+
+    assert.deepStrictEqual(movePatch(base, 'card', 10, 0).props, { x: 30, y: 0 }, 'Moving a group moves its translate');
+
+    const resized = applyTransaction(base, patches, { mode: 'atomic' });
+    assert(resized.committed);
+    assert.deepStrictEqual(getLocalBounds(resized.document, 'box'), { x: 50, y: 50, width: 200, height: 120 });
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 20: Scaling a whole document scales every coordinate and length
+  try {
+    console.log('Test 20: Document scale covers canvas, shapes, paths and effects...');
+
+    const base = applyPatches(boxWithLabel(), [
+      { op: 'update', id: 'box', props: { cornerRadius: 4, strokeWidth: 2, rotation: 30, shadow: { offsetX: 2, offsetY: 3, blur: 4, color: '#000' } } },
+      { op: 'update', id: 'label', props: { fontSize: 12, glow: { blur: 5, color: '#fff' } } },
+      { op: 'update', id: 'card', props: { x: 5, y: 10 } },
+      { op: 'add', id: 'arc', element: { type: 'path', d: 'M10 10 h20 a5 10 45 0110 10 Q 40 40 50 10z', stroke: '#000' } },
+      { op: 'add', id: 'dot', element: { type: 'ellipse', cx: 20, cy: 30, rx: 5, ry: 6 } },
+    ]);
+    const scaled = applyPatches(base, scaleDocumentPatches(base, 2));
+
+    assert.deepStrictEqual([scaled.canvas.width, scaled.canvas.height], [800, 600]);
+    const { box, label, card, arc, dot } = scaled.elements;
+    assert.deepStrictEqual([box.x, box.y, box.width, box.height, box.cornerRadius, box.strokeWidth], [100, 100, 200, 120, 8, 4]);
+    assert.strictEqual(box.rotation, 30, 'Rotation is not a length');
+    assert.deepStrictEqual(box.shadow, { offsetX: 4, offsetY: 6, blur: 8, color: '#000' });
+    assert.deepStrictEqual([label.x, label.y, label.fontSize, label.glow.blur, label.content], [200, 170, 24, 10, 'Box']);
+    assert.deepStrictEqual([card.x, card.y, card.children], [10, 20, ['box', 'label']], 'Group translate scales, children stay');
+    assert.strictEqual(arc.d, 'M 20 20 h 40 a 10 20 45 0 1 20 20 Q 80 80 100 20 z', 'Arc rotation and flags are kept');
+    assert.deepStrictEqual([dot.cx, dot.cy, dot.rx, dot.ry], [40, 60, 10, 12]);
+    assert.strictEqual(base.elements.box.x, 50, 'The original document is untouched');
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Test 21: Reorders must name existing top-level elements
+  try {
+    console.log('Test 21: Reorder patches are checked against the top-level order...');
+
+    const doc = applyPatches(boxWithLabel(), [
+      { op: 'add', id: 'a', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10 } },
+      { op: 'add', id: 'b', element: { type: 'rect', x: 20, y: 0, width: 10, height: 10 } },
+    ]);
+    assert.deepStrictEqual(getRootIds(doc), ['card', 'a', 'b']);
+
+    const rejected = [
+      { op: 'reorder', order: 'xyz' },
+      { op: 'reorder', order: ['a'] },
+      { op: 'reorder', order: ['card', 'a', 'b', 'box'] },
+      { op: 'reorder', order: ['card', 'a', 'a'] },
+      { op: 'reorder', id: 'ghost', after: 'a' },
+      { op: 'reorder', id: 'box', after: 'a' },
+      { op: 'reorder', id: 'a', after: 'ghost' },
+      { op: 'reorder', id: 'a', before: 'label' },
+      { op: 'reorder', id: 'a', after: 'a' },
+      { op: 'reorder', id: 'a' },
+    ];
+    for (const patch of rejected) {
+      const transaction = applyTransaction(doc, [patch]);
+      assert(!transaction.committed, `Should reject ${JSON.stringify(patch)}`);
+      assert.strictEqual(transaction.results[0].code, PATCH_ERRORS.INVALID_REORDER, JSON.stringify(transaction.results[0]));
+      assert.strictEqual(transaction.document, doc, 'Rejected reorders leave the document alone');
+    }
+
+    const full = applyTransaction(doc, [{ op: 'reorder', order: ['b', 'card', 'a'] }]);
+    assert(full.committed);
+    assert.deepStrictEqual(full.document.order, ['b', 'card', 'a']);
+    const moved = applyTransaction(doc, [{ op: 'reorder', id: 'card', after: 'b' }]);
+    assert.deepStrictEqual(moved.document.order, ['a', 'b', 'card']);
+    assert(validateDocument(moved.document).valid);
+
+    console.log('  ✓ Passed\n');
+    passed++;
+  } catch (err) {
+    console.log('  ✗ Failed:', err.message, '\n');
+    failed++;
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
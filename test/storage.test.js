@@ -0,0 +1,356 @@
+// Storage conformance suite - every backend must pass the same cases
+//
+// The file backend always runs (in a temp directory). The Supabase backend
+// runs when STORAGE_TEST_SUPABASE=1 with SUPABASE_URL/SUPABASE_SERVICE_ROLE_KEY
+// and STORAGE_TEST_USER_IDS=<uuid>,<uuid> naming two existing auth users.
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore, getStorageConfig, allowsLocalSession } from '../server/db.js';
+import { createEmptyDocument, applyPatches } from '../shared/schema.js';
+import assert from 'assert';
+
+const doc = (width = 400) => createEmptyDocument({ width, height: 300 });
+const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const CASES = [
+  {
+    name: 'Designs are created, read and listed per user',
+    async run(store, [alice, bob]) {
+      const first = await store.createDesign(alice, 'First', doc(), 'thumb-1');
+      await wait();
+      const second = await store.createDesign(alice, 'Second', doc(500), null);
+
+      assert(first.id && first.created_at && first.updated_at, 'Rows should get id and timestamps');
+      assert.strictEqual(first.user_id, alice);
+
+      const fetched = await store.getDesign(first.id, alice);
+      assert.strictEqual(fetched.name, 'First');
+      assert.deepStrictEqual(fetched.document, doc());
+      assert.strictEqual(await store.getDesign(first.id, bob), null, 'Other users should not see the design');
+
+      const list = await store.getDesigns(alice);
+      const ids = list.map(d => d.id);
+      assert(ids.indexOf(second.id) < ids.indexOf(first.id), 'Newest design should come first');
+      assert.deepStrictEqual(Object.keys(list[0]).sort(), ['created_at', 'id', 'name', 'role', 'thumbnail', 'updated_at', 'workspace_id']);
+      assert.strictEqual(list[0].role, 'owner');
+      assert.strictEqual(fetched.role, 'owner', 'The creator should own the design');
+      assert(!(await store.getDesigns(bob)).some(d => d.id === first.id));
+    },
+  },
+  {
+    name: 'Updates change fields and move the design to the top',
+    async run(store, [alice, bob]) {
+      const older = await store.createDesign(alice, 'Older', doc(), null);
+      await wait();
+      const newer = await store.createDesign(alice, 'Newer', doc(), null);
+      await wait();
+
+      const edited = applyPatches(doc(), [{ op: 'add', id: 'r', element: { type: 'rect', x: 1, y: 1, width: 2, height: 2 } }]);
+      const updated = await store.updateDesign(older.id, alice, { name: 'Renamed', document: edited });
+      assert.strictEqual(updated.name, 'Renamed');
+      assert(updated.updated_at > older.updated_at, 'updated_at should move forward');
+      assert.deepStrictEqual((await store.getDesign(older.id, alice)).document, edited);
+
+      const ids = (await store.getDesigns(alice)).map(d => d.id);
+      assert(ids.indexOf(older.id) < ids.indexOf(newer.id), 'Recently updated design should come first');
+
+      await assert.rejects(() => store.updateDesign(older.id, bob, { name: 'Stolen' }), 'Updating another user\'s design should fail');
+      assert.strictEqual((await store.getDesign(older.id, alice)).name, 'Renamed');
+    },
+  },
+  {
+    name: 'Updates bump the revision and refuse a stale expected revision',
+    async run(store, [alice]) {
+      const design = await store.createDesign(alice, 'Contended', doc(), null);
+      assert.strictEqual(design.revision, 1);
+
+      const first = await store.updateDesign(design.id, alice, { name: 'Tab A' }, 1);
+      assert.strictEqual(first.revision, 2, 'A matching revision should update and bump it');
+
+      assert.strictEqual(await store.updateDesign(design.id, alice, { name: 'Tab B' }, 1), null, 'A stale revision should be refused');
+      const current = await store.getDesign(design.id, alice);
+      assert.strictEqual(current.name, 'Tab A', 'A refused update should change nothing');
+      assert.strictEqual(current.revision, 2);
+
+      const blind = await store.updateDesign(design.id, alice, { name: 'Tab C' });
+      assert.strictEqual(blind.revision, 3, 'Updates without an expected revision still bump it');
+    },
+  },
+  {
+    name: 'Versions are saved and listed newest first',
+    async run(store, [alice, bob]) {
+      const design = await store.createDesign(alice, 'Versioned', doc(), null);
+      const saved = [];
+      for (let i = 1; i <= 3; i++) {
+        saved.push(await store.saveVersion(design.id, alice, doc(100 * i), `v${i}`));
+        await wait();
+      }
+
+      const list = await store.getVersions(design.id, alice, 2);
+      assert.deepStrictEqual(list.map(v => v.thumbnail), ['v3', 'v2'], 'Should list newest first, up to the limit');
+      assert.deepStrictEqual(Object.keys(list[0]).sort(), ['created_at', 'id', 'thumbnail']);
+
+      const version = await store.getVersion(saved[0].id, alice);
+      assert.strictEqual(version.design_id, design.id);
+      assert.strictEqual(version.document.canvas.width, 100);
+      assert.strictEqual(await store.getVersion(saved[0].id, bob), null);
+      assert.deepStrictEqual(await store.getVersions(design.id, bob, 20), []);
+    },
+  },
+  {
+    name: 'Patch log walks undo and redo in order',
+    async run(store, [alice]) {
+      const design = await store.createDesign(alice, 'Log', doc(), null);
+      const a = await store.logPatches(design.id, alice, [{ op: 'remove', id: 'a' }], [{ op: 'add', id: 'a' }], 'edit');
+      const b = await store.logPatches(design.id, alice, [{ op: 'remove', id: 'b' }], [], 'edit');
+
+      assert(b.seq > a.seq, 'Entries should be sequenced');
+      assert.strictEqual(a.undone, false);
+      assert.strictEqual((await store.getUndoEntry(design.id, alice)).id, b.id);
+
+      await store.setPatchesUndone(b.id, alice, true);
+      await store.setPatchesUndone(a.id, alice, true);
+      assert.strictEqual(await store.getUndoEntry(design.id, alice), null);
+      assert.strictEqual((await store.getRedoEntry(design.id, alice)).id, a.id, 'Redo should start with the earliest undone entry');
+
+      await store.setPatchesUndone(a.id, alice, false);
+      const c = await store.logPatches(design.id, alice, [], [], 'manual');
+      assert.strictEqual(await store.getRedoEntry(design.id, alice), null, 'A new entry should discard the redo stack');
+      assert.strictEqual((await store.getUndoEntry(design.id, alice)).id, c.id);
+      assert.deepStrictEqual((await store.getUndoEntry(design.id, alice)).patches, []);
+
+      await store.clearPatchLog(design.id, alice);
+      assert.strictEqual(await store.getUndoEntry(design.id, alice), null);
+    },
+  },
+  {
+    name: 'Deleting a design removes its versions and patch log',
+    async run(store, [alice, bob]) {
+      const design = await store.createDesign(alice, 'Doomed', doc(), null);
+      const version = await store.saveVersion(design.id, alice, doc(), null);
+      await store.logPatches(design.id, alice, [], [], 'edit');
+
+      await store.deleteDesign(design.id, bob);
+      assert(await store.getDesign(design.id, alice), 'Other users should not delete the design');
+
+      assert.strictEqual(await store.deleteDesign(design.id, alice), true);
+      assert.strictEqual(await store.getDesign(design.id, alice), null);
+      assert.strictEqual(await store.getVersion(version.id, alice), null);
+      assert.strictEqual(await store.getUndoEntry(design.id, alice), null);
+    },
+  },
+  {
+    name: 'Shares give other users their role on a design',
+    async run(store, [alice, bob]) {
+      const design = await store.createDesign(alice, 'Shared', doc(), null);
+      await store.saveVersion(design.id, alice, doc(), 'by-alice');
+
+      await store.setShare(design.id, bob, 'viewer');
+      assert.strictEqual((await store.getDesign(design.id, bob)).role, 'viewer');
+      assert.strictEqual((await store.getDesigns(bob)).find(d => d.id === design.id)?.role, 'viewer', 'Shared designs should be listed');
+      assert.deepStrictEqual((await store.getVersions(design.id, bob, 20)).map(v => v.thumbnail), ['by-alice'], 'History should be shared');
+      await assert.rejects(() => store.updateDesign(design.id, bob, { name: 'Nope' }), 'Viewers should not update');
+
+      await store.setShare(design.id, bob, 'editor');
+      assert.strictEqual((await store.updateDesign(design.id, bob, { name: 'Edited by Bob' })).name, 'Edited by Bob');
+      const version = await store.saveVersion(design.id, bob, doc(), 'by-bob');
+      assert.strictEqual((await store.getVersion(version.id, alice)).thumbnail, 'by-bob', 'The owner should see an editor\'s versions');
+
+      await store.deleteDesign(design.id, bob);
+      assert(await store.getDesign(design.id, alice), 'Editors should not delete');
+
+      const shares = await store.getShares(design.id);
+      assert.deepStrictEqual(shares.map(s => [s.user_id, s.role]), [[bob, 'editor']]);
+      assert(Object.hasOwn(shares[0], 'email'));
+
+      await store.removeShare(design.id, bob);
+      assert.strictEqual(await store.getDesign(design.id, bob), null, 'Removing the share should remove access');
+      assert.strictEqual(await store.getVersion(version.id, bob), null);
+    },
+  },
+  {
+    name: 'Workspace members get their workspace role on its designs',
+    async run(store, [alice, bob]) {
+      const workspace = await store.createWorkspace(alice, 'Team');
+      assert.strictEqual(workspace.role, 'owner', 'The creator should own the workspace');
+      assert((await store.getWorkspaces(alice)).some(w => w.id === workspace.id));
+      assert.strictEqual(await store.getWorkspace(workspace.id, bob), null);
+
+      const design = await store.createDesign(alice, 'Team design', doc(), null, workspace.id);
+      assert.strictEqual(design.workspace_id, workspace.id);
+      assert.strictEqual(await store.getDesign(design.id, bob), null, 'Outsiders should not see workspace designs');
+
+      await store.setMember(workspace.id, bob, 'editor');
+      assert.strictEqual((await store.getWorkspace(workspace.id, bob)).role, 'editor');
+      assert.strictEqual((await store.getDesign(design.id, bob)).role, 'editor');
+      assert((await store.getDesigns(bob)).some(d => d.id === design.id));
+
+      // The stronger of a share and a membership counts
+      await store.setShare(design.id, bob, 'viewer');
+      assert.strictEqual((await store.getDesign(design.id, bob)).role, 'editor');
+      await store.removeMember(workspace.id, bob);
+      assert.strictEqual((await store.getDesign(design.id, bob)).role, 'viewer');
+
+      const members = await store.getMembers(workspace.id);
+      assert.deepStrictEqual(members.map(m => [m.user_id, m.role]), [[alice, 'owner']]);
+
+      // Moving the design out of the workspace leaves only direct access
+      await store.setMember(workspace.id, bob, 'owner');
+      await store.updateDesign(design.id, alice, { workspace_id: null });
+      assert.strictEqual((await store.getDesign(design.id, bob)).role, 'viewer');
+    },
+  },
+  {
+    name: 'Share links resolve to their design until revoked',
+    async run(store, [alice]) {
+      const design = await store.createDesign(alice, 'Public', doc(), null);
+      const first = await store.createShareLink(design.id, alice, `link-${design.id}-1`);
+      await wait();
+      const second = await store.createShareLink(design.id, alice, `link-${design.id}-2`);
+
+      assert.strictEqual(first.design_id, design.id);
+      assert.deepStrictEqual((await store.getShareLinks(design.id)).map(l => l.token), [second.token, first.token], 'Newest link should come first');
+      assert.strictEqual((await store.getLinkedDesign(first.token)).id, design.id);
+      assert.strictEqual(await store.getLinkedDesign('no-such-token'), null);
+
+      await store.deleteShareLink(design.id, first.token);
+      assert.strictEqual(await store.getLinkedDesign(first.token), null, 'A revoked link should stop working');
+      assert.strictEqual((await store.getLinkedDesign(second.token)).id, design.id, 'Other links should keep working');
+
+      await store.deleteDesign(design.id, alice);
+      assert.strictEqual(await store.getLinkedDesign(second.token), null, 'Links should go with the design');
+    },
+  },
+  {
+    name: 'Usage counts prompts per user and day',
+    async run(store, [alice, bob]) {
+      const date = '2001-02-03';
+      const before = await store.getPromptCount(alice, date);
+      await store.incrementUsage(alice, date);
+      await store.incrementUsage(alice, date);
+      assert.strictEqual(await store.getPromptCount(alice, date), before + 2);
+      assert.strictEqual(await store.getPromptCount(alice, '2001-02-04'), 0);
+      assert.strictEqual(await store.getPromptCount(bob, date), 0);
+    },
+  },
+  {
+    name: 'Stored documents page by id for migrations',
+    async run(store, [alice]) {
+      const design = await store.createDesign(alice, 'Migrate me', { canvas: { width: 1, height: 1 }, elements: {}, order: [] }, null);
+
+      const all = [];
+      for (let offset = 0; ; offset += 2) {
+        const page = await store.listStoredDocuments('designs', offset, 2);
+        all.push(...page);
+        if (page.length < 2) break;
+      }
+      const ids = all.map(r => r.id);
+      assert.deepStrictEqual(ids, [...ids].sort(), 'Pages should be ordered by id');
+      assert(ids.includes(design.id));
+
+      const before = await store.getDesign(design.id, alice);
+      await store.updateStoredDocument('designs', design.id, doc(7));
+      const after = await store.getDesign(design.id, alice);
+      assert.strictEqual(after.document.canvas.width, 7);
+      assert.strictEqual(after.updated_at, before.updated_at, 'Migrations should not touch updated_at');
+    },
+  },
+];
+
+async function runSuite(label, store, users) {
+  let passed = 0;
+  let failed = 0;
+  let n = 1;
+
+  for (const testCase of CASES) {
+    try {
+      console.log(`Test ${n++} [${label}]: ${testCase.name}...`);
+      await testCase.run(store, users);
+      console.log('  ✓ Passed\n');
+      passed++;
+    } catch (err) {
+      console.log('  ✗ Failed:', err.message, '\n');
+      failed++;
+    }
+  }
+
+  return { passed, failed };
+}
+
+async function runTests() {
+  console.log('=== Storage Conformance Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+  const tally = (r) => { passed += r.passed; failed += r.failed; };
+
+  // File backend
+  const dir = mkdtempSync(join(tmpdir(), 'ai-drawer-storage-'));
+  try {
+    const store = createStore({ backend: 'file', dir });
+    const { user: alice } = await store.getLocalSession();
+    tally(await runSuite('file', store, [alice.id, 'another-user']));
+
+    // Backend specifics: persistence, token auth and email lookup
+    try {
+      console.log(`Test ${CASES.length + 1} [file]: Data survives a restart and local users can be found...`);
+
+      const reopened = createStore({ backend: 'file', dir });
+      const session = await reopened.getLocalSession();
+      assert.strictEqual(session.user.id, alice.id, 'The local user should be reused');
+      assert((await reopened.getDesigns(alice.id)).length > 0, 'Designs should be read back from disk');
+      assert.strictEqual((await reopened.getUser(session.access_token)).email, 'local@localhost');
+      assert.strictEqual(await reopened.getUser('not-a-token'), null);
+      assert.strictEqual((await reopened.findUserByEmail('LOCAL@localhost')).id, alice.id, 'Email lookup should ignore case');
+      assert.strictEqual(await reopened.findUserByEmail('nobody@example.com'), null);
+
+      const config = getStorageConfig({ STORAGE_DIR: dir });
+      assert.strictEqual(config.backend, 'file', 'No Supabase keys should mean the file backend');
+      assert.strictEqual(getStorageConfig({ SUPABASE_ANON_KEY: 'k' }).backend, 'supabase');
+      assert.throws(() => getStorageConfig({ STORAGE_BACKEND: 'supabase' }), /needs SUPABASE/);
+      assert.throws(() => getStorageConfig({ STORAGE_BACKEND: 'mongo' }), /Unknown STORAGE_BACKEND/);
+
+      // The local session signs in without a password: this machine only unless opened up
+      assert.strictEqual(config.localSession, 'loopback');
+      assert.strictEqual(getStorageConfig({ LOCAL_SESSION: 'any' }).localSession, 'any');
+      assert.throws(() => getStorageConfig({ LOCAL_SESSION: 'everyone' }), /Unknown LOCAL_SESSION/);
+      assert(allowsLocalSession('loopback', { remoteAddress: '127.0.0.1' }));
+      assert(allowsLocalSession('loopback', { remoteAddress: '::ffff:127.0.0.1' }));
+      assert(!allowsLocalSession('loopback', { remoteAddress: '192.168.1.20' }));
+      assert(!allowsLocalSession('loopback', { remoteAddress: '::1', forwarded: true }), 'Proxied requests are not local');
+      assert(allowsLocalSession('any', { remoteAddress: '203.0.113.5', forwarded: true }));
+      assert(!allowsLocalSession('off', { remoteAddress: '127.0.0.1' }));
+
+      console.log('  ✓ Passed\n');
+      passed++;
+    } catch (err) {
+      console.log('  ✗ Failed:', err.message, '\n');
+      failed++;
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Supabase backend (opt-in, needs a real project)
+  if (process.env.STORAGE_TEST_SUPABASE === '1') {
+    const users = (process.env.STORAGE_TEST_USER_IDS || '').split(',').filter(Boolean);
+    assert.strictEqual(users.length, 2, 'STORAGE_TEST_USER_IDS must name two users');
+    const config = getStorageConfig({ ...process.env, STORAGE_BACKEND: 'supabase' });
+    tally(await runSuite('supabase', createStore(config), users));
+  } else {
+    console.log('Supabase backend skipped (set STORAGE_TEST_SUPABASE=1 to run it)\n');
+  }
+
+  // Summary
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});